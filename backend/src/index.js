@@ -15,6 +15,7 @@ import {
   createModuleContext,
   initializeModules,
   registerAllRoutes,
+  attachServerToModules,
   shutdownModules,
   clearModules,
 } from './modules/index.js';
@@ -25,6 +26,10 @@ import systemModule from './modules/system/index.js';
 import updateCheckerModule from './modules/update-checker/index.js';
 import schedulerModule from './modules/scheduler/index.js';
 import notificationsModule from './modules/notifications/index.js';
+import metricsModule from './modules/metrics/index.js';
+import prometheusModule from './modules/prometheus/index.js';
+import eventsModule from './modules/events/index.js';
+import alertsModule from './modules/alerts/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -63,6 +68,10 @@ export async function createApp(docker = null) {
   registerModule('scheduler', schedulerModule);
   registerModule('update-checker', updateCheckerModule);
   registerModule('notifications', notificationsModule);
+  registerModule('metrics', metricsModule);
+  registerModule('prometheus', prometheusModule);
+  registerModule('events', eventsModule);
+  registerModule('alerts', alertsModule);
 
   // Create module context
   const context = createModuleContext({ config, docker });
@@ -73,6 +82,9 @@ export async function createApp(docker = null) {
   // Register routes
   registerAllRoutes(app, context);
 
+  // Keep the context for modules that attach to the HTTP server once it is listening
+  app.locals.moduleContext = context;
+
   // Serve frontend for all other routes
   app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, '../../frontend/dist/index.html'));
@@ -100,9 +112,10 @@ if (isMainModule) {
   const port = config.port;
 
   createApp().then(app => {
-    app.listen(port, () => {
+    const server = app.listen(port, () => {
       console.log(`Docker Monitor API running on port ${port}`);
     });
+    attachServerToModules(server, app.locals.moduleContext);
   }).catch(error => {
     console.error('Failed to start server:', error);
     process.exit(1);
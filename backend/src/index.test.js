@@ -160,12 +160,54 @@ describe('Docker Monitor API (Integration)', () => {
 
   describe('GET /api/containers/:id/logs', () => {
     it('should return container logs', async () => {
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: true } });
       mockDocker._mockContainer.logs.mockResolvedValue(Buffer.from('test logs output'));
 
       const response = await request(app).get('/api/containers/abc123/logs');
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({ logs: 'test logs output' });
+      expect(response.body).toEqual({
+        logs: [{ stream: 'stdout', timestamp: null, message: 'test logs output' }],
+      });
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('should expose Prometheus metrics', async () => {
+      mockDocker.listContainers.mockResolvedValue([
+        {
+          Id: 'abc123def456',
+          Names: ['/test-container'],
+          Image: 'nginx:latest',
+          ImageID: 'sha256:abc123',
+          State: 'exited',
+          Status: 'Exited (0)',
+          Created: 1704067200,
+          Ports: [],
+          NetworkSettings: { Networks: {} },
+        },
+      ]);
+      mockDocker._mockContainer.inspect.mockResolvedValue({
+        HostConfig: { RestartPolicy: { Name: 'always' } },
+        RestartCount: 3,
+      });
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(response.text).toContain('docker_monitor_container_state{id="abc123def456",name="test-container",state="exited"} 1');
+      expect(response.text).toContain('docker_monitor_container_restart_count{id="abc123def456",name="test-container"} 3');
+      expect(response.text).toContain('# TYPE docker_monitor_notifications_total counter');
+    });
+  });
+
+  describe('GET /api/notifications/outbox', () => {
+    it('should list queued notification deliveries', async () => {
+      const response = await request(app).get('/api/notifications/outbox');
+
+      expect(response.status).toBe(200);
+      expect(Array.isArray(response.body)).toBe(true);
     });
   });
 });
@@ -3,6 +3,9 @@
  * All configuration is centralized here and validated on startup
  */
 
+import os from 'os';
+import path from 'path';
+
 function parseBoolean(value, defaultValue = false) {
   if (value === undefined || value === null || value === '') {
     return defaultValue;
@@ -28,6 +31,80 @@ function parseList(value, defaultValue = []) {
   return value.split(',').map(s => s.trim()).filter(Boolean);
 }
 
+/**
+ * Split a comma-separated list of container patterns (see update-checker/container-patterns.js), keeping commas
+ * inside /regex/ entries such as /^app-\d{1,3}$/. A / inside a regex must be escaped as \/.
+ */
+function parsePatternList(value, defaultValue, name) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (value === '*') {
+    return '*';
+  }
+
+  const items = [];
+  let item = '';
+  let inRegex = false;
+  let inClass = false;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (inRegex) {
+      item += char;
+      if (char === '\\') {
+        item += value[++i] ?? '';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        inRegex = false;
+      }
+    } else if (char === ',') {
+      items.push(item);
+      item = '';
+    } else {
+      item += char;
+      // A / right at the start of an entry (after an optional name:, image: or project:) opens a regex
+      inRegex = char === '/' && /^\s*(?:(?:name|image|project):)?\/$/.test(item);
+    }
+  }
+  items.push(item);
+
+  if (inRegex) {
+    console.warn(`${name} has an unterminated /regex/ entry, splitting it at every comma`);
+    return parseList(value, defaultValue);
+  }
+  return items.map(s => s.trim()).filter(Boolean);
+}
+
+function parseJson(value, defaultValue, name) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`${name} is not valid JSON (${error.message}), ignoring it`);
+    return defaultValue;
+  }
+}
+
+const TIME_OF_DAY_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+// "22:00-07:00" -> { start: '22:00', end: '07:00' }
+function parseTimeWindow(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const [start, end] = value.split('-').map(s => s.trim());
+  if (!TIME_OF_DAY_PATTERN.test(start) || !TIME_OF_DAY_PATTERN.test(end)) {
+    console.warn(`${name} must look like 22:00-07:00, ignoring it`);
+    return null;
+  }
+  return { start, end };
+}
+
 export function loadConfig() {
   const config = {
     // Server
@@ -37,12 +114,57 @@ export function loadConfig() {
     // Docker
     dockerSocketPath: process.env.DOCKER_SOCKET_PATH || '/var/run/docker.sock',
 
+    // Public dashboard URL, used for click-through links in notifications
+    dashboardUrl: process.env.DASHBOARD_URL || '',
+
+    // Persistent state (metrics, notification history, ...)
+    dataDir: process.env.DATA_DIR || './data',
+
+    // Metrics history
+    metrics: {
+      enabled: parseBoolean(process.env.METRICS_ENABLED, false),
+      intervalSeconds: parseNumber(process.env.METRICS_INTERVAL_SECONDS, 60),
+      retentionDays: parseNumber(process.env.METRICS_RETENTION_DAYS, 30),
+    },
+
     // Update Checker
     updateChecker: {
       enabled: parseBoolean(process.env.UPDATE_CHECKER_ENABLED, false),
       intervalMinutes: parseNumber(process.env.UPDATE_CHECKER_INTERVAL_MINUTES, 60),
-      containers: parseList(process.env.UPDATE_CHECKER_CONTAINERS, '*'),
-      excludeContainers: parseList(process.env.UPDATE_CHECKER_EXCLUDE_CONTAINERS, []),
+      containers: parsePatternList(process.env.UPDATE_CHECKER_CONTAINERS, '*', 'UPDATE_CHECKER_CONTAINERS'),
+      excludeContainers: parsePatternList(
+        process.env.UPDATE_CHECKER_EXCLUDE_CONTAINERS, [], 'UPDATE_CHECKER_EXCLUDE_CONTAINERS'
+      ),
+      // Report newer version tags: digest (off), patch, minor or major
+      tagPolicy: process.env.UPDATE_CHECKER_TAG_POLICY || 'digest',
+      // Container name -> tag policy
+      tagPolicies: parseJson(process.env.UPDATE_CHECKER_TAG_POLICIES, {}, 'UPDATE_CHECKER_TAG_POLICIES'),
+    },
+
+    // Container alerts
+    alerts: {
+      enabled: parseBoolean(process.env.ALERTS_ENABLED, false),
+      restartLoopCount: parseNumber(process.env.ALERTS_RESTART_LOOP_COUNT, 3),
+      restartLoopMinutes: parseNumber(process.env.ALERTS_RESTART_LOOP_MINUTES, 10),
+      cooldownMinutes: parseNumber(process.env.ALERTS_COOLDOWN_MINUTES, 15),
+      recoverySeconds: parseNumber(process.env.ALERTS_RECOVERY_SECONDS, 60),
+      excludeContainers: parseList(process.env.ALERTS_EXCLUDE_CONTAINERS, []),
+    },
+
+    // Notification delivery
+    notifications: {
+      // Routing rules file (defaults to DATA_DIR/notification-rules.json)
+      rulesFile: process.env.NOTIFICATION_RULES_FILE || '',
+      // Quiet hours / daily digest, as wall-clock times in timeZone
+      timeZone: process.env.NOTIFICATION_TIMEZONE || process.env.TZ || 'UTC',
+      quietHours: parseTimeWindow(process.env.NOTIFICATION_QUIET_HOURS, 'NOTIFICATION_QUIET_HOURS'),
+      quietHoursAllowCritical: parseBoolean(process.env.NOTIFICATION_QUIET_HOURS_ALLOW_CRITICAL, true),
+      digestTime: process.env.NOTIFICATION_DIGEST_TIME || '',
+      retry: {
+        maxAttempts: parseNumber(process.env.NOTIFICATION_RETRY_MAX_ATTEMPTS, 8),
+        baseDelaySeconds: parseNumber(process.env.NOTIFICATION_RETRY_BASE_DELAY_SECONDS, 30),
+        maxDelayMinutes: parseNumber(process.env.NOTIFICATION_RETRY_MAX_DELAY_MINUTES, 60),
+      },
     },
 
     // Discord
@@ -53,9 +175,78 @@ export function loadConfig() {
       guildId: process.env.DISCORD_GUILD_ID || '',
     },
 
+    // Slack
+    slack: {
+      enabled: parseBoolean(process.env.SLACK_ENABLED, false),
+      webhookUrl: process.env.SLACK_WEBHOOK_URL || '',
+    },
+
+    // Generic outgoing webhook
+    webhook: {
+      enabled: parseBoolean(process.env.WEBHOOK_ENABLED, false),
+      urls: parseList(process.env.WEBHOOK_URLS, []),
+      template: parseJson(process.env.WEBHOOK_TEMPLATE, null, 'WEBHOOK_TEMPLATE'),
+      headers: parseJson(process.env.WEBHOOK_HEADERS, {}, 'WEBHOOK_HEADERS'),
+      secret: process.env.WEBHOOK_SECRET || '',
+      events: parseList(process.env.WEBHOOK_EVENTS, '*'),
+    },
+
+    // Email (SMTP)
+    email: {
+      enabled: parseBoolean(process.env.EMAIL_ENABLED, false),
+      host: process.env.SMTP_HOST || '',
+      port: parseNumber(process.env.SMTP_PORT, 587),
+      secure: parseBoolean(process.env.SMTP_SECURE, false),
+      startTls: parseBoolean(process.env.SMTP_STARTTLS, true),
+      tlsRejectUnauthorized: parseBoolean(process.env.SMTP_TLS_REJECT_UNAUTHORIZED, true),
+      user: process.env.SMTP_USER || '',
+      password: process.env.SMTP_PASSWORD || '',
+      from: process.env.EMAIL_FROM || '',
+      to: parseList(process.env.EMAIL_TO, []),
+      recipients: {
+        info: parseList(process.env.EMAIL_TO_INFO, []),
+        warning: parseList(process.env.EMAIL_TO_WARNING, []),
+        critical: parseList(process.env.EMAIL_TO_CRITICAL, []),
+      },
+    },
+
+    // ntfy
+    ntfy: {
+      enabled: parseBoolean(process.env.NTFY_ENABLED, false),
+      url: process.env.NTFY_URL || 'https://ntfy.sh',
+      topic: process.env.NTFY_TOPIC || '',
+      token: process.env.NTFY_TOKEN || '',
+      priority: parseNumber(process.env.NTFY_PRIORITY, 0),
+      tags: parseList(process.env.NTFY_TAGS, []),
+    },
+
+    // Gotify
+    gotify: {
+      enabled: parseBoolean(process.env.GOTIFY_ENABLED, false),
+      url: process.env.GOTIFY_URL || '',
+      token: process.env.GOTIFY_TOKEN || '',
+      priority: parseNumber(process.env.GOTIFY_PRIORITY, 0),
+    },
+
+    // Telegram
+    telegram: {
+      enabled: parseBoolean(process.env.TELEGRAM_ENABLED, false),
+      botToken: process.env.TELEGRAM_BOT_TOKEN || '',
+      chatId: process.env.TELEGRAM_CHAT_ID || '',
+      apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+      actions: parseBoolean(process.env.TELEGRAM_ACTIONS_ENABLED, true),
+      // Telegram user IDs allowed to press the buttons; empty allows every member of the chat
+      allowedUsers: parseList(process.env.TELEGRAM_ALLOWED_USERS),
+    },
+
     // Registry Auth (for private images)
     registryAuth: {
       ghcrToken: process.env.GHCR_TOKEN || '',
+      // Registry host -> { username, password }
+      registries: parseJson(process.env.REGISTRY_AUTH, {}, 'REGISTRY_AUTH'),
+      // Docker CLI config with auths / credHelpers (DOCKER_CONFIG is the directory, as for the CLI)
+      dockerConfigPath: process.env.DOCKER_CONFIG_PATH
+        || path.join(process.env.DOCKER_CONFIG || path.join(os.homedir(), '.docker'), 'config.json'),
     },
   };
 
@@ -65,10 +256,91 @@ export function loadConfig() {
     config.updateChecker.intervalMinutes = 5;
   }
 
+  // Policy names are checked by the update-checker module (see version-tags.js)
+  const { tagPolicies } = config.updateChecker;
+  if (tagPolicies === null || typeof tagPolicies !== 'object' || Array.isArray(tagPolicies)) {
+    console.warn('UPDATE_CHECKER_TAG_POLICIES must be a JSON object, ignoring it');
+    config.updateChecker.tagPolicies = {};
+  }
+
+  if (config.metrics.enabled && config.metrics.intervalSeconds < 10) {
+    console.warn('METRICS_INTERVAL_SECONDS cannot be less than 10, setting to 10');
+    config.metrics.intervalSeconds = 10;
+  }
+
+  if (config.metrics.retentionDays < 1) {
+    console.warn('METRICS_RETENTION_DAYS cannot be less than 1, setting to 1');
+    config.metrics.retentionDays = 1;
+  }
+
+  if (config.alerts.restartLoopCount < 2) {
+    console.warn('ALERTS_RESTART_LOOP_COUNT cannot be less than 2, setting to 2');
+    config.alerts.restartLoopCount = 2;
+  }
+
+  if (config.alerts.restartLoopMinutes < 1) {
+    console.warn('ALERTS_RESTART_LOOP_MINUTES cannot be less than 1, setting to 1');
+    config.alerts.restartLoopMinutes = 1;
+  }
+
+  if (config.alerts.cooldownMinutes < 0 || config.alerts.recoverySeconds < 0) {
+    console.warn('ALERTS_COOLDOWN_MINUTES and ALERTS_RECOVERY_SECONDS cannot be negative, setting to 0');
+    config.alerts.cooldownMinutes = Math.max(config.alerts.cooldownMinutes, 0);
+    config.alerts.recoverySeconds = Math.max(config.alerts.recoverySeconds, 0);
+  }
+
   if (config.discord.enabled && !config.discord.webhookUrl && !config.discord.botToken) {
     console.warn('Discord is enabled but neither DISCORD_WEBHOOK_URL nor DISCORD_BOT_TOKEN is set');
   }
 
+  if (config.slack.enabled && !config.slack.webhookUrl) {
+    console.warn('Slack is enabled but SLACK_WEBHOOK_URL is not set');
+  }
+
+  if (config.webhook.headers === null || typeof config.webhook.headers !== 'object' || Array.isArray(config.webhook.headers)) {
+    console.warn('WEBHOOK_HEADERS must be a JSON object, ignoring it');
+    config.webhook.headers = {};
+  }
+
+  if (config.webhook.enabled && (config.webhook.urls === '*' || config.webhook.urls.length === 0)) {
+    console.warn('Webhook is enabled but WEBHOOK_URLS is not set');
+    config.webhook.urls = [];
+  }
+
+  if (config.email.enabled && (!config.email.host || !config.email.from)) {
+    console.warn('Email is enabled but SMTP_HOST or EMAIL_FROM is not set');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.notifications.timeZone });
+  } catch {
+    console.warn(`NOTIFICATION_TIMEZONE "${config.notifications.timeZone}" is not a valid IANA time zone, using UTC`);
+    config.notifications.timeZone = 'UTC';
+  }
+
+  if (config.notifications.digestTime && !TIME_OF_DAY_PATTERN.test(config.notifications.digestTime)) {
+    console.warn('NOTIFICATION_DIGEST_TIME must look like 09:00, digest disabled');
+    config.notifications.digestTime = '';
+  }
+
+  const { retry } = config.notifications;
+  if (retry.maxAttempts < 1 || retry.baseDelaySeconds < 1 || retry.maxDelayMinutes < 1) {
+    console.warn('NOTIFICATION_RETRY_* settings must be at least 1, using defaults where invalid');
+    retry.maxAttempts = retry.maxAttempts >= 1 ? retry.maxAttempts : 8;
+    retry.baseDelaySeconds = retry.baseDelaySeconds >= 1 ? retry.baseDelaySeconds : 30;
+    retry.maxDelayMinutes = retry.maxDelayMinutes >= 1 ? retry.maxDelayMinutes : 60;
+  }
+
+  if (config.ntfy.priority < 0 || config.ntfy.priority > 5) {
+    console.warn('NTFY_PRIORITY must be between 1 and 5 (0 = by severity), using severity-based priority');
+    config.ntfy.priority = 0;
+  }
+
+  if (config.gotify.priority < 0 || config.gotify.priority > 10) {
+    console.warn('GOTIFY_PRIORITY must be between 1 and 10 (0 = by severity), using severity-based priority');
+    config.gotify.priority = 0;
+  }
+
   return config;
 }
 
@@ -0,0 +1,35 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { loadConfig } from './config.js';
+
+describe('Config', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  describe('update checker container patterns', () => {
+    it('should split patterns at commas outside regular expressions', () => {
+      vi.stubEnv('UPDATE_CHECKER_CONTAINERS', 'myproj-*, /^app-\\d{1,3}$/i,image:/a[,/]b\\/c/');
+      vi.stubEnv('UPDATE_CHECKER_EXCLUDE_CONTAINERS', 'project:/^(x|y){2,}$/,db');
+
+      const config = loadConfig();
+
+      expect(config.updateChecker.containers).toEqual(['myproj-*', '/^app-\\d{1,3}$/i', 'image:/a[,/]b\\/c/']);
+      expect(config.updateChecker.excludeContainers).toEqual(['project:/^(x|y){2,}$/', 'db']);
+    });
+
+    it('should keep slashes inside names and images as plain text', () => {
+      vi.stubEnv('UPDATE_CHECKER_CONTAINERS', 'image:ghcr.io/org/*,web');
+
+      expect(loadConfig().updateChecker.containers).toEqual(['image:ghcr.io/org/*', 'web']);
+    });
+
+    it('should warn and split at every comma when a regular expression is not closed', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.stubEnv('UPDATE_CHECKER_EXCLUDE_CONTAINERS', '/^app-\\d{1,3},db');
+
+      expect(loadConfig().updateChecker.excludeContainers).toEqual(['/^app-\\d{1', '3}', 'db']);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('UPDATE_CHECKER_EXCLUDE_CONTAINERS'));
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Small JSON state files under the data directory
+ * Writes go to a temp file and are renamed into place so a crash never leaves a half-written file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Read and parse a JSON file
+ * A missing file yields the default; an unreadable one is reported and also yields the default.
+ * @param {string} filePath - File to read
+ * @param {*} defaultValue - Value returned when the file does not exist or is corrupt
+ * @returns {Promise<*>}
+ */
+export async function readJsonFile(filePath, defaultValue) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return defaultValue;
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    console.warn(`Ignoring corrupt state file ${filePath}: ${error.message}`);
+    return defaultValue;
+  }
+}
+
+async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, content);
+  await fs.rename(tmpPath, filePath);
+}
+
+function serialize(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+/**
+ * Atomically write a value as JSON
+ * @param {string} filePath - File to write
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export function writeJsonFile(filePath, value) {
+  return writeFileAtomic(filePath, serialize(value));
+}
+
+/**
+ * Create a writer that serializes saves to one file
+ * The value is serialized immediately and saves are chained, so an older snapshot never
+ * overwrites a newer one.
+ * @param {string} filePath - File to write
+ * @returns {{save: (value: *) => Promise<void>, flush: () => Promise<void>}}
+ */
+export function createJsonFileWriter(filePath) {
+  let queue = Promise.resolve();
+
+  return {
+    save(value) {
+      const content = serialize(value);
+      queue = queue
+        .catch(() => {})
+        .then(() => writeFileAtomic(filePath, content));
+      return queue;
+    },
+
+    flush() {
+      return queue.catch(() => {});
+    },
+  };
+}
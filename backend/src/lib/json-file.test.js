@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readJsonFile, writeJsonFile, createJsonFileWriter } from './json-file.js';
+
+describe('json-file', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-file-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should round-trip a value, creating missing directories', async () => {
+    const filePath = path.join(tmpDir, 'nested', 'state.json');
+
+    await writeJsonFile(filePath, { a: 1, list: ['x'] });
+
+    expect(await readJsonFile(filePath, null)).toEqual({ a: 1, list: ['x'] });
+    await expect(fs.access(`${filePath}.tmp`)).rejects.toThrow();
+  });
+
+  it('should return the default for missing or corrupt files', async () => {
+    const filePath = path.join(tmpDir, 'state.json');
+    expect(await readJsonFile(filePath, [])).toEqual([]);
+
+    await fs.writeFile(filePath, '{"truncated":');
+    expect(await readJsonFile(filePath, { fallback: true })).toEqual({ fallback: true });
+  });
+
+  it('should apply queued saves in order using the value at call time', async () => {
+    const filePath = path.join(tmpDir, 'state.json');
+    const writer = createJsonFileWriter(filePath);
+    const state = { count: 1 };
+
+    writer.save(state);
+    state.count = 2;
+    writer.save(state);
+    state.count = 3;
+    await writer.flush();
+
+    expect(await readJsonFile(filePath, null)).toEqual({ count: 2 });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Alert engine
+ * Turns container events into crash, OOM, restart-loop, health and recovery alerts
+ */
+
+// A die within this window after a stop/kill request is an intentional stop
+const EXPECTED_EXIT_WINDOW_MS = 60 * 1000;
+
+// A die within this window after an OOM event is part of the OOM alert
+const OOM_DIE_WINDOW_MS = 10 * 1000;
+
+export const ALERT_TYPES = ['died', 'oom', 'restart_loop', 'unhealthy', 'recovered'];
+
+/**
+ * @typedef {Object} Alert
+ * @property {string} type - One of ALERT_TYPES
+ * @property {string} containerId - Container ID
+ * @property {string} containerName - Container name
+ * @property {string|null} image - Image reference
+ * @property {Object} labels - Container labels (for notification routing)
+ * @property {string} message - Human-readable summary
+ * @property {number} [exitCode] - Exit code (died)
+ * @property {number} [restarts] - Crashes within the window (restart_loop)
+ * @property {string[]} [resolved] - Alert types cleared by this recovery (recovered)
+ * @property {string} time - Alert time (ISO 8601)
+ */
+
+/**
+ * Create an alert engine
+ * @param {Object} options - Alert options (config.alerts)
+ * @param {number} options.restartLoopCount - Crashes that make a restart loop
+ * @param {number} options.restartLoopMinutes - Window for counting crashes
+ * @param {number} options.cooldownMinutes - Minimum time between repeats of the same alert
+ * @param {number} options.recoverySeconds - How long a container must stay up to count as recovered
+ * @param {string[]} [options.excludeContainers] - Container names to ignore
+ * @param {Function} onAlert - Called with each Alert
+ * @returns {Object} Alert engine
+ */
+export function createAlertEngine(options, onAlert) {
+  const {
+    restartLoopCount,
+    restartLoopMinutes,
+    cooldownMinutes,
+    recoverySeconds,
+    excludeContainers = [],
+  } = options;
+
+  const restartLoopWindowMs = restartLoopMinutes * 60 * 1000;
+  const cooldownMs = cooldownMinutes * 60 * 1000;
+  const recoveryMs = recoverySeconds * 1000;
+
+  // containerId -> per-container tracking state
+  const containers = new Map();
+
+  function getState(containerId) {
+    if (!containers.has(containerId)) {
+      containers.set(containerId, {
+        stopRequestedAt: 0,
+        oomAt: 0,
+        crashes: [],
+        health: null,
+        // Alert type -> time it was last sent, for problems not yet recovered
+        active: new Map(),
+        recoveryTimer: null,
+      });
+    }
+    return containers.get(containerId);
+  }
+
+  function cancelRecovery(state) {
+    if (state.recoveryTimer) {
+      clearTimeout(state.recoveryTimer);
+      state.recoveryTimer = null;
+    }
+  }
+
+  function emit(event, type, message, extra = {}) {
+    onAlert({
+      type,
+      containerId: event.containerId,
+      containerName: event.name,
+      image: event.image,
+      labels: event.labels || {},
+      message,
+      ...extra,
+      time: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Raise a problem alert unless the same problem was reported within the cooldown
+   */
+  function raise(event, state, type, message, extra) {
+    const now = Date.now();
+    const lastSent = state.active.get(type);
+    if (lastSent !== undefined && now - lastSent < cooldownMs) {
+      return;
+    }
+    state.active.set(type, now);
+    emit(event, type, message, extra);
+  }
+
+  function resolve(event, state, types) {
+    const resolved = types.filter(type => state.active.has(type));
+    if (resolved.length === 0) {
+      return;
+    }
+    resolved.forEach(type => state.active.delete(type));
+    emit(event, 'recovered', `${event.name} has recovered`, { resolved });
+  }
+
+  function handleDie(event, state) {
+    const now = Date.now();
+    cancelRecovery(state);
+
+    if (now - state.stopRequestedAt < EXPECTED_EXIT_WINDOW_MS) {
+      return;
+    }
+    if (now - state.oomAt < OOM_DIE_WINDOW_MS) {
+      // Already reported as OOM; still counts towards a restart loop
+      state.crashes.push(now);
+    } else if (event.exitCode) {
+      state.crashes.push(now);
+      raise(event, state, 'died', `${event.name} exited unexpectedly with code ${event.exitCode}`, {
+        exitCode: event.exitCode,
+      });
+    } else {
+      return;
+    }
+
+    state.crashes = state.crashes.filter(t => now - t < restartLoopWindowMs);
+    if (state.crashes.length >= restartLoopCount) {
+      raise(event, state, 'restart_loop',
+        `${event.name} crashed ${state.crashes.length} times in ${restartLoopMinutes} minutes`, {
+          restarts: state.crashes.length,
+        });
+    }
+  }
+
+  function handleStart(event, state) {
+    cancelRecovery(state);
+    const crashTypes = ['died', 'oom', 'restart_loop'];
+    if (!crashTypes.some(type => state.active.has(type))) {
+      return;
+    }
+    state.recoveryTimer = setTimeout(() => {
+      state.recoveryTimer = null;
+      state.crashes = [];
+      resolve(event, state, crashTypes);
+    }, recoveryMs);
+  }
+
+  function handleHealth(event, state) {
+    const previous = state.health;
+    state.health = event.health;
+
+    if (event.health === 'unhealthy' && previous !== 'unhealthy') {
+      raise(event, state, 'unhealthy', `${event.name} is unhealthy`);
+    } else if (event.health === 'healthy' && previous === 'unhealthy') {
+      resolve(event, state, ['unhealthy']);
+    }
+  }
+
+  return {
+    /**
+     * Process a container event (see events/event-stream.js)
+     * @param {import('../events/event-stream.js').ContainerEvent} event - Container event
+     */
+    handleEvent(event) {
+      if (excludeContainers.includes(event.name)) {
+        return;
+      }
+
+      if (event.action === 'destroy') {
+        const state = containers.get(event.containerId);
+        if (state) {
+          cancelRecovery(state);
+          containers.delete(event.containerId);
+        }
+        return;
+      }
+
+      const state = getState(event.containerId);
+
+      switch (event.action) {
+        case 'stop':
+        case 'kill':
+          state.stopRequestedAt = Date.now();
+          break;
+        case 'oom':
+          state.oomAt = Date.now();
+          raise(event, state, 'oom', `${event.name} was killed after running out of memory`);
+          break;
+        case 'die':
+          handleDie(event, state);
+          break;
+        case 'start':
+          handleStart(event, state);
+          break;
+        case 'health_status':
+          handleHealth(event, state);
+          break;
+        default:
+          break;
+      }
+    },
+
+    /**
+     * Get unresolved alert types per container
+     * @returns {Object<string, string[]>}
+     */
+    getActiveAlerts() {
+      const result = {};
+      for (const [containerId, state] of containers) {
+        if (state.active.size > 0) {
+          result[containerId] = Array.from(state.active.keys());
+        }
+      }
+      return result;
+    },
+
+    /**
+     * Cancel pending recovery timers
+     */
+    stop() {
+      for (const state of containers.values()) {
+        cancelRecovery(state);
+      }
+    },
+  };
+}
@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createAlertEngine } from './alert-engine.js';
+
+const options = {
+  restartLoopCount: 3,
+  restartLoopMinutes: 10,
+  cooldownMinutes: 15,
+  recoverySeconds: 60,
+  excludeContainers: ['ignored'],
+};
+
+function event(action, extra = {}) {
+  return {
+    action,
+    containerId: 'abc123',
+    name: 'web',
+    image: 'nginx:latest',
+    exitCode: null,
+    health: null,
+    labels: { team: 'payments' },
+    ...extra,
+  };
+}
+
+describe('Alert Engine', () => {
+  let alerts;
+  let engine;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    alerts = [];
+    engine = createAlertEngine(options, alert => alerts.push(alert));
+  });
+
+  afterEach(() => {
+    engine.stop();
+    vi.useRealTimers();
+  });
+
+  describe('crashes', () => {
+    it('should alert when a container exits with a non-zero code', () => {
+      engine.handleEvent(event('die', { exitCode: 1 }));
+
+      expect(alerts).toEqual([{
+        type: 'died',
+        containerId: 'abc123',
+        containerName: 'web',
+        image: 'nginx:latest',
+        labels: { team: 'payments' },
+        message: 'web exited unexpectedly with code 1',
+        exitCode: 1,
+        time: '2024-01-01T00:00:00.000Z',
+      }]);
+    });
+
+    it('should not alert on a clean exit', () => {
+      engine.handleEvent(event('die', { exitCode: 0 }));
+
+      expect(alerts).toEqual([]);
+    });
+
+    it('should not alert when the container was stopped on purpose', () => {
+      engine.handleEvent(event('kill'));
+      engine.handleEvent(event('die', { exitCode: 143 }));
+      engine.handleEvent(event('stop'));
+
+      expect(alerts).toEqual([]);
+    });
+
+    it('should ignore excluded containers', () => {
+      engine.handleEvent(event('die', { name: 'ignored', exitCode: 1 }));
+
+      expect(alerts).toEqual([]);
+    });
+  });
+
+  describe('OOM', () => {
+    it('should report an OOM kill once', () => {
+      engine.handleEvent(event('oom'));
+      engine.handleEvent(event('die', { exitCode: 137 }));
+
+      expect(alerts.map(a => a.type)).toEqual(['oom']);
+    });
+  });
+
+  describe('restart loops', () => {
+    it('should alert after N crashes within the window', () => {
+      for (let i = 0; i < 3; i++) {
+        engine.handleEvent(event('die', { exitCode: 1 }));
+        engine.handleEvent(event('start'));
+        vi.advanceTimersByTime(30 * 1000);
+      }
+
+      expect(alerts.map(a => a.type)).toEqual(['died', 'restart_loop']);
+      expect(alerts[1]).toMatchObject({ restarts: 3, message: 'web crashed 3 times in 10 minutes' });
+    });
+
+    it('should not count crashes outside the window', () => {
+      for (let i = 0; i < 3; i++) {
+        engine.handleEvent(event('die', { exitCode: 1 }));
+        vi.advanceTimersByTime(6 * 60 * 1000);
+      }
+
+      expect(alerts.map(a => a.type)).not.toContain('restart_loop');
+    });
+  });
+
+  describe('de-duplication', () => {
+    it('should not repeat an alert within the cooldown', () => {
+      engine.handleEvent(event('die', { exitCode: 1 }));
+      vi.advanceTimersByTime(5 * 60 * 1000);
+      engine.handleEvent(event('die', { exitCode: 1 }));
+
+      expect(alerts.filter(a => a.type === 'died')).toHaveLength(1);
+
+      vi.advanceTimersByTime(11 * 60 * 1000);
+      engine.handleEvent(event('die', { exitCode: 1 }));
+
+      expect(alerts.filter(a => a.type === 'died')).toHaveLength(2);
+    });
+  });
+
+  describe('health', () => {
+    it('should alert on transition to unhealthy and recover when healthy', () => {
+      engine.handleEvent(event('health_status', { health: 'healthy' }));
+      engine.handleEvent(event('health_status', { health: 'unhealthy' }));
+      engine.handleEvent(event('health_status', { health: 'unhealthy' }));
+      engine.handleEvent(event('health_status', { health: 'healthy' }));
+
+      expect(alerts.map(a => a.type)).toEqual(['unhealthy', 'recovered']);
+      expect(alerts[1]).toMatchObject({ resolved: ['unhealthy'], message: 'web has recovered' });
+    });
+  });
+
+  describe('recovery', () => {
+    it('should send a recovery once the container stays up', () => {
+      engine.handleEvent(event('die', { exitCode: 1 }));
+      engine.handleEvent(event('start'));
+
+      vi.advanceTimersByTime(59 * 1000);
+      expect(alerts.map(a => a.type)).toEqual(['died']);
+
+      vi.advanceTimersByTime(1000);
+      expect(alerts.map(a => a.type)).toEqual(['died', 'recovered']);
+      expect(alerts[1].resolved).toEqual(['died']);
+      expect(engine.getActiveAlerts()).toEqual({});
+    });
+
+    it('should not recover if the container crashes again', () => {
+      engine.handleEvent(event('die', { exitCode: 1 }));
+      engine.handleEvent(event('start'));
+      vi.advanceTimersByTime(30 * 1000);
+      engine.handleEvent(event('die', { exitCode: 1 }));
+      vi.advanceTimersByTime(60 * 1000);
+
+      expect(alerts.map(a => a.type)).toEqual(['died']);
+      expect(engine.getActiveAlerts()).toEqual({ abc123: ['died'] });
+    });
+
+    it('should not send a recovery for a container that never failed', () => {
+      engine.handleEvent(event('start'));
+      vi.advanceTimersByTime(120 * 1000);
+
+      expect(alerts).toEqual([]);
+    });
+
+    it('should forget containers that are destroyed', () => {
+      engine.handleEvent(event('die', { exitCode: 1 }));
+      engine.handleEvent(event('start'));
+      engine.handleEvent(event('destroy'));
+      vi.advanceTimersByTime(120 * 1000);
+
+      expect(alerts.map(a => a.type)).toEqual(['died']);
+      expect(engine.getActiveAlerts()).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Alerts module
+ * Watches container events and sends crash, restart-loop and health alerts
+ */
+
+import { createAlertEngine } from './alert-engine.js';
+import { createAlertEvent } from '../notifications/notification-events.js';
+
+let alertEngine = null;
+let unsubscribe = null;
+
+export default {
+  name: 'alerts',
+
+  init(context) {
+    const { config, getModule } = context;
+
+    if (!config.alerts?.enabled) {
+      console.log('Container alerts are disabled');
+      alertEngine = null;
+      return;
+    }
+
+    const eventStream = getModule('events')?.getEventStream?.();
+    const notificationManager = getModule('notifications')?.getNotificationManager?.();
+    if (!eventStream || !notificationManager) {
+      console.warn('Events or notifications module not available; container alerts disabled');
+      return;
+    }
+
+    alertEngine = createAlertEngine(config.alerts, (alert) => {
+      console.log(`Container alert: ${alert.message}`);
+      notificationManager.send(createAlertEvent(alert)).catch(error => {
+        console.error('Failed to dispatch container alert:', error);
+      });
+    });
+    unsubscribe = eventStream.subscribe(event => alertEngine.handleEvent(event));
+
+    console.log('Container alerts initialized');
+  },
+
+  shutdown() {
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+    if (alertEngine) {
+      alertEngine.stop();
+    }
+  },
+
+  getAlertEngine() {
+    return alertEngine;
+  },
+};
+
+// Re-export for direct usage
+export { createAlertEngine } from './alert-engine.js';
@@ -3,6 +3,43 @@
  * Business logic for Docker container management
  */
 
+import { createLogParser, parseLogs } from './log-parser.js';
+import { calculateStats } from './stats-calculator.js';
+
+/**
+ * @typedef {Object} LogOptions
+ * @property {number|string} [tail=100] - Number of lines from the end, or 'all'
+ * @property {number} [since] - Only lines after this Unix timestamp (seconds)
+ * @property {number} [until] - Only lines before this Unix timestamp (seconds)
+ * @property {boolean} [timestamps=true] - Include Docker timestamps
+ * @property {RegExp} [grep] - Only lines whose message matches
+ */
+
+/**
+ * Build Docker logs API parameters from log options
+ * @param {LogOptions} options - Log query options
+ * @returns {Object}
+ */
+function buildLogRequest(options) {
+  const request = {
+    stdout: true,
+    stderr: true,
+    tail: options.tail ?? 100,
+    timestamps: options.timestamps ?? true,
+  };
+  if (options.since !== undefined) {
+    request.since = options.since;
+  }
+  if (options.until !== undefined) {
+    request.until = options.until;
+  }
+  return request;
+}
+
+function matchesGrep(entry, grep) {
+  return !grep || grep.test(entry.message);
+}
+
 export function createContainerService(docker) {
   return {
     /**
@@ -26,6 +63,7 @@ export function createContainerService(docker) {
             ports: container.Ports,
             networks: Object.keys(container.NetworkSettings?.Networks || {}),
             restartPolicy: inspect.HostConfig?.RestartPolicy?.Name || 'no',
+            restartCount: inspect.RestartCount || 0,
           };
         })
       );
@@ -120,22 +158,151 @@ export function createContainerService(docker) {
       return {
         success: true,
         message: 'Container upgraded successfully',
+        containerName,
+        image: imageName,
+        labels: inspect.Config.Labels || {},
         newContainerId: newContainer.id,
       };
     },
 
     /**
-     * Get container logs
+     * Get container logs as structured lines
+     * @param {string} containerId - Container ID
+     * @param {LogOptions} options - Log query options
+     * @returns {Promise<{logs: Array<{stream: string, timestamp: string|null, message: string}>}>}
      */
-    async getContainerLogs(containerId) {
+    async getContainerLogs(containerId, options = {}) {
       const container = docker.getContainer(containerId);
-      const logs = await container.logs({
-        stdout: true,
-        stderr: true,
-        tail: 100,
-        timestamps: true,
+      const inspect = await container.inspect();
+      const logs = await container.logs(buildLogRequest(options));
+      const entries = parseLogs(logs, {
+        tty: Boolean(inspect?.Config?.Tty),
+        timestamps: options.timestamps ?? true,
       });
-      return { logs: logs.toString('utf-8') };
+      return { logs: entries.filter(entry => matchesGrep(entry, options.grep)) };
+    },
+
+    /**
+     * Follow container logs as they are written
+     * @param {string} containerId - Container ID
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onEntry - Called with each {stream, timestamp, message}
+     * @param {Function} [handlers.onEnd] - Called when the log stream ends
+     * @param {Function} [handlers.onError] - Called on stream errors
+     * @param {LogOptions} options - Log query options
+     * @returns {Promise<Function>} Function that stops following
+     */
+    async followContainerLogs(containerId, handlers, options = {}) {
+      const container = docker.getContainer(containerId);
+      const inspect = await container.inspect();
+      const stream = await container.logs({
+        ...buildLogRequest(options),
+        follow: true,
+      });
+
+      const parser = createLogParser({
+        tty: Boolean(inspect?.Config?.Tty),
+        timestamps: options.timestamps ?? true,
+        onEntry: (entry) => {
+          if (matchesGrep(entry, options.grep)) {
+            handlers.onEntry(entry);
+          }
+        },
+      });
+
+      stream.on('data', chunk => parser.push(chunk));
+      stream.on('end', () => {
+        parser.flush();
+        handlers.onEnd?.();
+      });
+      stream.on('error', error => handlers.onError?.(error));
+
+      return () => stream.destroy();
+    },
+
+    /**
+     * Get a single resource usage sample for a container
+     * @param {string} containerId - Container ID
+     * @returns {Promise<import('./stats-calculator.js').ContainerStats>}
+     */
+    async getContainerStats(containerId) {
+      const container = docker.getContainer(containerId);
+      const raw = await container.stats({ stream: false });
+      return calculateStats(raw);
+    },
+
+    /**
+     * Follow container resource usage (Docker sends a sample every second)
+     * @param {string} containerId - Container ID
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onEntry - Called with each computed stats sample
+     * @param {Function} [handlers.onEnd] - Called when the stats stream ends
+     * @param {Function} [handlers.onError] - Called on stream errors
+     * @returns {Promise<Function>} Function that stops following
+     */
+    async followContainerStats(containerId, handlers) {
+      const container = docker.getContainer(containerId);
+      const stream = await container.stats({ stream: true });
+      let buffered = '';
+
+      stream.on('data', (chunk) => {
+        const lines = (buffered + chunk.toString('utf-8')).split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          try {
+            handlers.onEntry(calculateStats(JSON.parse(line)));
+          } catch (error) {
+            handlers.onError?.(error);
+          }
+        }
+      });
+      stream.on('end', () => handlers.onEnd?.());
+      stream.on('error', error => handlers.onError?.(error));
+
+      return () => stream.destroy();
+    },
+
+    /**
+     * Follow the resource usage of several containers over one Docker stream each
+     * Containers that cannot be followed or whose stream fails are skipped; onEnd is called once all have ended.
+     * @param {string[]} containerIds - Container IDs
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onEntry - Called with each sample, tagged with its containerId
+     * @param {Function} [handlers.onEnd] - Called when every stream has ended
+     * @returns {Promise<Function>} Function that stops following
+     */
+    async followContainersStats(containerIds, handlers) {
+      let remaining = containerIds.length;
+
+      const stops = await Promise.all(containerIds.map(async (containerId) => {
+        let done = false;
+        const finish = () => {
+          if (!done) {
+            done = true;
+            remaining--;
+            if (remaining === 0) {
+              handlers.onEnd?.();
+            }
+          }
+        };
+        try {
+          return await this.followContainerStats(containerId, {
+            onEntry: stats => handlers.onEntry({ containerId, ...stats }),
+            onEnd: finish,
+            onError: (error) => {
+              console.warn(`Stats stream of ${containerId} failed:`, error.message);
+              finish();
+            },
+          });
+        } catch (error) {
+          console.warn(`Cannot follow stats of ${containerId}:`, error.message);
+          finish();
+          return null;
+        }
+      }));
+
+      return () => stops.forEach(stop => stop?.());
     },
   };
 }
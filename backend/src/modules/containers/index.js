@@ -16,7 +16,9 @@ export default {
   },
 
   registerRoutes(app, context) {
-    const routes = createContainerRoutes(context.docker);
+    const routes = createContainerRoutes(context.docker, {
+      notify: event => context.getModule('notifications')?.getNotificationManager?.()?.send(event),
+    });
     app.use('/api/containers', routes);
   },
 
@@ -0,0 +1,136 @@
+/**
+ * Docker log stream parser
+ * Demultiplexes stdout/stderr frames and splits output into log lines
+ */
+
+import { StringDecoder } from 'string_decoder';
+
+// Multiplexed frame header: [stream type, 0, 0, 0, payload size (uint32 BE)]
+const HEADER_SIZE = 8;
+
+const STREAM_TYPES = {
+  0: 'stdin',
+  1: 'stdout',
+  2: 'stderr',
+};
+
+// RFC3339Nano timestamp prepended by Docker when timestamps are requested
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})) ?/;
+
+/**
+ * Split a raw log line into timestamp and message
+ * @param {string} stream - Stream name (stdout/stderr)
+ * @param {string} line - Raw log line
+ * @param {boolean} [timestamps=true] - Line is prefixed with a Docker timestamp
+ * @returns {{stream: string, timestamp: string|null, message: string}}
+ */
+export function parseLogLine(stream, line, timestamps = true) {
+  const text = line.endsWith('\r') ? line.slice(0, -1) : line;
+  const match = timestamps ? TIMESTAMP_PATTERN.exec(text) : null;
+  if (!match) {
+    return { stream, timestamp: null, message: text };
+  }
+  return {
+    stream,
+    timestamp: match[1],
+    message: text.substring(match[0].length),
+  };
+}
+
+/**
+ * Create an incremental log parser
+ * Handles frames and UTF-8 sequences split across chunk boundaries.
+ * @param {Object} options - Options
+ * @param {boolean} options.tty - Container uses a TTY (output is not multiplexed)
+ * @param {boolean} [options.timestamps=true] - Lines are prefixed with Docker timestamps
+ * @param {Function} options.onEntry - Called with each parsed log line
+ * @returns {Object} Parser with push() and flush()
+ */
+export function createLogParser({ tty = false, timestamps = true, onEntry }) {
+  let pending = Buffer.alloc(0);
+  const decoders = new Map();
+  const partialLines = new Map();
+
+  function emitText(stream, text) {
+    const lines = ((partialLines.get(stream) || '') + text).split('\n');
+    partialLines.set(stream, lines.pop());
+    for (const line of lines) {
+      onEntry(parseLogLine(stream, line, timestamps));
+    }
+  }
+
+  function emitBytes(stream, bytes) {
+    if (!decoders.has(stream)) {
+      decoders.set(stream, new StringDecoder('utf8'));
+    }
+    emitText(stream, decoders.get(stream).write(bytes));
+  }
+
+  return {
+    /**
+     * Feed a chunk of raw log output
+     * @param {Buffer|string} chunk - Raw bytes from Docker
+     */
+    push(chunk) {
+      const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+
+      if (tty) {
+        emitBytes('stdout', bytes);
+        return;
+      }
+
+      pending = pending.length > 0 ? Buffer.concat([pending, bytes]) : bytes;
+
+      while (pending.length >= HEADER_SIZE) {
+        const size = pending.readUInt32BE(4);
+        if (pending.length < HEADER_SIZE + size) {
+          break;
+        }
+
+        const stream = STREAM_TYPES[pending[0]] || 'stdout';
+        emitBytes(stream, pending.subarray(HEADER_SIZE, HEADER_SIZE + size));
+        pending = pending.subarray(HEADER_SIZE + size);
+      }
+    },
+
+    /**
+     * Emit any buffered partial lines (call when the stream ends)
+     */
+    flush() {
+      for (const [stream, decoder] of decoders) {
+        emitText(stream, decoder.end());
+      }
+      for (const [stream, line] of partialLines) {
+        if (line) {
+          onEntry(parseLogLine(stream, line, timestamps));
+        }
+      }
+      partialLines.clear();
+    },
+  };
+}
+
+/**
+ * Parse a complete log buffer into structured lines
+ * @param {Buffer|string} buffer - Raw log output from Docker
+ * @param {Object} options - Options
+ * @param {boolean} options.tty - Container uses a TTY (output is not multiplexed)
+ * @param {boolean} [options.timestamps=true] - Lines are prefixed with Docker timestamps
+ * @returns {Array<{stream: string, timestamp: string|null, message: string}>}
+ */
+export function parseLogs(buffer, { tty = false, timestamps = true } = {}) {
+  const entries = [];
+  const parser = createLogParser({ tty, timestamps, onEntry: entry => entries.push(entry) });
+  parser.push(buffer);
+  parser.flush();
+  return entries;
+}
+
+/**
+ * Format a structured log line back into text
+ * @param {{timestamp: string|null, message: string}} entry - Log line
+ * @returns {string}
+ */
+export function formatLogLine(entry) {
+  return entry.timestamp ? `${entry.timestamp} ${entry.message}` : entry.message;
+}
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { createLogParser, parseLogLine, parseLogs, formatLogLine } from './log-parser.js';
+
+// Build a multiplexed Docker log frame
+function frame(streamType, text) {
+  const payload = Buffer.from(text, 'utf-8');
+  const header = Buffer.alloc(8);
+  header[0] = streamType;
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+function collect(options) {
+  const entries = [];
+  const parser = createLogParser({ ...options, onEntry: entry => entries.push(entry) });
+  return { parser, entries };
+}
+
+describe('Log Parser', () => {
+  describe('parseLogLine', () => {
+    it('should split timestamp from message', () => {
+      expect(parseLogLine('stdout', '2024-01-01T10:00:00.123456789Z hello world')).toEqual({
+        stream: 'stdout',
+        timestamp: '2024-01-01T10:00:00.123456789Z',
+        message: 'hello world',
+      });
+    });
+
+    it('should handle lines without timestamp', () => {
+      expect(parseLogLine('stderr', 'plain line')).toEqual({
+        stream: 'stderr',
+        timestamp: null,
+        message: 'plain line',
+      });
+    });
+
+    it('should not split timestamps when they were not requested', () => {
+      expect(parseLogLine('stdout', '2024-01-01T10:00:00Z app-level timestamp', false)).toEqual({
+        stream: 'stdout',
+        timestamp: null,
+        message: '2024-01-01T10:00:00Z app-level timestamp',
+      });
+    });
+
+    it('should strip trailing carriage return', () => {
+      expect(parseLogLine('stdout', 'windows line\r').message).toBe('windows line');
+    });
+  });
+
+  describe('createLogParser', () => {
+    it('should demultiplex stdout and stderr frames', () => {
+      const { parser, entries } = collect({ tty: false });
+
+      parser.push(Buffer.concat([
+        frame(1, '2024-01-01T10:00:00Z out line\n'),
+        frame(2, '2024-01-01T10:00:01Z err line\n'),
+      ]));
+
+      expect(entries).toEqual([
+        { stream: 'stdout', timestamp: '2024-01-01T10:00:00Z', message: 'out line' },
+        { stream: 'stderr', timestamp: '2024-01-01T10:00:01Z', message: 'err line' },
+      ]);
+    });
+
+    it('should handle frames split across chunks', () => {
+      const { parser, entries } = collect({ tty: false });
+      const data = frame(1, 'split frame\n');
+
+      parser.push(data.subarray(0, 5));
+      parser.push(data.subarray(5, 12));
+      expect(entries).toHaveLength(0);
+
+      parser.push(data.subarray(12));
+      expect(entries).toEqual([{ stream: 'stdout', timestamp: null, message: 'split frame' }]);
+    });
+
+    it('should join lines spanning multiple frames', () => {
+      const { parser, entries } = collect({ tty: false });
+
+      parser.push(frame(1, 'first '));
+      parser.push(frame(1, 'half\nsecond\n'));
+
+      expect(entries.map(e => e.message)).toEqual(['first half', 'second']);
+    });
+
+    it('should decode multi-byte characters split across frames', () => {
+      const { parser, entries } = collect({ tty: false });
+      const bytes = Buffer.from('héllo\n', 'utf-8');
+
+      const header1 = Buffer.alloc(8);
+      header1[0] = 1;
+      header1.writeUInt32BE(2, 4);
+      const header2 = Buffer.alloc(8);
+      header2[0] = 1;
+      header2.writeUInt32BE(bytes.length - 2, 4);
+      parser.push(Buffer.concat([header1, bytes.subarray(0, 2), header2, bytes.subarray(2)]));
+
+      expect(entries).toEqual([{ stream: 'stdout', timestamp: null, message: 'héllo' }]);
+    });
+
+    it('should treat TTY output as raw stdout', () => {
+      const { parser, entries } = collect({ tty: true });
+
+      parser.push(Buffer.from('2024-01-01T10:00:00Z tty line\nnext'));
+      parser.flush();
+
+      expect(entries).toEqual([
+        { stream: 'stdout', timestamp: '2024-01-01T10:00:00Z', message: 'tty line' },
+        { stream: 'stdout', timestamp: null, message: 'next' },
+      ]);
+    });
+
+    it('should emit trailing partial line on flush', () => {
+      const { parser, entries } = collect({ tty: false });
+
+      parser.push(frame(2, 'no newline'));
+      expect(entries).toHaveLength(0);
+
+      parser.flush();
+      expect(entries).toEqual([{ stream: 'stderr', timestamp: null, message: 'no newline' }]);
+    });
+  });
+
+  describe('parseLogs', () => {
+    it('should parse a complete multiplexed buffer', () => {
+      const buffer = Buffer.concat([
+        frame(1, '2024-01-01T10:00:00Z one\n'),
+        frame(2, '2024-01-01T10:00:01Z two'),
+      ]);
+
+      expect(parseLogs(buffer)).toEqual([
+        { stream: 'stdout', timestamp: '2024-01-01T10:00:00Z', message: 'one' },
+        { stream: 'stderr', timestamp: '2024-01-01T10:00:01Z', message: 'two' },
+      ]);
+    });
+
+    it('should return empty array for empty output', () => {
+      expect(parseLogs(Buffer.alloc(0))).toEqual([]);
+    });
+  });
+
+  describe('formatLogLine', () => {
+    it('should prefix message with timestamp when present', () => {
+      expect(formatLogLine({ timestamp: '2024-01-01T10:00:00Z', message: 'hello' }))
+        .toBe('2024-01-01T10:00:00Z hello');
+      expect(formatLogLine({ timestamp: null, message: 'hello' })).toBe('hello');
+    });
+  });
+});
@@ -4,10 +4,237 @@
 
 import { Router } from 'express';
 import { createContainerService } from './container-service.js';
+import { EVENT_TYPES, createNotificationEvent } from '../notifications/notification-events.js';
+import { formatLogLine } from './log-parser.js';
 
-export function createContainerRoutes(docker) {
+// Interval for SSE keep-alive comments
+const SSE_KEEPALIVE_MS = 15000;
+
+// Containers one stats stream may follow
+const MAX_STATS_STREAM_CONTAINERS = 100;
+
+/**
+ * Write a Server-Sent Event, opening the event stream on first use
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendEvent(res, event, data) {
+  if (!res.headersSent) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Relay a service follow stream to the client as Server-Sent Events
+ * Sends each item as `event`, then `end` (or `stream-error`) when the source finishes.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Options
+ * @param {string} options.event - Event name for each item
+ * @param {string} options.label - What is being streamed, for error messages
+ * @param {Function} options.follow - Receives handlers, resolves to a stop function
+ */
+async function streamEvents(req, res, { event, label, follow }) {
+  let stop = null;
+  let closed = false;
+  let keepAlive = null;
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(keepAlive);
+    stop?.();
+  };
+  req.on('close', cleanup);
+
+  try {
+    stop = await follow({
+      onEntry: (entry) => sendEvent(res, event, entry),
+      onEnd: () => {
+        sendEvent(res, 'end', {});
+        cleanup();
+        res.end();
+      },
+      onError: (error) => {
+        console.error(`Error streaming ${label}:`, error);
+        sendEvent(res, 'stream-error', { error: `Stream of ${label} failed`, details: error.message });
+        cleanup();
+        res.end();
+      },
+    });
+  } catch (error) {
+    console.error(`Error streaming ${label}:`, error);
+    return res.status(500).json({ error: `Failed to stream ${label}`, details: error.message });
+  }
+
+  if (closed) {
+    stop();
+    return;
+  }
+
+  if (!res.headersSent) {
+    sendEvent(res, 'open', {});
+  }
+  keepAlive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+}
+
+/**
+ * Parse a time parameter given as Unix seconds or an ISO 8601 date
+ * @param {string} value - Raw query value
+ * @returns {number|null} Unix timestamp in seconds, or null if invalid
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+// Longest grep pattern accepted
+const MAX_GREP_LENGTH = 200;
+
+/**
+ * Check a regular expression for a repeated group that contains a quantifier or an alternation, e.g. (a+)+,
+ * ((\w*x))* or (a|aa)+; these can backtrack exponentially
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+function canBacktrackExponentially(pattern) {
+  // Open groups, each noting whether it contains a quantifier or | (nested groups included)
+  const groups = [];
+  let closedGroup = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (closedGroup && '*+{'.includes(char) && (closedGroup.quantified || closedGroup.alternation)) {
+      return true;
+    }
+    closedGroup = null;
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      // Skip (?:, (?=, (?!, (?<=, (?<! and (?<name>
+      if (pattern[i + 1] === '?') {
+        i += 2;
+        if (pattern[i] === '<' && pattern[i + 1] !== '=' && pattern[i + 1] !== '!') {
+          const end = pattern.indexOf('>', i);
+          i = end === -1 ? pattern.length : end;
+        } else if (pattern[i] === '<') {
+          i++;
+        }
+      }
+    } else if (char === ')') {
+      closedGroup = groups.pop() || null;
+      const parent = groups[groups.length - 1];
+      if (closedGroup && parent) {
+        parent.quantified ||= closedGroup.quantified;
+        parent.alternation ||= closedGroup.alternation;
+      }
+    } else if (groups.length > 0 && char === '|') {
+      groups[groups.length - 1].alternation = true;
+    } else if (groups.length > 0 && '*+?{'.includes(char)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile a grep parameter
+ * Plain substrings by default; regular expressions with regex=true, rejecting repeated groups with quantifiers
+ * or alternations and backreferences, which can stall the server with catastrophic backtracking.
+ * @param {string} grep - Pattern
+ * @param {boolean} isRegex - Treat the pattern as a regular expression
+ * @returns {RegExp|null} Null when the pattern is rejected
+ */
+function compileGrep(grep, isRegex) {
+  if (grep.length > MAX_GREP_LENGTH) {
+    return null;
+  }
+  if (!isRegex) {
+    return new RegExp(grep.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  }
+  if (canBacktrackExponentially(grep) || /\\(?:\d|k<)/.test(grep)) {
+    return null;
+  }
+  try {
+    return new RegExp(grep);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse log query parameters (tail, since, until, timestamps, grep, regex)
+ * @param {Object} query - Express query object
+ * @returns {{options: Object, error: string|null}}
+ */
+function parseLogQuery(query) {
+  const options = {};
+
+  if (query.tail !== undefined) {
+    const tail = query.tail === 'all' ? 'all' : Number(query.tail);
+    if (tail !== 'all' && (!Number.isInteger(tail) || tail < 0)) {
+      return { options, error: 'Invalid tail parameter' };
+    }
+    options.tail = tail;
+  }
+
+  for (const key of ['since', 'until']) {
+    if (query[key]) {
+      const value = parseTime(query[key]);
+      if (value === null) {
+        return { options, error: `Invalid ${key} parameter` };
+      }
+      options[key] = value;
+    }
+  }
+
+  if (query.timestamps !== undefined) {
+    options.timestamps = query.timestamps !== 'false' && query.timestamps !== '0';
+  }
+
+  if (query.grep) {
+    options.grep = compileGrep(String(query.grep), query.regex === 'true' || query.regex === '1');
+    if (!options.grep) {
+      return { options, error: 'Invalid grep pattern' };
+    }
+  }
+
+  return { options, error: null };
+}
+
+/**
+ * Create container routes
+ * @param {Object} docker - Dockerode instance
+ * @param {Object} [options] - Options
+ * @param {Function} [options.notify] - Sends a notification event (upgrade outcomes)
+ * @returns {Router}
+ */
+export function createContainerRoutes(docker, options = {}) {
   const router = Router();
   const containerService = createContainerService(docker);
+  const { notify = () => {} } = options;
+
+  // Notifications are best-effort and must not delay or fail the API response
+  const emit = (type, fields) => {
+    Promise.resolve()
+      .then(() => notify(createNotificationEvent(type, fields)))
+      .catch(error => console.error(`Failed to send ${type} notification:`, error));
+  };
 
   // Get all containers (running and stopped)
   router.get('/', async (req, res) => {
@@ -20,6 +247,23 @@ export function createContainerRoutes(docker) {
     }
   });
 
+  // Stream resource usage of several containers (?ids=a,b) via Server-Sent Events, one stats event per sample
+  router.get('/stats/stream', async (req, res) => {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length === 0 || ids.length > MAX_STATS_STREAM_CONTAINERS) {
+      return res.status(400).json({
+        error: 'Invalid ids parameter',
+        details: `Expected 1-${MAX_STATS_STREAM_CONTAINERS} comma-separated container IDs`,
+      });
+    }
+
+    await streamEvents(req, res, {
+      event: 'stats',
+      label: 'stats',
+      follow: handlers => containerService.followContainersStats(ids, handlers),
+    });
+  });
+
   // Get single container details
   router.get('/:id', async (req, res) => {
     try {
@@ -68,17 +312,44 @@ export function createContainerRoutes(docker) {
   router.post('/:id/upgrade', async (req, res) => {
     try {
       const result = await containerService.upgradeContainer(req.params.id);
+      emit(EVENT_TYPES.UPGRADE_COMPLETED, {
+        message: `${result.containerName} was upgraded to the latest ${result.image}`,
+        data: {
+          containerId: req.params.id,
+          containerName: result.containerName,
+          image: result.image,
+          labels: result.labels,
+          newContainerId: result.newContainerId,
+        },
+      });
       res.json(result);
     } catch (error) {
       console.error('Error upgrading container:', error);
+      emit(EVENT_TYPES.UPGRADE_FAILED, {
+        message: `Upgrade of ${req.params.id} failed: ${error.message}`,
+        data: { containerId: req.params.id, error: error.message },
+      });
       res.status(500).json({ error: 'Failed to upgrade container', details: error.message });
     }
   });
 
-  // Get container logs
+  // Get container logs (?format=text downloads them as a plain-text file)
   router.get('/:id/logs', async (req, res) => {
+    const { options, error } = parseLogQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     try {
-      const result = await containerService.getContainerLogs(req.params.id);
+      const result = await containerService.getContainerLogs(req.params.id, options);
+
+      if (req.query.format === 'text') {
+        const filename = `${req.params.id.replace(/[^\w.-]/g, '_')}-logs.txt`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.type('text/plain');
+        return res.send(result.logs.map(entry => `${formatLogLine(entry)}\n`).join(''));
+      }
+
       res.json(result);
     } catch (error) {
       console.error('Error fetching logs:', error);
@@ -86,5 +357,39 @@ export function createContainerRoutes(docker) {
     }
   });
 
+  // Stream container logs via Server-Sent Events
+  router.get('/:id/logs/stream', async (req, res) => {
+    const { options, error } = parseLogQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await streamEvents(req, res, {
+      event: 'log',
+      label: 'logs',
+      follow: handlers => containerService.followContainerLogs(req.params.id, handlers, options),
+    });
+  });
+
+  // Get a single resource usage sample
+  router.get('/:id/stats', async (req, res) => {
+    try {
+      const stats = await containerService.getContainerStats(req.params.id);
+      res.json(stats);
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      res.status(500).json({ error: 'Failed to fetch stats', details: error.message });
+    }
+  });
+
+  // Stream resource usage via Server-Sent Events
+  router.get('/:id/stats/stream', async (req, res) => {
+    await streamEvents(req, res, {
+      event: 'stats',
+      label: 'stats',
+      follow: handlers => containerService.followContainerStats(req.params.id, handlers),
+    });
+  });
+
   return router;
 }
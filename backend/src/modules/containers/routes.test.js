@@ -1,6 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import request from 'supertest';
 import express from 'express';
+import { PassThrough } from 'stream';
 import { createContainerRoutes } from './routes.js';
 
 // Mock Docker client factory
@@ -12,6 +13,7 @@ function createMockDocker() {
     restart: vi.fn(),
     remove: vi.fn(),
     logs: vi.fn(),
+    stats: vi.fn(),
   };
 
   return {
@@ -26,10 +28,10 @@ function createMockDocker() {
   };
 }
 
-function createTestApp(docker) {
+function createTestApp(docker, options) {
   const app = express();
   app.use(express.json());
-  app.use('/api/containers', createContainerRoutes(docker));
+  app.use('/api/containers', createContainerRoutes(docker, options));
   return app;
 }
 
@@ -179,12 +181,133 @@ describe('Container Routes', () => {
 
   describe('GET /api/containers/:id/logs', () => {
     it('should return container logs', async () => {
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: true } });
       mockDocker._mockContainer.logs.mockResolvedValue(Buffer.from('test logs output'));
 
       const response = await request(app).get('/api/containers/abc123/logs');
 
       expect(response.status).toBe(200);
-      expect(response.body).toEqual({ logs: 'test logs output' });
+      expect(response.body).toEqual({
+        logs: [{ stream: 'stdout', timestamp: null, message: 'test logs output' }],
+      });
+    });
+
+    it('should demultiplex stdout and stderr for non-TTY containers', async () => {
+      const frame = (streamType, text) => {
+        const payload = Buffer.from(text, 'utf-8');
+        const header = Buffer.alloc(8);
+        header[0] = streamType;
+        header.writeUInt32BE(payload.length, 4);
+        return Buffer.concat([header, payload]);
+      };
+
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: false } });
+      mockDocker._mockContainer.logs.mockResolvedValue(Buffer.concat([
+        frame(1, '2024-01-01T10:00:00Z started\n'),
+        frame(2, '2024-01-01T10:00:01Z warning\n'),
+      ]));
+
+      const response = await request(app).get('/api/containers/abc123/logs');
+
+      expect(response.status).toBe(200);
+      expect(response.body.logs).toEqual([
+        { stream: 'stdout', timestamp: '2024-01-01T10:00:00Z', message: 'started' },
+        { stream: 'stderr', timestamp: '2024-01-01T10:00:01Z', message: 'warning' },
+      ]);
+    });
+
+    it('should pass query parameters to Docker', async () => {
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: true } });
+      mockDocker._mockContainer.logs.mockResolvedValue(Buffer.from(''));
+
+      const response = await request(app)
+        .get('/api/containers/abc123/logs?tail=500&since=1704067200&until=2024-01-02T00:00:00Z&timestamps=false');
+
+      expect(response.status).toBe(200);
+      expect(mockDocker._mockContainer.logs).toHaveBeenCalledWith({
+        stdout: true,
+        stderr: true,
+        tail: 500,
+        since: 1704067200,
+        until: 1704153600,
+        timestamps: false,
+      });
+    });
+
+    it('should filter lines containing the grep text', async () => {
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: true } });
+      mockDocker._mockContainer.logs.mockResolvedValue(
+        Buffer.from('2024-01-01T10:00:00Z GET /health 200\n2024-01-01T10:00:01Z GET /api?x=(1) 500\n')
+      );
+
+      const response = await request(app).get(`/api/containers/abc123/logs?grep=${encodeURIComponent('x=(1)')}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.logs).toEqual([
+        { stream: 'stdout', timestamp: '2024-01-01T10:00:01Z', message: 'GET /api?x=(1) 500' },
+      ]);
+    });
+
+    it('should filter lines with a grep regex', async () => {
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: true } });
+      mockDocker._mockContainer.logs.mockResolvedValue(
+        Buffer.from('2024-01-01T10:00:00Z GET /health 200\n2024-01-01T10:00:01Z GET /api 500\n')
+      );
+
+      const response = await request(app).get('/api/containers/abc123/logs?grep=5\\d\\d$&regex=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body.logs).toEqual([
+        { stream: 'stdout', timestamp: '2024-01-01T10:00:01Z', message: 'GET /api 500' },
+      ]);
+    });
+
+    it('should accept regexes whose repeated groups cannot backtrack exponentially', async () => {
+      mockDocker._mockContainer.logs.mockResolvedValue(Buffer.from(''));
+
+      for (const pattern of ['(ab)+', '(GET|POST) /api', '(a|b)?c', '[(|+]+', '(?<method>GET)\\s\\d+']) {
+        const response = await request(app).get(`/api/containers/abc123/logs?grep=${encodeURIComponent(pattern)}&regex=true`);
+        expect(response.status, pattern).toBe(200);
+      }
+    });
+
+    it('should reject invalid query parameters', async () => {
+      const badTail = await request(app).get('/api/containers/abc123/logs?tail=-1');
+      expect(badTail.status).toBe(400);
+      expect(badTail.body).toHaveProperty('error', 'Invalid tail parameter');
+
+      const badSince = await request(app).get('/api/containers/abc123/logs?since=yesterday');
+      expect(badSince.status).toBe(400);
+      expect(badSince.body).toHaveProperty('error', 'Invalid since parameter');
+
+      const badGrep = await request(app).get('/api/containers/abc123/logs?grep=(unclosed&regex=true');
+      expect(badGrep.status).toBe(400);
+      expect(badGrep.body).toHaveProperty('error', 'Invalid grep pattern');
+
+      for (const pattern of ['(a+)+$', '((a*))*b', '(a|aa)+$', '(a|a)*b', '(?:x(a|b))+', '(a)\\1', '(?<c>a)\\k<c>']) {
+        const backtracking = await request(app).get(`/api/containers/abc123/logs?grep=${encodeURIComponent(pattern)}&regex=true`);
+        expect(backtracking.status, pattern).toBe(400);
+        expect(backtracking.body).toHaveProperty('error', 'Invalid grep pattern');
+      }
+
+      const tooLong = await request(app).get(`/api/containers/abc123/logs?grep=${'a'.repeat(201)}`);
+      expect(tooLong.status).toBe(400);
+
+      expect(mockDocker._mockContainer.logs).not.toHaveBeenCalled();
+    });
+
+    it('should download logs as text', async () => {
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: true } });
+      mockDocker._mockContainer.logs.mockResolvedValue(
+        Buffer.from('2024-01-01T10:00:00Z first\nsecond\n')
+      );
+
+      const response = await request(app).get('/api/containers/abc123/logs?format=text');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/plain');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="abc123-logs.txt"');
+      expect(response.text).toBe('2024-01-01T10:00:00Z first\nsecond\n');
     });
 
     it('should handle logs errors', async () => {
@@ -197,6 +320,174 @@ describe('Container Routes', () => {
     });
   });
 
+  describe('GET /api/containers/:id/logs/stream', () => {
+    function frame(streamType, text) {
+      const payload = Buffer.from(text, 'utf-8');
+      const header = Buffer.alloc(8);
+      header[0] = streamType;
+      header.writeUInt32BE(payload.length, 4);
+      return Buffer.concat([header, payload]);
+    }
+
+    it('should stream demultiplexed log lines as SSE events', async () => {
+      const stream = new PassThrough();
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: false } });
+      mockDocker._mockContainer.logs.mockImplementation(async () => {
+        setImmediate(() => {
+          stream.write(frame(1, '2024-01-01T10:00:00Z hello\n'));
+          stream.write(frame(2, '2024-01-01T10:00:01Z oops\n'));
+          stream.end();
+        });
+        return stream;
+      });
+
+      const response = await request(app).get('/api/containers/abc123/logs/stream');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.text).toContain(
+        'event: log\ndata: {"stream":"stdout","timestamp":"2024-01-01T10:00:00Z","message":"hello"}'
+      );
+      expect(response.text).toContain(
+        'event: log\ndata: {"stream":"stderr","timestamp":"2024-01-01T10:00:01Z","message":"oops"}'
+      );
+      expect(response.text).toContain('event: end');
+      expect(mockDocker._mockContainer.logs).toHaveBeenCalledWith(
+        expect.objectContaining({ follow: true, tail: 100 })
+      );
+    });
+
+    it('should pass tail parameter to Docker', async () => {
+      const stream = new PassThrough();
+      mockDocker._mockContainer.inspect.mockResolvedValue({ Config: { Tty: true } });
+      mockDocker._mockContainer.logs.mockImplementation(async () => {
+        setImmediate(() => stream.end());
+        return stream;
+      });
+
+      await request(app).get('/api/containers/abc123/logs/stream?tail=0');
+
+      expect(mockDocker._mockContainer.logs).toHaveBeenCalledWith(
+        expect.objectContaining({ follow: true, tail: 0 })
+      );
+    });
+
+    it('should reject invalid tail parameter', async () => {
+      const response = await request(app).get('/api/containers/abc123/logs/stream?tail=abc');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Invalid tail parameter');
+    });
+
+    it('should handle stream open errors', async () => {
+      mockDocker._mockContainer.inspect.mockRejectedValue(new Error('Container not found'));
+
+      const response = await request(app).get('/api/containers/abc123/logs/stream');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toHaveProperty('error', 'Failed to stream logs');
+    });
+  });
+
+  describe('GET /api/containers/:id/stats', () => {
+    const rawStats = {
+      read: '2024-01-01T10:00:01Z',
+      cpu_stats: { cpu_usage: { total_usage: 300 }, system_cpu_usage: 2000, online_cpus: 2 },
+      precpu_stats: { cpu_usage: { total_usage: 100 }, system_cpu_usage: 1000 },
+      memory_stats: { usage: 600, limit: 1000, stats: { inactive_file: 100 } },
+      networks: { eth0: { rx_bytes: 10, tx_bytes: 20 } },
+      blkio_stats: { io_service_bytes_recursive: [{ op: 'Read', value: 5 }, { op: 'Write', value: 7 }] },
+    };
+
+    it('should return computed stats', async () => {
+      mockDocker._mockContainer.stats.mockResolvedValue(rawStats);
+
+      const response = await request(app).get('/api/containers/abc123/stats');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        timestamp: '2024-01-01T10:00:01Z',
+        cpuPercent: 40,
+        memoryUsage: 500,
+        memoryLimit: 1000,
+        memoryPercent: 50,
+        networkRx: 10,
+        networkTx: 20,
+        blockRead: 5,
+        blockWrite: 7,
+      });
+      expect(mockDocker._mockContainer.stats).toHaveBeenCalledWith({ stream: false });
+    });
+
+    it('should handle stats errors', async () => {
+      mockDocker._mockContainer.stats.mockRejectedValue(new Error('Container not running'));
+
+      const response = await request(app).get('/api/containers/abc123/stats');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toHaveProperty('error', 'Failed to fetch stats');
+    });
+
+    it('should stream computed stats as SSE events', async () => {
+      const stream = new PassThrough();
+      mockDocker._mockContainer.stats.mockImplementation(async () => {
+        setImmediate(() => {
+          const line = JSON.stringify(rawStats);
+          // Split one JSON document across two chunks
+          stream.write(line.substring(0, 20));
+          stream.write(`${line.substring(20)}\n`);
+          stream.end();
+        });
+        return stream;
+      });
+
+      const response = await request(app).get('/api/containers/abc123/stats/stream');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.text).toContain('event: stats\ndata: {"timestamp":"2024-01-01T10:00:01Z","cpuPercent":40');
+      expect(response.text).toContain('event: end');
+      expect(mockDocker._mockContainer.stats).toHaveBeenCalledWith({ stream: true });
+    });
+
+    it('should stream stats of several containers tagged with their IDs', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const stream = new PassThrough();
+      mockDocker.getContainer.mockImplementation(id => ({
+        stats: id === 'missing'
+          ? vi.fn().mockRejectedValue(new Error('No such container'))
+          : vi.fn(async () => {
+            setImmediate(() => stream.end(`${JSON.stringify(rawStats)}\n`));
+            return stream;
+          }),
+      }));
+
+      const response = await request(app).get('/api/containers/stats/stream?ids=abc123,missing');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('event: stats\ndata: {"containerId":"abc123","timestamp":"2024-01-01T10:00:01Z"');
+      expect(response.text).toContain('event: end');
+      expect(mockDocker.getContainer).toHaveBeenCalledWith('missing');
+      console.warn.mockRestore();
+    });
+
+    it('should require container IDs for the combined stats stream', async () => {
+      const response = await request(app).get('/api/containers/stats/stream');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('error', 'Invalid ids parameter');
+    });
+
+    it('should handle stats stream open errors', async () => {
+      mockDocker._mockContainer.stats.mockRejectedValue(new Error('Container not found'));
+
+      const response = await request(app).get('/api/containers/abc123/stats/stream');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toHaveProperty('error', 'Failed to stream stats');
+    });
+  });
+
   describe('POST /api/containers/:id/upgrade', () => {
     it('should upgrade a running container', async () => {
       const mockInspect = {
@@ -234,6 +525,9 @@ describe('Container Routes', () => {
         callback(null, []);
       });
 
+      const notify = vi.fn();
+      app = createTestApp(mockDocker, { notify });
+
       const response = await request(app).post('/api/containers/abc123/upgrade');
 
       expect(response.status).toBe(200);
@@ -242,15 +536,28 @@ describe('Container Routes', () => {
         message: 'Container upgraded successfully',
         newContainerId: 'newcontainer123',
       });
+      await vi.waitFor(() => expect(notify).toHaveBeenCalled());
+      expect(notify.mock.calls[0][0]).toMatchObject({
+        type: 'upgrade.completed',
+        data: { containerName: 'test-container', image: 'nginx:latest', newContainerId: 'newcontainer123' },
+      });
     });
 
     it('should handle upgrade errors', async () => {
       mockDocker._mockContainer.inspect.mockRejectedValue(new Error('Container not found'));
+      const notify = vi.fn().mockRejectedValue(new Error('Provider down'));
+      app = createTestApp(mockDocker, { notify });
 
       const response = await request(app).post('/api/containers/abc123/upgrade');
 
       expect(response.status).toBe(500);
       expect(response.body).toHaveProperty('error', 'Failed to upgrade container');
+      await vi.waitFor(() => expect(notify).toHaveBeenCalled());
+      expect(notify.mock.calls[0][0]).toMatchObject({
+        type: 'upgrade.failed',
+        severity: 'critical',
+        data: { containerId: 'abc123', error: 'Container not found' },
+      });
     });
   });
 });
@@ -0,0 +1,107 @@
+/**
+ * Container stats calculator
+ * Derives CPU, memory, network and block I/O figures from raw Docker stats
+ */
+
+/**
+ * @typedef {Object} ContainerStats
+ * @property {string} timestamp - Sample time (ISO 8601)
+ * @property {number} cpuPercent - CPU usage, 100 = one full core
+ * @property {number} memoryUsage - Memory in use, excluding page cache (bytes)
+ * @property {number} memoryLimit - Memory limit (bytes)
+ * @property {number} memoryPercent - memoryUsage as a percentage of memoryLimit
+ * @property {number} networkRx - Total bytes received across all networks
+ * @property {number} networkTx - Total bytes sent across all networks
+ * @property {number} blockRead - Total bytes read from block devices
+ * @property {number} blockWrite - Total bytes written to block devices
+ */
+
+/**
+ * Calculate CPU percentage the same way `docker stats` does
+ * @param {Object} raw - Raw Docker stats
+ * @returns {number}
+ */
+function calculateCpuPercent(raw) {
+  const cpu = raw.cpu_stats || {};
+  const precpu = raw.precpu_stats || {};
+
+  const cpuDelta = (cpu.cpu_usage?.total_usage || 0) - (precpu.cpu_usage?.total_usage || 0);
+  const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+  const onlineCpus = cpu.online_cpus || cpu.cpu_usage?.percpu_usage?.length || 1;
+
+  if (cpuDelta <= 0 || systemDelta <= 0) {
+    return 0;
+  }
+  return (cpuDelta / systemDelta) * onlineCpus * 100;
+}
+
+/**
+ * Calculate memory usage excluding page cache
+ * cgroup v1 reports total_inactive_file, cgroup v2 reports inactive_file
+ * @param {Object} raw - Raw Docker stats
+ * @returns {{usage: number, limit: number}}
+ */
+function calculateMemory(raw) {
+  const memory = raw.memory_stats || {};
+  const stats = memory.stats || {};
+  const cache = stats.total_inactive_file ?? stats.inactive_file ?? 0;
+  const usage = Math.max((memory.usage || 0) - cache, 0);
+  return { usage, limit: memory.limit || 0 };
+}
+
+/**
+ * Sum network counters across all interfaces
+ * @param {Object} raw - Raw Docker stats
+ * @returns {{rx: number, tx: number}}
+ */
+function calculateNetwork(raw) {
+  let rx = 0;
+  let tx = 0;
+  for (const network of Object.values(raw.networks || {})) {
+    rx += network.rx_bytes || 0;
+    tx += network.tx_bytes || 0;
+  }
+  return { rx, tx };
+}
+
+/**
+ * Sum block I/O counters across all devices
+ * @param {Object} raw - Raw Docker stats
+ * @returns {{read: number, write: number}}
+ */
+function calculateBlockIO(raw) {
+  let read = 0;
+  let write = 0;
+  for (const entry of raw.blkio_stats?.io_service_bytes_recursive || []) {
+    const op = entry.op?.toLowerCase();
+    if (op === 'read') {
+      read += entry.value || 0;
+    } else if (op === 'write') {
+      write += entry.value || 0;
+    }
+  }
+  return { read, write };
+}
+
+/**
+ * Convert a raw Docker stats sample into summary figures
+ * @param {Object} raw - Raw stats from container.stats()
+ * @returns {ContainerStats}
+ */
+export function calculateStats(raw) {
+  const memory = calculateMemory(raw);
+  const network = calculateNetwork(raw);
+  const blockIO = calculateBlockIO(raw);
+
+  return {
+    timestamp: raw.read || new Date().toISOString(),
+    cpuPercent: calculateCpuPercent(raw),
+    memoryUsage: memory.usage,
+    memoryLimit: memory.limit,
+    memoryPercent: memory.limit > 0 ? (memory.usage / memory.limit) * 100 : 0,
+    networkRx: network.rx,
+    networkTx: network.tx,
+    blockRead: blockIO.read,
+    blockWrite: blockIO.write,
+  };
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { calculateStats } from './stats-calculator.js';
+
+function createRawStats(overrides = {}) {
+  return {
+    read: '2024-01-01T10:00:01Z',
+    cpu_stats: {
+      cpu_usage: { total_usage: 200000000 },
+      system_cpu_usage: 2000000000,
+      online_cpus: 4,
+    },
+    precpu_stats: {
+      cpu_usage: { total_usage: 100000000 },
+      system_cpu_usage: 1000000000,
+    },
+    memory_stats: {
+      usage: 150 * 1024 * 1024,
+      limit: 1024 * 1024 * 1024,
+      stats: { inactive_file: 50 * 1024 * 1024 },
+    },
+    networks: {
+      eth0: { rx_bytes: 1000, tx_bytes: 2000 },
+      eth1: { rx_bytes: 500, tx_bytes: 250 },
+    },
+    blkio_stats: {
+      io_service_bytes_recursive: [
+        { major: 8, minor: 0, op: 'read', value: 4096 },
+        { major: 8, minor: 0, op: 'write', value: 8192 },
+        { major: 8, minor: 16, op: 'Read', value: 1024 },
+      ],
+    },
+    ...overrides,
+  };
+}
+
+describe('Stats Calculator', () => {
+  it('should calculate CPU percentage across online CPUs', () => {
+    const stats = calculateStats(createRawStats());
+
+    // (100M / 1000M) * 4 CPUs * 100
+    expect(stats.cpuPercent).toBeCloseTo(40);
+  });
+
+  it('should fall back to percpu_usage length when online_cpus is missing', () => {
+    const raw = createRawStats();
+    delete raw.cpu_stats.online_cpus;
+    raw.cpu_stats.cpu_usage.percpu_usage = [1, 2];
+
+    expect(calculateStats(raw).cpuPercent).toBeCloseTo(20);
+  });
+
+  it('should report zero CPU when counters have not advanced', () => {
+    const firstSample = calculateStats(createRawStats({
+      cpu_stats: { cpu_usage: { total_usage: 0 }, system_cpu_usage: 0 },
+      precpu_stats: {},
+    }));
+    expect(firstSample.cpuPercent).toBe(0);
+  });
+
+  it('should exclude page cache from memory usage (cgroup v2)', () => {
+    const stats = calculateStats(createRawStats());
+
+    expect(stats.memoryUsage).toBe(100 * 1024 * 1024);
+    expect(stats.memoryLimit).toBe(1024 * 1024 * 1024);
+    expect(stats.memoryPercent).toBeCloseTo(9.765625);
+  });
+
+  it('should exclude page cache from memory usage (cgroup v1)', () => {
+    const stats = calculateStats(createRawStats({
+      memory_stats: {
+        usage: 300,
+        limit: 1000,
+        stats: { total_inactive_file: 100 },
+      },
+    }));
+
+    expect(stats.memoryUsage).toBe(200);
+    expect(stats.memoryPercent).toBeCloseTo(20);
+  });
+
+  it('should sum network counters across interfaces', () => {
+    const stats = calculateStats(createRawStats());
+
+    expect(stats.networkRx).toBe(1500);
+    expect(stats.networkTx).toBe(2250);
+  });
+
+  it('should sum block I/O regardless of op casing', () => {
+    const stats = calculateStats(createRawStats());
+
+    expect(stats.blockRead).toBe(5120);
+    expect(stats.blockWrite).toBe(8192);
+  });
+
+  it('should handle stopped containers with empty stats', () => {
+    const stats = calculateStats({
+      read: '0001-01-01T00:00:00Z',
+      cpu_stats: {},
+      precpu_stats: {},
+      memory_stats: {},
+      blkio_stats: { io_service_bytes_recursive: null },
+    });
+
+    expect(stats).toMatchObject({
+      cpuPercent: 0,
+      memoryUsage: 0,
+      memoryLimit: 0,
+      memoryPercent: 0,
+      networkRx: 0,
+      networkTx: 0,
+      blockRead: 0,
+      blockWrite: 0,
+    });
+  });
+
+  it('should include the sample timestamp', () => {
+    expect(calculateStats(createRawStats()).timestamp).toBe('2024-01-01T10:00:01Z');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * WebSocket push of Docker events to the UI
+ * Clients are told whether the Docker event subscription is up ("hello" and "status" messages),
+ * so they can fall back to polling while it is down.
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+
+// Interval for ping/pong liveness checks; clients that miss a pong are dropped
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * Attach a WebSocket endpoint that broadcasts container events
+ * @param {Object} server - HTTP server
+ * @param {Object} eventStream - Event stream (see event-stream.js)
+ * @param {Object} [options] - Options
+ * @param {string} [options.path='/api/events'] - WebSocket path
+ * @returns {Object} Socket server with broadcast(), getClientCount() and close()
+ */
+export function createEventSocketServer(server, eventStream, options = {}) {
+  const { path = '/api/events' } = options;
+  const wss = new WebSocketServer({ server, path });
+  const alive = new WeakSet();
+
+  wss.on('connection', (socket) => {
+    alive.add(socket);
+    socket.on('pong', () => alive.add(socket));
+    socket.on('error', (error) => {
+      console.error('Event socket error:', error.message);
+    });
+    socket.send(JSON.stringify({ type: 'hello', connected: eventStream.isConnected() }));
+  });
+
+  function broadcast(message) {
+    const data = JSON.stringify(message);
+    for (const client of wss.clients) {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data);
+      }
+    }
+  }
+
+  const unsubscribe = eventStream.subscribe(event => broadcast({ type: 'container', event }));
+  const unsubscribeStatus = eventStream.onConnectionChange(connected => broadcast({ type: 'status', connected }));
+
+  const heartbeat = setInterval(() => {
+    for (const client of wss.clients) {
+      if (!alive.has(client)) {
+        client.terminate();
+        continue;
+      }
+      alive.delete(client);
+      client.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref?.();
+
+  return {
+    broadcast,
+
+    /**
+     * Number of connected clients
+     * @returns {number}
+     */
+    getClientCount() {
+      return wss.clients.size;
+    },
+
+    /**
+     * Disconnect all clients and stop listening for events
+     * @returns {Promise<void>}
+     */
+    close() {
+      clearInterval(heartbeat);
+      unsubscribe();
+      unsubscribeStatus();
+      for (const client of wss.clients) {
+        client.terminate();
+      }
+      return new Promise(resolve => wss.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { WebSocket } from 'ws';
+import { createEventSocketServer } from './event-socket.js';
+
+function connect(port, path = '/api/events') {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+  const messages = [];
+  socket.on('message', data => messages.push(JSON.parse(data.toString())));
+  return new Promise((resolve, reject) => {
+    socket.on('open', () => resolve({ socket, messages }));
+    socket.on('error', reject);
+  });
+}
+
+describe('Event Socket Server', () => {
+  let server;
+  let port;
+  let eventStream;
+  let emit;
+  let unsubscribe;
+  let setConnected;
+  let socketServer;
+
+  beforeEach(async () => {
+    unsubscribe = vi.fn();
+    eventStream = {
+      subscribe: vi.fn((listener) => {
+        emit = listener;
+        return unsubscribe;
+      }),
+      isConnected: vi.fn(() => true),
+      onConnectionChange: vi.fn((listener) => {
+        setConnected = listener;
+        return vi.fn();
+      }),
+    };
+    server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+    socketServer = createEventSocketServer(server, eventStream);
+  });
+
+  afterEach(async () => {
+    await socketServer.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should greet clients and broadcast container events', async () => {
+    const first = await connect(port);
+    const second = await connect(port);
+    await vi.waitFor(() => expect(socketServer.getClientCount()).toBe(2));
+
+    emit({ action: 'start', containerId: 'abc123', name: 'web' });
+
+    await vi.waitFor(() => expect(second.messages).toHaveLength(2));
+    expect(first.messages).toEqual([
+      { type: 'hello', connected: true },
+      { type: 'container', event: { action: 'start', containerId: 'abc123', name: 'web' } },
+    ]);
+    first.socket.close();
+    second.socket.close();
+  });
+
+  it('should tell clients when the Docker subscription goes down and comes back', async () => {
+    eventStream.isConnected.mockReturnValue(false);
+    const client = await connect(port);
+    await vi.waitFor(() => expect(client.messages).toHaveLength(1));
+
+    setConnected(true);
+
+    await vi.waitFor(() => expect(client.messages).toHaveLength(2));
+    expect(client.messages).toEqual([
+      { type: 'hello', connected: false },
+      { type: 'status', connected: true },
+    ]);
+    client.socket.close();
+  });
+
+  it('should reject connections on other paths', async () => {
+    await expect(connect(port, '/other')).rejects.toThrow();
+  });
+
+  it('should unsubscribe from events on close', async () => {
+    await socketServer.close();
+
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+});
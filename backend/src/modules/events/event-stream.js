@@ -0,0 +1,218 @@
+/**
+ * Docker event stream
+ * Subscribes to the Docker events API and fans container events out to listeners
+ */
+
+// Container lifecycle events pushed to listeners
+export const CONTAINER_EVENTS = ['create', 'start', 'stop', 'kill', 'die', 'oom', 'restart', 'destroy', 'health_status'];
+
+// Delay before resubscribing after the Docker event stream ends or fails
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * @typedef {Object} ContainerEvent
+ * @property {string} action - Event action (start, die, health_status, ...)
+ * @property {string} containerId - Container ID
+ * @property {string} name - Container name
+ * @property {string|null} image - Image reference
+ * @property {number|null} exitCode - Exit code (die events)
+ * @property {string|null} health - Health status (health_status events)
+ * @property {Object} labels - Container labels
+ * @property {string} time - Event time (ISO 8601)
+ */
+
+/**
+ * Normalize a raw Docker event
+ * @param {Object} raw - Event from the Docker events API
+ * @returns {ContainerEvent|null} Null for events we do not forward
+ */
+export function normalizeEvent(raw) {
+  if (raw.Type !== 'container') {
+    return null;
+  }
+
+  // health_status events carry the status in the action, e.g. "health_status: healthy"
+  const [action, detail] = (raw.Action || raw.status || '').split(/:\s*/);
+  if (!CONTAINER_EVENTS.includes(action)) {
+    return null;
+  }
+
+  const attributes = raw.Actor?.Attributes || {};
+  const { name, image, exitCode, ...labels } = attributes;
+  const time = raw.timeNano ? Math.floor(raw.timeNano / 1e6) : (raw.time || 0) * 1000;
+
+  return {
+    action,
+    containerId: raw.Actor?.ID || raw.id,
+    name: name || 'unknown',
+    image: image || raw.from || null,
+    exitCode: exitCode !== undefined ? Number(exitCode) : null,
+    health: action === 'health_status' ? detail || null : null,
+    labels,
+    time: new Date(time || Date.now()).toISOString(),
+  };
+}
+
+/**
+ * Create a Docker event stream
+ * The Docker subscription is opened with the first listener and closed with the last.
+ * @param {Object} docker - Dockerode instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.reconnectDelayMs] - Delay before resubscribing
+ * @returns {Object} Event stream
+ */
+export function createEventStream(docker, options = {}) {
+  const { reconnectDelayMs = RECONNECT_DELAY_MS } = options;
+  const listeners = new Set();
+  const connectionListeners = new Set();
+  let stream = null;
+  let reconnectTimer = null;
+  let active = false;
+
+  function emit(event) {
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Docker event listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Replace the current Docker stream, telling connection listeners when it opens or closes
+   */
+  function setStream(next) {
+    const wasConnected = stream !== null;
+    stream = next;
+    if (wasConnected === (next !== null)) {
+      return;
+    }
+    for (const listener of connectionListeners) {
+      try {
+        listener(next !== null);
+      } catch (error) {
+        console.error('Docker event connection listener failed:', error);
+      }
+    }
+  }
+
+  function scheduleReconnect(source) {
+    // Ignore late end/close notifications from a stream that was already replaced
+    if (source !== stream) {
+      return;
+    }
+    setStream(null);
+    if (!active || reconnectTimer) {
+      return;
+    }
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelayMs);
+  }
+
+  async function connect() {
+    try {
+      const eventStream = await docker.getEvents({
+        filters: { type: ['container'], event: CONTAINER_EVENTS },
+      });
+
+      if (!active) {
+        eventStream.destroy?.();
+        return;
+      }
+      setStream(eventStream);
+
+      // Events are newline-delimited JSON; a chunk may hold several or part of one
+      let buffer = '';
+      eventStream.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          try {
+            const event = normalizeEvent(JSON.parse(line));
+            if (event) {
+              emit(event);
+            }
+          } catch (error) {
+            console.error('Failed to parse Docker event:', error.message);
+          }
+        }
+      });
+
+      eventStream.on('error', (error) => {
+        console.error('Docker event stream error:', error.message);
+        scheduleReconnect(eventStream);
+      });
+      eventStream.on('end', () => scheduleReconnect(eventStream));
+      eventStream.on('close', () => scheduleReconnect(eventStream));
+    } catch (error) {
+      console.error('Failed to subscribe to Docker events:', error.message);
+      scheduleReconnect(null);
+    }
+  }
+
+  function stop() {
+    active = false;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (stream) {
+      const current = stream;
+      setStream(null);
+      current.destroy?.();
+    }
+  }
+
+  return {
+    /**
+     * Listen for container events
+     * @param {Function} listener - Called with each ContainerEvent
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!active) {
+        active = true;
+        connect();
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          stop();
+        }
+      };
+    },
+
+    /**
+     * Whether the Docker subscription is currently open
+     * @returns {boolean}
+     */
+    isConnected() {
+      return stream !== null;
+    },
+
+    /**
+     * Listen for the Docker subscription opening and closing
+     * @param {Function} listener - Called with true when connected, false when disconnected
+     * @returns {Function} Unsubscribe function
+     */
+    onConnectionChange(listener) {
+      connectionListeners.add(listener);
+      return () => connectionListeners.delete(listener);
+    },
+
+    /**
+     * Close the Docker subscription and drop all listeners
+     */
+    close() {
+      listeners.clear();
+      stop();
+      connectionListeners.clear();
+    },
+  };
+}
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { PassThrough } from 'stream';
+import { createEventStream, normalizeEvent } from './event-stream.js';
+
+function rawEvent(action, attributes = {}) {
+  return {
+    Type: 'container',
+    Action: action,
+    Actor: { ID: 'abc123', Attributes: { name: 'web', image: 'nginx:latest', ...attributes } },
+    time: 1704067200,
+    timeNano: 1704067200123456789,
+  };
+}
+
+describe('Event Stream', () => {
+  describe('normalizeEvent', () => {
+    it('should normalize a die event', () => {
+      expect(normalizeEvent(rawEvent('die', { exitCode: '137', 'com.example.team': 'ops' }))).toEqual({
+        action: 'die',
+        containerId: 'abc123',
+        name: 'web',
+        image: 'nginx:latest',
+        exitCode: 137,
+        health: null,
+        labels: { 'com.example.team': 'ops' },
+        time: '2024-01-01T00:00:00.123Z',
+      });
+    });
+
+    it('should split health status from the action', () => {
+      expect(normalizeEvent(rawEvent('health_status: unhealthy'))).toMatchObject({
+        action: 'health_status',
+        health: 'unhealthy',
+      });
+    });
+
+    it('should ignore non-container and unsupported events', () => {
+      expect(normalizeEvent({ ...rawEvent('start'), Type: 'network' })).toBeNull();
+      expect(normalizeEvent(rawEvent('exec_start: sh'))).toBeNull();
+    });
+  });
+
+  describe('createEventStream', () => {
+    let docker;
+    let streams;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      streams = [];
+      docker = {
+        getEvents: vi.fn(async () => {
+          const stream = new PassThrough();
+          streams.push(stream);
+          return stream;
+        }),
+      };
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should subscribe lazily and deliver parsed events', async () => {
+      const eventStream = createEventStream(docker);
+      expect(docker.getEvents).not.toHaveBeenCalled();
+
+      const listener = vi.fn();
+      eventStream.subscribe(listener);
+      await vi.waitFor(() => expect(streams).toHaveLength(1));
+
+      expect(docker.getEvents).toHaveBeenCalledWith({
+        filters: { type: ['container'], event: expect.arrayContaining(['start', 'die', 'health_status']) },
+      });
+
+      const line = JSON.stringify(rawEvent('start'));
+      streams[0].write(`${line.substring(0, 10)}`);
+      streams[0].write(`${line.substring(10)}\n${JSON.stringify(rawEvent('exec_create'))}\n`);
+
+      await vi.waitFor(() => expect(listener).toHaveBeenCalledTimes(1));
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ action: 'start', containerId: 'abc123' }));
+      expect(eventStream.isConnected()).toBe(true);
+    });
+
+    it('should keep delivering when a listener throws', async () => {
+      const eventStream = createEventStream(docker);
+      const failing = vi.fn(() => { throw new Error('boom'); });
+      const working = vi.fn();
+      eventStream.subscribe(failing);
+      eventStream.subscribe(working);
+      await vi.waitFor(() => expect(streams).toHaveLength(1));
+
+      streams[0].write(`${JSON.stringify(rawEvent('stop'))}\n`);
+
+      await vi.waitFor(() => expect(working).toHaveBeenCalled());
+    });
+
+    it('should resubscribe after the Docker stream ends', async () => {
+      const eventStream = createEventStream(docker, { reconnectDelayMs: 1000 });
+      eventStream.subscribe(vi.fn());
+      await vi.waitFor(() => expect(streams).toHaveLength(1));
+
+      streams[0].emit('end');
+      expect(eventStream.isConnected()).toBe(false);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(docker.getEvents).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report the subscription opening and closing', async () => {
+      const eventStream = createEventStream(docker, { reconnectDelayMs: 1000 });
+      const onChange = vi.fn();
+      eventStream.onConnectionChange(onChange);
+      eventStream.subscribe(vi.fn());
+      await vi.waitFor(() => expect(onChange).toHaveBeenCalledWith(true));
+
+      streams[0].emit('end');
+      streams[0].emit('close');
+      expect(onChange.mock.calls).toEqual([[true], [false]]);
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(onChange.mock.calls).toEqual([[true], [false], [true]]);
+    });
+
+    it('should retry when subscribing fails', async () => {
+      docker.getEvents.mockRejectedValueOnce(new Error('Docker unavailable'));
+      const eventStream = createEventStream(docker, { reconnectDelayMs: 1000 });
+      eventStream.subscribe(vi.fn());
+
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(docker.getEvents).toHaveBeenCalledTimes(2);
+      expect(streams).toHaveLength(1);
+    });
+
+    it('should close the Docker stream when the last listener leaves', async () => {
+      const eventStream = createEventStream(docker, { reconnectDelayMs: 1000 });
+      const unsubscribe = eventStream.subscribe(vi.fn());
+      await vi.waitFor(() => expect(streams).toHaveLength(1));
+
+      unsubscribe();
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(streams[0].destroyed).toBe(true);
+      expect(docker.getEvents).toHaveBeenCalledTimes(1);
+    });
+  });
+});
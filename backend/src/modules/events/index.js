@@ -0,0 +1,42 @@
+/**
+ * Events module
+ * Subscribes to Docker events and pushes container changes to the UI over a WebSocket
+ */
+
+import { createEventStream } from './event-stream.js';
+import { createEventSocketServer } from './event-socket.js';
+
+let eventStream = null;
+let socketServer = null;
+
+export default {
+  name: 'events',
+
+  init(context) {
+    // The Docker subscription opens lazily with the first subscriber
+    eventStream = createEventStream(context.docker);
+  },
+
+  attachServer(server, context) {
+    socketServer = createEventSocketServer(server, eventStream);
+    console.log('Docker events available over WebSocket at /api/events');
+  },
+
+  async shutdown() {
+    if (socketServer) {
+      await socketServer.close();
+      socketServer = null;
+    }
+    if (eventStream) {
+      eventStream.close();
+    }
+  },
+
+  getEventStream() {
+    return eventStream;
+  },
+};
+
+// Re-export for direct usage
+export { createEventStream, normalizeEvent } from './event-stream.js';
+export { createEventSocketServer } from './event-socket.js';
@@ -15,6 +15,7 @@ const modules = new Map();
  * @param {Object} module - Module definition
  * @param {Function} module.init - Initialization function (receives context)
  * @param {Function} [module.registerRoutes] - Route registration function (receives express app)
+ * @param {Function} [module.attachServer] - Called with the HTTP server once it is listening
  * @param {Function} [module.shutdown] - Cleanup function
  */
 export function registerModule(name, module) {
@@ -97,6 +98,24 @@ export function registerAllRoutes(app, context) {
   }
 }
 
+/**
+ * Hand the HTTP server to modules that need it (e.g. WebSocket endpoints)
+ * @param {Object} server - HTTP server
+ * @param {Object} context - Module context
+ */
+export function attachServerToModules(server, context) {
+  for (const [name, module] of modules) {
+    if (module.initialized && module.attachServer) {
+      try {
+        module.attachServer(server, context);
+      } catch (error) {
+        console.error(`Failed to attach server to module "${name}":`, error);
+        throw error;
+      }
+    }
+  }
+}
+
 /**
  * Shutdown all modules
  */
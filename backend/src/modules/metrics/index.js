@@ -0,0 +1,70 @@
+/**
+ * Metrics module
+ * Collects container stats history on the scheduler and serves it for charting
+ */
+
+import path from 'path';
+import { createMetricsStore } from './metrics-store.js';
+import { createMetricsCollector } from './metrics-collector.js';
+import { createMetricsRoutes } from './routes.js';
+
+// How often aged samples are downsampled and the store file is compacted
+const COMPACT_INTERVAL_MS = 5 * 60 * 1000;
+
+let metricsStore = null;
+
+export default {
+  name: 'metrics',
+
+  async init(context) {
+    const { config, docker, getModule } = context;
+
+    if (!config.metrics?.enabled) {
+      console.log('Metrics collection is disabled');
+      metricsStore = null;
+      return;
+    }
+
+    const scheduler = getModule('scheduler')?.getScheduler?.();
+    if (!scheduler) {
+      console.warn('Scheduler not available; metrics collection disabled');
+      return;
+    }
+
+    metricsStore = createMetricsStore({
+      filePath: path.join(config.dataDir, 'metrics.jsonl'),
+      retentionMs: config.metrics.retentionDays * 24 * 60 * 60 * 1000,
+    });
+    await metricsStore.load();
+
+    const collector = createMetricsCollector(docker, metricsStore);
+
+    scheduler.schedule(
+      'collect-metrics',
+      () => collector.collect(),
+      config.metrics.intervalSeconds * 1000,
+      { runImmediately: true }
+    );
+    scheduler.schedule('compact-metrics', () => metricsStore.compact(), COMPACT_INTERVAL_MS);
+
+    console.log(`Collecting container metrics every ${config.metrics.intervalSeconds} seconds`);
+  },
+
+  registerRoutes(app, context) {
+    app.use('/api/containers', createMetricsRoutes(metricsStore));
+  },
+
+  async shutdown() {
+    if (metricsStore) {
+      await metricsStore.flush();
+    }
+  },
+
+  getStore() {
+    return metricsStore;
+  },
+};
+
+// Re-export for direct usage
+export { createMetricsStore } from './metrics-store.js';
+export { createMetricsCollector } from './metrics-collector.js';
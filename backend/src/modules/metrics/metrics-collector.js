@@ -0,0 +1,41 @@
+/**
+ * Metrics collector
+ * Samples resource usage of running containers into the metrics store
+ */
+
+import { calculateStats } from '../containers/stats-calculator.js';
+
+/**
+ * Create a metrics collector
+ * @param {Object} docker - Dockerode instance
+ * @param {Object} store - Metrics store
+ * @returns {Object} Metrics collector
+ */
+export function createMetricsCollector(docker, store) {
+  return {
+    /**
+     * Take one stats sample of every running container
+     * @returns {Promise<number>} Number of containers sampled
+     */
+    async collect() {
+      const containers = await docker.listContainers();
+      const now = Date.now();
+
+      const results = await Promise.allSettled(
+        containers.map(async (container) => {
+          const raw = await docker.getContainer(container.Id).stats({ stream: false });
+          await store.add(container.Id, calculateStats(raw), now);
+        })
+      );
+
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          const name = containers[index].Names?.[0]?.replace(/^\//, '') || containers[index].Id;
+          console.error(`Failed to collect metrics for ${name}:`, result.reason?.message);
+        }
+      });
+
+      return results.filter(r => r.status === 'fulfilled').length;
+    },
+  };
+}
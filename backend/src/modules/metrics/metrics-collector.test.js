@@ -0,0 +1,51 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createMetricsCollector } from './metrics-collector.js';
+import { createMetricsStore } from './metrics-store.js';
+
+const rawStats = {
+  read: '2024-01-01T10:00:00Z',
+  cpu_stats: { cpu_usage: { total_usage: 300 }, system_cpu_usage: 2000, online_cpus: 2 },
+  precpu_stats: { cpu_usage: { total_usage: 100 }, system_cpu_usage: 1000 },
+  memory_stats: { usage: 500, limit: 1000 },
+};
+
+describe('Metrics Collector', () => {
+  it('should sample every running container', async () => {
+    const stats = vi.fn().mockResolvedValue(rawStats);
+    const docker = {
+      listContainers: vi.fn().mockResolvedValue([
+        { Id: 'container1', Names: ['/app'] },
+        { Id: 'container2', Names: ['/db'] },
+      ]),
+      getContainer: vi.fn(() => ({ stats })),
+    };
+    const store = createMetricsStore();
+
+    const sampled = await createMetricsCollector(docker, store).collect();
+
+    expect(sampled).toBe(2);
+    expect(stats).toHaveBeenCalledWith({ stream: false });
+    expect(store.getLatest('container1')).toMatchObject({ cpuPercent: 40, memoryUsage: 500 });
+    expect(store.getLatest('container2')).toMatchObject({ cpuPercent: 40 });
+  });
+
+  it('should keep sampling when one container fails', async () => {
+    const docker = {
+      listContainers: vi.fn().mockResolvedValue([
+        { Id: 'container1', Names: ['/failing'] },
+        { Id: 'container2', Names: ['/working'] },
+      ]),
+      getContainer: vi.fn(id => ({
+        stats: id === 'container1'
+          ? vi.fn().mockRejectedValue(new Error('Container exited'))
+          : vi.fn().mockResolvedValue(rawStats),
+      })),
+    };
+    const store = createMetricsStore();
+
+    const sampled = await createMetricsCollector(docker, store).collect();
+
+    expect(sampled).toBe(1);
+    expect(store.getContainerIds()).toEqual(['container2']);
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Metrics store
+ * Keeps container stats history in tiers of decreasing resolution,
+ * persisted as an append-only JSON-lines file that is rewritten on compaction
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Raw samples are kept for a day, 5-minute averages for a week, hourly averages until retention
+export const TIERS = [
+  { name: '1m', resolutionMs: MINUTE_MS, maxAgeMs: DAY_MS },
+  { name: '5m', resolutionMs: 5 * MINUTE_MS, maxAgeMs: 7 * DAY_MS },
+  { name: '1h', resolutionMs: HOUR_MS, maxAgeMs: Infinity },
+];
+
+// Gauges are averaged when downsampling; counters keep the latest value
+const GAUGE_FIELDS = ['cpuPercent', 'memoryUsage', 'memoryLimit'];
+const COUNTER_FIELDS = ['networkRx', 'networkTx', 'blockRead', 'blockWrite'];
+
+/**
+ * @typedef {Object} MetricsPoint
+ * @property {number} t - Timestamp (ms since epoch)
+ * @property {number} cpuPercent
+ * @property {number} memoryUsage
+ * @property {number} memoryLimit
+ * @property {number} networkRx
+ * @property {number} networkTx
+ * @property {number} blockRead
+ * @property {number} blockWrite
+ */
+
+/**
+ * Aggregate several points into one
+ * @param {MetricsPoint[]} points - Points sorted by time
+ * @param {number} t - Timestamp of the aggregated point
+ * @returns {MetricsPoint}
+ */
+export function aggregatePoints(points, t) {
+  const result = { t };
+  for (const field of GAUGE_FIELDS) {
+    result[field] = points.reduce((sum, p) => sum + (p[field] || 0), 0) / points.length;
+  }
+  const last = points[points.length - 1];
+  for (const field of COUNTER_FIELDS) {
+    result[field] = last[field] || 0;
+  }
+  return result;
+}
+
+/**
+ * Group points into fixed-size time buckets and aggregate each bucket
+ * @param {MetricsPoint[]} points - Points sorted by time
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @returns {MetricsPoint[]}
+ */
+export function bucketPoints(points, bucketMs) {
+  const buckets = new Map();
+  for (const point of points) {
+    const bucket = Math.floor(point.t / bucketMs) * bucketMs;
+    if (!buckets.has(bucket)) {
+      buckets.set(bucket, []);
+    }
+    buckets.get(bucket).push(point);
+  }
+  return Array.from(buckets, ([t, bucketPoints]) => aggregatePoints(bucketPoints, t));
+}
+
+function toPoint(stats, t) {
+  const point = { t };
+  for (const field of [...GAUGE_FIELDS, ...COUNTER_FIELDS]) {
+    point[field] = stats[field] || 0;
+  }
+  return point;
+}
+
+/**
+ * Create a metrics store
+ * @param {Object} options - Options
+ * @param {string} [options.filePath] - Persistence file (in-memory only when omitted)
+ * @param {number} [options.retentionMs] - Drop points older than this
+ * @returns {Object} Metrics store
+ */
+export function createMetricsStore(options = {}) {
+  const { filePath = null, retentionMs = 30 * DAY_MS } = options;
+
+  // containerId -> tier name -> MetricsPoint[] (sorted by time)
+  const series = new Map();
+
+  // Serialize file writes so appends never interleave with a rewrite
+  let writeQueue = Promise.resolve();
+
+  function enqueueWrite(fn) {
+    writeQueue = writeQueue.then(fn).catch(error => {
+      console.error('Failed to persist metrics:', error);
+    });
+    return writeQueue;
+  }
+
+  function getTiers(containerId) {
+    if (!series.has(containerId)) {
+      series.set(containerId, Object.fromEntries(TIERS.map(tier => [tier.name, []])));
+    }
+    return series.get(containerId);
+  }
+
+  function serialize() {
+    const lines = [];
+    for (const [containerId, tiers] of series) {
+      for (const tier of TIERS) {
+        for (const point of tiers[tier.name]) {
+          lines.push(JSON.stringify({ c: containerId, tier: tier.name, ...point }));
+        }
+      }
+    }
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  return {
+    /**
+     * Load persisted points from disk
+     */
+    async load() {
+      if (!filePath) {
+        return;
+      }
+
+      let content;
+      try {
+        content = await fs.readFile(filePath, 'utf-8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const { c, tier, ...point } = JSON.parse(line);
+          const tiers = getTiers(c);
+          if (tiers[tier]) {
+            tiers[tier].push(point);
+          }
+        } catch {
+          // Skip lines truncated by a crash mid-append
+        }
+      }
+
+      for (const tiers of series.values()) {
+        for (const points of Object.values(tiers)) {
+          points.sort((a, b) => a.t - b.t);
+        }
+      }
+    },
+
+    /**
+     * Record a stats sample
+     * @param {string} containerId - Container ID
+     * @param {Object} stats - Computed stats (see containers/stats-calculator.js)
+     * @param {number} [t] - Sample time in ms (defaults to now)
+     * @returns {Promise<void>}
+     */
+    add(containerId, stats, t = Date.now()) {
+      const point = toPoint(stats, t);
+      getTiers(containerId)[TIERS[0].name].push(point);
+
+      if (!filePath) {
+        return Promise.resolve();
+      }
+      const line = `${JSON.stringify({ c: containerId, tier: TIERS[0].name, ...point })}\n`;
+      return enqueueWrite(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, line);
+      });
+    },
+
+    /**
+     * Downsample aged points into coarser tiers, apply retention and rewrite the file
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<void>}
+     */
+    compact(now = Date.now()) {
+      const retentionCutoff = now - retentionMs;
+
+      for (const [containerId, tiers] of series) {
+        for (let i = 0; i < TIERS.length - 1; i++) {
+          const tier = TIERS[i];
+          const next = TIERS[i + 1];
+          // Cut on a bucket boundary so one bucket is never split across two compactions
+          const cutoff = Math.floor((now - tier.maxAgeMs) / next.resolutionMs) * next.resolutionMs;
+
+          const aged = tiers[tier.name].filter(p => p.t < cutoff);
+          if (aged.length === 0) continue;
+
+          tiers[tier.name] = tiers[tier.name].filter(p => p.t >= cutoff);
+          tiers[next.name] = [...tiers[next.name], ...bucketPoints(aged, next.resolutionMs)]
+            .sort((a, b) => a.t - b.t);
+        }
+
+        for (const tier of TIERS) {
+          tiers[tier.name] = tiers[tier.name].filter(p => p.t >= retentionCutoff);
+        }
+
+        if (TIERS.every(tier => tiers[tier.name].length === 0)) {
+          series.delete(containerId);
+        }
+      }
+
+      if (!filePath) {
+        return Promise.resolve();
+      }
+      const content = serialize();
+      return enqueueWrite(async () => {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, content);
+        await fs.rename(tmpPath, filePath);
+      });
+    },
+
+    /**
+     * Query points for a container
+     * @param {string} containerId - Container ID or unique ID prefix
+     * @param {Object} range - Query range
+     * @param {number} range.from - Start time in ms (inclusive)
+     * @param {number} range.to - End time in ms (inclusive)
+     * @param {number} [range.stepMs] - Aggregate into buckets of this size
+     * @returns {MetricsPoint[]}
+     */
+    query(containerId, { from, to, stepMs }) {
+      const id = this.resolveContainerId(containerId);
+      if (!id) {
+        return [];
+      }
+
+      const tiers = series.get(id);
+      const points = TIERS
+        .flatMap(tier => tiers[tier.name])
+        .filter(p => p.t >= from && p.t <= to)
+        .sort((a, b) => a.t - b.t);
+
+      return stepMs ? bucketPoints(points, stepMs) : points;
+    },
+
+    /**
+     * Get the most recent point for a container
+     * @param {string} containerId - Container ID
+     * @returns {MetricsPoint|null}
+     */
+    getLatest(containerId) {
+      const tiers = series.get(containerId);
+      if (!tiers) {
+        return null;
+      }
+      for (const tier of TIERS) {
+        const points = tiers[tier.name];
+        if (points.length > 0) {
+          return points[points.length - 1];
+        }
+      }
+      return null;
+    },
+
+    /**
+     * Resolve a full container ID from an ID prefix
+     * @param {string} idOrPrefix - Container ID or prefix
+     * @returns {string|null}
+     */
+    resolveContainerId(idOrPrefix) {
+      if (series.has(idOrPrefix)) {
+        return idOrPrefix;
+      }
+      const matches = Array.from(series.keys()).filter(id => id.startsWith(idOrPrefix));
+      return matches.length === 1 ? matches[0] : null;
+    },
+
+    /**
+     * Get IDs of all containers with recorded metrics
+     * @returns {string[]}
+     */
+    getContainerIds() {
+      return Array.from(series.keys());
+    },
+
+    /**
+     * Wait for pending file writes (for shutdown and testing)
+     * @returns {Promise<void>}
+     */
+    flush() {
+      return writeQueue;
+    },
+  };
+}
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMetricsStore, bucketPoints } from './metrics-store.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function sample(overrides = {}) {
+  return {
+    cpuPercent: 10,
+    memoryUsage: 100,
+    memoryLimit: 1000,
+    networkRx: 1,
+    networkTx: 2,
+    blockRead: 3,
+    blockWrite: 4,
+    ...overrides,
+  };
+}
+
+describe('Metrics Store', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'metrics-store-'));
+    filePath = path.join(tmpDir, 'metrics.jsonl');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('bucketPoints', () => {
+    it('should average gauges and keep the latest counter value', () => {
+      const points = [
+        { t: 0, ...sample({ cpuPercent: 10, networkRx: 100 }) },
+        { t: 30 * 1000, ...sample({ cpuPercent: 30, networkRx: 200 }) },
+        { t: 60 * 1000, ...sample({ cpuPercent: 50, networkRx: 300 }) },
+      ];
+
+      const result = bucketPoints(points, MINUTE);
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({ t: 0, cpuPercent: 20, networkRx: 200 });
+      expect(result[1]).toMatchObject({ t: MINUTE, cpuPercent: 50, networkRx: 300 });
+    });
+  });
+
+  describe('add and query', () => {
+    it('should return points within range', async () => {
+      const store = createMetricsStore();
+      await store.add('abc123', sample({ cpuPercent: 1 }), 1000);
+      await store.add('abc123', sample({ cpuPercent: 2 }), 2000);
+      await store.add('abc123', sample({ cpuPercent: 3 }), 3000);
+
+      const points = store.query('abc123', { from: 1500, to: 3000 });
+
+      expect(points.map(p => p.cpuPercent)).toEqual([2, 3]);
+    });
+
+    it('should aggregate by step', async () => {
+      const store = createMetricsStore();
+      for (let i = 0; i < 10; i++) {
+        await store.add('abc123', sample({ cpuPercent: i }), i * MINUTE);
+      }
+
+      const points = store.query('abc123', { from: 0, to: 10 * MINUTE, stepMs: 5 * MINUTE });
+
+      expect(points).toHaveLength(2);
+      expect(points[0].cpuPercent).toBe(2);
+      expect(points[1].cpuPercent).toBe(7);
+    });
+
+    it('should resolve containers by unique ID prefix', async () => {
+      const store = createMetricsStore();
+      await store.add('abc123def456', sample(), 1000);
+      await store.add('abd999', sample(), 1000);
+
+      expect(store.query('abc1', { from: 0, to: 2000 })).toHaveLength(1);
+      expect(store.query('ab', { from: 0, to: 2000 })).toEqual([]);
+      expect(store.query('unknown', { from: 0, to: 2000 })).toEqual([]);
+    });
+
+    it('should return the latest point', async () => {
+      const store = createMetricsStore();
+      expect(store.getLatest('abc123')).toBeNull();
+
+      await store.add('abc123', sample({ cpuPercent: 1 }), 1000);
+      await store.add('abc123', sample({ cpuPercent: 2 }), 2000);
+
+      expect(store.getLatest('abc123')).toMatchObject({ t: 2000, cpuPercent: 2 });
+    });
+  });
+
+  describe('compact', () => {
+    it('should downsample raw samples older than a day into 5 minute buckets', async () => {
+      const store = createMetricsStore();
+      const now = 10 * DAY;
+      const old = now - 2 * DAY;
+
+      for (let i = 0; i < 10; i++) {
+        await store.add('abc123', sample({ cpuPercent: i }), old + i * MINUTE);
+      }
+      await store.add('abc123', sample({ cpuPercent: 99 }), now - MINUTE);
+
+      await store.compact(now);
+
+      const points = store.query('abc123', { from: 0, to: now });
+      expect(points).toHaveLength(3);
+      expect(points[0]).toMatchObject({ t: old, cpuPercent: 2 });
+      expect(points[1]).toMatchObject({ t: old + 5 * MINUTE, cpuPercent: 7 });
+      expect(points[2]).toMatchObject({ t: now - MINUTE, cpuPercent: 99 });
+    });
+
+    it('should downsample 5 minute buckets older than a week into hourly buckets', async () => {
+      const store = createMetricsStore({ retentionMs: 30 * DAY });
+      const now = 20 * DAY;
+      const old = now - 10 * DAY;
+
+      for (let i = 0; i < 12; i++) {
+        await store.add('abc123', sample({ cpuPercent: 10 }), old + i * 5 * MINUTE);
+      }
+
+      await store.compact(now);
+
+      const points = store.query('abc123', { from: 0, to: now });
+      expect(points).toHaveLength(1);
+      expect(points[0]).toMatchObject({ t: old, cpuPercent: 10 });
+    });
+
+    it('should drop points outside the retention window', async () => {
+      const store = createMetricsStore({ retentionMs: 3 * DAY });
+      const now = 10 * DAY;
+
+      await store.add('old-container', sample(), now - 5 * DAY);
+      await store.add('abc123', sample(), now - 5 * DAY);
+      await store.add('abc123', sample(), now - HOUR);
+
+      await store.compact(now);
+
+      expect(store.getContainerIds()).toEqual(['abc123']);
+      expect(store.query('abc123', { from: 0, to: now })).toHaveLength(1);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should append samples and reload them', async () => {
+      const store = createMetricsStore({ filePath });
+      await store.add('abc123', sample({ cpuPercent: 5 }), 1000);
+      await store.add('abc123', sample({ cpuPercent: 6 }), 2000);
+
+      const content = await fs.readFile(filePath, 'utf-8');
+      expect(content.trim().split('\n')).toHaveLength(2);
+
+      const reloaded = createMetricsStore({ filePath });
+      await reloaded.load();
+      expect(reloaded.query('abc123', { from: 0, to: 3000 }).map(p => p.cpuPercent)).toEqual([5, 6]);
+    });
+
+    it('should rewrite the file with downsampled tiers on compaction', async () => {
+      const now = 10 * DAY;
+      const store = createMetricsStore({ filePath });
+      for (let i = 0; i < 5; i++) {
+        await store.add('abc123', sample(), now - 2 * DAY + i * MINUTE);
+      }
+
+      await store.compact(now);
+
+      const lines = (await fs.readFile(filePath, 'utf-8')).trim().split('\n');
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0])).toMatchObject({ c: 'abc123', tier: '5m' });
+
+      const reloaded = createMetricsStore({ filePath });
+      await reloaded.load();
+      expect(reloaded.query('abc123', { from: 0, to: now })).toHaveLength(1);
+    });
+
+    it('should ignore a missing file and corrupt lines', async () => {
+      const store = createMetricsStore({ filePath });
+      await store.load();
+      expect(store.getContainerIds()).toEqual([]);
+
+      await fs.writeFile(filePath, '{"c":"abc123","tier":"1m","t":1000,"cpuPercent":1}\n{"c":"abc1');
+      await store.load();
+      expect(store.query('abc123', { from: 0, to: 2000 })).toHaveLength(1);
+    });
+  });
+});
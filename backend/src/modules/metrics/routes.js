@@ -0,0 +1,78 @@
+/**
+ * Metrics API routes
+ */
+
+import { Router } from 'express';
+
+// Default query window when "from" is omitted
+const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a time parameter given as Unix seconds or an ISO 8601 date
+ * @param {string} value - Raw query value
+ * @returns {number|null} Time in ms, or null if invalid
+ */
+function parseTime(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Parse a step given in seconds or as a duration like 30s, 5m, 1h
+ * @param {string} value - Raw query value
+ * @returns {number|null} Step in ms, or null if invalid
+ */
+function parseStep(value) {
+  const match = /^(\d+)([smhd])?$/.exec(value);
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+export function createMetricsRoutes(store) {
+  const router = Router();
+
+  // Get metrics history for charting
+  router.get('/:id/metrics', (req, res) => {
+    if (!store) {
+      return res.status(503).json({ error: 'Metrics collection is disabled' });
+    }
+
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    if (to === null) {
+      return res.status(400).json({ error: 'Invalid to parameter' });
+    }
+
+    const from = req.query.from ? parseTime(req.query.from) : to - DEFAULT_RANGE_MS;
+    if (from === null || from > to) {
+      return res.status(400).json({ error: 'Invalid from parameter' });
+    }
+
+    const stepMs = req.query.step ? parseStep(req.query.step) : null;
+    if (stepMs === null && req.query.step) {
+      return res.status(400).json({ error: 'Invalid step parameter' });
+    }
+
+    try {
+      const points = store.query(req.params.id, { from, to, stepMs });
+      res.json({
+        containerId: store.resolveContainerId(req.params.id) || req.params.id,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        step: stepMs ? stepMs / 1000 : null,
+        points: points.map(({ t, ...values }) => ({ timestamp: new Date(t).toISOString(), ...values })),
+      });
+    } catch (error) {
+      console.error('Error querying metrics:', error);
+      res.status(500).json({ error: 'Failed to query metrics', details: error.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import { createMetricsRoutes } from './routes.js';
+import { createMetricsStore } from './metrics-store.js';
+
+function createTestApp(store) {
+  const app = express();
+  app.use('/api/containers', createMetricsRoutes(store));
+  return app;
+}
+
+describe('Metrics Routes', () => {
+  let store;
+  let app;
+
+  beforeEach(async () => {
+    store = createMetricsStore();
+    for (let i = 0; i < 6; i++) {
+      await store.add('abc123def456', { cpuPercent: i * 10, memoryUsage: 100 }, Date.UTC(2024, 0, 1, 10, i));
+    }
+    app = createTestApp(store);
+  });
+
+  describe('GET /api/containers/:id/metrics', () => {
+    it('should return points in range', async () => {
+      const response = await request(app)
+        .get('/api/containers/abc123/metrics?from=2024-01-01T10:01:00Z&to=2024-01-01T10:03:00Z');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        containerId: 'abc123def456',
+        from: '2024-01-01T10:01:00.000Z',
+        to: '2024-01-01T10:03:00.000Z',
+        step: null,
+      });
+      expect(response.body.points).toHaveLength(3);
+      expect(response.body.points[0]).toMatchObject({
+        timestamp: '2024-01-01T10:01:00.000Z',
+        cpuPercent: 10,
+        memoryUsage: 100,
+      });
+    });
+
+    it('should accept Unix seconds and aggregate by step', async () => {
+      const from = Date.UTC(2024, 0, 1, 10, 0) / 1000;
+      const to = Date.UTC(2024, 0, 1, 10, 5) / 1000;
+
+      const response = await request(app).get(`/api/containers/abc123/metrics?from=${from}&to=${to}&step=3m`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.step).toBe(180);
+      expect(response.body.points.map(p => p.cpuPercent)).toEqual([10, 40]);
+    });
+
+    it('should reject invalid parameters', async () => {
+      expect((await request(app).get('/api/containers/abc123/metrics?from=nope')).status).toBe(400);
+      expect((await request(app).get('/api/containers/abc123/metrics?to=nope')).status).toBe(400);
+      expect((await request(app).get('/api/containers/abc123/metrics?step=0')).status).toBe(400);
+
+      const reversed = await request(app)
+        .get('/api/containers/abc123/metrics?from=2024-01-02T00:00:00Z&to=2024-01-01T00:00:00Z');
+      expect(reversed.status).toBe(400);
+      expect(reversed.body).toHaveProperty('error', 'Invalid from parameter');
+    });
+
+    it('should return 503 when metrics collection is disabled', async () => {
+      const response = await request(createTestApp(null)).get('/api/containers/abc123/metrics');
+
+      expect(response.status).toBe(503);
+      expect(response.body).toHaveProperty('error', 'Metrics collection is disabled');
+    });
+  });
+});
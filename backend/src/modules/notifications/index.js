@@ -3,29 +3,158 @@
  * Manages notification providers for sending alerts
  */
 
+import path from 'path';
 import { createNotificationManager } from './notification-manager.js';
+import { createNotificationOutbox } from './notification-outbox.js';
+import { createNotificationRouter, validateRoutingRules } from './notification-routing.js';
+import { createNotificationDigest } from './notification-digest.js';
+import { createNotificationHistory } from './notification-history.js';
+import { readJsonFile } from '../../lib/json-file.js';
+import { createNotificationRoutes } from './routes.js';
+import { EVENT_TYPES } from './notification-events.js';
 import { createDiscordWebhookProvider } from './providers/discord/discord-webhook.js';
 import { createDiscordBot } from './providers/discord/discord-bot.js';
+import { createSlackWebhookProvider } from './providers/slack/slack-webhook.js';
+import { createWebhookProvider } from './providers/webhook/webhook.js';
+import { createEmailProvider } from './providers/email/email.js';
+import { createNtfyProvider } from './providers/ntfy/ntfy.js';
+import { createGotifyProvider } from './providers/gotify/gotify.js';
+import { createTelegramProvider } from './providers/telegram/telegram.js';
+
+// How often due outbox entries are retried
+const OUTBOX_INTERVAL_MS = 15 * 1000;
+
+// How often held notifications are checked for release (quiet hours end, digest time)
+const DIGEST_INTERVAL_MS = 60 * 1000;
 
 let notificationManager = null;
+let outbox = null;
+let notificationRouter = null;
+let digest = null;
+let history = null;
+let rulesFile = null;
 let discordBot = null;
 
+/**
+ * Load routing rules from disk
+ * Invalid rules are reported and ignored, so notifications keep going to every provider.
+ * @param {string} filePath - Rules file
+ * @param {string[]} providerNames - Registered provider names
+ * @returns {Promise<Object|null>}
+ */
+async function loadRoutingRules(filePath, providerNames) {
+  let rules;
+  try {
+    rules = await readJsonFile(filePath, null);
+  } catch (error) {
+    console.error(`Failed to read routing rules from ${filePath}:`, error);
+    return null;
+  }
+  if (!rules) {
+    return null;
+  }
+
+  const errors = validateRoutingRules(rules, providerNames);
+  if (errors.length > 0) {
+    console.warn(`Ignoring invalid routing rules in ${filePath}: ${errors.join('; ')}`);
+    return null;
+  }
+  console.log(`Loaded ${rules.rules.length} notification routing rule(s)`);
+  return rules;
+}
+
+/**
+ * Keys of updates that still wait for a retry in the outbox, so scheduled checks don't queue them twice
+ * Entries the outbox gave up on don't count, so later checks notify about those updates again.
+ * @returns {Set<string>} containerId@remoteDigest
+ */
+function getQueuedUpdateKeys() {
+  const keys = new Set();
+  for (const entry of outbox.list()) {
+    if (entry.status === 'pending' && entry.event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+      for (const update of entry.event.data.updates) {
+        keys.add(`${update.containerId}@${update.remoteDigest}`);
+      }
+    }
+  }
+  return keys;
+}
+
 export default {
   name: 'notifications',
 
   async init(context) {
     const { config, getModule } = context;
 
-    // Create notification manager
-    notificationManager = createNotificationManager();
+    // Create notification manager; updates count as notified once a provider confirms delivery
+    notificationManager = createNotificationManager({
+      onDelivered(event, provider) {
+        if (event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+          getModule('update-checker')?.getChecker?.()?.markNotified(event.data.updates, { provider });
+        }
+      },
+    });
+
+    // Persist failed deliveries and retry them with backoff
+    const { retry } = config.notifications;
+    outbox = createNotificationOutbox({
+      deliver: (name, event) => notificationManager.deliverTo(name, event),
+      filePath: path.join(config.dataDir, 'notification-outbox.json'),
+      maxAttempts: retry.maxAttempts,
+      baseDelayMs: retry.baseDelaySeconds * 1000,
+      maxDelayMs: retry.maxDelayMinutes * 60 * 1000,
+      onGiveUp: entry => history?.updateResult(entry.event.id, entry.provider, { queued: false }),
+    });
+    try {
+      await outbox.load();
+    } catch (error) {
+      console.error('Failed to load notification outbox:', error);
+    }
+    notificationManager.setOutbox(outbox);
+
+    // Keep a log of sent notifications and their delivery results
+    history = createNotificationHistory({ filePath: path.join(config.dataDir, 'notification-history.json') });
+    try {
+      await history.load();
+    } catch (error) {
+      console.error('Failed to load notification history:', error);
+    }
+    notificationManager.setHistory(history);
 
     // Register Discord webhook provider
     const discordWebhook = createDiscordWebhookProvider();
     notificationManager.registerProvider(discordWebhook);
 
+    // Register Slack webhook provider
+    notificationManager.registerProvider(createSlackWebhookProvider());
+
+    // Register generic outgoing webhook provider
+    notificationManager.registerProvider(createWebhookProvider());
+
+    // Register SMTP email provider
+    notificationManager.registerProvider(createEmailProvider());
+
+    // Register self-hosted push providers
+    notificationManager.registerProvider(createNtfyProvider());
+    notificationManager.registerProvider(createGotifyProvider());
+
+    // Register Telegram provider; its inline buttons upgrade containers or ignore digests
+    notificationManager.registerProvider(createTelegramProvider({
+      getUpdateChecker: () => getModule('update-checker')?.getChecker?.(),
+      getContainerService: () => getModule('containers')?.getService?.(),
+      notify: event => notificationManager.send(event),
+    }));
+
     // Initialize all providers
     await notificationManager.initializeProviders(config);
 
+    // Route notifications per container when rules are configured
+    rulesFile = config.notifications.rulesFile || path.join(config.dataDir, 'notification-rules.json');
+    notificationRouter = createNotificationRouter(
+      await loadRoutingRules(rulesFile, notificationManager.getProviderNames())
+    );
+    notificationManager.setRouter(notificationRouter);
+
     // Start Discord bot if configured
     if (config.discord?.botToken) {
       const updateCheckerModule = getModule('update-checker');
@@ -61,7 +190,10 @@ export default {
             'check-updates',
             async () => {
               console.log('Running scheduled update check...');
-              const newUpdates = await updateChecker.checkForNewUpdates();
+              const queued = getQueuedUpdateKeys();
+              // docker-monitor.update.notify=none leaves the update on the dashboard only
+              const newUpdates = (await updateChecker.checkForNewUpdates({ markNotified: false }))
+                .filter(u => !queued.has(`${u.containerId}@${u.remoteDigest}`) && u.notify?.length !== 0);
               if (newUpdates.length > 0) {
                 console.log(`Found ${newUpdates.length} new update(s), sending notifications...`);
                 await notificationManager.notify(newUpdates);
@@ -78,9 +210,46 @@ export default {
       }
     }
 
+    const scheduler = getModule('scheduler')?.getScheduler?.();
+    if (scheduler) {
+      scheduler.schedule('retry-notifications', () => outbox.processDue(), OUTBOX_INTERVAL_MS);
+    } else {
+      console.warn('Scheduler not available; failed notifications will not be retried automatically');
+    }
+
+    // Quiet hours and the daily digest hold notifications until the scheduler releases them
+    const { quietHours, digestTime, timeZone } = config.notifications;
+    if (scheduler && (quietHours || digestTime)) {
+      digest = createNotificationDigest(
+        { quietHours, digestTime, timeZone, allowCritical: config.notifications.quietHoursAllowCritical },
+        event => notificationManager.send(event, { immediate: true })
+      );
+      notificationManager.setDigest(digest);
+      scheduler.schedule('release-notifications', () => digest.release(), DIGEST_INTERVAL_MS);
+      const schedule = [
+        quietHours && `quiet hours ${quietHours.start}-${quietHours.end}`,
+        digestTime && `daily digest at ${digestTime}`,
+      ].filter(Boolean).join(', ');
+      console.log(`Notification schedule: ${schedule} (${timeZone})`);
+    }
+
     console.log('Notifications module initialized');
   },
 
+  registerRoutes(app) {
+    app.use('/api/notifications', createNotificationRoutes({
+      outbox,
+      history,
+      notificationRouter,
+      rulesFile,
+      getProviders: () => notificationManager.getProviderNames().map(name => ({
+        name,
+        enabled: notificationManager.getProvider(name).isEnabled(),
+      })),
+      sendTest: names => notificationManager.sendTest(names),
+    }));
+  },
+
   async shutdown() {
     if (discordBot) {
       await discordBot.stop();
@@ -88,12 +257,30 @@ export default {
     if (notificationManager) {
       await notificationManager.shutdown();
     }
+    if (outbox) {
+      await outbox.flush();
+    }
+    if (history) {
+      await history.flush();
+    }
   },
 
   getNotificationManager() {
     return notificationManager;
   },
 
+  getOutbox() {
+    return outbox;
+  },
+
+  getDigest() {
+    return digest;
+  },
+
+  getHistory() {
+    return history;
+  },
+
   getDiscordBot() {
     return discordBot;
   },
@@ -101,6 +288,22 @@ export default {
 
 // Re-export for direct usage
 export { createNotificationManager } from './notification-manager.js';
+export { createNotificationOutbox } from './notification-outbox.js';
+export { createNotificationRouter, validateRoutingRules } from './notification-routing.js';
+export { createNotificationDigest } from './notification-digest.js';
+export { createNotificationHistory } from './notification-history.js';
 export { createDiscordWebhookProvider } from './providers/discord/discord-webhook.js';
 export { createDiscordBot } from './providers/discord/discord-bot.js';
+export { createSlackWebhookProvider } from './providers/slack/slack-webhook.js';
+export { createWebhookProvider } from './providers/webhook/webhook.js';
+export { createEmailProvider } from './providers/email/email.js';
+export { createNtfyProvider } from './providers/ntfy/ntfy.js';
+export { createGotifyProvider } from './providers/gotify/gotify.js';
+export { createTelegramProvider } from './providers/telegram/telegram.js';
 export { BaseNotificationProvider } from './providers/base-provider.js';
+export {
+  EVENT_TYPES,
+  createNotificationEvent,
+  createUpdateEvent,
+  createAlertEvent,
+} from './notification-events.js';
@@ -0,0 +1,182 @@
+/**
+ * Quiet hours and digest scheduling
+ * Holds notifications back during quiet hours and collects update notifications into a
+ * daily digest. Times are wall-clock times in the configured IANA time zone.
+ */
+
+import { EVENT_TYPES, createUpdateEvent } from './notification-events.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes, or null if invalid
+ */
+export function parseTimeOfDay(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value ?? '').trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Get the wall-clock time of day in a time zone
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA time zone (e.g. Europe/Berlin)
+ * @returns {number} Minutes after local midnight
+ */
+export function getMinutesInZone(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * Check whether a time falls inside a daily window
+ * Windows whose end is before their start span midnight (e.g. 22:00-07:00).
+ * @param {Date|number} date - Instant
+ * @param {{start: string, end: string}} window - Window as "HH:MM" times
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean}
+ */
+export function isWithinWindow(date, { start, end }, timeZone) {
+  const now = getMinutesInZone(date, timeZone);
+  const from = parseTimeOfDay(start);
+  const to = parseTimeOfDay(end);
+  if (from === to) {
+    return false;
+  }
+  return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+/**
+ * Get the next instant after `date` at which the wall clock reads `time`
+ * @param {Date|number} date - Start instant
+ * @param {string} time - "HH:MM"
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Time in ms
+ */
+export function getNextTimeOfDay(date, time, timeZone) {
+  const target = parseTimeOfDay(time);
+  const minuteStart = Math.floor(new Date(date).getTime() / 60000) * 60000;
+  const diff = (target - getMinutesInZone(minuteStart, timeZone) + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+  let next = minuteStart + diff * 60000;
+
+  // A DST change in between shifts the wall clock; correct by the offset difference
+  const drift = (target - getMinutesInZone(next, timeZone) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  if (drift !== 0) {
+    next += (drift > MINUTES_PER_DAY / 2 ? drift - MINUTES_PER_DAY : drift) * 60000;
+  }
+  return next;
+}
+
+/**
+ * Create a notification digest
+ * @param {Object} options
+ * @param {{start: string, end: string}|null} [options.quietHours] - Hold notifications in this window
+ * @param {boolean} [options.allowCritical=true] - Deliver critical events during quiet hours
+ * @param {string|null} [options.digestTime] - Collect updates and send them daily at this "HH:MM"
+ * @param {string} [options.timeZone='UTC'] - IANA time zone for both settings
+ * @param {Function} send - Delivers a released event: (event) => Promise
+ * @param {number} [now] - Current time in ms (for the first digest time)
+ * @returns {Object} Digest
+ */
+export function createNotificationDigest(
+  { quietHours = null, allowCritical = true, digestTime = null, timeZone = 'UTC' },
+  send,
+  now = Date.now()
+) {
+  // Held updates by container; a newer digest for the same container replaces the older one
+  const pendingUpdates = new Map();
+  const pendingEvents = [];
+  let nextDigestAt = digestTime ? getNextTimeOfDay(now, digestTime, timeZone) : null;
+
+  function isQuiet(time) {
+    return quietHours !== null && isWithinWindow(time, quietHours, timeZone);
+  }
+
+  function holdUpdates(updates) {
+    for (const update of updates) {
+      pendingUpdates.set(update.containerId, update);
+    }
+  }
+
+  return {
+    /**
+     * Hold an event back if quiet hours or the digest apply to it
+     * @param {import('./notification-events.js').NotificationEvent} event - Event
+     * @param {number} [time] - Current time in ms
+     * @returns {boolean} True when the event was held (and will be sent by release())
+     */
+    hold(event, time = Date.now()) {
+      if (event.type === EVENT_TYPES.TEST) {
+        return false;
+      }
+
+      if (event.type === EVENT_TYPES.UPDATE_AVAILABLE && (digestTime || isQuiet(time))) {
+        holdUpdates(event.data.updates);
+        return true;
+      }
+
+      if (isQuiet(time) && !(allowCritical && event.severity === 'critical')) {
+        pendingEvents.push(event);
+        return true;
+      }
+      return false;
+    },
+
+    /**
+     * Send whatever is due: held events once quiet hours end, and updates at the digest time
+     * (or when quiet hours end, without a digest). Meant to run every minute.
+     * @param {number} [time] - Current time in ms
+     * @returns {Promise<void>}
+     */
+    async release(time = Date.now()) {
+      if (isQuiet(time)) {
+        return;
+      }
+
+      for (const event of pendingEvents.splice(0)) {
+        try {
+          await send(event);
+        } catch (error) {
+          console.error(`Failed to send held ${event.type} notification:`, error);
+        }
+      }
+
+      if (nextDigestAt !== null && time < nextDigestAt) {
+        return;
+      }
+      if (nextDigestAt !== null) {
+        nextDigestAt = getNextTimeOfDay(time, digestTime, timeZone);
+      }
+
+      if (pendingUpdates.size > 0) {
+        const updates = Array.from(pendingUpdates.values());
+        pendingUpdates.clear();
+        console.log(`Sending digest of ${updates.length} update(s)`);
+        try {
+          await send(createUpdateEvent(updates));
+        } catch (error) {
+          console.error('Failed to send update digest:', error);
+        }
+      }
+    },
+
+    /**
+     * Get what is currently held back
+     * @returns {{updates: Array, events: Array, nextDigestAt: string|null}}
+     */
+    getPending() {
+      return {
+        updates: Array.from(pendingUpdates.values()),
+        events: [...pendingEvents],
+        nextDigestAt: nextDigestAt !== null ? new Date(nextDigestAt).toISOString() : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createNotificationDigest,
+  getNextTimeOfDay,
+  isWithinWindow,
+  parseTimeOfDay,
+} from './notification-digest.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from './notification-events.js';
+
+const TZ = 'Europe/Berlin';
+const at = iso => Date.parse(iso);
+
+const update = (containerId, remoteDigest) => ({
+  containerId,
+  containerName: containerId,
+  image: 'nginx:latest',
+  localDigest: 'sha256:old',
+  remoteDigest,
+});
+
+describe('Notification Digest', () => {
+  describe('time helpers', () => {
+    it('should parse times of day', () => {
+      expect(parseTimeOfDay('09:00')).toBe(540);
+      expect(parseTimeOfDay('7:05')).toBe(425);
+      expect(parseTimeOfDay('24:00')).toBeNull();
+      expect(parseTimeOfDay('')).toBeNull();
+    });
+
+    it('should evaluate windows in the configured time zone, including across midnight', () => {
+      const window = { start: '22:00', end: '07:00' };
+
+      expect(isWithinWindow(at('2026-01-15T21:30:00Z'), window, TZ)).toBe(true); // 22:30 CET
+      expect(isWithinWindow(at('2026-01-16T05:59:00Z'), window, TZ)).toBe(true); // 06:59 CET
+      expect(isWithinWindow(at('2026-01-16T06:00:00Z'), window, TZ)).toBe(false); // 07:00 CET
+      expect(isWithinWindow(at('2026-01-15T21:30:00Z'), window, 'UTC')).toBe(false);
+      expect(isWithinWindow(at('2026-01-15T12:30:00Z'), { start: '12:00', end: '13:00' }, 'UTC')).toBe(true);
+    });
+
+    it('should find the next wall-clock time, across DST changes', () => {
+      expect(getNextTimeOfDay(at('2026-01-15T10:00:00Z'), '09:00', TZ)).toBe(at('2026-01-16T08:00:00Z'));
+      expect(getNextTimeOfDay(at('2026-01-15T07:30:00Z'), '09:00', TZ)).toBe(at('2026-01-15T08:00:00Z'));
+      // Exactly at the time means the next day
+      expect(getNextTimeOfDay(at('2026-01-15T08:00:30Z'), '09:00', TZ)).toBe(at('2026-01-16T08:00:00Z'));
+      // Clocks go forward on 2026-03-29 in Berlin
+      expect(getNextTimeOfDay(at('2026-03-28T12:00:00Z'), '09:00', TZ)).toBe(at('2026-03-29T07:00:00Z'));
+    });
+  });
+
+  describe('daily digest', () => {
+    it('should collect updates and send them as one event at the digest time', async () => {
+      const send = vi.fn().mockResolvedValue([]);
+      const digest = createNotificationDigest({ digestTime: '09:00', timeZone: TZ }, send, at('2026-01-15T10:00:00Z'));
+
+      expect(digest.hold(createUpdateEvent([update('a', 'sha256:1')]), at('2026-01-15T11:00:00Z'))).toBe(true);
+      expect(digest.hold(createUpdateEvent([update('b', 'sha256:2'), update('a', 'sha256:3')]))).toBe(true);
+      expect(digest.getPending()).toMatchObject({ nextDigestAt: '2026-01-16T08:00:00.000Z' });
+
+      await digest.release(at('2026-01-16T07:59:00Z'));
+      expect(send).not.toHaveBeenCalled();
+
+      await digest.release(at('2026-01-16T08:00:00Z'));
+      expect(send).toHaveBeenCalledTimes(1);
+      const [event] = send.mock.calls[0];
+      expect(event.type).toBe(EVENT_TYPES.UPDATE_AVAILABLE);
+      expect(event.data.updates).toEqual([update('a', 'sha256:3'), update('b', 'sha256:2')]);
+      expect(digest.getPending()).toEqual({ updates: [], events: [], nextDigestAt: '2026-01-17T08:00:00.000Z' });
+    });
+
+    it('should not hold alerts or test notifications', () => {
+      const digest = createNotificationDigest({ digestTime: '09:00', timeZone: TZ }, vi.fn());
+
+      expect(digest.hold(createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, { message: 'web exited' }))).toBe(false);
+      expect(digest.hold(createNotificationEvent(EVENT_TYPES.TEST, { message: 'Test' }))).toBe(false);
+    });
+  });
+
+  describe('quiet hours', () => {
+    const quietHours = { start: '22:00', end: '07:00' };
+    const night = at('2026-01-15T23:00:00Z'); // 00:00 CET
+    const morning = at('2026-01-16T06:00:00Z'); // 07:00 CET
+
+    it('should hold non-critical events and updates until quiet hours end', async () => {
+      const send = vi.fn().mockResolvedValue([]);
+      const digest = createNotificationDigest({ quietHours, timeZone: TZ }, send);
+      const unhealthy = createNotificationEvent(EVENT_TYPES.CONTAINER_UNHEALTHY, { message: 'web is unhealthy' });
+
+      expect(digest.hold(unhealthy, night)).toBe(true);
+      expect(digest.hold(createUpdateEvent([update('a', 'sha256:1')]), night)).toBe(true);
+      expect(digest.hold(createUpdateEvent([update('b', 'sha256:2')]), morning)).toBe(false);
+
+      await digest.release(night);
+      expect(send).not.toHaveBeenCalled();
+
+      await digest.release(morning);
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(send.mock.calls[0][0]).toBe(unhealthy);
+      expect(send.mock.calls[1][0].data.updates).toEqual([update('a', 'sha256:1')]);
+    });
+
+    it('should let critical events through unless configured otherwise', () => {
+      const crash = createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, { message: 'web exited' });
+
+      expect(createNotificationDigest({ quietHours, timeZone: TZ }, vi.fn()).hold(crash, night)).toBe(false);
+      expect(createNotificationDigest({ quietHours, timeZone: TZ, allowCritical: false }, vi.fn()).hold(crash, night)).toBe(true);
+    });
+
+    it('should send a digest that falls in quiet hours once they end', async () => {
+      const send = vi.fn().mockResolvedValue([]);
+      const digest = createNotificationDigest(
+        { quietHours, digestTime: '06:00', timeZone: TZ },
+        send,
+        at('2026-01-15T12:00:00Z')
+      );
+      digest.hold(createUpdateEvent([update('a', 'sha256:1')]), night);
+
+      await digest.release(at('2026-01-16T05:00:00Z')); // 06:00 CET, still quiet
+      expect(send).not.toHaveBeenCalled();
+
+      await digest.release(morning);
+      expect(send).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Notification event envelope
+ * Every notification is a typed event so providers can format and filter by kind
+ */
+
+import { randomUUID } from 'crypto';
+
+export const EVENT_TYPES = {
+  UPDATE_AVAILABLE: 'update.available',
+  CONTAINER_DIED: 'container.died',
+  CONTAINER_OOM: 'container.oom',
+  CONTAINER_RESTART_LOOP: 'container.restart_loop',
+  CONTAINER_UNHEALTHY: 'container.unhealthy',
+  CONTAINER_RECOVERED: 'container.recovered',
+  UPGRADE_COMPLETED: 'upgrade.completed',
+  UPGRADE_FAILED: 'upgrade.failed',
+  TEST: 'test',
+};
+
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Default severity and title per event type
+const EVENT_DEFAULTS = {
+  [EVENT_TYPES.UPDATE_AVAILABLE]: { severity: 'info', title: 'Docker Image Updates Available' },
+  [EVENT_TYPES.CONTAINER_DIED]: { severity: 'critical', title: 'Container Crashed' },
+  [EVENT_TYPES.CONTAINER_OOM]: { severity: 'critical', title: 'Container Out of Memory' },
+  [EVENT_TYPES.CONTAINER_RESTART_LOOP]: { severity: 'critical', title: 'Container Restart Loop' },
+  [EVENT_TYPES.CONTAINER_UNHEALTHY]: { severity: 'warning', title: 'Container Unhealthy' },
+  [EVENT_TYPES.CONTAINER_RECOVERED]: { severity: 'info', title: 'Container Recovered' },
+  [EVENT_TYPES.UPGRADE_COMPLETED]: { severity: 'info', title: 'Container Upgraded' },
+  [EVENT_TYPES.UPGRADE_FAILED]: { severity: 'critical', title: 'Container Upgrade Failed' },
+  [EVENT_TYPES.TEST]: { severity: 'info', title: 'Test Notification' },
+};
+
+/**
+ * @typedef {Object} NotificationEvent
+ * @property {string} id - Unique event ID
+ * @property {string} type - One of EVENT_TYPES
+ * @property {string} severity - info, warning or critical
+ * @property {string} title - Short title
+ * @property {string} message - Human-readable summary
+ * @property {string} timestamp - Event time (ISO 8601)
+ * @property {Object} data - Type-specific payload (updates for update.available, container details otherwise)
+ * @property {string} [source] - Provider the event came from (e.g. a Telegram button); it is not sent back there
+ */
+
+/**
+ * Create a notification event
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} fields - Event fields
+ * @param {string} fields.message - Human-readable summary
+ * @param {Object} [fields.data] - Type-specific payload
+ * @param {string} [fields.severity] - Overrides the type's default severity
+ * @param {string} [fields.title] - Overrides the type's default title
+ * @param {string} [fields.timestamp] - Defaults to now
+ * @param {string} [fields.source] - Provider the event came from
+ * @returns {NotificationEvent}
+ */
+export function createNotificationEvent(type, { message, data = {}, severity, title, timestamp, source } = {}) {
+  const defaults = EVENT_DEFAULTS[type] || { severity: 'info', title: type };
+  const event = {
+    id: randomUUID(),
+    type,
+    severity: severity || defaults.severity,
+    title: title || defaults.title,
+    message: message || '',
+    timestamp: timestamp || new Date().toISOString(),
+    data,
+  };
+  if (source) {
+    event.source = source;
+  }
+  return event;
+}
+
+/**
+ * Wrap a list of available updates in an update.available event
+ * @param {import('./providers/base-provider.js').UpdateInfo[]} updates - Available updates
+ * @returns {NotificationEvent}
+ */
+export function createUpdateEvent(updates) {
+  return createNotificationEvent(EVENT_TYPES.UPDATE_AVAILABLE, {
+    message: `${updates.length} container${updates.length === 1 ? ' has' : 's have'} updates available.`,
+    data: { updates },
+  });
+}
+
+/**
+ * Wrap a container alert (see alerts/alert-engine.js) in a container.* event
+ * @param {Object} alert - Alert
+ * @returns {NotificationEvent}
+ */
+export function createAlertEvent(alert) {
+  const { type, message, time, ...data } = alert;
+  return createNotificationEvent(`container.${type}`, { message, data, timestamp: time });
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EVENT_TYPES,
+  createNotificationEvent,
+  createUpdateEvent,
+  createAlertEvent,
+} from './notification-events.js';
+import { BaseNotificationProvider } from './providers/base-provider.js';
+
+describe('Notification Events', () => {
+  describe('createNotificationEvent', () => {
+    it('should fill in defaults for the event type', () => {
+      const event = createNotificationEvent(EVENT_TYPES.UPGRADE_FAILED, {
+        message: 'Pull failed',
+        data: { containerName: 'web' },
+      });
+
+      expect(event).toMatchObject({
+        type: 'upgrade.failed',
+        severity: 'critical',
+        title: 'Container Upgrade Failed',
+        message: 'Pull failed',
+        data: { containerName: 'web' },
+      });
+      expect(event.id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(Date.parse(event.timestamp)).not.toBeNaN();
+    });
+
+    it('should allow overriding severity and title', () => {
+      const event = createNotificationEvent(EVENT_TYPES.TEST, { severity: 'warning', title: 'Custom' });
+
+      expect(event).toMatchObject({ severity: 'warning', title: 'Custom', message: '', data: {} });
+    });
+  });
+
+  describe('createUpdateEvent', () => {
+    it('should wrap updates', () => {
+      const updates = [{ containerName: 'web' }, { containerName: 'db' }];
+
+      const event = createUpdateEvent(updates);
+
+      expect(event).toMatchObject({
+        type: 'update.available',
+        severity: 'info',
+        message: '2 containers have updates available.',
+        data: { updates },
+      });
+    });
+  });
+
+  describe('createAlertEvent', () => {
+    it('should map alert types to container events', () => {
+      const event = createAlertEvent({
+        type: 'restart_loop',
+        containerId: 'abc123',
+        containerName: 'web',
+        image: 'nginx:latest',
+        message: 'web crashed 3 times in 10 minutes',
+        restarts: 3,
+        time: '2024-01-01T00:00:00.000Z',
+      });
+
+      expect(event).toMatchObject({
+        type: 'container.restart_loop',
+        severity: 'critical',
+        message: 'web crashed 3 times in 10 minutes',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        data: { containerId: 'abc123', containerName: 'web', image: 'nginx:latest', restarts: 3 },
+      });
+    });
+  });
+
+  describe('BaseNotificationProvider compatibility', () => {
+    it('should route sendUpdateNotification through send()', async () => {
+      class TestProvider extends BaseNotificationProvider {
+        constructor() {
+          super('test');
+          this.sent = [];
+        }
+
+        async send(event) {
+          this.sent.push(event);
+        }
+      }
+      const provider = new TestProvider();
+      const updates = [{ containerName: 'web' }];
+
+      await provider.sendUpdateNotification(updates);
+
+      expect(provider.sent).toHaveLength(1);
+      expect(provider.sent[0]).toMatchObject({ type: 'update.available', data: { updates } });
+      expect(provider.supports('container.died')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Notification history
+ * Keeps a capped log of sent notifications with per-provider delivery results.
+ */
+
+import { readJsonFile, createJsonFileWriter } from '../../lib/json-file.js';
+import { EVENT_TYPES } from './notification-events.js';
+
+export const HISTORY_STATUSES = ['delivered', 'partial', 'failed'];
+
+/**
+ * @typedef {Object} DeliveryResult
+ * @property {string} provider - Provider name
+ * @property {boolean} success - Whether the provider confirmed delivery
+ * @property {string} [error] - Latest error
+ * @property {boolean} [queued] - Waiting in the outbox for a retry
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Event ID
+ * @property {string} type - Event type
+ * @property {string} severity - Event severity
+ * @property {string} title - Event title
+ * @property {string} message - Event message
+ * @property {string} timestamp - Event time (ISO 8601)
+ * @property {string[]} containers - Names of the containers the event concerns
+ * @property {'delivered'|'partial'|'failed'} status - Overall delivery status
+ * @property {DeliveryResult[]} results - Per-provider results
+ */
+
+function getContainerNames(event) {
+  if (event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+    return event.data.updates.map(u => u.containerName);
+  }
+  return event.data?.containerName ? [event.data.containerName] : [];
+}
+
+function getStatus(results) {
+  const delivered = results.filter(r => r.success).length;
+  if (delivered === results.length) return 'delivered';
+  return delivered > 0 ? 'partial' : 'failed';
+}
+
+/**
+ * Create a notification history
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - JSON file to persist the history in (memory only when omitted)
+ * @param {number} [options.maxEntries=1000] - Oldest entries are dropped beyond this
+ * @returns {Object} History
+ */
+export function createNotificationHistory({ filePath, maxEntries = 1000 } = {}) {
+  // Oldest first
+  let entries = [];
+  const writer = filePath ? createJsonFileWriter(filePath) : null;
+
+  function persist() {
+    if (!writer) {
+      return Promise.resolve();
+    }
+    return writer.save(entries).catch(error => {
+      console.error('Failed to save notification history:', error);
+    });
+  }
+
+  return {
+    /**
+     * Load the history from disk
+     */
+    async load() {
+      if (!filePath) {
+        return;
+      }
+      const saved = await readJsonFile(filePath, []);
+      entries = Array.isArray(saved) ? saved.slice(-maxEntries) : [];
+    },
+
+    /**
+     * Record a sent event
+     * @param {import('./notification-events.js').NotificationEvent} event - Event
+     * @param {DeliveryResult[]} results - Results from NotificationManager.send
+     * @returns {Promise<void>}
+     */
+    record(event, results) {
+      if (results.length === 0) {
+        return Promise.resolve();
+      }
+      entries.push({
+        id: event.id,
+        type: event.type,
+        severity: event.severity,
+        title: event.title,
+        message: event.message,
+        timestamp: event.timestamp,
+        containers: getContainerNames(event),
+        status: getStatus(results),
+        results: results.map(r => ({ ...r })),
+      });
+      if (entries.length > maxEntries) {
+        entries = entries.slice(-maxEntries);
+      }
+      return persist();
+    },
+
+    /**
+     * Update one provider's result after a retry
+     * @param {string} id - Event ID
+     * @param {string} provider - Provider name
+     * @param {Partial<DeliveryResult>} result - New result fields
+     * @returns {Promise<void>}
+     */
+    updateResult(id, provider, result) {
+      const entry = entries.find(e => e.id === id);
+      const current = entry?.results.find(r => r.provider === provider);
+      if (!current) {
+        return Promise.resolve();
+      }
+      Object.assign(current, result);
+      if (current.success) {
+        delete current.error;
+      }
+      if (current.success || !current.queued) {
+        delete current.queued;
+      }
+      entry.status = getStatus(entry.results);
+      return persist();
+    },
+
+    /**
+     * Query the history, newest first
+     * @param {Object} [filters]
+     * @param {string} [filters.provider] - Only entries sent to this provider
+     * @param {string} [filters.container] - Only entries about a container whose name contains this
+     * @param {string} [filters.status] - Only entries with this status
+     * @param {string} [filters.type] - Only entries of this event type
+     * @param {number} [filters.limit=50] - Page size
+     * @param {number} [filters.offset=0] - Entries to skip
+     * @returns {{total: number, items: HistoryEntry[]}}
+     */
+    query({ provider, container, status, type, limit = 50, offset = 0 } = {}) {
+      const needle = container?.toLowerCase();
+      const matching = entries.filter(entry =>
+        (!provider || entry.results.some(r => r.provider === provider))
+        && (!needle || entry.containers.some(name => name.toLowerCase().includes(needle)))
+        && (!status || entry.status === status)
+        && (!type || entry.type === type)
+      ).reverse();
+
+      return {
+        total: matching.length,
+        items: matching.slice(offset, offset + limit),
+      };
+    },
+
+    /**
+     * Wait for pending writes
+     */
+    async flush() {
+      await writer?.flush();
+    },
+  };
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createNotificationHistory } from './notification-history.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from './notification-events.js';
+
+function diedEvent(containerName) {
+  return createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, {
+    message: `${containerName} exited unexpectedly`,
+    data: { containerName },
+  });
+}
+
+describe('Notification History', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notification-history-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should record events with their delivery status, newest first', async () => {
+    const history = createNotificationHistory();
+    const web = diedEvent('web');
+    const updates = createUpdateEvent([
+      { containerId: 'a', containerName: 'db', image: 'postgres:16' },
+      { containerId: 'b', containerName: 'cache', image: 'redis:7' },
+    ]);
+
+    await history.record(web, [
+      { provider: 'discord-webhook', success: true },
+      { provider: 'ntfy', success: false, error: 'ntfy publish failed: 500', queued: true },
+    ]);
+    await history.record(updates, [{ provider: 'discord-webhook', success: true }]);
+
+    const { total, items } = history.query();
+    expect(total).toBe(2);
+    expect(items[0]).toMatchObject({ id: updates.id, containers: ['db', 'cache'], status: 'delivered' });
+    expect(items[1]).toMatchObject({
+      id: web.id,
+      type: 'container.died',
+      severity: 'critical',
+      containers: ['web'],
+      status: 'partial',
+      results: [
+        { provider: 'discord-webhook', success: true },
+        { provider: 'ntfy', success: false, error: 'ntfy publish failed: 500', queued: true },
+      ],
+    });
+  });
+
+  it('should not record events no provider was sent', async () => {
+    const history = createNotificationHistory();
+
+    await history.record(diedEvent('web'), []);
+
+    expect(history.query().total).toBe(0);
+  });
+
+  it('should filter by provider, container, status and type and paginate', async () => {
+    const history = createNotificationHistory();
+    await history.record(diedEvent('web'), [{ provider: 'discord-webhook', success: true }]);
+    await history.record(diedEvent('worker'), [{ provider: 'ntfy', success: false, error: 'down' }]);
+    await history.record(diedEvent('web-2'), [{ provider: 'ntfy', success: true }]);
+
+    expect(history.query({ provider: 'ntfy' }).items.map(e => e.containers[0])).toEqual(['web-2', 'worker']);
+    expect(history.query({ container: 'WEB' }).items.map(e => e.containers[0])).toEqual(['web-2', 'web']);
+    expect(history.query({ status: 'failed' }).items.map(e => e.containers[0])).toEqual(['worker']);
+    expect(history.query({ type: 'update.available' }).total).toBe(0);
+
+    const page = history.query({ limit: 1, offset: 1 });
+    expect(page.total).toBe(3);
+    expect(page.items.map(e => e.containers[0])).toEqual(['worker']);
+  });
+
+  it('should update a provider result after a retry', async () => {
+    const history = createNotificationHistory();
+    const event = diedEvent('web');
+    await history.record(event, [{ provider: 'ntfy', success: false, error: 'down', queued: true }]);
+
+    await history.updateResult(event.id, 'ntfy', { success: true });
+
+    expect(history.query().items[0]).toMatchObject({
+      status: 'delivered',
+      results: [{ provider: 'ntfy', success: true }],
+    });
+    expect(history.query().items[0].results[0]).not.toHaveProperty('error');
+  });
+
+  it('should stop showing a delivery as queued once the outbox gives up', async () => {
+    const history = createNotificationHistory();
+    const event = diedEvent('web');
+    await history.record(event, [{ provider: 'ntfy', success: false, error: 'down', queued: true }]);
+
+    await history.updateResult(event.id, 'ntfy', { success: false, error: 'still down' });
+    expect(history.query().items[0].results[0]).toHaveProperty('queued', true);
+
+    await history.updateResult(event.id, 'ntfy', { queued: false });
+    expect(history.query().items[0]).toMatchObject({
+      status: 'failed',
+      results: [{ provider: 'ntfy', success: false, error: 'still down' }],
+    });
+    expect(history.query().items[0].results[0]).not.toHaveProperty('queued');
+  });
+
+  it('should drop the oldest entries beyond maxEntries', async () => {
+    const history = createNotificationHistory({ maxEntries: 2 });
+    for (const name of ['a', 'b', 'c']) {
+      await history.record(diedEvent(name), [{ provider: 'ntfy', success: true }]);
+    }
+
+    expect(history.query().items.map(e => e.containers[0])).toEqual(['c', 'b']);
+  });
+
+  it('should persist entries across restarts', async () => {
+    const filePath = path.join(tmpDir, 'notification-history.json');
+    const history = createNotificationHistory({ filePath });
+    await history.record(diedEvent('web'), [{ provider: 'ntfy', success: true }]);
+    await history.flush();
+
+    const reloaded = createNotificationHistory({ filePath });
+    await reloaded.load();
+
+    expect(reloaded.query().items).toEqual(history.query().items);
+  });
+});
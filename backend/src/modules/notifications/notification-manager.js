@@ -3,12 +3,58 @@
  * Coordinates multiple notification providers
  */
 
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from './notification-events.js';
+import { BaseNotificationProvider } from './providers/base-provider.js';
+
+/**
+ * Deliver an event to one provider
+ * Providers written before the event envelope only implement sendUpdateNotification().
+ * @param {Object} provider - Notification provider
+ * @param {import('./notification-events.js').NotificationEvent} event - Event
+ * @returns {Promise<boolean>} False when the provider cannot handle the event
+ */
+async function deliver(provider, event) {
+  // Subclasses inherit a send() that throws unless they override it
+  if (typeof provider.send === 'function' && provider.send !== BaseNotificationProvider.prototype.send) {
+    await provider.send(event);
+    return true;
+  }
+  if (event.type === EVENT_TYPES.UPDATE_AVAILABLE && typeof provider.sendUpdateNotification === 'function') {
+    await provider.sendUpdateNotification(event.data.updates);
+    return true;
+  }
+  return false;
+}
+
 /**
  * Create a notification manager
+ * @param {Object} [options]
+ * @param {Function} [options.onDelivered] - Called with (event, providerName) whenever a provider
+ *   confirms delivery, including deliveries retried from the outbox
  * @returns {Object} Notification manager
  */
-export function createNotificationManager() {
+export function createNotificationManager({ onDelivered = () => {} } = {}) {
   const providers = new Map();
+  // Per-provider send counters: name -> { sent, failed }
+  const sendStats = new Map();
+  // Failed deliveries are queued here for retry when set
+  let outbox = null;
+  // Narrows events per provider when routing rules are set
+  let router = null;
+  // Holds events back for quiet hours / the daily digest when set
+  let digest = null;
+  // Records what was sent when set
+  let history = null;
+
+  function recordResult(name, success) {
+    const stats = sendStats.get(name) || { sent: 0, failed: 0 };
+    if (success) {
+      stats.sent++;
+    } else {
+      stats.failed++;
+    }
+    sendStats.set(name, stats);
+  }
 
   return {
     /**
@@ -38,30 +84,168 @@ export function createNotificationManager() {
     },
 
     /**
-     * Send notification to all enabled providers
-     * @param {Array} updates - List of updates to notify about
+     * Queue failed deliveries in an outbox for retry
+     * @param {Object|null} notificationOutbox - Outbox (see notification-outbox.js)
      */
-    async notify(updates) {
-      if (!updates || updates.length === 0) {
+    setOutbox(notificationOutbox) {
+      outbox = notificationOutbox;
+    },
+
+    /**
+     * Route events to providers by container (see notification-routing.js)
+     * @param {Object|null} notificationRouter - Router
+     */
+    setRouter(notificationRouter) {
+      router = notificationRouter;
+    },
+
+    /**
+     * Hold events back for quiet hours and the daily digest (see notification-digest.js)
+     * @param {Object|null} notificationDigest - Digest
+     */
+    setDigest(notificationDigest) {
+      digest = notificationDigest;
+    },
+
+    /**
+     * Record sent events and their delivery results (see notification-history.js)
+     * @param {Object|null} notificationHistory - History
+     */
+    setHistory(notificationHistory) {
+      history = notificationHistory;
+    },
+
+    /**
+     * Send an event to every enabled provider that supports its type, except the one it came from
+     * With a router set, each provider only receives what its rules route to it.
+     * Failed deliveries are queued for retry when an outbox is set.
+     * @param {import('./notification-events.js').NotificationEvent} event - Event to send
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate=false] - Skip quiet hours and the digest
+     * @returns {Promise<Array<{provider: string, success: boolean, error?: string, queued?: boolean}>>}
+     *   Empty when the event was held back
+     */
+    async send(event, { immediate = false } = {}) {
+      if (digest && !immediate && digest.hold(event)) {
         return [];
       }
 
       const results = [];
       for (const [name, provider] of providers) {
-        if (provider.isEnabled()) {
-          try {
-            await provider.sendUpdateNotification(updates);
+        if (!provider.isEnabled() || (provider.supports && !provider.supports(event.type))) {
+          continue;
+        }
+        // The originating provider has already told its users (e.g. the Telegram upgrade reply)
+        if (name === event.source) {
+          continue;
+        }
+        const routed = router ? router.route(event, name) : event;
+        if (!routed) {
+          continue;
+        }
+        try {
+          const delivered = await deliver(provider, routed);
+          if (delivered) {
             results.push({ provider: name, success: true });
-          } catch (error) {
-            console.error(`Provider "${name}" failed to send notification:`, error);
-            results.push({ provider: name, success: false, error: error.message });
+            recordResult(name, true);
+            onDelivered(routed, name);
+          }
+        } catch (error) {
+          console.error(`Provider "${name}" failed to send ${event.type} notification:`, error);
+          recordResult(name, false);
+          const result = { provider: name, success: false, error: error.message };
+          if (outbox) {
+            try {
+              const entry = await outbox.enqueue(name, routed, error);
+              result.queued = entry.status === 'pending';
+            } catch (queueError) {
+              console.error(`Failed to queue ${event.type} notification for "${name}":`, queueError);
+            }
+          }
+          results.push(result);
+        }
+      }
+
+      await history?.record(event, results);
+      return results;
+    },
+
+    /**
+     * Deliver an event to a single provider (used by the outbox for retries)
+     * @param {string} name - Provider name
+     * @param {import('./notification-events.js').NotificationEvent} event - Event
+     * @returns {Promise<void>} Rejects when the provider is unavailable or fails
+     */
+    async deliverTo(name, event) {
+      const provider = providers.get(name);
+      if (!provider || !provider.isEnabled()) {
+        throw new Error(`Provider "${name}" is not available`);
+      }
+      try {
+        if (!await deliver(provider, event)) {
+          throw new Error(`Provider "${name}" cannot send ${event.type} notifications`);
+        }
+      } catch (error) {
+        recordResult(name, false);
+        await history?.updateResult(event.id, name, { success: false, error: error.message });
+        throw error;
+      }
+      recordResult(name, true);
+      await history?.updateResult(event.id, name, { success: true });
+      onDelivered(event, name);
+    },
+
+    /**
+     * Send a test event straight to the given providers
+     * Routing rules, quiet hours and the outbox are bypassed so the result reflects the provider setup.
+     * @param {string[]} names - Provider names
+     * @returns {Promise<Array<{provider: string, success: boolean, error?: string}>>}
+     */
+    async sendTest(names) {
+      const event = createNotificationEvent(EVENT_TYPES.TEST, {
+        message: 'This is a test notification from Docker Monitor.',
+      });
+
+      const results = [];
+      for (const name of names) {
+        const provider = providers.get(name);
+        try {
+          if (!provider || !provider.isEnabled()) {
+            throw new Error(`Provider "${name}" is not available`);
           }
+          if (!await deliver(provider, event)) {
+            throw new Error(`Provider "${name}" cannot send test notifications`);
+          }
+          results.push({ provider: name, success: true });
+        } catch (error) {
+          console.error(`Test notification via "${name}" failed:`, error);
+          results.push({ provider: name, success: false, error: error.message });
         }
       }
 
+      await history?.record(event, results);
       return results;
     },
 
+    /**
+     * Send notification about available updates to all enabled providers
+     * @param {Array} updates - List of updates to notify about
+     */
+    async notify(updates) {
+      if (!updates || updates.length === 0) {
+        return [];
+      }
+      return this.send(createUpdateEvent(updates));
+    },
+
+    /**
+     * Get the names of all registered providers
+     * @returns {string[]}
+     */
+    getProviderNames() {
+      return Array.from(providers.keys());
+    },
+
     /**
      * Get a provider by name
      * @param {string} name - Provider name
@@ -79,6 +263,18 @@ export function createNotificationManager() {
       return Array.from(providers.values()).filter(p => p.isEnabled());
     },
 
+    /**
+     * Get send success/failure counts for every registered provider
+     * @returns {Array<{provider: string, sent: number, failed: number}>}
+     */
+    getStats() {
+      return Array.from(providers.keys()).map(name => ({
+        provider: name,
+        sent: sendStats.get(name)?.sent || 0,
+        failed: sendStats.get(name)?.failed || 0,
+      }));
+    },
+
     /**
      * Shutdown all providers
      */
@@ -1,5 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { createNotificationManager } from './notification-manager.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from './notification-events.js';
+import { BaseNotificationProvider } from './providers/base-provider.js';
 
 describe('Notification Manager', () => {
   let manager;
@@ -131,6 +133,230 @@ describe('Notification Manager', () => {
     });
   });
 
+  describe('send', () => {
+    const event = createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, { message: 'web exited unexpectedly' });
+
+    it('should send events to providers implementing send()', async () => {
+      mockProvider1.send = vi.fn().mockResolvedValue(undefined);
+      mockProvider2.send = vi.fn().mockRejectedValue(new Error('Send failed'));
+      manager.registerProvider(mockProvider1);
+      manager.registerProvider(mockProvider2);
+
+      const results = await manager.send(event);
+
+      expect(mockProvider1.send).toHaveBeenCalledWith(event);
+      expect(results).toEqual([
+        { provider: 'provider1', success: true },
+        { provider: 'provider2', success: false, error: 'Send failed' },
+      ]);
+      expect(manager.getStats()).toContainEqual({ provider: 'provider2', sent: 0, failed: 1 });
+    });
+
+    it('should not send events back to the provider they came from', async () => {
+      mockProvider1.name = 'telegram';
+      mockProvider1.send = vi.fn().mockResolvedValue(undefined);
+      mockProvider2.send = vi.fn().mockResolvedValue(undefined);
+      manager.registerProvider(mockProvider1);
+      manager.registerProvider(mockProvider2);
+      const upgraded = createNotificationEvent(EVENT_TYPES.UPGRADE_COMPLETED, { message: 'web upgraded', source: 'telegram' });
+
+      const results = await manager.send(upgraded);
+
+      expect(mockProvider1.send).not.toHaveBeenCalled();
+      expect(mockProvider2.send).toHaveBeenCalledWith(upgraded);
+      expect(results).toEqual([{ provider: 'provider2', success: true }]);
+    });
+
+    it('should skip providers that do not support the event type', async () => {
+      mockProvider1.send = vi.fn().mockResolvedValue(undefined);
+      mockProvider1.supports = vi.fn(type => type === EVENT_TYPES.UPDATE_AVAILABLE);
+      manager.registerProvider(mockProvider1);
+
+      const results = await manager.send(event);
+
+      expect(mockProvider1.supports).toHaveBeenCalledWith(EVENT_TYPES.CONTAINER_DIED);
+      expect(mockProvider1.send).not.toHaveBeenCalled();
+      expect(results).toEqual([]);
+    });
+
+    it('should fall back to sendUpdateNotification for legacy providers', async () => {
+      manager.registerProvider(mockProvider1);
+      const updates = [{ containerName: 'test', image: 'nginx:latest' }];
+
+      const updateResults = await manager.send(createUpdateEvent(updates));
+      const alertResults = await manager.send(event);
+
+      expect(mockProvider1.sendUpdateNotification).toHaveBeenCalledWith(updates);
+      expect(updateResults).toEqual([{ provider: 'provider1', success: true }]);
+      expect(alertResults).toEqual([]);
+    });
+
+    it('should fall back to sendUpdateNotification for subclasses that do not override send()', async () => {
+      class LegacyProvider extends BaseNotificationProvider {
+        constructor() {
+          super('legacy');
+          this.enabled = true;
+          this.sent = [];
+        }
+
+        async sendUpdateNotification(updates) {
+          this.sent.push(updates);
+        }
+      }
+      const provider = new LegacyProvider();
+      manager.registerProvider(provider);
+      const updates = [{ containerName: 'test', image: 'nginx:latest' }];
+
+      const updateResults = await manager.notify(updates);
+      const alertResults = await manager.send(event);
+
+      expect(provider.sent).toEqual([updates]);
+      expect(updateResults).toEqual([{ provider: 'legacy', success: true }]);
+      expect(alertResults).toEqual([]);
+    });
+  });
+
+  describe('delivery confirmation and outbox', () => {
+    const event = createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, { message: 'web exited unexpectedly' });
+
+    it('should report confirmed deliveries and queue failures in the outbox', async () => {
+      const onDelivered = vi.fn();
+      const outbox = { enqueue: vi.fn().mockResolvedValue({ status: 'pending' }) };
+      manager = createNotificationManager({ onDelivered });
+      manager.setOutbox(outbox);
+      mockProvider1.send = vi.fn().mockResolvedValue(undefined);
+      mockProvider2.send = vi.fn().mockRejectedValue(new Error('Discord 502'));
+      manager.registerProvider(mockProvider1);
+      manager.registerProvider(mockProvider2);
+
+      const results = await manager.send(event);
+
+      expect(results).toEqual([
+        { provider: 'provider1', success: true },
+        { provider: 'provider2', success: false, error: 'Discord 502', queued: true },
+      ]);
+      expect(onDelivered).toHaveBeenCalledTimes(1);
+      expect(onDelivered).toHaveBeenCalledWith(event, 'provider1');
+      expect(outbox.enqueue).toHaveBeenCalledWith('provider2', event, expect.any(Error));
+    });
+
+    it('should deliver to a single provider for retries', async () => {
+      const onDelivered = vi.fn();
+      manager = createNotificationManager({ onDelivered });
+      mockProvider1.send = vi.fn().mockRejectedValueOnce(new Error('Discord 502')).mockResolvedValue(undefined);
+      manager.registerProvider(mockProvider1);
+
+      await expect(manager.deliverTo('provider1', event)).rejects.toThrow('Discord 502');
+      expect(onDelivered).not.toHaveBeenCalled();
+
+      await manager.deliverTo('provider1', event);
+      expect(onDelivered).toHaveBeenCalledWith(event, 'provider1');
+      expect(manager.getStats()).toEqual([{ provider: 'provider1', sent: 1, failed: 1 }]);
+
+      mockProvider1.isEnabled.mockReturnValue(false);
+      await expect(manager.deliverTo('provider1', event)).rejects.toThrow('Provider "provider1" is not available');
+      await expect(manager.deliverTo('missing', event)).rejects.toThrow('Provider "missing" is not available');
+    });
+  });
+
+  describe('history', () => {
+    it('should record sends and update them after retries', async () => {
+      const event = createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, { message: 'web exited unexpectedly' });
+      const history = { record: vi.fn(), updateResult: vi.fn() };
+      manager.setHistory(history);
+      mockProvider1.send = vi.fn().mockRejectedValueOnce(new Error('Discord 502')).mockResolvedValue(undefined);
+      manager.registerProvider(mockProvider1);
+
+      const results = await manager.send(event);
+      await manager.deliverTo('provider1', event);
+
+      expect(history.record).toHaveBeenCalledWith(event, results);
+      expect(history.updateResult).toHaveBeenCalledWith(event.id, 'provider1', { success: true });
+    });
+  });
+
+  describe('sendTest', () => {
+    it('should send a test event to each named provider, bypassing routing, the digest and the outbox', async () => {
+      const outbox = { enqueue: vi.fn() };
+      const digest = { hold: vi.fn().mockReturnValue(true) };
+      manager.setOutbox(outbox);
+      manager.setDigest(digest);
+      manager.setRouter({ route: () => null });
+      mockProvider1.send = vi.fn().mockResolvedValue(undefined);
+      mockProvider2.send = vi.fn().mockRejectedValue(new Error('Discord 401'));
+      manager.registerProvider(mockProvider1);
+      manager.registerProvider(mockProvider2);
+
+      const results = await manager.sendTest(['provider1', 'provider2', 'missing']);
+
+      expect(results).toEqual([
+        { provider: 'provider1', success: true },
+        { provider: 'provider2', success: false, error: 'Discord 401' },
+        { provider: 'missing', success: false, error: 'Provider "missing" is not available' },
+      ]);
+      expect(mockProvider1.send).toHaveBeenCalledWith(expect.objectContaining({ type: EVENT_TYPES.TEST }));
+      expect(digest.hold).not.toHaveBeenCalled();
+      expect(outbox.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('routing', () => {
+    it('should only send to providers the router selects', async () => {
+      const event = createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, { message: 'web exited unexpectedly' });
+      mockProvider1.send = vi.fn().mockResolvedValue(undefined);
+      mockProvider2.send = vi.fn().mockResolvedValue(undefined);
+      manager.registerProvider(mockProvider1);
+      manager.registerProvider(mockProvider2);
+      manager.setRouter({ route: (e, name) => (name === 'provider2' ? e : null) });
+
+      const results = await manager.send(event);
+
+      expect(mockProvider1.send).not.toHaveBeenCalled();
+      expect(mockProvider2.send).toHaveBeenCalledWith(event);
+      expect(results).toEqual([{ provider: 'provider2', success: true }]);
+      expect(manager.getProviderNames()).toEqual(['provider1', 'provider2']);
+    });
+  });
+
+  describe('digest', () => {
+    it('should hold events the digest takes and send immediate ones directly', async () => {
+      const event = createNotificationEvent(EVENT_TYPES.CONTAINER_UNHEALTHY, { message: 'web is unhealthy' });
+      mockProvider1.send = vi.fn().mockResolvedValue(undefined);
+      manager.registerProvider(mockProvider1);
+      const digest = { hold: vi.fn().mockReturnValue(true) };
+      manager.setDigest(digest);
+
+      expect(await manager.send(event)).toEqual([]);
+      expect(digest.hold).toHaveBeenCalledWith(event);
+      expect(mockProvider1.send).not.toHaveBeenCalled();
+
+      expect(await manager.send(event, { immediate: true })).toEqual([{ provider: 'provider1', success: true }]);
+      expect(digest.hold).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getStats', () => {
+    it('should count successful and failed sends per provider', async () => {
+      manager.registerProvider(mockProvider1);
+      manager.registerProvider(mockProvider2);
+      mockProvider2.sendUpdateNotification.mockRejectedValue(new Error('Send failed'));
+      const updates = [{ containerName: 'test', image: 'nginx:latest' }];
+
+      expect(manager.getStats()).toEqual([
+        { provider: 'provider1', sent: 0, failed: 0 },
+        { provider: 'provider2', sent: 0, failed: 0 },
+      ]);
+
+      await manager.notify(updates);
+      await manager.notify(updates);
+
+      expect(manager.getStats()).toEqual([
+        { provider: 'provider1', sent: 2, failed: 0 },
+        { provider: 'provider2', sent: 0, failed: 2 },
+      ]);
+    });
+  });
+
   describe('getEnabledProviders', () => {
     it('should return only enabled providers', async () => {
       mockProvider2.isEnabled.mockReturnValue(false);
@@ -0,0 +1,234 @@
+/**
+ * Notification outbox
+ * Durable queue of failed provider deliveries, retried with exponential backoff and jitter.
+ * Entries that run out of attempts stay in the outbox as "failed" until retried or discarded.
+ */
+
+import { randomUUID } from 'crypto';
+import { readJsonFile, createJsonFileWriter } from '../../lib/json-file.js';
+
+/**
+ * @typedef {Object} OutboxEntry
+ * @property {string} id - Entry ID
+ * @property {string} provider - Provider name to deliver to
+ * @property {import('./notification-events.js').NotificationEvent} event - Event to deliver
+ * @property {'pending'|'failed'} status - Pending retry, or out of attempts
+ * @property {number} attempts - Delivery attempts so far
+ * @property {string} lastError - Error from the latest attempt
+ * @property {string} createdAt - ISO time the first attempt failed
+ * @property {string|null} nextAttemptAt - ISO time of the next retry (pending only)
+ */
+
+/**
+ * Create a notification outbox
+ * @param {Object} options
+ * @param {Function} options.deliver - (providerName, event) => Promise; throws when delivery fails
+ * @param {string} [options.filePath] - JSON file to persist entries in (memory only when omitted)
+ * @param {number} [options.maxAttempts=8] - Attempts (including the first) before an entry is marked failed
+ * @param {number} [options.baseDelayMs=30000] - Delay before the first retry
+ * @param {number} [options.maxDelayMs=3600000] - Upper bound for the backoff delay
+ * @param {Function} [options.random=Math.random] - Random source for jitter
+ * @param {Function} [options.onGiveUp] - Called with an entry that ran out of attempts or was discarded
+ * @returns {Object} Outbox
+ */
+export function createNotificationOutbox({
+  deliver,
+  filePath,
+  maxAttempts = 8,
+  baseDelayMs = 30000,
+  maxDelayMs = 60 * 60 * 1000,
+  random = Math.random,
+  onGiveUp = () => {},
+}) {
+  const entries = new Map();
+  // Entries being delivered, so overlapping runs (scheduled job, manual retry) don't send them twice
+  const sending = new Set();
+  const writer = filePath ? createJsonFileWriter(filePath) : null;
+
+  function persist() {
+    return writer ? writer.save(Array.from(entries.values())) : Promise.resolve();
+  }
+
+  /**
+   * Backoff after the given number of attempts: base * 2^(attempts-1), capped, with the upper half jittered
+   * so providers recovering from an outage are not hit by every instance at once.
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  function backoffDelay(attempts) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + random() * (delay / 2));
+  }
+
+  async function recordFailure(entry, error, now) {
+    entry.attempts++;
+    entry.lastError = error.message;
+    if (entry.attempts >= maxAttempts) {
+      entry.status = 'failed';
+      entry.nextAttemptAt = null;
+      console.error(`Giving up on ${entry.event.type} notification via "${entry.provider}" after ${entry.attempts} attempts`);
+      await notifyGiveUp(entry);
+    } else {
+      entry.nextAttemptAt = new Date(now + backoffDelay(entry.attempts)).toISOString();
+    }
+  }
+
+  async function attempt(entry, now) {
+    sending.add(entry.id);
+    try {
+      await deliver(entry.provider, entry.event);
+      entries.delete(entry.id);
+      console.log(`Delivered queued ${entry.event.type} notification via "${entry.provider}"`);
+      return { entry, success: true };
+    } catch (error) {
+      await recordFailure(entry, error, now);
+      return { entry, success: false };
+    } finally {
+      sending.delete(entry.id);
+    }
+  }
+
+  async function notifyGiveUp(entry) {
+    try {
+      await onGiveUp(entry);
+    } catch (error) {
+      console.error(`Failed to report abandoned ${entry.event.type} notification via "${entry.provider}":`, error);
+    }
+  }
+
+  return {
+    /**
+     * Load persisted entries from disk
+     */
+    async load() {
+      if (!filePath) {
+        return;
+      }
+      const saved = await readJsonFile(filePath, []);
+      for (const entry of Array.isArray(saved) ? saved : []) {
+        entries.set(entry.id, entry);
+      }
+      if (entries.size > 0) {
+        console.log(`Loaded ${entries.size} queued notification(s) from outbox`);
+      }
+    },
+
+    /**
+     * Queue a delivery whose first attempt just failed
+     * @param {string} provider - Provider name
+     * @param {import('./notification-events.js').NotificationEvent} event - Event
+     * @param {Error} error - Failure from the first attempt
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<OutboxEntry>}
+     */
+    async enqueue(provider, event, error, now = Date.now()) {
+      const entry = {
+        id: randomUUID(),
+        provider,
+        event,
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date(now).toISOString(),
+        nextAttemptAt: null,
+      };
+      entries.set(entry.id, entry);
+      await recordFailure(entry, error, now);
+      await persist();
+      return entry;
+    },
+
+    /**
+     * Retry every pending entry that is due, skipping entries another run is already sending
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<Array<{entry: OutboxEntry, success: boolean}>>}
+     */
+    async processDue(now = Date.now()) {
+      const due = Array.from(entries.values())
+        .filter(e => e.status === 'pending' && Date.parse(e.nextAttemptAt) <= now && !sending.has(e.id));
+      const results = [];
+
+      for (const entry of due) {
+        // An earlier delivery in this run may have taken long enough for another run to pick the entry up
+        if (!sending.has(entry.id) && entries.has(entry.id)) {
+          results.push(await attempt(entry, now));
+        }
+      }
+
+      if (due.length > 0) {
+        await persist();
+      }
+      return results;
+    },
+
+    /**
+     * Deliver one entry now, whether or not it is due
+     * @param {string} id - Entry ID
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<{entry: OutboxEntry, success: boolean}|null>} Null when the entry does not exist or is
+     *   already being sent
+     */
+    async processEntry(id, now = Date.now()) {
+      const entry = entries.get(id);
+      if (!entry || sending.has(id)) {
+        return null;
+      }
+      const result = await attempt(entry, now);
+      await persist();
+      return result;
+    },
+
+    /**
+     * Make an entry due immediately (also revives failed entries)
+     * @param {string} id - Entry ID
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<OutboxEntry|null>}
+     */
+    async retry(id, now = Date.now()) {
+      const entry = entries.get(id);
+      if (!entry) {
+        return null;
+      }
+      entry.status = 'pending';
+      entry.nextAttemptAt = new Date(now).toISOString();
+      if (entry.attempts >= maxAttempts) {
+        // One more attempt before it is marked failed again
+        entry.attempts = maxAttempts - 1;
+      }
+      await persist();
+      return entry;
+    },
+
+    /**
+     * Discard an entry
+     * @param {string} id - Entry ID
+     * @returns {Promise<boolean>} False when the entry does not exist
+     */
+    async remove(id) {
+      const entry = entries.get(id);
+      if (!entry) {
+        return false;
+      }
+      entries.delete(id);
+      await persist();
+      await notifyGiveUp(entry);
+      return true;
+    },
+
+    /**
+     * List queued entries, oldest first
+     * @returns {OutboxEntry[]}
+     */
+    list() {
+      return Array.from(entries.values())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * Wait for pending writes
+     */
+    async flush() {
+      await writer?.flush();
+    },
+  };
+}
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createNotificationOutbox } from './notification-outbox.js';
+import { EVENT_TYPES, createNotificationEvent } from './notification-events.js';
+
+const event = createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, { message: 'web exited unexpectedly' });
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+describe('Notification Outbox', () => {
+  let tmpDir;
+  let filePath;
+  let deliver;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notification-outbox-'));
+    filePath = path.join(tmpDir, 'outbox.json');
+    deliver = vi.fn().mockResolvedValue(undefined);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  function createOutbox(options = {}) {
+    return createNotificationOutbox({
+      deliver,
+      filePath,
+      maxAttempts: 4,
+      baseDelayMs: 1000,
+      maxDelayMs: 3000,
+      random: () => 1,
+      ...options,
+    });
+  }
+
+  it('should schedule the first retry after the base delay', async () => {
+    const outbox = createOutbox();
+
+    const entry = await outbox.enqueue('discord-webhook', event, new Error('Discord 502'), NOW);
+
+    expect(entry).toMatchObject({
+      provider: 'discord-webhook',
+      event,
+      status: 'pending',
+      attempts: 1,
+      lastError: 'Discord 502',
+      nextAttemptAt: new Date(NOW + 1000).toISOString(),
+    });
+    expect(outbox.list()).toEqual([entry]);
+  });
+
+  it('should back off exponentially up to the maximum and apply jitter', async () => {
+    deliver.mockRejectedValue(new Error('still down'));
+    const outbox = createOutbox({ maxAttempts: 10 });
+    const entry = await outbox.enqueue('slack-webhook', event, new Error('down'), NOW);
+
+    const delays = [];
+    let now = NOW;
+    for (let i = 0; i < 3; i++) {
+      now = Date.parse(entry.nextAttemptAt);
+      await outbox.processDue(now);
+      delays.push(Date.parse(entry.nextAttemptAt) - now);
+    }
+    expect(delays).toEqual([2000, 3000, 3000]);
+
+    const jittered = createOutbox({ random: () => 0, filePath: undefined });
+    const first = await jittered.enqueue('slack-webhook', event, new Error('down'), NOW);
+    expect(Date.parse(first.nextAttemptAt) - NOW).toBe(500);
+  });
+
+  it('should only retry entries that are due and drop delivered ones', async () => {
+    const outbox = createOutbox();
+    const entry = await outbox.enqueue('discord-webhook', event, new Error('Discord 502'), NOW);
+
+    expect(await outbox.processDue(NOW + 999)).toEqual([]);
+    expect(deliver).not.toHaveBeenCalled();
+
+    const results = await outbox.processDue(NOW + 1000);
+
+    expect(deliver).toHaveBeenCalledWith('discord-webhook', event);
+    expect(results).toEqual([{ entry, success: true }]);
+    expect(outbox.list()).toEqual([]);
+  });
+
+  it('should not send an entry twice when runs overlap', async () => {
+    let finishDelivery;
+    deliver.mockReturnValue(new Promise(resolve => { finishDelivery = resolve; }));
+    const outbox = createOutbox();
+    const entry = await outbox.enqueue('discord-webhook', event, new Error('Discord 502'), NOW);
+
+    const first = outbox.processDue(NOW + 1000);
+    expect(await outbox.processDue(NOW + 1000)).toEqual([]);
+    expect(await outbox.processEntry(entry.id, NOW + 1000)).toBeNull();
+
+    finishDelivery();
+    expect(await first).toEqual([{ entry, success: true }]);
+    expect(deliver).toHaveBeenCalledTimes(1);
+  });
+
+  it('should deliver a single entry on request without touching other due entries', async () => {
+    const outbox = createOutbox();
+    const entry = await outbox.enqueue('discord-webhook', event, new Error('Discord 502'), NOW);
+    const other = await outbox.enqueue('slack-webhook', event, new Error('Slack 500'), NOW);
+
+    expect(await outbox.processEntry(entry.id, NOW)).toEqual({ entry, success: true });
+
+    expect(deliver).toHaveBeenCalledTimes(1);
+    expect(outbox.list()).toEqual([other]);
+  });
+
+  it('should mark entries failed after the maximum attempts and allow a manual retry', async () => {
+    deliver.mockRejectedValue(new Error('Discord 502'));
+    const outbox = createOutbox({ maxAttempts: 2 });
+    const entry = await outbox.enqueue('discord-webhook', event, new Error('Discord 502'), NOW);
+
+    await outbox.processDue(NOW + 1000);
+
+    expect(entry).toMatchObject({ status: 'failed', attempts: 2, nextAttemptAt: null });
+    expect(await outbox.processDue(NOW + 60000)).toEqual([]);
+
+    deliver.mockResolvedValue(undefined);
+    await outbox.retry(entry.id, NOW + 60000);
+    expect(entry).toMatchObject({ status: 'pending', attempts: 1 });
+
+    await outbox.processDue(NOW + 60000);
+    expect(outbox.list()).toEqual([]);
+  });
+
+  it('should report entries that run out of attempts or are discarded', async () => {
+    deliver.mockRejectedValue(new Error('Discord 502'));
+    const onGiveUp = vi.fn();
+    const outbox = createOutbox({ maxAttempts: 2, onGiveUp });
+    const failing = await outbox.enqueue('discord-webhook', event, new Error('Discord 502'), NOW);
+    const discarded = await outbox.enqueue('slack-webhook', event, new Error('Slack 500'), NOW + 5000);
+
+    await outbox.processDue(NOW + 1000);
+    expect(onGiveUp).toHaveBeenCalledTimes(1);
+    expect(onGiveUp).toHaveBeenCalledWith(failing);
+
+    await outbox.remove(discarded.id);
+    expect(onGiveUp).toHaveBeenLastCalledWith(discarded);
+  });
+
+  it('should persist entries across restarts', async () => {
+    const outbox = createOutbox();
+    const entry = await outbox.enqueue('discord-webhook', event, new Error('Discord 502'), NOW);
+    await outbox.enqueue('slack-webhook', event, new Error('Slack 500'), NOW + 1);
+    await outbox.remove(outbox.list()[1].id);
+    await outbox.flush();
+
+    const restored = createOutbox();
+    await restored.load();
+
+    expect(restored.list()).toEqual([entry]);
+    await restored.processDue(NOW + 1000);
+    await restored.flush();
+    expect(JSON.parse(await fs.readFile(filePath, 'utf-8'))).toEqual([]);
+  });
+
+  it('should return null/false for unknown entries', async () => {
+    const outbox = createOutbox();
+
+    expect(await outbox.retry('missing')).toBeNull();
+    expect(await outbox.processEntry('missing')).toBeNull();
+    expect(await outbox.remove('missing')).toBe(false);
+  });
+});
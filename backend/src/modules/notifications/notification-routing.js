@@ -0,0 +1,229 @@
+/**
+ * Notification routing rules
+ * Decide which providers receive an event based on the container it concerns.
+ *
+ * A rules document looks like:
+ *   {
+ *     "rules": [
+ *       { "match": { "labels": { "team": "payments" } }, "providers": ["slack-webhook"] },
+ *       { "match": { "labels": { "env": "prod" } }, "providers": ["email", "discord-webhook"] }
+ *     ],
+ *     "default": ["ntfy"]
+ *   }
+ * Every matching rule contributes its providers. Containers no rule matches go to "default",
+ * or to every provider when "default" is omitted. Events that don't concern a container
+ * (e.g. test notifications) always go to every provider.
+ *
+ * Updates of containers with a docker-monitor.update.notify label additionally only go to the
+ * providers it names, whether or not rules are set.
+ */
+
+import { EVENT_TYPES, createUpdateEvent } from './notification-events.js';
+
+/**
+ * @typedef {Object} RoutingRule
+ * @property {string} [name] - Label shown in logs and the API
+ * @property {Object} [match] - Criteria; all given criteria must match (an empty match matches everything)
+ * @property {string[]} [match.containers] - Container names
+ * @property {Object<string, string>} [match.labels] - Label values ("*" matches any value)
+ * @property {string[]} [match.types] - Event types (see EVENT_TYPES)
+ * @property {string[]} providers - Provider names to deliver to
+ */
+
+/**
+ * @typedef {Object} RoutingRules
+ * @property {RoutingRule[]} rules - Rules
+ * @property {string[]} [default] - Providers for containers no rule matches
+ */
+
+const EVENT_TYPE_VALUES = Object.values(EVENT_TYPES);
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+/**
+ * Validate a rules document
+ * @param {*} value - Parsed rules document
+ * @param {string[]} [providerNames] - Registered provider names; unknown names are reported when given
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateRoutingRules(value, providerNames) {
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['Rules must be an object with a "rules" array'];
+  }
+  if (!Array.isArray(value.rules)) {
+    errors.push('"rules" must be an array');
+  }
+
+  const checkProviders = (providers, where) => {
+    if (!isStringArray(providers)) {
+      errors.push(`${where} must be an array of provider names`);
+      return;
+    }
+    for (const name of providers) {
+      if (providerNames && !providerNames.includes(name)) {
+        errors.push(`${where} references unknown provider "${name}"`);
+      }
+    }
+  };
+
+  (Array.isArray(value.rules) ? value.rules : []).forEach((rule, index) => {
+    const where = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    checkProviders(rule.providers, `${where}.providers`);
+
+    const match = rule.match ?? {};
+    if (typeof match !== 'object' || Array.isArray(match)) {
+      errors.push(`${where}.match must be an object`);
+      return;
+    }
+    if (match.containers !== undefined && !isStringArray(match.containers)) {
+      errors.push(`${where}.match.containers must be an array of container names`);
+    }
+    if (match.labels !== undefined
+      && (typeof match.labels !== 'object' || Array.isArray(match.labels)
+        || !Object.values(match.labels).every(v => typeof v === 'string'))) {
+      errors.push(`${where}.match.labels must map label names to string values`);
+    }
+    if (match.types !== undefined) {
+      if (!isStringArray(match.types)) {
+        errors.push(`${where}.match.types must be an array of event types`);
+      } else {
+        for (const type of match.types.filter(t => !EVENT_TYPE_VALUES.includes(t))) {
+          errors.push(`${where}.match.types has unknown event type "${type}"`);
+        }
+      }
+    }
+  });
+
+  if (value.default !== undefined) {
+    checkProviders(value.default, '"default"');
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a rule matches a container
+ * @param {RoutingRule} rule - Rule
+ * @param {{containerName?: string, labels?: Object}} subject - Container the event concerns
+ * @param {string} type - Event type
+ * @returns {boolean}
+ */
+export function matchesRule(rule, subject, type) {
+  const { containers, labels, types } = rule.match || {};
+  if (types && !types.includes(type)) {
+    return false;
+  }
+  if (containers && !containers.includes(subject.containerName)) {
+    return false;
+  }
+  if (labels) {
+    const actual = subject.labels || {};
+    for (const [key, expected] of Object.entries(labels)) {
+      if (!(key in actual) || (expected !== '*' && actual[key] !== expected)) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Check whether a name from a notify label names a provider, by full name or short form ("slack" for "slack-webhook")
+ * @param {string} name - Label value
+ * @param {string} providerName - Provider name
+ * @returns {boolean}
+ */
+export function namesProvider(name, providerName) {
+  return providerName === name || providerName.startsWith(`${name}-`);
+}
+
+/**
+ * Check whether an update's notify label allows a provider
+ * @param {import('./providers/base-provider.js').UpdateInfo} update - Update
+ * @param {string} providerName - Provider name
+ * @returns {boolean}
+ */
+export function isNotifyAllowed(update, providerName) {
+  if (!update.notify) {
+    return true;
+  }
+  return update.notify.some(name => namesProvider(name, providerName));
+}
+
+/**
+ * Create a notification router
+ * @param {RoutingRules|null} [initialRules] - Rules; null routes everything to every provider
+ * @returns {Object} Router
+ */
+export function createNotificationRouter(initialRules = null) {
+  let rules = initialRules;
+
+  /**
+   * Providers for a container, or null for "every provider"
+   */
+  function getTargets(subject, type) {
+    const matched = rules.rules.filter(rule => matchesRule(rule, subject, type));
+    if (matched.length === 0) {
+      return rules.default ? new Set(rules.default) : null;
+    }
+    return new Set(matched.flatMap(rule => rule.providers));
+  }
+
+  function isRoutedTo(subject, type, providerName) {
+    const targets = getTargets(subject, type);
+    return targets === null || targets.has(providerName);
+  }
+
+  return {
+    /**
+     * Get the current rules
+     * @returns {RoutingRules|null}
+     */
+    getRules() {
+      return rules;
+    },
+
+    /**
+     * Replace the rules (validate first with validateRoutingRules)
+     * @param {RoutingRules|null} nextRules - Rules; null routes everything to every provider
+     */
+    setRules(nextRules) {
+      rules = nextRules;
+    },
+
+    /**
+     * Narrow an event to what one provider should receive
+     * Update digests are split so each provider only gets the containers routed to it.
+     * @param {import('./notification-events.js').NotificationEvent} event - Event
+     * @param {string} providerName - Provider name
+     * @returns {import('./notification-events.js').NotificationEvent|null} Event to send, or null to skip
+     */
+    route(event, providerName) {
+      if (event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+        const { updates } = event.data;
+        const routed = updates.filter(update => isNotifyAllowed(update, providerName)
+          && (!rules || isRoutedTo(update, event.type, providerName)));
+        if (routed.length === 0) {
+          return null;
+        }
+        if (routed.length === updates.length) {
+          return event;
+        }
+        const narrowed = createUpdateEvent(routed);
+        return { ...narrowed, id: event.id, timestamp: event.timestamp };
+      }
+
+      if (!rules || !event.data?.containerName) {
+        return event;
+      }
+      return isRoutedTo(event.data, event.type, providerName) ? event : null;
+    },
+  };
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { createNotificationRouter, validateRoutingRules, matchesRule } from './notification-routing.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from './notification-events.js';
+
+const rules = {
+  rules: [
+    { match: { labels: { team: 'payments' } }, providers: ['slack-webhook'] },
+    { match: { labels: { env: 'prod' } }, providers: ['email', 'discord-webhook'] },
+  ],
+  default: ['ntfy'],
+};
+
+const payments = { containerId: 'a1', containerName: 'billing', image: 'billing:1', labels: { team: 'payments', env: 'prod' } };
+const prod = { containerId: 'b2', containerName: 'web', image: 'nginx:latest', labels: { env: 'prod' } };
+const other = { containerId: 'c3', containerName: 'scratch', image: 'alpine:3', labels: {} };
+
+function crash(container) {
+  return createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, {
+    message: `${container.containerName} exited`,
+    data: container,
+  });
+}
+
+describe('Notification Routing', () => {
+  describe('matchesRule', () => {
+    it('should require every given criterion to match', () => {
+      const rule = { match: { containers: ['web'], labels: { env: '*' }, types: ['container.died'] }, providers: [] };
+
+      expect(matchesRule(rule, prod, 'container.died')).toBe(true);
+      expect(matchesRule(rule, prod, 'update.available')).toBe(false);
+      expect(matchesRule(rule, { ...prod, labels: {} }, 'container.died')).toBe(false);
+      expect(matchesRule(rule, other, 'container.died')).toBe(false);
+      expect(matchesRule({ providers: [] }, other, 'container.died')).toBe(true);
+    });
+  });
+
+  describe('route', () => {
+    it('should send everything everywhere without rules', () => {
+      const router = createNotificationRouter();
+      const event = crash(other);
+
+      expect(router.route(event, 'discord-webhook')).toBe(event);
+    });
+
+    it('should combine the providers of every matching rule', () => {
+      const router = createNotificationRouter(rules);
+      const event = crash(payments);
+
+      expect(router.route(event, 'slack-webhook')).toBe(event);
+      expect(router.route(event, 'email')).toBe(event);
+      expect(router.route(event, 'discord-webhook')).toBe(event);
+      expect(router.route(event, 'ntfy')).toBeNull();
+    });
+
+    it('should use the default providers when no rule matches', () => {
+      const router = createNotificationRouter(rules);
+      const event = crash(other);
+
+      expect(router.route(event, 'ntfy')).toBe(event);
+      expect(router.route(event, 'slack-webhook')).toBeNull();
+
+      router.setRules({ rules: rules.rules });
+      expect(router.route(event, 'slack-webhook')).toBe(event);
+    });
+
+    it('should split update digests per provider', () => {
+      const router = createNotificationRouter(rules);
+      const event = createUpdateEvent([payments, prod, other]);
+
+      const slack = router.route(event, 'slack-webhook');
+      expect(slack.data.updates).toEqual([payments]);
+      expect(slack.message).toBe('1 container has updates available.');
+      expect(slack.id).toBe(event.id);
+
+      expect(router.route(event, 'email').data.updates).toEqual([payments, prod]);
+      expect(router.route(event, 'ntfy').data.updates).toEqual([other]);
+      expect(router.route(createUpdateEvent([payments]), 'ntfy')).toBeNull();
+    });
+
+    it('should only send updates to the providers named by their notify label', () => {
+      const router = createNotificationRouter();
+      const labelled = { ...other, notify: ['slack', 'email'] };
+      const event = createUpdateEvent([labelled, prod]);
+
+      expect(router.route(event, 'slack-webhook')).toBe(event);
+      expect(router.route(event, 'email')).toBe(event);
+      expect(router.route(event, 'ntfy').data.updates).toEqual([prod]);
+      expect(router.route(createUpdateEvent([{ ...other, notify: [] }]), 'ntfy')).toBeNull();
+
+      router.setRules(rules);
+      expect(router.route(createUpdateEvent([{ ...payments, notify: ['slack', 'ntfy'] }]), 'ntfy')).toBeNull();
+      expect(router.route(createUpdateEvent([{ ...payments, notify: ['email'] }]), 'slack-webhook')).toBeNull();
+    });
+
+    it('should send events without a container to every provider', () => {
+      const router = createNotificationRouter(rules);
+      const event = createNotificationEvent(EVENT_TYPES.TEST, { message: 'Test notification' });
+
+      expect(router.route(event, 'slack-webhook')).toBe(event);
+    });
+  });
+
+  describe('validateRoutingRules', () => {
+    it('should accept a valid document', () => {
+      expect(validateRoutingRules(rules, ['slack-webhook', 'email', 'discord-webhook', 'ntfy'])).toEqual([]);
+    });
+
+    it('should report malformed rules and unknown providers or event types', () => {
+      expect(validateRoutingRules([])).toEqual(['Rules must be an object with a "rules" array']);
+      expect(validateRoutingRules({
+        rules: [
+          { match: { labels: { env: 1 }, types: ['container.exploded'] }, providers: ['email'] },
+          { match: { containers: 'web' }, providers: 'slack-webhook' },
+        ],
+        default: ['pager'],
+      }, ['email', 'slack-webhook'])).toEqual([
+        'rules[0].match.labels must map label names to string values',
+        'rules[0].match.types has unknown event type "container.exploded"',
+        'rules[1].providers must be an array of provider names',
+        'rules[1].match.containers must be an array of container names',
+        '"default" references unknown provider "pager"',
+      ]);
+    });
+  });
+});
@@ -3,6 +3,8 @@
  * All notification providers should implement this interface
  */
 
+import { createUpdateEvent } from '../notification-events.js';
+
 /**
  * @typedef {Object} UpdateInfo
  * @property {string} containerId - Container ID
@@ -10,6 +12,9 @@
  * @property {string} image - Image reference
  * @property {string} localDigest - Current local digest
  * @property {string} remoteDigest - Available remote digest
+ * @property {string} [newTag] - Newer version tag, when the update is a tag change
+ * @property {'major'|'minor'|'patch'} [updateType] - Size of the version change (with newTag)
+ * @property {string[]} [notify] - Providers named by the docker-monitor.update.notify label (empty for none)
  */
 
 /**
@@ -34,13 +39,32 @@ export class BaseNotificationProvider {
     throw new Error('init() must be implemented');
   }
 
+  /**
+   * Send a notification event
+   * @param {import('../notification-events.js').NotificationEvent} event - Event to send
+   * @returns {Promise<void>}
+   */
+  async send(event) {
+    throw new Error('send() must be implemented');
+  }
+
+  /**
+   * Whether this provider handles events of the given type
+   * @param {string} type - Event type (see EVENT_TYPES)
+   * @returns {boolean}
+   */
+  supports(type) {
+    return true;
+  }
+
   /**
    * Send a notification about available updates
+   * @deprecated Kept for compatibility; use send() with an update.available event
    * @param {UpdateInfo[]} updates - List of available updates
    * @returns {Promise<void>}
    */
   async sendUpdateNotification(updates) {
-    throw new Error('sendUpdateNotification() must be implemented');
+    return this.send(createUpdateEvent(updates));
   }
 
   /**
@@ -4,6 +4,8 @@
  */
 
 import { BaseNotificationProvider } from '../base-provider.js';
+import { EVENT_TYPES } from '../../notification-events.js';
+import { shortenDigest, formatAvailable } from '../format.js';
 
 // Rate limiting: minimum time between webhook calls
 const MIN_INTERVAL_MS = 5000;
@@ -11,6 +13,27 @@ const MIN_INTERVAL_MS = 5000;
 // Timeout for webhook requests
 const WEBHOOK_TIMEOUT_MS = 10000;
 
+// Embed colour per severity; types with a fixed colour override it
+const SEVERITY_COLORS = {
+  info: 0x5865f2, // Discord blurple
+  warning: 0xfee75c,
+  critical: 0xed4245,
+};
+
+const EVENT_ICONS = {
+  [EVENT_TYPES.CONTAINER_DIED]: '💥',
+  [EVENT_TYPES.CONTAINER_OOM]: '🧠',
+  [EVENT_TYPES.CONTAINER_RESTART_LOOP]: '🔁',
+  [EVENT_TYPES.CONTAINER_UNHEALTHY]: '🩺',
+  [EVENT_TYPES.CONTAINER_RECOVERED]: '✅',
+  [EVENT_TYPES.UPGRADE_COMPLETED]: '⬆️',
+  [EVENT_TYPES.UPGRADE_FAILED]: '❌',
+  [EVENT_TYPES.TEST]: '🔔',
+};
+
+const SUCCESS_COLOR = 0x57f287;
+const SUCCESS_TYPES = [EVENT_TYPES.CONTAINER_RECOVERED, EVENT_TYPES.UPGRADE_COMPLETED];
+
 // Discord webhook URL pattern
 const DISCORD_WEBHOOK_PATTERN = /^https:\/\/discord\.com\/api\/webhooks\/\d+\/[\w-]+$/;
 
@@ -57,15 +80,26 @@ export class DiscordWebhookProvider extends BaseNotificationProvider {
     console.log('Discord webhook provider initialized');
   }
 
-  async sendUpdateNotification(updates) {
+  async send(event) {
     if (!this.enabled || !this.webhookUrl) {
       return;
     }
 
-    if (updates.length === 0) {
+    if (event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+      const { updates } = event.data;
+      if (updates.length === 0) {
+        return;
+      }
+      await this.postEmbed(this.createEmbed(updates));
+      console.log(`Discord notification sent for ${updates.length} update(s)`);
       return;
     }
 
+    await this.postEmbed(this.createEventEmbed(event));
+    console.log(`Discord notification sent for ${event.type}`);
+  }
+
+  async postEmbed(embed) {
     // Rate limiting
     const now = Date.now();
     const timeSinceLastSend = now - this.lastSentTime;
@@ -73,8 +107,6 @@ export class DiscordWebhookProvider extends BaseNotificationProvider {
       await new Promise(r => setTimeout(r, MIN_INTERVAL_MS - timeSinceLastSend));
     }
 
-    const embed = this.createEmbed(updates);
-
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
 
@@ -97,7 +129,6 @@ export class DiscordWebhookProvider extends BaseNotificationProvider {
       }
 
       this.lastSentTime = Date.now();
-      console.log(`Discord notification sent for ${updates.length} update(s)`);
     } catch (error) {
       clearTimeout(timeoutId);
       console.error('Failed to send Discord webhook:', error);
@@ -111,7 +142,7 @@ export class DiscordWebhookProvider extends BaseNotificationProvider {
       value: [
         `**Image:** \`${update.image}\``,
         `**Current:** \`${this.shortenDigest(update.localDigest)}\``,
-        `**Available:** \`${this.shortenDigest(update.remoteDigest)}\``,
+        `**Available:** \`${formatAvailable(update)}\``,
       ].join('\n'),
       inline: false,
     }));
@@ -128,13 +159,37 @@ export class DiscordWebhookProvider extends BaseNotificationProvider {
     };
   }
 
-  shortenDigest(digest) {
-    if (!digest) return 'unknown';
-    // sha256:abc123... -> sha256:abc123
-    if (digest.startsWith('sha256:')) {
-      return digest.substring(0, 19) + '...';
+  createEventEmbed(event) {
+    const { containerName, image, exitCode, error } = event.data;
+    const fields = [];
+    if (containerName) {
+      fields.push({ name: 'Container', value: `\`${containerName}\``, inline: true });
+    }
+    if (image) {
+      fields.push({ name: 'Image', value: `\`${image}\``, inline: true });
+    }
+    if (exitCode !== undefined) {
+      fields.push({ name: 'Exit code', value: String(exitCode), inline: true });
     }
-    return digest.substring(0, 12) + '...';
+    if (error) {
+      fields.push({ name: 'Error', value: error, inline: false });
+    }
+
+    const icon = EVENT_ICONS[event.type];
+    return {
+      title: icon ? `${icon} ${event.title}` : event.title,
+      description: event.message,
+      color: SUCCESS_TYPES.includes(event.type) ? SUCCESS_COLOR : SEVERITY_COLORS[event.severity],
+      fields,
+      timestamp: event.timestamp,
+      footer: {
+        text: 'Docker Monitor',
+      },
+    };
+  }
+
+  shortenDigest(digest) {
+    return shortenDigest(digest);
   }
 }
 
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { DiscordWebhookProvider } from './discord-webhook.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from '../../notification-events.js';
 
 describe('Discord Webhook Provider', () => {
   let provider;
@@ -168,6 +169,58 @@ describe('Discord Webhook Provider', () => {
     });
   });
 
+  describe('send', () => {
+    beforeEach(async () => {
+      await provider.init({
+        discord: {
+          enabled: true,
+          webhookUrl: 'https://discord.com/api/webhooks/123/abc',
+        },
+      });
+    });
+
+    it('should send an embed for container events', async () => {
+      global.fetch.mockResolvedValue({ ok: true });
+
+      await provider.send(createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, {
+        message: 'my-app exited unexpectedly with code 1',
+        data: { containerName: 'my-app', image: 'nginx:latest', exitCode: 1 },
+        timestamp: '2024-01-01T00:00:00.000Z',
+      }));
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.embeds[0]).toMatchObject({
+        title: '💥 Container Crashed',
+        description: 'my-app exited unexpectedly with code 1',
+        color: 0xed4245,
+        timestamp: '2024-01-01T00:00:00.000Z',
+      });
+      expect(body.embeds[0].fields).toContainEqual({ name: 'Exit code', value: '1', inline: true });
+    });
+
+    it('should send update events as the update embed', async () => {
+      global.fetch.mockResolvedValue({ ok: true });
+
+      await provider.send(createUpdateEvent([
+        { containerName: 'my-app', image: 'nginx:latest', localDigest: 'sha256:a', remoteDigest: 'sha256:b' },
+      ]));
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.embeds[0].title).toContain('Updates Available');
+    });
+
+    it('should colour successful outcomes green', () => {
+      const embed = provider.createEventEmbed(createNotificationEvent(EVENT_TYPES.UPGRADE_COMPLETED, {
+        message: 'my-app was upgraded',
+        data: { containerName: 'my-app' },
+      }));
+
+      expect(embed.title).toBe('⬆️ Container Upgraded');
+      expect(embed.color).toBe(0x57f287);
+      expect(embed.fields).toHaveLength(1);
+    });
+  });
+
   describe('shortenDigest', () => {
     it('should shorten sha256 digests', () => {
       const digest = 'sha256:abc123def456ghi789jkl012mno345pqr678stu901vwx234yz';
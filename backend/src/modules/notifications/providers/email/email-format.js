@@ -0,0 +1,99 @@
+/**
+ * Email rendering for notification events
+ * Produces matching HTML and plain-text bodies
+ */
+
+import { EVENT_TYPES } from '../../notification-events.js';
+import { shortenDigest, formatAvailable } from '../format.js';
+
+const SEVERITY_COLORS = {
+  info: '#2f81f7',
+  warning: '#d29922',
+  critical: '#f85149',
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout(event, content) {
+  const color = SEVERITY_COLORS[event.severity] || SEVERITY_COLORS.info;
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif; color: #24292f;">
+  <h2 style="border-left: 4px solid ${color}; padding-left: 8px;">${escapeHtml(event.title)}</h2>
+  <p>${escapeHtml(event.message)}</p>
+  ${content}
+  <p style="color: #57606a; font-size: 12px;">Docker Monitor &bull; ${escapeHtml(event.timestamp)}</p>
+</body>
+</html>`;
+}
+
+function table(headers, rows) {
+  const cell = 'style="border: 1px solid #d0d7de; padding: 6px 10px; text-align: left;"';
+  return `<table style="border-collapse: collapse;">
+    <tr>${headers.map(h => `<th ${cell}>${escapeHtml(h)}</th>`).join('')}</tr>
+    ${rows.map(row => `<tr>${row.map(v => `<td ${cell}><code>${escapeHtml(v)}</code></td>`).join('')}</tr>`).join('\n    ')}
+  </table>`;
+}
+
+function detailRows(data) {
+  const rows = [];
+  if (data.containerName) rows.push(['Container', data.containerName]);
+  if (data.image) rows.push(['Image', data.image]);
+  if (data.exitCode !== undefined) rows.push(['Exit code', data.exitCode]);
+  if (data.restarts !== undefined) rows.push(['Crashes', data.restarts]);
+  if (data.error) rows.push(['Error', data.error]);
+  return rows;
+}
+
+/**
+ * Render an event as an email
+ * @param {import('../../notification-events.js').NotificationEvent} event - Event
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function renderEmail(event) {
+  if (event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+    const { updates } = event.data;
+    const rows = updates.map(u => [
+      u.containerName,
+      u.image,
+      shortenDigest(u.localDigest),
+      formatAvailable(u),
+    ]);
+
+    return {
+      subject: `[Docker Monitor] ${updates.length} image update${updates.length === 1 ? '' : 's'} available`,
+      html: layout(event, table(['Container', 'Image', 'Current', 'Available'], rows)),
+      text: [
+        event.message,
+        '',
+        ...updates.map(u => [
+          `- ${u.containerName} (${u.image})`,
+          `  Current:   ${shortenDigest(u.localDigest)}`,
+          `  Available: ${formatAvailable(u)}`,
+        ].join('\n')),
+        '',
+        `Docker Monitor - ${event.timestamp}`,
+      ].join('\n'),
+    };
+  }
+
+  const rows = detailRows(event.data);
+  const subjectTarget = event.data.containerName ? `: ${event.data.containerName}` : '';
+  return {
+    subject: `[Docker Monitor] ${event.title}${subjectTarget}`,
+    html: layout(event, rows.length > 0 ? table(['Field', 'Value'], rows) : ''),
+    text: [
+      event.message,
+      ...(rows.length > 0 ? ['', ...rows.map(([name, value]) => `${name}: ${value}`)] : []),
+      '',
+      `Docker Monitor - ${event.timestamp}`,
+    ].join('\n'),
+  };
+}
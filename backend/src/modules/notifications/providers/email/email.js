@@ -0,0 +1,113 @@
+/**
+ * SMTP email notification provider
+ * Sends HTML + plain-text digests, with recipients chosen by event severity
+ */
+
+import nodemailer from 'nodemailer';
+import { BaseNotificationProvider } from '../base-provider.js';
+import { EVENT_TYPES, SEVERITIES } from '../../notification-events.js';
+import { renderEmail } from './email-format.js';
+
+/**
+ * Build nodemailer transport options from email config
+ * @param {Object} email - config.email
+ * @returns {Object}
+ */
+function buildTransportOptions(email) {
+  const options = {
+    host: email.host,
+    port: email.port,
+    // secure = implicit TLS (usually port 465); otherwise upgrade with STARTTLS
+    secure: email.secure,
+    requireTLS: !email.secure && email.startTls,
+    ignoreTLS: !email.secure && !email.startTls,
+    tls: { rejectUnauthorized: email.tlsRejectUnauthorized },
+  };
+  if (email.user) {
+    options.auth = { user: email.user, pass: email.password };
+  }
+  return options;
+}
+
+export class EmailProvider extends BaseNotificationProvider {
+  constructor() {
+    super('email');
+    this.transporter = null;
+    this.from = '';
+    this.recipients = {};
+  }
+
+  async init(config) {
+    const email = config.email || {};
+
+    if (!email.enabled) {
+      console.log('Email provider disabled by config');
+      this.enabled = false;
+      return;
+    }
+
+    if (!email.host || !email.from) {
+      console.warn('SMTP_HOST and EMAIL_FROM are required, email provider disabled');
+      this.enabled = false;
+      return;
+    }
+
+    // Per-severity lists fall back to the default recipients
+    const defaults = email.to || [];
+    this.recipients = Object.fromEntries(SEVERITIES.map(severity => [
+      severity,
+      email.recipients?.[severity]?.length > 0 ? email.recipients[severity] : defaults,
+    ]));
+
+    if (SEVERITIES.every(severity => this.recipients[severity].length === 0)) {
+      console.warn('No email recipients configured, email provider disabled');
+      this.enabled = false;
+      return;
+    }
+
+    this.from = email.from;
+    this.transporter = nodemailer.createTransport(buildTransportOptions(email));
+    this.enabled = true;
+    console.log(`Email provider initialized (${email.host}:${email.port})`);
+  }
+
+  /**
+   * Recipients for an event severity
+   * @param {string} severity - info, warning or critical
+   * @returns {string[]}
+   */
+  getRecipients(severity) {
+    return this.recipients[severity] || this.recipients.info || [];
+  }
+
+  async send(event) {
+    if (!this.enabled || !this.transporter) {
+      return;
+    }
+
+    if (event.type === EVENT_TYPES.UPDATE_AVAILABLE && event.data.updates.length === 0) {
+      return;
+    }
+
+    const to = this.getRecipients(event.severity);
+    if (to.length === 0) {
+      return;
+    }
+
+    const { subject, html, text } = renderEmail(event);
+    await this.transporter.sendMail({ from: this.from, to, subject, html, text });
+    console.log(`Email notification sent for ${event.type} to ${to.length} recipient(s)`);
+  }
+
+  async shutdown() {
+    if (this.transporter) {
+      this.transporter.close();
+      this.transporter = null;
+    }
+  }
+}
+
+// Factory function
+export function createEmailProvider() {
+  return new EmailProvider();
+}
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import net from 'net';
+import { EmailProvider } from './email.js';
+import { renderEmail } from './email-format.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from '../../notification-events.js';
+
+// Minimal SMTP stand-in: accepts AUTH PLAIN and records each message
+function createSmtpStandIn() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let current = { auth: null, from: null, to: [], data: '' };
+
+    socket.write('220 localhost ESMTP stand-in\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.substring(0, index);
+        buffer = buffer.substring(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(current);
+            current = { auth: current.auth, from: null, to: [], data: '' };
+            socket.write('250 OK queued\r\n');
+          } else {
+            current.data += `${line}\n`;
+          }
+          continue;
+        }
+
+        const command = line.toUpperCase();
+        if (command.startsWith('EHLO')) {
+          socket.write('250-localhost\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        } else if (command.startsWith('AUTH PLAIN')) {
+          const [, user, pass] = Buffer.from(line.split(' ')[2], 'base64').toString().split('\0');
+          current.auth = { user, pass };
+          socket.write('235 Authentication successful\r\n');
+        } else if (command.startsWith('MAIL FROM')) {
+          current.from = line.match(/<(.*)>/)[1];
+          socket.write('250 OK\r\n');
+        } else if (command.startsWith('RCPT TO')) {
+          current.to.push(line.match(/<(.*)>/)[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return { server, messages };
+}
+
+const updates = [
+  {
+    containerId: 'abc123',
+    containerName: 'my-app',
+    image: 'nginx:latest',
+    localDigest: 'sha256:olddigest123456789',
+    remoteDigest: 'sha256:newdigest987654321',
+  },
+];
+
+describe('Email Provider', () => {
+  let provider;
+  let smtp;
+  let emailConfig;
+
+  beforeEach(async () => {
+    provider = new EmailProvider();
+    smtp = createSmtpStandIn();
+    await new Promise(resolve => smtp.server.listen(0, '127.0.0.1', resolve));
+    emailConfig = {
+      enabled: true,
+      host: '127.0.0.1',
+      port: smtp.server.address().port,
+      secure: false,
+      startTls: false,
+      tlsRejectUnauthorized: true,
+      user: 'monitor',
+      password: 'secret',
+      from: 'monitor@example.com',
+      to: ['ops@example.com'],
+      recipients: { info: [], warning: [], critical: ['oncall@example.com', 'lead@example.com'] },
+    };
+  });
+
+  afterEach(async () => {
+    await provider.shutdown();
+    await new Promise(resolve => smtp.server.close(resolve));
+  });
+
+  describe('init', () => {
+    it('should enable provider when SMTP is configured', async () => {
+      await provider.init({ email: emailConfig });
+
+      expect(provider.isEnabled()).toBe(true);
+      expect(provider.getRecipients('info')).toEqual(['ops@example.com']);
+      expect(provider.getRecipients('critical')).toEqual(['oncall@example.com', 'lead@example.com']);
+    });
+
+    it('should disable provider when host, sender or recipients are missing', async () => {
+      await provider.init({ email: { ...emailConfig, host: '' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({ email: { ...emailConfig, from: '' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({ email: { ...emailConfig, to: [], recipients: {} } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({});
+      expect(provider.isEnabled()).toBe(false);
+    });
+  });
+
+  describe('send', () => {
+    beforeEach(async () => {
+      await provider.init({ email: emailConfig });
+    });
+
+    it('should send an HTML and plain-text update digest', async () => {
+      await provider.sendUpdateNotification(updates);
+
+      expect(smtp.messages).toHaveLength(1);
+      const [message] = smtp.messages;
+      expect(message.auth).toEqual({ user: 'monitor', pass: 'secret' });
+      expect(message.from).toBe('monitor@example.com');
+      expect(message.to).toEqual(['ops@example.com']);
+      expect(message.data).toContain('Subject: [Docker Monitor] 1 image update available');
+      expect(message.data).toContain('multipart/alternative');
+      expect(message.data).toContain('text/plain');
+      expect(message.data).toContain('text/html');
+    });
+
+    it('should route critical events to the critical recipients', async () => {
+      await provider.send(createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, {
+        message: 'my-app exited unexpectedly with code 1',
+        data: { containerName: 'my-app', exitCode: 1 },
+      }));
+
+      expect(smtp.messages[0].to).toEqual(['oncall@example.com', 'lead@example.com']);
+      expect(smtp.messages[0].data).toContain('Subject: [Docker Monitor] Container Crashed: my-app');
+    });
+
+    it('should not send for empty updates', async () => {
+      await provider.sendUpdateNotification([]);
+
+      expect(smtp.messages).toHaveLength(0);
+    });
+  });
+
+  describe('renderEmail', () => {
+    it('should render an update table and matching text', () => {
+      const { html, text } = renderEmail(createUpdateEvent(updates));
+
+      expect(html).toContain('<code>my-app</code>');
+      expect(html).toContain('<code>sha256:newdigest987...</code>');
+      expect(text).toContain('- my-app (nginx:latest)');
+      expect(text).toContain('Available: sha256:newdigest987...');
+    });
+
+    it('should escape HTML in event content', () => {
+      const { html } = renderEmail(createNotificationEvent(EVENT_TYPES.UPGRADE_FAILED, {
+        message: 'Pull failed: <script>',
+        data: { containerName: 'a&b' },
+      }));
+
+      expect(html).toContain('Pull failed: &lt;script&gt;');
+      expect(html).toContain('<code>a&amp;b</code>');
+      expect(html).not.toContain('<script>');
+    });
+  });
+});
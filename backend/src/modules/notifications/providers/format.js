@@ -0,0 +1,70 @@
+/**
+ * Formatting helpers shared by notification providers
+ */
+
+import { EVENT_TYPES } from '../notification-events.js';
+
+/**
+ * Shorten an image digest for display
+ * @param {string} digest - Digest (e.g. sha256:abc...)
+ * @returns {string}
+ */
+export function shortenDigest(digest) {
+  if (!digest) return 'unknown';
+  // sha256:abc123... -> sha256:abc123
+  if (digest.startsWith('sha256:')) {
+    return digest.substring(0, 19) + '...';
+  }
+  return digest.substring(0, 12) + '...';
+}
+
+/**
+ * Describe what an update moves to: the new version tag if there is one, otherwise the digest
+ * @param {import('./base-provider.js').UpdateInfo} update - Update
+ * @returns {string}
+ */
+export function formatAvailable(update) {
+  const digest = shortenDigest(update.remoteDigest);
+  return update.newTag ? `${update.newTag} (${digest})` : digest;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+/**
+ * Check that a string is an absolute http(s) URL
+ * @param {string} url - URL to validate
+ * @returns {boolean}
+ */
+export function isHttpUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return false;
+  }
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Render an event as a short plain-text body for push notifications
+ * @param {import('../notification-events.js').NotificationEvent} event - Event
+ * @returns {string}
+ */
+export function formatPlainText(event) {
+  if (event.type !== EVENT_TYPES.UPDATE_AVAILABLE) {
+    return event.message;
+  }
+  return [
+    event.message,
+    ...event.data.updates.map(u => `• ${u.containerName} (${u.image}${u.newTag ? ` → ${u.newTag}` : ''})`),
+  ].join('\n');
+}
@@ -0,0 +1,111 @@
+/**
+ * Gotify push notification provider
+ * Posts messages to a self-hosted Gotify server using an application token
+ */
+
+import { BaseNotificationProvider } from '../base-provider.js';
+import { EVENT_TYPES } from '../../notification-events.js';
+import { formatPlainText, isHttpUrl } from '../format.js';
+
+// Timeout for message requests
+const MESSAGE_TIMEOUT_MS = 10000;
+
+// Gotify priorities: 0 (silent) .. 10; Android clients alert from 4 and pop up from 8
+const SEVERITY_PRIORITIES = {
+  info: 4,
+  warning: 6,
+  critical: 8,
+};
+
+export class GotifyProvider extends BaseNotificationProvider {
+  constructor() {
+    super('gotify');
+    this.serverUrl = null;
+    this.token = null;
+    this.priority = 0;
+    this.clickUrl = '';
+  }
+
+  async init(config) {
+    const gotify = config.gotify || {};
+
+    if (!gotify.enabled) {
+      console.log('Gotify provider disabled by config');
+      this.enabled = false;
+      return;
+    }
+
+    if (!isHttpUrl(gotify.url) || !gotify.token) {
+      console.warn('Gotify server URL or application token missing or invalid, provider disabled');
+      this.enabled = false;
+      return;
+    }
+
+    this.serverUrl = gotify.url.replace(/\/+$/, '');
+    this.token = gotify.token;
+    this.priority = gotify.priority || 0;
+    this.clickUrl = config.dashboardUrl || '';
+    this.enabled = true;
+    console.log('Gotify provider initialized');
+  }
+
+  async send(event) {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (event.type === EVENT_TYPES.UPDATE_AVAILABLE && event.data.updates.length === 0) {
+      return;
+    }
+
+    await this.postMessage(this.createMessage(event));
+    console.log(`Gotify notification sent for ${event.type}`);
+  }
+
+  createMessage(event) {
+    const message = {
+      title: event.title,
+      message: formatPlainText(event),
+      priority: this.priority || SEVERITY_PRIORITIES[event.severity] || SEVERITY_PRIORITIES.info,
+      extras: {
+        'client::display': { contentType: 'text/plain' },
+      },
+    };
+    if (this.clickUrl) {
+      message.extras['client::notification'] = { click: { url: this.clickUrl } };
+    }
+    return message;
+  }
+
+  async postMessage(message) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), MESSAGE_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`${this.serverUrl}/message`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Gotify-Key': this.token,
+        },
+        body: JSON.stringify(message),
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Gotify message failed: ${response.status} - ${text}`);
+      }
+    } catch (error) {
+      console.error('Failed to send Gotify notification:', error);
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+// Factory function
+export function createGotifyProvider() {
+  return new GotifyProvider();
+}
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { GotifyProvider } from './gotify.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from '../../notification-events.js';
+
+// Local stand-in for a Gotify server
+function createStandIn() {
+  const requests = [];
+  const responses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const { status = 200, text = '{}' } = responses.shift() || {};
+      res.writeHead(status);
+      res.end(text);
+    });
+  });
+  return { server, requests, responses };
+}
+
+const updates = [
+  {
+    containerId: 'abc123',
+    containerName: 'my-app',
+    image: 'nginx:latest',
+    localDigest: 'sha256:olddigest123456789',
+    remoteDigest: 'sha256:newdigest987654321',
+  },
+];
+
+describe('Gotify Provider', () => {
+  let provider;
+  let standIn;
+  let url;
+
+  beforeEach(async () => {
+    provider = new GotifyProvider();
+    standIn = createStandIn();
+    await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${standIn.server.address().port}/gotify/`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  describe('init', () => {
+    it('should enable provider when server and token are configured', async () => {
+      await provider.init({ gotify: { enabled: true, url, token: 'AbCdEf' } });
+
+      expect(provider.isEnabled()).toBe(true);
+    });
+
+    it('should disable provider when disabled, or token or URL is missing', async () => {
+      await provider.init({ gotify: { enabled: false, url, token: 'AbCdEf' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({ gotify: { enabled: true, url, token: '' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({ gotify: { enabled: true, url: '', token: 'AbCdEf' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({});
+      expect(provider.isEnabled()).toBe(false);
+    });
+  });
+
+  describe('send', () => {
+    it('should post updates to /message with the application token and click URL', async () => {
+      await provider.init({
+        gotify: { enabled: true, url, token: 'AbCdEf', priority: 0 },
+        dashboardUrl: 'https://docker.example.com',
+      });
+
+      await provider.sendUpdateNotification(updates);
+
+      expect(standIn.requests).toHaveLength(1);
+      const [request] = standIn.requests;
+      expect(request.url).toBe('/gotify/message');
+      expect(request.headers['x-gotify-key']).toBe('AbCdEf');
+      expect(request.body).toEqual({
+        title: 'Docker Image Updates Available',
+        message: '1 container has updates available.\n• my-app (nginx:latest)',
+        priority: 4,
+        extras: {
+          'client::display': { contentType: 'text/plain' },
+          'client::notification': { click: { url: 'https://docker.example.com' } },
+        },
+      });
+    });
+
+    it('should map severity to priority unless a fixed priority is set', async () => {
+      const event = createNotificationEvent(EVENT_TYPES.CONTAINER_UNHEALTHY, { message: 'my-app is unhealthy' });
+
+      await provider.init({ gotify: { enabled: true, url, token: 'AbCdEf' } });
+      await provider.send(event);
+      expect(standIn.requests[0].body.priority).toBe(6);
+      expect(standIn.requests[0].body.extras).not.toHaveProperty('client::notification');
+
+      await provider.init({ gotify: { enabled: true, url, token: 'AbCdEf', priority: 10 } });
+      await provider.send(event);
+      expect(standIn.requests[1].body.priority).toBe(10);
+    });
+
+    it('should not post for empty updates', async () => {
+      await provider.init({ gotify: { enabled: true, url, token: 'AbCdEf' } });
+
+      await provider.send(createUpdateEvent([]));
+
+      expect(standIn.requests).toHaveLength(0);
+    });
+
+    it('should throw on error response', async () => {
+      await provider.init({ gotify: { enabled: true, url, token: 'AbCdEf' } });
+      standIn.responses.push({ status: 401, text: 'unauthorized' });
+
+      await expect(provider.sendUpdateNotification(updates)).rejects.toThrow('Gotify message failed: 401');
+    });
+  });
+});
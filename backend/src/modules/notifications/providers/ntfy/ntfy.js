@@ -0,0 +1,131 @@
+/**
+ * ntfy push notification provider
+ * Publishes notifications to a topic on ntfy.sh or a self-hosted ntfy server
+ */
+
+import { BaseNotificationProvider } from '../base-provider.js';
+import { EVENT_TYPES } from '../../notification-events.js';
+import { formatPlainText, isHttpUrl } from '../format.js';
+
+// Timeout for publish requests
+const PUBLISH_TIMEOUT_MS = 10000;
+
+// ntfy priorities: 1 (min) .. 5 (max)
+const SEVERITY_PRIORITIES = {
+  info: 3,
+  warning: 4,
+  critical: 5,
+};
+
+// Tags that match an emoji shortcode are shown as an icon by ntfy clients
+const EVENT_TAGS = {
+  [EVENT_TYPES.UPDATE_AVAILABLE]: 'arrows_counterclockwise',
+  [EVENT_TYPES.CONTAINER_DIED]: 'boom',
+  [EVENT_TYPES.CONTAINER_OOM]: 'brain',
+  [EVENT_TYPES.CONTAINER_RESTART_LOOP]: 'repeat',
+  [EVENT_TYPES.CONTAINER_UNHEALTHY]: 'stethoscope',
+  [EVENT_TYPES.CONTAINER_RECOVERED]: 'white_check_mark',
+  [EVENT_TYPES.UPGRADE_COMPLETED]: 'arrow_up',
+  [EVENT_TYPES.UPGRADE_FAILED]: 'x',
+  [EVENT_TYPES.TEST]: 'bell',
+};
+
+export class NtfyProvider extends BaseNotificationProvider {
+  constructor() {
+    super('ntfy');
+    this.serverUrl = null;
+    this.topic = null;
+    this.token = '';
+    this.priority = 0;
+    this.tags = [];
+    this.clickUrl = '';
+  }
+
+  async init(config) {
+    const ntfy = config.ntfy || {};
+
+    if (!ntfy.enabled) {
+      console.log('ntfy provider disabled by config');
+      this.enabled = false;
+      return;
+    }
+
+    if (!isHttpUrl(ntfy.url) || !ntfy.topic) {
+      console.warn('ntfy server URL or topic missing or invalid, provider disabled');
+      this.enabled = false;
+      return;
+    }
+
+    this.serverUrl = ntfy.url.replace(/\/+$/, '');
+    this.topic = ntfy.topic;
+    this.token = ntfy.token || '';
+    this.priority = ntfy.priority || 0;
+    this.tags = Array.isArray(ntfy.tags) ? ntfy.tags : [];
+    this.clickUrl = config.dashboardUrl || '';
+    this.enabled = true;
+    console.log(`ntfy provider initialized (topic: ${this.topic})`);
+  }
+
+  async send(event) {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (event.type === EVENT_TYPES.UPDATE_AVAILABLE && event.data.updates.length === 0) {
+      return;
+    }
+
+    await this.publish(this.createMessage(event));
+    console.log(`ntfy notification sent for ${event.type}`);
+  }
+
+  createMessage(event) {
+    const tags = [EVENT_TAGS[event.type], ...this.tags].filter(Boolean);
+    const message = {
+      topic: this.topic,
+      title: event.title,
+      message: formatPlainText(event),
+      priority: this.priority || SEVERITY_PRIORITIES[event.severity] || SEVERITY_PRIORITIES.info,
+      tags,
+    };
+    if (this.clickUrl) {
+      message.click = this.clickUrl;
+    }
+    return message;
+  }
+
+  async publish(message) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PUBLISH_TIMEOUT_MS);
+
+    try {
+      // JSON publishing goes to the server root with the topic in the body
+      const response = await fetch(this.serverUrl, {
+        method: 'POST',
+        signal: controller.signal,
+        headers,
+        body: JSON.stringify(message),
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`ntfy publish failed: ${response.status} - ${text}`);
+      }
+    } catch (error) {
+      console.error('Failed to send ntfy notification:', error);
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+// Factory function
+export function createNtfyProvider() {
+  return new NtfyProvider();
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { NtfyProvider } from './ntfy.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from '../../notification-events.js';
+
+// Local stand-in for an ntfy server
+function createStandIn() {
+  const requests = [];
+  const responses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const { status = 200, text = '{}' } = responses.shift() || {};
+      res.writeHead(status);
+      res.end(text);
+    });
+  });
+  return { server, requests, responses };
+}
+
+const updates = [
+  {
+    containerId: 'abc123',
+    containerName: 'my-app',
+    image: 'nginx:latest',
+    localDigest: 'sha256:olddigest123456789',
+    remoteDigest: 'sha256:newdigest987654321',
+  },
+];
+
+describe('ntfy Provider', () => {
+  let provider;
+  let standIn;
+  let url;
+
+  beforeEach(async () => {
+    provider = new NtfyProvider();
+    standIn = createStandIn();
+    await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${standIn.server.address().port}/`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  describe('init', () => {
+    it('should enable provider when server and topic are configured', async () => {
+      await provider.init({ ntfy: { enabled: true, url, topic: 'docker' } });
+
+      expect(provider.isEnabled()).toBe(true);
+    });
+
+    it('should disable provider when disabled, or topic or URL is missing', async () => {
+      await provider.init({ ntfy: { enabled: false, url, topic: 'docker' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({ ntfy: { enabled: true, url, topic: '' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({ ntfy: { enabled: true, url: 'not a url', topic: 'docker' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({});
+      expect(provider.isEnabled()).toBe(false);
+    });
+  });
+
+  describe('send', () => {
+    it('should publish updates with tags, priority and click URL', async () => {
+      await provider.init({
+        ntfy: { enabled: true, url, topic: 'docker', token: 'tk_secret', priority: 0, tags: ['homelab'] },
+        dashboardUrl: 'https://docker.example.com',
+      });
+
+      await provider.sendUpdateNotification(updates);
+
+      expect(standIn.requests).toHaveLength(1);
+      const [request] = standIn.requests;
+      expect(request.method).toBe('POST');
+      expect(request.url).toBe('/');
+      expect(request.headers.authorization).toBe('Bearer tk_secret');
+      expect(request.body).toEqual({
+        topic: 'docker',
+        title: 'Docker Image Updates Available',
+        message: '1 container has updates available.\n• my-app (nginx:latest)',
+        priority: 3,
+        tags: ['arrows_counterclockwise', 'homelab'],
+        click: 'https://docker.example.com',
+      });
+    });
+
+    it('should map severity to priority unless a fixed priority is set', async () => {
+      const event = createNotificationEvent(EVENT_TYPES.CONTAINER_OOM, { message: 'my-app was OOM-killed' });
+
+      await provider.init({ ntfy: { enabled: true, url, topic: 'docker' } });
+      await provider.send(event);
+      expect(standIn.requests[0].body.priority).toBe(5);
+      expect(standIn.requests[0].body.tags).toEqual(['brain']);
+      expect(standIn.requests[0].body).not.toHaveProperty('click');
+      expect(standIn.requests[0].headers).not.toHaveProperty('authorization');
+
+      await provider.init({ ntfy: { enabled: true, url, topic: 'docker', priority: 2 } });
+      await provider.send(event);
+      expect(standIn.requests[1].body.priority).toBe(2);
+    });
+
+    it('should not publish for empty updates', async () => {
+      await provider.init({ ntfy: { enabled: true, url, topic: 'docker' } });
+
+      await provider.send(createUpdateEvent([]));
+
+      expect(standIn.requests).toHaveLength(0);
+    });
+
+    it('should throw on error response', async () => {
+      await provider.init({ ntfy: { enabled: true, url, topic: 'docker' } });
+      standIn.responses.push({ status: 403, text: 'forbidden' });
+
+      await expect(provider.sendUpdateNotification(updates)).rejects.toThrow('ntfy publish failed: 403');
+    });
+  });
+});
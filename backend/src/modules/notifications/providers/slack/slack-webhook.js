@@ -0,0 +1,186 @@
+/**
+ * Slack incoming-webhook notification provider
+ * Sends notifications as Block Kit messages
+ */
+
+import { BaseNotificationProvider } from '../base-provider.js';
+import { EVENT_TYPES } from '../../notification-events.js';
+import { shortenDigest, formatAvailable, sleep, isHttpUrl } from '../format.js';
+
+// Slack allows roughly one message per second per webhook
+const MIN_INTERVAL_MS = 1000;
+
+// Timeout for webhook requests
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Retries after a 429 response before giving up
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// Slack rejects messages with more than 50 blocks; each update uses two
+const MAX_UPDATES_PER_MESSAGE = 20;
+
+const SEVERITY_ICONS = {
+  info: ':information_source:',
+  warning: ':warning:',
+  critical: ':rotating_light:',
+};
+
+export class SlackWebhookProvider extends BaseNotificationProvider {
+  constructor() {
+    super('slack-webhook');
+    this.webhookUrl = null;
+    this.lastSentTime = 0;
+  }
+
+  async init(config) {
+    if (!config.slack?.enabled) {
+      console.log('Slack webhook provider disabled by config');
+      this.enabled = false;
+      return;
+    }
+
+    // Any http(s) URL is accepted so the provider can point at a proxy or local stand-in
+    if (!isHttpUrl(config.slack?.webhookUrl)) {
+      console.warn('Slack webhook URL missing or invalid, provider disabled. Expected: https://hooks.slack.com/services/...');
+      this.enabled = false;
+      return;
+    }
+
+    this.webhookUrl = config.slack.webhookUrl;
+    this.enabled = true;
+    console.log('Slack webhook provider initialized');
+  }
+
+  async send(event) {
+    if (!this.enabled || !this.webhookUrl) {
+      return;
+    }
+
+    if (event.type === EVENT_TYPES.UPDATE_AVAILABLE && event.data.updates.length === 0) {
+      return;
+    }
+
+    await this.postMessage(this.createMessage(event));
+    console.log(`Slack notification sent for ${event.type}`);
+  }
+
+  async postMessage(message) {
+    for (let attempt = 0; ; attempt++) {
+      // Rate limiting
+      const timeSinceLastSend = Date.now() - this.lastSentTime;
+      if (timeSinceLastSend < MIN_INTERVAL_MS) {
+        await sleep(MIN_INTERVAL_MS - timeSinceLastSend);
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+      let response;
+      try {
+        response = await fetch(this.webhookUrl, {
+          method: 'POST',
+          signal: controller.signal,
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(message),
+        });
+      } catch (error) {
+        console.error('Failed to send Slack webhook:', error);
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+        this.lastSentTime = Date.now();
+      }
+
+      if (response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+        const retryAfterSeconds = Number(response.headers.get('retry-after')) || 1;
+        console.warn(`Slack rate limited, retrying in ${retryAfterSeconds}s`);
+        await sleep(retryAfterSeconds * 1000);
+        continue;
+      }
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`Slack webhook failed: ${response.status} - ${text}`);
+      }
+      return;
+    }
+  }
+
+  createMessage(event) {
+    if (event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+      return this.createUpdateMessage(event.data.updates);
+    }
+    return this.createEventMessage(event);
+  }
+
+  createUpdateMessage(updates) {
+    const shown = updates.slice(0, MAX_UPDATES_PER_MESSAGE);
+    const summary = `${updates.length} container${updates.length > 1 ? 's have' : ' has'} updates available.`;
+
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: '🔄 Docker Image Updates Available' } },
+      { type: 'section', text: { type: 'mrkdwn', text: summary } },
+    ];
+
+    for (const update of shown) {
+      blocks.push({ type: 'divider' });
+      blocks.push({
+        type: 'section',
+        fields: [
+          { type: 'mrkdwn', text: `*Container*\n${update.containerName}` },
+          { type: 'mrkdwn', text: `*Image*\n\`${update.image}\`` },
+          { type: 'mrkdwn', text: `*Current*\n\`${shortenDigest(update.localDigest)}\`` },
+          { type: 'mrkdwn', text: `*Available*\n\`${formatAvailable(update)}\`` },
+        ],
+      });
+    }
+
+    if (updates.length > shown.length) {
+      blocks.push({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: `…and ${updates.length - shown.length} more` }],
+      });
+    }
+
+    return { text: summary, blocks };
+  }
+
+  createEventMessage(event) {
+    const { containerName, image, exitCode, error } = event.data;
+    const fields = [];
+    if (containerName) {
+      fields.push({ type: 'mrkdwn', text: `*Container*\n${containerName}` });
+    }
+    if (image) {
+      fields.push({ type: 'mrkdwn', text: `*Image*\n\`${image}\`` });
+    }
+    if (exitCode !== undefined) {
+      fields.push({ type: 'mrkdwn', text: `*Exit code*\n${exitCode}` });
+    }
+    if (error) {
+      fields.push({ type: 'mrkdwn', text: `*Error*\n${error}` });
+    }
+
+    const icon = SEVERITY_ICONS[event.severity] || SEVERITY_ICONS.info;
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: event.title } },
+      { type: 'section', text: { type: 'mrkdwn', text: `${icon} ${event.message}` } },
+    ];
+    if (fields.length > 0) {
+      blocks.push({ type: 'section', fields });
+    }
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Docker Monitor • ${event.timestamp}` }],
+    });
+
+    return { text: `${event.title}: ${event.message}`, blocks };
+  }
+}
+
+// Factory function
+export function createSlackWebhookProvider() {
+  return new SlackWebhookProvider();
+}
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { SlackWebhookProvider } from './slack-webhook.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from '../../notification-events.js';
+
+// Local stand-in for the Slack webhook endpoint
+function createStandIn() {
+  const requests = [];
+  const responses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body), time: Date.now() });
+      const { status = 200, headers = {}, text = 'ok' } = responses.shift() || {};
+      res.writeHead(status, headers);
+      res.end(text);
+    });
+  });
+  return { server, requests, responses };
+}
+
+const updates = [
+  {
+    containerId: 'abc123',
+    containerName: 'my-app',
+    image: 'nginx:latest',
+    localDigest: 'sha256:olddigest123456789',
+    remoteDigest: 'sha256:newdigest987654321',
+  },
+];
+
+describe('Slack Webhook Provider', () => {
+  let provider;
+  let standIn;
+  let webhookUrl;
+
+  beforeEach(async () => {
+    provider = new SlackWebhookProvider();
+    standIn = createStandIn();
+    await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    webhookUrl = `http://127.0.0.1:${standIn.server.address().port}/services/T000/B000/XXXX`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => standIn.server.close(resolve));
+  });
+
+  describe('init', () => {
+    it('should enable provider when webhook URL is configured', async () => {
+      await provider.init({ slack: { enabled: true, webhookUrl } });
+
+      expect(provider.isEnabled()).toBe(true);
+    });
+
+    it('should disable provider when slack.enabled is false', async () => {
+      await provider.init({ slack: { enabled: false, webhookUrl } });
+
+      expect(provider.isEnabled()).toBe(false);
+    });
+
+    it('should disable provider when webhook URL is missing or invalid', async () => {
+      await provider.init({ slack: { enabled: true, webhookUrl: '' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({ slack: { enabled: true, webhookUrl: 'ftp://hooks.slack.com/x' } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({});
+      expect(provider.isEnabled()).toBe(false);
+    });
+  });
+
+  describe('send', () => {
+    beforeEach(async () => {
+      await provider.init({ slack: { enabled: true, webhookUrl } });
+    });
+
+    it('should post updates as Block Kit sections', async () => {
+      await provider.sendUpdateNotification(updates);
+
+      expect(standIn.requests).toHaveLength(1);
+      const { body, headers } = standIn.requests[0];
+      expect(headers['content-type']).toBe('application/json');
+      expect(body.text).toBe('1 container has updates available.');
+      expect(body.blocks[0]).toEqual({
+        type: 'header',
+        text: { type: 'plain_text', text: '🔄 Docker Image Updates Available' },
+      });
+      expect(body.blocks[3].fields).toEqual([
+        { type: 'mrkdwn', text: '*Container*\nmy-app' },
+        { type: 'mrkdwn', text: '*Image*\n`nginx:latest`' },
+        { type: 'mrkdwn', text: '*Current*\n`sha256:olddigest123...`' },
+        { type: 'mrkdwn', text: '*Available*\n`sha256:newdigest987...`' },
+      ]);
+    });
+
+    it('should cap the number of blocks for large update lists', async () => {
+      const many = Array.from({ length: 30 }, (_, i) => ({ ...updates[0], containerName: `app-${i}` }));
+
+      await provider.send(createUpdateEvent(many));
+
+      const { blocks } = standIn.requests[0].body;
+      expect(blocks.length).toBeLessThanOrEqual(50);
+      expect(blocks[blocks.length - 1].elements[0].text).toBe('…and 10 more');
+    });
+
+    it('should post other events with severity and container details', async () => {
+      await provider.send(createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, {
+        message: 'my-app exited unexpectedly with code 1',
+        data: { containerName: 'my-app', image: 'nginx:latest', exitCode: 1 },
+      }));
+
+      const { body } = standIn.requests[0];
+      expect(body.text).toBe('Container Crashed: my-app exited unexpectedly with code 1');
+      expect(body.blocks[1].text.text).toBe(':rotating_light: my-app exited unexpectedly with code 1');
+      expect(body.blocks[2].fields).toContainEqual({ type: 'mrkdwn', text: '*Exit code*\n1' });
+    });
+
+    it('should not send for empty updates or when disabled', async () => {
+      await provider.sendUpdateNotification([]);
+      provider.enabled = false;
+      await provider.sendUpdateNotification(updates);
+
+      expect(standIn.requests).toHaveLength(0);
+    });
+
+    it('should retry after the Retry-After delay when rate limited', async () => {
+      standIn.responses.push({ status: 429, headers: { 'Retry-After': '1' }, text: 'rate_limited' });
+
+      await provider.sendUpdateNotification(updates);
+
+      expect(standIn.requests).toHaveLength(2);
+      expect(standIn.requests[1].time - standIn.requests[0].time).toBeGreaterThanOrEqual(1000);
+    });
+
+    it('should throw on webhook errors', async () => {
+      standIn.responses.push({ status: 404, text: 'no_service' });
+
+      await expect(provider.sendUpdateNotification(updates))
+        .rejects.toThrow('Slack webhook failed: 404 - no_service');
+    });
+  });
+});
@@ -0,0 +1,381 @@
+/**
+ * Telegram Bot API notification provider
+ * Sends notifications to a chat and handles the inline "Upgrade" / "Ignore this digest" buttons
+ * attached to update digests by long-polling getUpdates for callback queries.
+ */
+
+import { BaseNotificationProvider } from '../base-provider.js';
+import { EVENT_TYPES, createNotificationEvent } from '../../notification-events.js';
+import { shortenDigest, formatAvailable } from '../format.js';
+
+// Timeout for regular Bot API requests
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Long-poll duration for getUpdates; the request timeout allows for it
+const POLL_TIMEOUT_SECONDS = 30;
+
+// Pause before polling again after a failed getUpdates call
+const POLL_RETRY_DELAY_MS = 5000;
+
+// Digests kept for answering button presses; older ones answer "expired"
+const MAX_TRACKED_DIGESTS = 50;
+
+// Upgrade buttons per message (one row each)
+const MAX_UPGRADE_BUTTONS = 10;
+
+const SEVERITY_ICONS = {
+  info: 'ℹ️',
+  warning: '⚠️',
+  critical: '🚨',
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+export class TelegramProvider extends BaseNotificationProvider {
+  /**
+   * @param {Object} [dependencies]
+   * @param {Function} [dependencies.getUpdateChecker] - Returns the update checker (for "Ignore")
+   * @param {Function} [dependencies.getContainerService] - Returns the container service (for "Upgrade")
+   * @param {Function} [dependencies.notify] - Sends a notification event (upgrade outcomes)
+   */
+  constructor({ getUpdateChecker = () => null, getContainerService = () => null, notify = () => {} } = {}) {
+    super('telegram');
+    this.getUpdateChecker = getUpdateChecker;
+    this.getContainerService = getContainerService;
+    this.notify = notify;
+    this.apiUrl = null;
+    this.botToken = null;
+    this.chatId = null;
+    this.allowedUsers = [];
+    this.digests = new Map();
+    this.nextDigestId = 1;
+    this.polling = false;
+    this.pollController = null;
+    this.pollLoop = null;
+    // Container ID -> running upgrade
+    this.upgrades = new Map();
+  }
+
+  async init(config) {
+    const telegram = config.telegram || {};
+
+    if (!telegram.enabled) {
+      console.log('Telegram provider disabled by config');
+      this.enabled = false;
+      return;
+    }
+
+    if (!telegram.botToken || !telegram.chatId) {
+      console.warn('Telegram bot token or chat ID not configured, provider disabled');
+      this.enabled = false;
+      return;
+    }
+
+    this.apiUrl = (telegram.apiUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+    this.botToken = telegram.botToken;
+    this.chatId = String(telegram.chatId);
+    this.allowedUsers = (Array.isArray(telegram.allowedUsers) ? telegram.allowedUsers : []).map(String);
+    this.enabled = true;
+
+    if (telegram.actions !== false) {
+      if (this.allowedUsers.length === 0) {
+        console.warn('Telegram buttons are accepted from every member of the chat; set TELEGRAM_ALLOWED_USERS to restrict them');
+      }
+      this.startPolling();
+    }
+    console.log('Telegram provider initialized');
+  }
+
+  async send(event) {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+      const { updates } = event.data;
+      if (updates.length === 0) {
+        return;
+      }
+      await this.callApi('sendMessage', this.createUpdateMessage(updates));
+      console.log(`Telegram notification sent for ${updates.length} update(s)`);
+      return;
+    }
+
+    await this.callApi('sendMessage', this.createEventMessage(event));
+    console.log(`Telegram notification sent for ${event.type}`);
+  }
+
+  createUpdateMessage(updates) {
+    const digestId = this.trackDigest(updates);
+    const lines = updates.map(u => [
+      `📦 <b>${escapeHtml(u.containerName)}</b> (<code>${escapeHtml(u.image)}</code>)`,
+      `    <code>${shortenDigest(u.localDigest)}</code> → <code>${escapeHtml(formatAvailable(u))}</code>`,
+    ].join('\n'));
+
+    // Upgrading re-pulls the current tag, so version tag changes get no button
+    const keyboard = updates.slice(0, MAX_UPGRADE_BUTTONS).flatMap((u, index) => (u.newTag ? [] : [[{
+      text: `⬆️ Upgrade ${u.containerName}`,
+      callback_data: `upgrade:${digestId}:${index}`,
+    }]]));
+    keyboard.push([{ text: '🙈 Ignore this digest', callback_data: `ignore:${digestId}` }]);
+
+    return {
+      chat_id: this.chatId,
+      parse_mode: 'HTML',
+      text: [
+        '🔄 <b>Docker Image Updates Available</b>',
+        `${updates.length} container${updates.length > 1 ? 's have' : ' has'} updates available.`,
+        '',
+        ...lines,
+      ].join('\n'),
+      reply_markup: { inline_keyboard: keyboard },
+    };
+  }
+
+  createEventMessage(event) {
+    const { containerName, image, exitCode, error } = event.data;
+    const details = [];
+    if (containerName) details.push(`Container: <code>${escapeHtml(containerName)}</code>`);
+    if (image) details.push(`Image: <code>${escapeHtml(image)}</code>`);
+    if (exitCode !== undefined) details.push(`Exit code: ${exitCode}`);
+    if (error) details.push(`Error: ${escapeHtml(error)}`);
+
+    const icon = SEVERITY_ICONS[event.severity] || SEVERITY_ICONS.info;
+    return {
+      chat_id: this.chatId,
+      parse_mode: 'HTML',
+      text: [
+        `${icon} <b>${escapeHtml(event.title)}</b>`,
+        escapeHtml(event.message),
+        ...(details.length > 0 ? ['', ...details] : []),
+      ].join('\n'),
+    };
+  }
+
+  /**
+   * Remember a digest so its buttons can be resolved later
+   * Callback data is limited to 64 bytes, so buttons carry a short ID instead of the updates.
+   * @returns {string} Digest ID
+   */
+  trackDigest(updates) {
+    const digestId = (this.nextDigestId++).toString(36);
+    this.digests.set(digestId, updates);
+    if (this.digests.size > MAX_TRACKED_DIGESTS) {
+      this.digests.delete(this.digests.keys().next().value);
+    }
+    return digestId;
+  }
+
+  /**
+   * Call a Bot API method
+   * @param {string} method - Method name (e.g. sendMessage)
+   * @param {Object} params - Method parameters
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Abort signal (defaults to the request timeout)
+   * @returns {Promise<*>} Method result
+   */
+  async callApi(method, params, { signal } = {}) {
+    const controller = new AbortController();
+    const timeoutId = signal ? null : setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`${this.apiUrl}/bot${this.botToken}/${method}`, {
+        method: 'POST',
+        signal: signal || controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(params),
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok || !body.ok) {
+        throw new Error(`Telegram ${method} failed: ${response.status} - ${body.description || 'unknown error'}`);
+      }
+      return body.result;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  startPolling() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    this.pollLoop = this.poll();
+  }
+
+  async poll() {
+    let offset = 0;
+
+    while (this.polling) {
+      this.pollController = new AbortController();
+      const timeoutId = setTimeout(() => this.pollController.abort(), (POLL_TIMEOUT_SECONDS + 10) * 1000);
+
+      try {
+        const updates = await this.callApi('getUpdates', {
+          offset,
+          timeout: POLL_TIMEOUT_SECONDS,
+          allowed_updates: ['callback_query'],
+        }, { signal: this.pollController.signal });
+
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          if (update.callback_query) {
+            await this.handleCallback(update.callback_query);
+          }
+        }
+      } catch (error) {
+        if (!this.polling) {
+          break;
+        }
+        console.error('Telegram getUpdates failed:', error.message);
+        // Wait before retrying, but wake up immediately on shutdown
+        const { signal } = this.pollController;
+        await new Promise(resolve => {
+          const retryTimer = setTimeout(resolve, POLL_RETRY_DELAY_MS);
+          signal.addEventListener('abort', () => {
+            clearTimeout(retryTimer);
+            resolve();
+          });
+        });
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+  }
+
+  /**
+   * Handle an inline button press
+   * @param {Object} query - Telegram CallbackQuery
+   */
+  async handleCallback(query) {
+    const message = query.message;
+    // Only act on buttons from the configured chat
+    if (!message || String(message.chat.id) !== this.chatId) {
+      await this.answer(query, 'Not allowed from this chat');
+      return;
+    }
+    if (this.allowedUsers.length > 0 && !this.allowedUsers.includes(String(query.from?.id))) {
+      await this.answer(query, 'You are not allowed to use these buttons');
+      return;
+    }
+
+    const [action, digestId, index] = String(query.data || '').split(':');
+    const updates = this.digests.get(digestId);
+    if (!updates) {
+      await this.answer(query, 'This digest has expired');
+      return;
+    }
+
+    try {
+      if (action === 'ignore') {
+        await this.handleIgnore(query, updates);
+      } else if (action === 'upgrade' && updates[index]) {
+        const update = updates[index];
+        if (this.upgrades.has(update.containerId)) {
+          await this.answer(query, `${update.containerName} is already being upgraded`);
+          return;
+        }
+        // Pulling and recreating can take minutes; keep answering other buttons meanwhile
+        const upgrade = this.handleUpgrade(query, update)
+          .catch(error => console.error('Error handling Telegram upgrade action:', error))
+          .finally(() => this.upgrades.delete(update.containerId));
+        this.upgrades.set(update.containerId, upgrade);
+      } else {
+        await this.answer(query, 'Unknown action');
+      }
+    } catch (error) {
+      console.error(`Error handling Telegram ${action} action:`, error);
+    }
+  }
+
+  async handleIgnore(query, updates) {
+    const updateChecker = this.getUpdateChecker();
+    if (!updateChecker) {
+      await this.answer(query, 'Update checker is not available');
+      return;
+    }
+
+    for (const update of updates) {
+      updateChecker.ignoreDigest(update.containerId, update.remoteDigest);
+    }
+    this.digests.delete(query.data.split(':')[1]);
+
+    await this.answer(query, 'Digest ignored');
+    await this.callApi('editMessageReplyMarkup', {
+      chat_id: this.chatId,
+      message_id: query.message.message_id,
+      reply_markup: { inline_keyboard: [] },
+    });
+  }
+
+  async handleUpgrade(query, update) {
+    const containerService = this.getContainerService();
+    if (!containerService) {
+      await this.answer(query, 'Container service is not available');
+      return;
+    }
+
+    await this.answer(query, `Upgrading ${update.containerName}...`);
+
+    let text;
+    try {
+      const result = await containerService.upgradeContainer(update.containerId);
+      text = `✅ <b>${escapeHtml(result.containerName)}</b> was upgraded to the latest <code>${escapeHtml(result.image)}</code>`;
+      this.emit(EVENT_TYPES.UPGRADE_COMPLETED, {
+        message: `${result.containerName} was upgraded to the latest ${result.image}`,
+        data: {
+          containerId: update.containerId,
+          containerName: result.containerName,
+          image: result.image,
+          labels: result.labels,
+          newContainerId: result.newContainerId,
+        },
+      });
+    } catch (error) {
+      text = `❌ Upgrade of <b>${escapeHtml(update.containerName)}</b> failed: ${escapeHtml(error.message)}`;
+      this.emit(EVENT_TYPES.UPGRADE_FAILED, {
+        message: `Upgrade of ${update.containerName} failed: ${error.message}`,
+        data: { containerId: update.containerId, error: error.message },
+      });
+    }
+
+    await this.callApi('sendMessage', {
+      chat_id: this.chatId,
+      parse_mode: 'HTML',
+      text,
+      reply_to_message_id: query.message.message_id,
+    });
+  }
+
+  // Upgrade notifications are best-effort and must not hold up the chat reply; the chat itself gets the reply only
+  emit(type, fields) {
+    Promise.resolve()
+      .then(() => this.notify(createNotificationEvent(type, { ...fields, source: this.name })))
+      .catch(error => console.error(`Failed to send ${type} notification:`, error));
+  }
+
+  async answer(query, text) {
+    await this.callApi('answerCallbackQuery', { callback_query_id: query.id, text });
+  }
+
+  async shutdown() {
+    this.polling = false;
+    this.pollController?.abort();
+    await this.pollLoop;
+    this.pollLoop = null;
+    await Promise.all(this.upgrades.values());
+  }
+}
+
+// Factory function
+export function createTelegramProvider(dependencies) {
+  return new TelegramProvider(dependencies);
+}
@@ -0,0 +1,319 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { TelegramProvider } from './telegram.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from '../../notification-events.js';
+
+const BOT_TOKEN = '123456:TEST-TOKEN';
+const CHAT_ID = '-1001234';
+const USER_ID = '4242';
+
+// Local stand-in for the Telegram Bot API; getUpdates long-polls until an update is queued
+function createStandIn() {
+  const calls = [];
+  const queue = [];
+  const waiting = [];
+  let nextMessageId = 100;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+      const params = JSON.parse(body || '{}');
+      if (token !== BOT_TOKEN) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, description: 'Unauthorized' }));
+        return;
+      }
+
+      if (method === 'getUpdates') {
+        waiting.push({ res, params });
+        flush();
+        return;
+      }
+
+      calls.push({ method, params });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, result: method === 'sendMessage' ? { message_id: nextMessageId++ } : true }));
+    });
+  });
+
+  function flush() {
+    const pending = queue.filter(u => u.update_id >= (waiting[0]?.params.offset || 0));
+    if (waiting.length === 0 || pending.length === 0) return;
+    const { res } = waiting.shift();
+    queue.length = 0;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true, result: pending }));
+  }
+
+  let nextUpdateId = 1;
+  function pressButton(data, chatId = CHAT_ID, userId = USER_ID) {
+    const updateId = nextUpdateId++;
+    queue.push({
+      update_id: updateId,
+      callback_query: {
+        id: `cb${updateId}`,
+        data,
+        from: { id: Number(userId) },
+        message: { message_id: 100, chat: { id: Number(chatId) } },
+      },
+    });
+    flush();
+  }
+
+  function close() {
+    for (const { res } of waiting.splice(0)) {
+      res.end(JSON.stringify({ ok: true, result: [] }));
+    }
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  }
+
+  const callsOf = method => calls.filter(c => c.method === method);
+
+  return { server, calls, callsOf, pressButton, close };
+}
+
+const updates = [
+  {
+    containerId: 'abc123',
+    containerName: 'my-app',
+    image: 'nginx:latest',
+    localDigest: 'sha256:olddigest123456789',
+    remoteDigest: 'sha256:newdigest987654321',
+  },
+  {
+    containerId: 'def456',
+    containerName: 'db',
+    image: 'postgres:16',
+    localDigest: 'sha256:aaaa1111222233334444',
+    remoteDigest: 'sha256:bbbb5555666677778888',
+  },
+];
+
+describe('Telegram Provider', () => {
+  let provider;
+  let standIn;
+  let apiUrl;
+  let updateChecker;
+  let containerService;
+  let notify;
+
+  beforeEach(async () => {
+    updateChecker = { ignoreDigest: vi.fn() };
+    containerService = {
+      upgradeContainer: vi.fn().mockResolvedValue({ containerName: 'my-app', image: 'nginx:latest' }),
+    };
+    notify = vi.fn();
+    provider = new TelegramProvider({
+      getUpdateChecker: () => updateChecker,
+      getContainerService: () => containerService,
+      notify,
+    });
+    standIn = createStandIn();
+    await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+    apiUrl = `http://127.0.0.1:${standIn.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await provider.shutdown();
+    await standIn.close();
+  });
+
+  const telegramConfig = (overrides = {}) => ({
+    telegram: { enabled: true, botToken: BOT_TOKEN, chatId: CHAT_ID, apiUrl, actions: true, ...overrides },
+  });
+
+  describe('init', () => {
+    it('should enable provider when bot token and chat are configured', async () => {
+      await provider.init(telegramConfig({ actions: false }));
+
+      expect(provider.isEnabled()).toBe(true);
+    });
+
+    it('should disable provider when disabled or not configured', async () => {
+      await provider.init(telegramConfig({ enabled: false }));
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init(telegramConfig({ botToken: '' }));
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init(telegramConfig({ chatId: '' }));
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({});
+      expect(provider.isEnabled()).toBe(false);
+    });
+  });
+
+  describe('send', () => {
+    beforeEach(async () => {
+      await provider.init(telegramConfig({ actions: false }));
+    });
+
+    it('should send an update digest with upgrade and ignore buttons', async () => {
+      await provider.sendUpdateNotification(updates);
+
+      const [call] = standIn.callsOf('sendMessage');
+      expect(call.params.chat_id).toBe(CHAT_ID);
+      expect(call.params.parse_mode).toBe('HTML');
+      expect(call.params.text).toContain('2 containers have updates available.');
+      expect(call.params.text).toContain('<b>my-app</b> (<code>nginx:latest</code>)');
+      expect(call.params.reply_markup.inline_keyboard).toEqual([
+        [{ text: '⬆️ Upgrade my-app', callback_data: 'upgrade:1:0' }],
+        [{ text: '⬆️ Upgrade db', callback_data: 'upgrade:1:1' }],
+        [{ text: '🙈 Ignore this digest', callback_data: 'ignore:1' }],
+      ]);
+    });
+
+    it('should show new version tags without an upgrade button', async () => {
+      await provider.sendUpdateNotification([
+        updates[0],
+        { ...updates[1], image: 'postgres:15.3', newTag: '15.4', updateType: 'minor' },
+      ]);
+
+      const [call] = standIn.callsOf('sendMessage');
+      expect(call.params.text).toMatch(/<code>15\.4 \(sha256:/);
+      expect(call.params.reply_markup.inline_keyboard).toEqual([
+        [{ text: '⬆️ Upgrade my-app', callback_data: 'upgrade:1:0' }],
+        [{ text: '🙈 Ignore this digest', callback_data: 'ignore:1' }],
+      ]);
+    });
+
+    it('should send other events as escaped HTML without buttons', async () => {
+      await provider.send(createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, {
+        message: 'my-app exited <unexpectedly>',
+        data: { containerName: 'my-app', exitCode: 137 },
+      }));
+
+      const [call] = standIn.callsOf('sendMessage');
+      expect(call.params.text).toContain('🚨 <b>Container Crashed</b>');
+      expect(call.params.text).toContain('my-app exited &lt;unexpectedly&gt;');
+      expect(call.params.text).toContain('Exit code: 137');
+      expect(call.params).not.toHaveProperty('reply_markup');
+    });
+
+    it('should not send for empty updates', async () => {
+      await provider.send(createUpdateEvent([]));
+
+      expect(standIn.calls).toHaveLength(0);
+    });
+
+    it('should throw when the Bot API rejects the request', async () => {
+      await provider.init(telegramConfig({ actions: false, botToken: 'wrong' }));
+
+      await expect(provider.sendUpdateNotification(updates)).rejects.toThrow('Telegram sendMessage failed: 401 - Unauthorized');
+    });
+  });
+
+  describe('inline actions', () => {
+    beforeEach(async () => {
+      await provider.init(telegramConfig({ allowedUsers: [USER_ID] }));
+      await provider.sendUpdateNotification(updates);
+    });
+
+    it('should upgrade the container and reply with the result', async () => {
+      standIn.pressButton('upgrade:1:0');
+
+      await vi.waitFor(() => expect(standIn.callsOf('sendMessage')).toHaveLength(2));
+      expect(containerService.upgradeContainer).toHaveBeenCalledWith('abc123');
+      expect(standIn.callsOf('answerCallbackQuery')[0].params).toEqual({
+        callback_query_id: 'cb1',
+        text: 'Upgrading my-app...',
+      });
+      expect(standIn.callsOf('sendMessage')[1].params).toMatchObject({
+        reply_to_message_id: 100,
+        text: '✅ <b>my-app</b> was upgraded to the latest <code>nginx:latest</code>',
+      });
+      expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+        type: EVENT_TYPES.UPGRADE_COMPLETED,
+        source: 'telegram',
+        data: expect.objectContaining({ containerId: 'abc123', containerName: 'my-app', image: 'nginx:latest' }),
+      }));
+    });
+
+    it('should report upgrade failures in the chat', async () => {
+      containerService.upgradeContainer.mockRejectedValue(new Error('pull access denied'));
+
+      standIn.pressButton('upgrade:1:1');
+
+      await vi.waitFor(() => expect(standIn.callsOf('sendMessage')).toHaveLength(2));
+      expect(standIn.callsOf('sendMessage')[1].params.text).toBe('❌ Upgrade of <b>db</b> failed: pull access denied');
+      expect(notify).toHaveBeenCalledWith(expect.objectContaining({
+        type: EVENT_TYPES.UPGRADE_FAILED,
+        data: { containerId: 'def456', error: 'pull access denied' },
+      }));
+    });
+
+    it('should keep answering buttons while an upgrade is running', async () => {
+      let finishUpgrade;
+      containerService.upgradeContainer.mockReturnValue(new Promise(resolve => {
+        finishUpgrade = () => resolve({ containerName: 'my-app', image: 'nginx:latest' });
+      }));
+
+      standIn.pressButton('upgrade:1:0');
+      await vi.waitFor(() => expect(containerService.upgradeContainer).toHaveBeenCalled());
+      standIn.pressButton('ignore:1');
+
+      await vi.waitFor(() => expect(standIn.callsOf('editMessageReplyMarkup')).toHaveLength(1));
+      expect(standIn.callsOf('sendMessage')).toHaveLength(1);
+
+      finishUpgrade();
+      await vi.waitFor(() => expect(standIn.callsOf('sendMessage')).toHaveLength(2));
+    });
+
+    it('should ignore every digest in the message and remove the buttons', async () => {
+      standIn.pressButton('ignore:1');
+
+      await vi.waitFor(() => expect(standIn.callsOf('editMessageReplyMarkup')).toHaveLength(1));
+      expect(updateChecker.ignoreDigest).toHaveBeenCalledWith('abc123', 'sha256:newdigest987654321');
+      expect(updateChecker.ignoreDigest).toHaveBeenCalledWith('def456', 'sha256:bbbb5555666677778888');
+      expect(standIn.callsOf('answerCallbackQuery')[0].params.text).toBe('Digest ignored');
+      expect(standIn.callsOf('editMessageReplyMarkup')[0].params).toEqual({
+        chat_id: CHAT_ID,
+        message_id: 100,
+        reply_markup: { inline_keyboard: [] },
+      });
+
+      // The digest is gone, so a second press only answers
+      standIn.pressButton('ignore:1');
+      await vi.waitFor(() => expect(standIn.callsOf('answerCallbackQuery')).toHaveLength(2));
+      expect(standIn.callsOf('answerCallbackQuery')[1].params.text).toBe('This digest has expired');
+    });
+
+    it('should not start a second upgrade of a container that is being upgraded', async () => {
+      let finishUpgrade;
+      containerService.upgradeContainer.mockReturnValue(new Promise(resolve => {
+        finishUpgrade = () => resolve({ containerName: 'my-app', image: 'nginx:latest' });
+      }));
+
+      standIn.pressButton('upgrade:1:0');
+      await vi.waitFor(() => expect(containerService.upgradeContainer).toHaveBeenCalled());
+      standIn.pressButton('upgrade:1:0');
+
+      await vi.waitFor(() => expect(standIn.callsOf('answerCallbackQuery')).toHaveLength(2));
+      expect(standIn.callsOf('answerCallbackQuery')[1].params.text).toBe('my-app is already being upgraded');
+      expect(containerService.upgradeContainer).toHaveBeenCalledTimes(1);
+
+      finishUpgrade();
+      await vi.waitFor(() => expect(standIn.callsOf('sendMessage')).toHaveLength(2));
+    });
+
+    it('should refuse button presses from users that are not allowed', async () => {
+      standIn.pressButton('upgrade:1:0', CHAT_ID, '999');
+
+      await vi.waitFor(() => expect(standIn.callsOf('answerCallbackQuery')).toHaveLength(1));
+      expect(standIn.callsOf('answerCallbackQuery')[0].params.text).toBe('You are not allowed to use these buttons');
+      expect(containerService.upgradeContainer).not.toHaveBeenCalled();
+    });
+
+    it('should refuse button presses from other chats', async () => {
+      standIn.pressButton('upgrade:1:0', '999');
+
+      await vi.waitFor(() => expect(standIn.callsOf('answerCallbackQuery')).toHaveLength(1));
+      expect(standIn.callsOf('answerCallbackQuery')[0].params.text).toBe('Not allowed from this chat');
+      expect(containerService.upgradeContainer).not.toHaveBeenCalled();
+    });
+  });
+});
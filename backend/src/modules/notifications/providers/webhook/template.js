@@ -0,0 +1,83 @@
+/**
+ * JSON payload templates
+ * Templates are JSON values whose strings may contain {{path}} placeholders:
+ *   - a string that is exactly "{{path}}" is replaced by the raw value (objects, arrays and numbers keep their type)
+ *   - other strings have each {{path}} interpolated as text
+ *   - an object with the single key "{{#each path}}" renders its value once per array item;
+ *     inside it, item fields resolve directly and {{this}} / {{@index}} refer to the item and its position
+ */
+
+const PLACEHOLDER = /\{\{\s*([\w.@-]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.@-]+)\s*\}\}$/;
+const EACH_KEY = /^\{\{#each\s+([\w.@-]+)\s*\}\}$/;
+
+/**
+ * Resolve a dotted path (e.g. "updates.0.image") against a scope chain
+ * @param {string} path - Dotted path
+ * @param {Object[]} scopes - Innermost scope first
+ * @returns {*} Value, or undefined if not found
+ */
+function resolvePath(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  for (const scope of scopes) {
+    if (scope !== null && typeof scope === 'object' && head in scope) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+    }
+  }
+  return undefined;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function renderValue(template, scopes) {
+  if (typeof template === 'string') {
+    const whole = WHOLE_PLACEHOLDER.exec(template);
+    if (whole) {
+      return resolvePath(whole[1], scopes) ?? null;
+    }
+    return template.replace(PLACEHOLDER, (_, path) => toText(resolvePath(path, scopes)));
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderValue(item, scopes));
+  }
+
+  if (template !== null && typeof template === 'object') {
+    const keys = Object.keys(template);
+    const each = keys.length === 1 ? EACH_KEY.exec(keys[0]) : null;
+    if (each) {
+      const items = resolvePath(each[1], scopes);
+      if (!Array.isArray(items)) {
+        return [];
+      }
+      return items.map((item, index) => renderValue(template[keys[0]], [
+        { this: item, '@index': index },
+        item,
+        ...scopes,
+      ]));
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(template)) {
+      result[renderValue(key, scopes)] = renderValue(value, scopes);
+    }
+    return result;
+  }
+
+  return template;
+}
+
+/**
+ * Render a JSON template against a context object
+ * @param {*} template - Parsed JSON template
+ * @param {Object} context - Values available to placeholders
+ * @returns {*} Rendered JSON value
+ */
+export function renderTemplate(template, context) {
+  return renderValue(template, [context]);
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { renderTemplate } from './template.js';
+
+const context = {
+  type: 'update.available',
+  count: 2,
+  updates: [
+    { containerName: 'web', image: 'nginx:latest', localDigest: 'sha256:a' },
+    { containerName: 'db', image: 'postgres:16', localDigest: 'sha256:b' },
+  ],
+  data: { nested: { value: 42 } },
+};
+
+describe('Webhook Template', () => {
+  it('should interpolate placeholders into strings', () => {
+    expect(renderTemplate({ text: '{{count}} updates ({{ type }})' }, context))
+      .toEqual({ text: '2 updates (update.available)' });
+  });
+
+  it('should keep the type of whole-string placeholders', () => {
+    expect(renderTemplate({ count: '{{count}}', first: '{{updates.0}}', deep: '{{data.nested.value}}' }, context))
+      .toEqual({ count: 2, first: context.updates[0], deep: 42 });
+  });
+
+  it('should render missing values as empty or null', () => {
+    expect(renderTemplate({ text: 'x{{missing.path}}y', raw: '{{missing}}' }, context))
+      .toEqual({ text: 'xy', raw: null });
+  });
+
+  it('should expand each blocks over arrays', () => {
+    const template = {
+      items: {
+        '{{#each updates}}': {
+          name: '{{containerName}}',
+          label: '{{@index}}: {{image}} of {{count}}',
+          raw: '{{this}}',
+        },
+      },
+    };
+
+    expect(renderTemplate(template, context)).toEqual({
+      items: [
+        { name: 'web', label: '0: nginx:latest of 2', raw: context.updates[0] },
+        { name: 'db', label: '1: postgres:16 of 2', raw: context.updates[1] },
+      ],
+    });
+  });
+
+  it('should render an empty list when each targets a non-array', () => {
+    expect(renderTemplate({ '{{#each count}}': '{{this}}' }, context)).toEqual([]);
+  });
+
+  it('should leave non-string literals untouched', () => {
+    expect(renderTemplate({ a: 1, b: true, c: null, d: ['{{count}}'] }, context))
+      .toEqual({ a: 1, b: true, c: null, d: [2] });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Generic outgoing webhook notification provider
+ * POSTs templated JSON to configurable URLs, optionally signed with HMAC-SHA256
+ */
+
+import { createHmac } from 'crypto';
+import { BaseNotificationProvider } from '../base-provider.js';
+import { EVENT_TYPES } from '../../notification-events.js';
+import { isHttpUrl } from '../format.js';
+import { renderTemplate } from './template.js';
+
+// Timeout for webhook requests
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export const SIGNATURE_HEADER = 'X-Signature-256';
+
+// Events with failed URLs whose successful URLs are remembered for retries
+const MAX_PARTIAL_DELIVERIES = 500;
+
+// Sends the event envelope as-is when no template is configured
+export const DEFAULT_TEMPLATE = {
+  type: '{{type}}',
+  severity: '{{severity}}',
+  title: '{{title}}',
+  message: '{{message}}',
+  timestamp: '{{timestamp}}',
+  data: '{{data}}',
+};
+
+/**
+ * Sign a request body
+ * @param {string} body - Raw request body
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value (sha256=<hex>)
+ */
+export function signPayload(body, secret) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Build the values available to template placeholders
+ * Event data fields are exposed at the top level, so update templates can use
+ * {{count}} and {{#each updates}} with {{containerName}}, {{image}}, {{localDigest}}, ...
+ * @param {import('../../notification-events.js').NotificationEvent} event - Event
+ * @returns {Object}
+ */
+function buildContext(event) {
+  const context = { ...event.data, ...event, event };
+  if (event.type === EVENT_TYPES.UPDATE_AVAILABLE) {
+    context.count = event.data.updates.length;
+  }
+  return context;
+}
+
+export class WebhookProvider extends BaseNotificationProvider {
+  constructor() {
+    super('webhook');
+    this.urls = [];
+    this.template = DEFAULT_TEMPLATE;
+    this.headers = {};
+    this.secret = '';
+    this.events = '*';
+    // Event id -> URLs that already accepted it, so outbox retries only go to the ones that failed
+    this.deliveredUrls = new Map();
+  }
+
+  async init(config) {
+    const webhook = config.webhook || {};
+
+    if (!webhook.enabled) {
+      console.log('Webhook provider disabled by config');
+      this.enabled = false;
+      return;
+    }
+
+    const urls = Array.isArray(webhook.urls) ? webhook.urls : [];
+    const invalid = urls.filter(url => !isHttpUrl(url));
+    if (invalid.length > 0) {
+      console.warn(`Ignoring invalid webhook URL(s): ${invalid.join(', ')}`);
+    }
+    this.urls = urls.filter(isHttpUrl);
+
+    if (this.urls.length === 0) {
+      console.log('No valid webhook URLs configured, provider disabled');
+      this.enabled = false;
+      return;
+    }
+
+    this.template = webhook.template || DEFAULT_TEMPLATE;
+    this.headers = webhook.headers || {};
+    this.secret = webhook.secret || '';
+    this.events = webhook.events || '*';
+    this.enabled = true;
+    console.log(`Webhook provider initialized for ${this.urls.length} URL(s)`);
+  }
+
+  supports(type) {
+    return this.events === '*' || this.events.includes(type);
+  }
+
+  /**
+   * Render the request body for an event
+   * @param {import('../../notification-events.js').NotificationEvent} event - Event
+   * @returns {string} JSON body
+   */
+  renderBody(event) {
+    return JSON.stringify(renderTemplate(this.template, buildContext(event)));
+  }
+
+  async send(event) {
+    if (!this.enabled || this.urls.length === 0) {
+      return;
+    }
+
+    if (event.type === EVENT_TYPES.UPDATE_AVAILABLE && event.data.updates.length === 0) {
+      return;
+    }
+
+    const body = this.renderBody(event);
+    const headers = {
+      ...this.headers,
+      'Content-Type': 'application/json',
+    };
+    if (this.secret) {
+      headers[SIGNATURE_HEADER] = signPayload(body, this.secret);
+    }
+
+    // Deliver to every URL even if one fails, then report all failures together
+    const delivered = this.deliveredUrls.get(event.id) || new Set();
+    const pending = this.urls.filter(url => !delivered.has(url));
+    const results = await Promise.allSettled(pending.map(url => this.post(url, body, headers)));
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        delivered.add(pending[i]);
+      }
+    });
+
+    const failures = results.filter(r => r.status === 'rejected').map(r => r.reason.message);
+    if (failures.length > 0) {
+      this.rememberDelivered(event.id, delivered);
+      throw new Error(`Webhook delivery failed for ${failures.length} of ${pending.length} URL(s): ${failures.join('; ')}`);
+    }
+    this.deliveredUrls.delete(event.id);
+    console.log(`Webhook notification sent for ${event.type} to ${pending.length} URL(s)`);
+  }
+
+  rememberDelivered(eventId, urls) {
+    this.deliveredUrls.delete(eventId);
+    this.deliveredUrls.set(eventId, urls);
+    // Forget the oldest events once the outbox has most likely given up on them
+    while (this.deliveredUrls.size > MAX_PARTIAL_DELIVERIES) {
+      this.deliveredUrls.delete(this.deliveredUrls.keys().next().value);
+    }
+  }
+
+  async post(url, body, headers) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        signal: controller.signal,
+        headers,
+        body,
+      });
+
+      if (!response.ok) {
+        const text = await response.text();
+        throw new Error(`${url} responded ${response.status} - ${text}`);
+      }
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+// Factory function
+export function createWebhookProvider() {
+  return new WebhookProvider();
+}
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import { createHmac } from 'crypto';
+import { WebhookProvider, signPayload, SIGNATURE_HEADER } from './webhook.js';
+import { EVENT_TYPES, createNotificationEvent, createUpdateEvent } from '../../notification-events.js';
+
+// Node lower-cases incoming header names
+const SIGNATURE_HEADER_LOWER = SIGNATURE_HEADER.toLowerCase();
+
+// Local stand-in receiver that records requests; status may be a function for changing responses
+function createStandIn(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      const code = typeof status === 'function' ? status() : status;
+      res.writeHead(code);
+      res.end(code === 200 ? 'ok' : 'nope');
+    });
+  });
+  return { server, requests };
+}
+
+async function listen(standIn) {
+  await new Promise(resolve => standIn.server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${standIn.server.address().port}`;
+}
+
+const updates = [
+  {
+    containerId: 'abc123',
+    containerName: 'my-app',
+    image: 'nginx:latest',
+    localDigest: 'sha256:old',
+    remoteDigest: 'sha256:new',
+  },
+];
+
+describe('Webhook Provider', () => {
+  let provider;
+  let receiver;
+  let baseUrl;
+
+  beforeEach(async () => {
+    provider = new WebhookProvider();
+    receiver = createStandIn();
+    baseUrl = await listen(receiver);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  describe('init', () => {
+    it('should enable provider with valid URLs', async () => {
+      await provider.init({ webhook: { enabled: true, urls: [`${baseUrl}/hook`, 'not a url'] } });
+
+      expect(provider.isEnabled()).toBe(true);
+      expect(provider.urls).toEqual([`${baseUrl}/hook`]);
+    });
+
+    it('should disable provider without URLs or when disabled', async () => {
+      await provider.init({ webhook: { enabled: true, urls: [] } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({ webhook: { enabled: false, urls: [`${baseUrl}/hook`] } });
+      expect(provider.isEnabled()).toBe(false);
+
+      await provider.init({});
+      expect(provider.isEnabled()).toBe(false);
+    });
+  });
+
+  describe('send', () => {
+    it('should post the event envelope by default', async () => {
+      await provider.init({ webhook: { enabled: true, urls: [`${baseUrl}/hook`] } });
+
+      await provider.sendUpdateNotification(updates);
+
+      expect(receiver.requests).toHaveLength(1);
+      const body = JSON.parse(receiver.requests[0].body);
+      expect(body).toMatchObject({
+        type: 'update.available',
+        severity: 'info',
+        message: '1 container has updates available.',
+        data: { updates },
+      });
+      expect(receiver.requests[0].headers[SIGNATURE_HEADER_LOWER]).toBeUndefined();
+    });
+
+    it('should render custom templates with custom headers', async () => {
+      await provider.init({
+        webhook: {
+          enabled: true,
+          urls: [`${baseUrl}/hook`],
+          headers: { Authorization: 'Bearer token123' },
+          template: {
+            summary: '{{count}} update(s)',
+            containers: { '{{#each updates}}': { name: '{{containerName}}', to: '{{remoteDigest}}' } },
+          },
+        },
+      });
+
+      await provider.sendUpdateNotification(updates);
+
+      const { headers, body } = receiver.requests[0];
+      expect(headers.authorization).toBe('Bearer token123');
+      expect(headers['content-type']).toBe('application/json');
+      expect(JSON.parse(body)).toEqual({
+        summary: '1 update(s)',
+        containers: [{ name: 'my-app', to: 'sha256:new' }],
+      });
+    });
+
+    it('should sign the body with HMAC-SHA256', async () => {
+      await provider.init({ webhook: { enabled: true, urls: [`${baseUrl}/hook`], secret: 's3cret' } });
+
+      await provider.send(createNotificationEvent(EVENT_TYPES.TEST, { message: 'hello' }));
+
+      const { headers, body } = receiver.requests[0];
+      const expected = `sha256=${createHmac('sha256', 's3cret').update(body).digest('hex')}`;
+      expect(headers[SIGNATURE_HEADER_LOWER]).toBe(expected);
+      expect(signPayload(body, 's3cret')).toBe(expected);
+    });
+
+    it('should only handle configured event types', async () => {
+      await provider.init({
+        webhook: { enabled: true, urls: [`${baseUrl}/hook`], events: [EVENT_TYPES.UPDATE_AVAILABLE] },
+      });
+
+      expect(provider.supports(EVENT_TYPES.UPDATE_AVAILABLE)).toBe(true);
+      expect(provider.supports(EVENT_TYPES.CONTAINER_DIED)).toBe(false);
+    });
+
+    it('should deliver to all URLs and report failures', async () => {
+      const failing = createStandIn(500);
+      const failingUrl = await listen(failing);
+      await provider.init({ webhook: { enabled: true, urls: [`${failingUrl}/hook`, `${baseUrl}/hook`] } });
+
+      await expect(provider.send(createUpdateEvent(updates)))
+        .rejects.toThrow('Webhook delivery failed for 1 of 2 URL(s)');
+      expect(receiver.requests).toHaveLength(1);
+      expect(failing.requests).toHaveLength(1);
+
+      await new Promise(resolve => failing.server.close(resolve));
+    });
+
+    it('should only retry the URLs that failed', async () => {
+      let status = 500;
+      const flaky = createStandIn(() => status);
+      const flakyUrl = await listen(flaky);
+      await provider.init({ webhook: { enabled: true, urls: [`${flakyUrl}/hook`, `${baseUrl}/hook`] } });
+      const event = createUpdateEvent(updates);
+
+      await expect(provider.send(event)).rejects.toThrow('Webhook delivery failed for 1 of 2 URL(s)');
+      status = 200;
+      await provider.send(event);
+      await provider.send(createUpdateEvent(updates));
+
+      expect(flaky.requests).toHaveLength(3);
+      expect(receiver.requests).toHaveLength(2);
+
+      await new Promise(resolve => flaky.server.close(resolve));
+    });
+  });
+});
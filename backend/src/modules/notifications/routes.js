@@ -0,0 +1,153 @@
+/**
+ * Notifications API routes
+ */
+
+import { Router } from 'express';
+import { writeJsonFile } from '../../lib/json-file.js';
+import { validateRoutingRules } from './notification-routing.js';
+import { HISTORY_STATUSES } from './notification-history.js';
+
+const MAX_HISTORY_LIMIT = 200;
+
+function parseNonNegativeInt(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Create notification routes
+ * @param {Object} options
+ * @param {Object} options.outbox - Notification outbox
+ * @param {Object} options.history - Notification history
+ * @param {Object} options.notificationRouter - Routing rules holder
+ * @param {string} [options.rulesFile] - File routing rules are saved to
+ * @param {Function} options.getProviders - Returns registered providers as {name, enabled}
+ * @param {Function} options.sendTest - Sends a test event to the named providers, resolving to per-provider results
+ * @returns {Router}
+ */
+export function createNotificationRoutes({ outbox, history, notificationRouter, rulesFile, getProviders, sendTest }) {
+  const router = Router();
+
+  // List registered providers
+  router.get('/providers', (req, res) => {
+    res.json(getProviders());
+  });
+
+  // Send a test notification through every enabled provider (or just ?provider=)
+  router.post('/test', async (req, res) => {
+    const { provider } = req.query;
+    const providers = getProviders();
+
+    let names;
+    if (provider) {
+      const match = providers.find(p => p.name === provider);
+      if (!match) {
+        return res.status(404).json({ error: 'Provider not found', details: provider });
+      }
+      if (!match.enabled) {
+        return res.status(400).json({ error: 'Provider is not enabled', details: provider });
+      }
+      names = [provider];
+    } else {
+      names = providers.filter(p => p.enabled).map(p => p.name);
+      if (names.length === 0) {
+        return res.status(400).json({ error: 'No notification providers are enabled' });
+      }
+    }
+
+    try {
+      res.json(await sendTest(names));
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to send test notification', details: error.message });
+    }
+  });
+
+  // List sent notifications, newest first (?provider=&container=&status=&type=&limit=&offset=)
+  router.get('/history', (req, res) => {
+    const { provider, container, status, type } = req.query;
+
+    const limit = parseNonNegativeInt(req.query.limit, 50);
+    if (limit === null || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+      return res.status(400).json({ error: 'Invalid limit parameter', details: `Expected 1-${MAX_HISTORY_LIMIT}` });
+    }
+    const offset = parseNonNegativeInt(req.query.offset, 0);
+    if (offset === null) {
+      return res.status(400).json({ error: 'Invalid offset parameter' });
+    }
+    if (status && !HISTORY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status parameter', details: `Expected one of ${HISTORY_STATUSES.join(', ')}` });
+    }
+
+    const { total, items } = history.query({ provider, container, status, type, limit, offset });
+    res.json({ total, limit, offset, items });
+  });
+
+  // Get the routing rules
+  router.get('/rules', (req, res) => {
+    res.json(notificationRouter.getRules() || { rules: [] });
+  });
+
+  // Replace the routing rules
+  router.put('/rules', async (req, res) => {
+    const errors = validateRoutingRules(req.body, getProviders().map(p => p.name));
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid routing rules', details: errors.join('; ') });
+    }
+
+    const rules = { rules: req.body.rules };
+    if (req.body.default !== undefined) {
+      rules.default = req.body.default;
+    }
+
+    try {
+      if (rulesFile) {
+        await writeJsonFile(rulesFile, rules);
+      }
+      notificationRouter.setRules(rules);
+      res.json(rules);
+    } catch (error) {
+      console.error('Error saving routing rules:', error);
+      res.status(500).json({ error: 'Failed to save routing rules', details: error.message });
+    }
+  });
+
+  // List deliveries waiting for retry or out of attempts
+  router.get('/outbox', (req, res) => {
+    res.json(outbox.list());
+  });
+
+  // Retry a queued delivery now
+  router.post('/outbox/:id/retry', async (req, res) => {
+    try {
+      const entry = await outbox.retry(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Outbox entry not found' });
+      }
+
+      // Only this entry; due entries are left to the scheduled retry job
+      const result = await outbox.processEntry(entry.id);
+      const delivered = Boolean(result?.success);
+      res.json({ delivered, entry: delivered ? null : entry });
+    } catch (error) {
+      console.error('Error retrying notification:', error);
+      res.status(500).json({ error: 'Failed to retry notification', details: error.message });
+    }
+  });
+
+  // Discard a queued delivery
+  router.delete('/outbox/:id', async (req, res) => {
+    try {
+      if (!await outbox.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Outbox entry not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error removing outbox entry:', error);
+      res.status(500).json({ error: 'Failed to remove outbox entry', details: error.message });
+    }
+  });
+
+  return router;
+}
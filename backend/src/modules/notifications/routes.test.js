@@ -0,0 +1,275 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createNotificationRoutes } from './routes.js';
+import { createNotificationOutbox } from './notification-outbox.js';
+import { createNotificationRouter } from './notification-routing.js';
+import { createNotificationHistory } from './notification-history.js';
+import { EVENT_TYPES, createNotificationEvent } from './notification-events.js';
+
+function createTestApp(options) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/notifications', createNotificationRoutes({
+    notificationRouter: createNotificationRouter(),
+    history: createNotificationHistory(),
+    getProviders: () => [
+      { name: 'discord-webhook', enabled: true },
+      { name: 'slack-webhook', enabled: false },
+      { name: 'ntfy', enabled: true },
+    ],
+    ...options,
+  }));
+  return app;
+}
+
+const event = createNotificationEvent(EVENT_TYPES.CONTAINER_DIED, { message: 'web exited unexpectedly' });
+
+describe('Notification Routes', () => {
+  let deliver;
+  let outbox;
+  let entry;
+  let app;
+
+  beforeEach(async () => {
+    deliver = vi.fn().mockRejectedValue(new Error('Discord 502'));
+    outbox = createNotificationOutbox({ deliver, maxAttempts: 3 });
+    entry = await outbox.enqueue('discord-webhook', event, new Error('Discord 502'));
+    app = createTestApp({ outbox });
+  });
+
+  describe('GET /api/notifications/outbox', () => {
+    it('should list queued deliveries', async () => {
+      const response = await request(app).get('/api/notifications/outbox');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        expect.objectContaining({
+          id: entry.id,
+          provider: 'discord-webhook',
+          status: 'pending',
+          attempts: 1,
+          lastError: 'Discord 502',
+          event: expect.objectContaining({ type: 'container.died' }),
+        }),
+      ]);
+    });
+  });
+
+  describe('POST /api/notifications/outbox/:id/retry', () => {
+    it('should deliver the entry immediately', async () => {
+      deliver.mockResolvedValue(undefined);
+
+      const response = await request(app).post(`/api/notifications/outbox/${entry.id}/retry`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ delivered: true, entry: null });
+      expect(deliver).toHaveBeenCalledWith('discord-webhook', event);
+      expect(outbox.list()).toEqual([]);
+    });
+
+    it('should only deliver the requested entry', async () => {
+      deliver.mockResolvedValue(undefined);
+      const other = await outbox.enqueue('slack-webhook', event, new Error('Slack 500'), Date.now() - 60000);
+      await outbox.retry(other.id);
+
+      await request(app).post(`/api/notifications/outbox/${entry.id}/retry`);
+
+      expect(deliver).toHaveBeenCalledTimes(1);
+      expect(outbox.list()).toEqual([other]);
+    });
+
+    it('should return the updated entry when the retry fails', async () => {
+      const response = await request(app).post(`/api/notifications/outbox/${entry.id}/retry`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.delivered).toBe(false);
+      expect(response.body.entry).toMatchObject({ id: entry.id, attempts: 2, status: 'pending' });
+    });
+
+    it('should return 404 for unknown entries', async () => {
+      const response = await request(app).post('/api/notifications/outbox/missing/retry');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Outbox entry not found' });
+    });
+  });
+
+  describe('DELETE /api/notifications/outbox/:id', () => {
+    it('should discard the entry', async () => {
+      const response = await request(app).delete(`/api/notifications/outbox/${entry.id}`);
+
+      expect(response.status).toBe(204);
+      expect(outbox.list()).toEqual([]);
+
+      const again = await request(app).delete(`/api/notifications/outbox/${entry.id}`);
+      expect(again.status).toBe(404);
+    });
+  });
+
+  describe('routing rules', () => {
+    let tmpDir;
+    let rulesFile;
+    let notificationRouter;
+
+    const rules = {
+      rules: [{ match: { labels: { team: 'payments' } }, providers: ['slack-webhook'] }],
+      default: ['ntfy'],
+    };
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notification-rules-'));
+      rulesFile = path.join(tmpDir, 'rules.json');
+      notificationRouter = createNotificationRouter();
+      app = createTestApp({ outbox, notificationRouter, rulesFile });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should return empty rules when none are configured', async () => {
+      const response = await request(app).get('/api/notifications/rules');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ rules: [] });
+    });
+
+    it('should save, apply and persist rules', async () => {
+      const response = await request(app).put('/api/notifications/rules').send(rules);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(rules);
+      expect(notificationRouter.getRules()).toEqual(rules);
+      expect(JSON.parse(await fs.readFile(rulesFile, 'utf-8'))).toEqual(rules);
+
+      const saved = await request(app).get('/api/notifications/rules');
+      expect(saved.body).toEqual(rules);
+    });
+
+    it('should reject invalid rules', async () => {
+      const response = await request(app).put('/api/notifications/rules').send({
+        rules: [{ match: { labels: { env: 'prod' } }, providers: ['pagerduty'] }],
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Invalid routing rules',
+        details: 'rules[0].providers references unknown provider "pagerduty"',
+      });
+      expect(notificationRouter.getRules()).toBeNull();
+    });
+  });
+
+  describe('GET /api/notifications/providers', () => {
+    it('should list providers and whether they are enabled', async () => {
+      const response = await request(app).get('/api/notifications/providers');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { name: 'discord-webhook', enabled: true },
+        { name: 'slack-webhook', enabled: false },
+        { name: 'ntfy', enabled: true },
+      ]);
+    });
+  });
+
+  describe('POST /api/notifications/test', () => {
+    let sendTest;
+
+    beforeEach(() => {
+      sendTest = vi.fn(async names => names.map(provider => ({ provider, success: true })));
+      app = createTestApp({ outbox, sendTest });
+    });
+
+    it('should send a test through every enabled provider', async () => {
+      const response = await request(app).post('/api/notifications/test');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { provider: 'discord-webhook', success: true },
+        { provider: 'ntfy', success: true },
+      ]);
+      expect(sendTest).toHaveBeenCalledWith(['discord-webhook', 'ntfy']);
+    });
+
+    it('should send to a single provider and report its error', async () => {
+      sendTest.mockResolvedValue([{ provider: 'ntfy', success: false, error: 'ntfy publish failed: 403' }]);
+
+      const response = await request(app).post('/api/notifications/test?provider=ntfy');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ provider: 'ntfy', success: false, error: 'ntfy publish failed: 403' }]);
+      expect(sendTest).toHaveBeenCalledWith(['ntfy']);
+    });
+
+    it('should reject unknown and disabled providers', async () => {
+      const unknown = await request(app).post('/api/notifications/test?provider=pager');
+      const disabled = await request(app).post('/api/notifications/test?provider=slack-webhook');
+
+      expect(unknown.status).toBe(404);
+      expect(unknown.body.error).toBe('Provider not found');
+      expect(disabled.status).toBe(400);
+      expect(disabled.body.error).toBe('Provider is not enabled');
+      expect(sendTest).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when no provider is enabled', async () => {
+      app = createTestApp({ outbox, sendTest, getProviders: () => [{ name: 'ntfy', enabled: false }] });
+
+      const response = await request(app).post('/api/notifications/test');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('No notification providers are enabled');
+    });
+  });
+
+  describe('GET /api/notifications/history', () => {
+    let history;
+
+    beforeEach(async () => {
+      history = createNotificationHistory();
+      await history.record(event, [{ provider: 'discord-webhook', success: false, error: 'Discord 502', queued: true }]);
+      await history.record(
+        createNotificationEvent(EVENT_TYPES.CONTAINER_UNHEALTHY, { message: 'db is unhealthy', data: { containerName: 'db' } }),
+        [{ provider: 'ntfy', success: true }],
+      );
+      app = createTestApp({ outbox, history });
+    });
+
+    it('should return a page of entries, newest first', async () => {
+      const response = await request(app).get('/api/notifications/history?limit=1');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        total: 2,
+        limit: 1,
+        offset: 0,
+        items: [expect.objectContaining({ type: 'container.unhealthy', containers: ['db'], status: 'delivered' })],
+      });
+    });
+
+    it('should filter by provider, container and status', async () => {
+      const byProvider = await request(app).get('/api/notifications/history?provider=discord-webhook');
+      const byContainer = await request(app).get('/api/notifications/history?container=db');
+      const byStatus = await request(app).get('/api/notifications/history?status=failed');
+
+      expect(byProvider.body.items.map(e => e.id)).toEqual([event.id]);
+      expect(byContainer.body.total).toBe(1);
+      expect(byStatus.body.items.map(e => e.id)).toEqual([event.id]);
+    });
+
+    it('should reject invalid parameters', async () => {
+      expect((await request(app).get('/api/notifications/history?limit=0')).status).toBe(400);
+      expect((await request(app).get('/api/notifications/history?limit=500')).status).toBe(400);
+      expect((await request(app).get('/api/notifications/history?offset=-1')).status).toBe(400);
+
+      const response = await request(app).get('/api/notifications/history?status=lost');
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid status parameter');
+    });
+  });
+});
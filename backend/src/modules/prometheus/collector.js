@@ -0,0 +1,156 @@
+/**
+ * Prometheus collector
+ * Gathers container, update checker, scheduler and notification state at scrape time
+ */
+
+const PREFIX = 'docker_monitor';
+
+// Every state Docker reports, so each container exposes a complete 0/1 set
+const CONTAINER_STATES = ['created', 'running', 'paused', 'restarting', 'removing', 'exited', 'dead'];
+
+function gauge(name, help, samples = []) {
+  return { name: `${PREFIX}_${name}`, help, type: 'gauge', samples };
+}
+
+function counter(name, help, samples = []) {
+  return { name: `${PREFIX}_${name}`, help, type: 'counter', samples };
+}
+
+/**
+ * Create a Prometheus collector
+ * Sources are getters so modules that are disabled or initialized later are picked up per scrape.
+ * @param {Object} sources - Data sources
+ * @param {Function} sources.getContainerService - Returns the container service
+ * @param {Function} [sources.getMetricsStore] - Returns the metrics store (null when disabled)
+ * @param {Function} [sources.getUpdateChecker] - Returns the update checker (null when disabled)
+ * @param {Function} [sources.getScheduler] - Returns the scheduler
+ * @param {Function} [sources.getNotificationManager] - Returns the notification manager
+ * @returns {Object} Collector
+ */
+export function createPrometheusCollector(sources) {
+  const {
+    getContainerService,
+    getMetricsStore = () => null,
+    getUpdateChecker = () => null,
+    getScheduler = () => null,
+    getNotificationManager = () => null,
+  } = sources;
+
+  /**
+   * Latest CPU/memory figures per running container
+   * Uses the metrics history when collection is enabled, otherwise samples Docker directly.
+   */
+  async function getResourceStats(containers) {
+    const running = containers.filter(c => c.state === 'running');
+    const store = getMetricsStore();
+
+    if (store) {
+      return new Map(running
+        .map(c => [c.id, store.getLatest(c.id)])
+        .filter(([, stats]) => stats));
+    }
+
+    const service = getContainerService();
+    const results = await Promise.allSettled(running.map(c => service.getContainerStats(c.id)));
+    const stats = new Map();
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        stats.set(running[i].id, result.value);
+      }
+    });
+    return stats;
+  }
+
+  async function collectContainers() {
+    const containers = await getContainerService().listContainers();
+    const stats = await getResourceStats(containers);
+
+    const state = gauge('container_state', 'Container state (1 for the current state)');
+    const restarts = gauge('container_restart_count', 'Number of times Docker restarted the container');
+    const cpu = gauge('container_cpu_percent', 'Container CPU usage (100 = one full core)');
+    const memory = gauge('container_memory_usage_bytes', 'Container memory usage excluding page cache');
+    const memoryLimit = gauge('container_memory_limit_bytes', 'Container memory limit');
+
+    for (const container of containers) {
+      const labels = { id: container.shortId, name: container.name };
+
+      for (const s of CONTAINER_STATES) {
+        state.samples.push({ labels: { ...labels, state: s }, value: container.state === s ? 1 : 0 });
+      }
+      restarts.samples.push({ labels, value: container.restartCount || 0 });
+
+      const containerStats = stats.get(container.id);
+      if (containerStats) {
+        cpu.samples.push({ labels, value: containerStats.cpuPercent });
+        memory.samples.push({ labels, value: containerStats.memoryUsage });
+        memoryLimit.samples.push({ labels, value: containerStats.memoryLimit });
+      }
+    }
+
+    return [
+      gauge('containers', 'Number of containers', [{ value: containers.length }]),
+      state,
+      restarts,
+      cpu,
+      memory,
+      memoryLimit,
+    ];
+  }
+
+  function collectUpdates() {
+    const updateChecker = getUpdateChecker();
+    const available = gauge('container_update_available', 'Newer image available in the registry (from the last update check)');
+
+    for (const result of updateChecker?.getLastCheckResults?.() || []) {
+      available.samples.push({
+        labels: { id: result.containerId.substring(0, 12), name: result.containerName, image: result.image },
+        value: result.hasUpdate && !result.ignored ? 1 : 0,
+      });
+    }
+
+    return [available];
+  }
+
+  function collectScheduler() {
+    const runs = counter('scheduler_job_runs_total', 'Successful runs of a scheduled job');
+    const failing = gauge('scheduler_job_last_error', 'Whether the last run of a scheduled job failed');
+    const lastRun = gauge('scheduler_job_last_success_timestamp_seconds', 'Time of the last successful run of a scheduled job');
+
+    for (const job of getScheduler()?.getAllJobStatuses() || []) {
+      const labels = { job: job.name };
+      runs.samples.push({ labels, value: job.runCount });
+      failing.samples.push({ labels, value: job.lastError ? 1 : 0 });
+      if (job.lastRun) {
+        lastRun.samples.push({ labels, value: job.lastRun.getTime() / 1000 });
+      }
+    }
+
+    return [runs, failing, lastRun];
+  }
+
+  function collectNotifications() {
+    const sent = counter('notifications_total', 'Notifications sent per provider and result');
+
+    for (const { provider, sent: succeeded, failed } of getNotificationManager()?.getStats?.() || []) {
+      sent.samples.push({ labels: { provider, result: 'success' }, value: succeeded });
+      sent.samples.push({ labels: { provider, result: 'failure' }, value: failed });
+    }
+
+    return [sent];
+  }
+
+  return {
+    /**
+     * Collect all metric families
+     * @returns {Promise<import('./exposition.js').MetricFamily[]>}
+     */
+    async collect() {
+      return [
+        ...await collectContainers(),
+        ...collectUpdates(),
+        ...collectScheduler(),
+        ...collectNotifications(),
+      ];
+    },
+  };
+}
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createPrometheusCollector } from './collector.js';
+
+function findSamples(families, name) {
+  return families.find(f => f.name === name)?.samples;
+}
+
+describe('Prometheus Collector', () => {
+  let containerService;
+
+  beforeEach(() => {
+    containerService = {
+      listContainers: vi.fn().mockResolvedValue([
+        { id: 'abc123def456789', shortId: 'abc123def456', name: 'web', state: 'running', restartCount: 2 },
+        { id: 'fed654cba987654', shortId: 'fed654cba987', name: 'job', state: 'exited', restartCount: 0 },
+      ]),
+      getContainerStats: vi.fn().mockResolvedValue({ cpuPercent: 12.5, memoryUsage: 1024, memoryLimit: 4096 }),
+    };
+  });
+
+  it('should report container state and restart count', async () => {
+    const collector = createPrometheusCollector({ getContainerService: () => containerService });
+
+    const families = await collector.collect();
+
+    expect(findSamples(families, 'docker_monitor_containers')).toEqual([{ value: 2 }]);
+    const states = findSamples(families, 'docker_monitor_container_state');
+    expect(states).toContainEqual({ labels: { id: 'abc123def456', name: 'web', state: 'running' }, value: 1 });
+    expect(states).toContainEqual({ labels: { id: 'abc123def456', name: 'web', state: 'exited' }, value: 0 });
+    expect(states).toContainEqual({ labels: { id: 'fed654cba987', name: 'job', state: 'exited' }, value: 1 });
+    expect(findSamples(families, 'docker_monitor_container_restart_count')).toEqual([
+      { labels: { id: 'abc123def456', name: 'web' }, value: 2 },
+      { labels: { id: 'fed654cba987', name: 'job' }, value: 0 },
+    ]);
+  });
+
+  it('should sample resource usage of running containers from Docker', async () => {
+    const collector = createPrometheusCollector({ getContainerService: () => containerService });
+
+    const families = await collector.collect();
+
+    expect(containerService.getContainerStats).toHaveBeenCalledTimes(1);
+    expect(containerService.getContainerStats).toHaveBeenCalledWith('abc123def456789');
+    expect(findSamples(families, 'docker_monitor_container_cpu_percent')).toEqual([
+      { labels: { id: 'abc123def456', name: 'web' }, value: 12.5 },
+    ]);
+    expect(findSamples(families, 'docker_monitor_container_memory_usage_bytes')[0].value).toBe(1024);
+    expect(findSamples(families, 'docker_monitor_container_memory_limit_bytes')[0].value).toBe(4096);
+  });
+
+  it('should prefer the metrics store over sampling Docker', async () => {
+    const store = { getLatest: vi.fn().mockReturnValue({ cpuPercent: 50, memoryUsage: 10, memoryLimit: 20 }) };
+    const collector = createPrometheusCollector({
+      getContainerService: () => containerService,
+      getMetricsStore: () => store,
+    });
+
+    const families = await collector.collect();
+
+    expect(containerService.getContainerStats).not.toHaveBeenCalled();
+    expect(findSamples(families, 'docker_monitor_container_cpu_percent')[0].value).toBe(50);
+  });
+
+  it('should skip resource usage for containers whose stats fail', async () => {
+    containerService.getContainerStats.mockRejectedValue(new Error('gone'));
+    const collector = createPrometheusCollector({ getContainerService: () => containerService });
+
+    const families = await collector.collect();
+
+    expect(findSamples(families, 'docker_monitor_container_cpu_percent')).toEqual([]);
+  });
+
+  it('should report update availability from the last check', async () => {
+    const updateChecker = {
+      getLastCheckResults: vi.fn().mockReturnValue([
+        { containerId: 'abc123def456789', containerName: 'web', image: 'nginx:latest', hasUpdate: true },
+        { containerId: 'fed654cba987654', containerName: 'job', image: 'alpine:3', hasUpdate: false },
+      ]),
+    };
+    const collector = createPrometheusCollector({
+      getContainerService: () => containerService,
+      getUpdateChecker: () => updateChecker,
+    });
+
+    const families = await collector.collect();
+
+    expect(findSamples(families, 'docker_monitor_container_update_available')).toEqual([
+      { labels: { id: 'abc123def456', name: 'web', image: 'nginx:latest' }, value: 1 },
+      { labels: { id: 'fed654cba987', name: 'job', image: 'alpine:3' }, value: 0 },
+    ]);
+  });
+
+  it('should report scheduler jobs and notification counters', async () => {
+    const scheduler = {
+      getAllJobStatuses: vi.fn().mockReturnValue([
+        { name: 'check-updates', runCount: 3, lastError: null, lastRun: new Date('2024-01-01T00:00:00Z') },
+        { name: 'collect-metrics', runCount: 0, lastError: 'Docker unavailable', lastRun: null },
+      ]),
+    };
+    const notificationManager = {
+      getStats: vi.fn().mockReturnValue([{ provider: 'discord', sent: 4, failed: 1 }]),
+    };
+    const collector = createPrometheusCollector({
+      getContainerService: () => containerService,
+      getScheduler: () => scheduler,
+      getNotificationManager: () => notificationManager,
+    });
+
+    const families = await collector.collect();
+
+    expect(findSamples(families, 'docker_monitor_scheduler_job_runs_total')).toEqual([
+      { labels: { job: 'check-updates' }, value: 3 },
+      { labels: { job: 'collect-metrics' }, value: 0 },
+    ]);
+    expect(findSamples(families, 'docker_monitor_scheduler_job_last_error')).toEqual([
+      { labels: { job: 'check-updates' }, value: 0 },
+      { labels: { job: 'collect-metrics' }, value: 1 },
+    ]);
+    expect(findSamples(families, 'docker_monitor_scheduler_job_last_success_timestamp_seconds')).toEqual([
+      { labels: { job: 'check-updates' }, value: 1704067200 },
+    ]);
+    expect(findSamples(families, 'docker_monitor_notifications_total')).toEqual([
+      { labels: { provider: 'discord', result: 'success' }, value: 4 },
+      { labels: { provider: 'discord', result: 'failure' }, value: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Prometheus text exposition format
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * @typedef {Object} MetricFamily
+ * @property {string} name - Metric name
+ * @property {string} help - Help text
+ * @property {string} type - gauge or counter
+ * @property {Array<{labels?: Object, value: number}>} samples - Samples
+ */
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render metric families as exposition text
+ * Families without samples still emit HELP/TYPE so scrapers see the full schema.
+ * @param {MetricFamily[]} families - Metric families
+ * @returns {string}
+ */
+export function formatMetrics(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${escapeHelp(family.help)}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      lines.push(`${family.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { formatMetrics } from './exposition.js';
+
+describe('Prometheus Exposition', () => {
+  it('should render HELP, TYPE and samples', () => {
+    const text = formatMetrics([
+      {
+        name: 'test_gauge',
+        help: 'A test gauge',
+        type: 'gauge',
+        samples: [
+          { labels: { name: 'web' }, value: 1.5 },
+          { value: 2 },
+        ],
+      },
+    ]);
+
+    expect(text).toBe([
+      '# HELP test_gauge A test gauge',
+      '# TYPE test_gauge gauge',
+      'test_gauge{name="web"} 1.5',
+      'test_gauge 2',
+      '',
+    ].join('\n'));
+  });
+
+  it('should escape label values and help text', () => {
+    const text = formatMetrics([
+      {
+        name: 'test_counter',
+        help: 'Line one\nline two',
+        type: 'counter',
+        samples: [{ labels: { name: 'a "quoted" \\ name\n' }, value: 3 }],
+      },
+    ]);
+
+    expect(text).toContain('# HELP test_counter Line one\\nline two');
+    expect(text).toContain('test_counter{name="a \\"quoted\\" \\\\ name\\n"} 3');
+  });
+
+  it('should format special float values', () => {
+    const text = formatMetrics([
+      {
+        name: 'test_special',
+        help: 'Special values',
+        type: 'gauge',
+        samples: [{ value: NaN }, { value: Infinity }, { value: -Infinity }],
+      },
+    ]);
+
+    expect(text).toContain('test_special NaN');
+    expect(text).toContain('test_special +Inf');
+    expect(text).toContain('test_special -Inf');
+  });
+
+  it('should emit families without samples', () => {
+    const text = formatMetrics([{ name: 'empty', help: 'Nothing yet', type: 'counter', samples: [] }]);
+
+    expect(text).toBe('# HELP empty Nothing yet\n# TYPE empty counter\n');
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Prometheus module
+ * Exposes a /metrics endpoint in the Prometheus text exposition format
+ */
+
+import { createPrometheusCollector } from './collector.js';
+import { createPrometheusRoutes } from './routes.js';
+
+export default {
+  name: 'prometheus',
+
+  init(context) {
+    // Collector is created when routes are registered; nothing to set up here
+  },
+
+  registerRoutes(app, context) {
+    const { getModule } = context;
+
+    const collector = createPrometheusCollector({
+      getContainerService: () => getModule('containers')?.getService?.(),
+      getMetricsStore: () => getModule('metrics')?.getStore?.() || null,
+      getUpdateChecker: () => getModule('update-checker')?.getChecker?.() || null,
+      getScheduler: () => getModule('scheduler')?.getScheduler?.() || null,
+      getNotificationManager: () => getModule('notifications')?.getNotificationManager?.() || null,
+    });
+
+    app.use('/metrics', createPrometheusRoutes(collector));
+  },
+};
+
+// Re-export for direct usage
+export { createPrometheusCollector } from './collector.js';
+export { formatMetrics } from './exposition.js';
@@ -0,0 +1,23 @@
+/**
+ * Prometheus scrape endpoint
+ */
+
+import { Router } from 'express';
+import { formatMetrics, CONTENT_TYPE } from './exposition.js';
+
+export function createPrometheusRoutes(collector) {
+  const router = Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const families = await collector.collect();
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(formatMetrics(families));
+    } catch (error) {
+      console.error('Error collecting Prometheus metrics:', error);
+      res.status(500).json({ error: 'Failed to collect metrics', details: error.message });
+    }
+  });
+
+  return router;
+}
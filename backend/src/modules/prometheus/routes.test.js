@@ -0,0 +1,37 @@
+import { describe, it, expect, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import { createPrometheusRoutes } from './routes.js';
+
+function createTestApp(collector) {
+  const app = express();
+  app.use('/metrics', createPrometheusRoutes(collector));
+  return app;
+}
+
+describe('Prometheus Routes', () => {
+  it('should serve the exposition format', async () => {
+    const collector = {
+      collect: vi.fn().mockResolvedValue([
+        { name: 'docker_monitor_up', help: 'Whether the monitor is up', type: 'gauge', samples: [{ value: 1 }] },
+      ]),
+    };
+
+    const response = await request(createTestApp(collector)).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('version=0.0.4');
+    expect(response.text).toContain('docker_monitor_up 1');
+  });
+
+  it('should return error details when collection fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const collector = { collect: vi.fn().mockRejectedValue(new Error('Docker unavailable')) };
+
+    const response = await request(createTestApp(collector)).get('/metrics');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Failed to collect metrics', details: 'Docker unavailable' });
+    console.error.mockRestore();
+  });
+});
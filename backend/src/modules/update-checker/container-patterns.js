@@ -0,0 +1,114 @@
+/**
+ * Container selection patterns for UPDATE_CHECKER_CONTAINERS / UPDATE_CHECKER_EXCLUDE_CONTAINERS
+ *
+ *   web             exact container name
+ *   myproj-*        glob (* any characters, ? one character)
+ *   /^api-\d+$/i    regular expression
+ *   image:nginx*    image, with or without its tag (e.g. nginx:1.25 or ghcr.io/org/app)
+ *   project:myproj  Docker Compose project (com.docker.compose.project label)
+ *
+ * The image: and project: prefixes accept globs and regular expressions as well.
+ */
+
+const COMPOSE_PROJECT_LABEL = 'com.docker.compose.project';
+
+const FIELD_PREFIX_PATTERN = /^(name|image|project):(.+)$/;
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+// Compiled patterns by source, so invalid ones are only reported once
+const compiled = new Map();
+
+/**
+ * @typedef {Object} ContainerSubject
+ * @property {string} name - Container name
+ * @property {string} [image] - Image reference
+ * @property {string} [project] - Compose project
+ */
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a pattern
+ * @param {string} pattern - Pattern as configured
+ * @returns {{field: 'name'|'image'|'project', regex: RegExp}|null} Null for an invalid regular expression
+ */
+export function compileContainerPattern(pattern) {
+  if (compiled.has(pattern)) {
+    return compiled.get(pattern);
+  }
+
+  const prefixed = FIELD_PREFIX_PATTERN.exec(pattern);
+  const field = prefixed ? prefixed[1] : 'name';
+  const value = prefixed ? prefixed[2] : pattern;
+
+  let result;
+  const regex = REGEX_PATTERN.exec(value);
+  try {
+    result = { field, regex: regex ? new RegExp(regex[1], regex[2]) : globToRegExp(value) };
+  } catch (error) {
+    console.warn(`Ignoring invalid container pattern "${pattern}": ${error.message}`);
+    result = null;
+  }
+  compiled.set(pattern, result);
+  return result;
+}
+
+/**
+ * Strip the tag or digest from an image reference
+ * The port of a registry host (registry:5000/app) is kept.
+ */
+function stripImageTag(image) {
+  return image.replace(/@.*$/, '').replace(/:[^/:]*$/, '');
+}
+
+/**
+ * Check whether a container matches a pattern
+ * @param {string} pattern - Pattern (see the module comment)
+ * @param {ContainerSubject} subject - Container
+ * @returns {boolean}
+ */
+export function matchesContainerPattern(pattern, subject) {
+  const compiledPattern = compileContainerPattern(pattern);
+  if (!compiledPattern) {
+    return false;
+  }
+  const { field, regex } = compiledPattern;
+  // Regular expressions with the g or y flag keep state between calls
+  regex.lastIndex = 0;
+
+  if (field === 'image') {
+    if (!subject.image) {
+      return false;
+    }
+    if (regex.test(subject.image)) {
+      return true;
+    }
+    regex.lastIndex = 0;
+    return regex.test(stripImageTag(subject.image));
+  }
+  const value = subject[field];
+  return typeof value === 'string' && regex.test(value);
+}
+
+/**
+ * Describe a container from listContainers for pattern matching
+ * @param {Object} container - Container from listContainers
+ * @returns {ContainerSubject}
+ */
+export function getContainerSubject(container) {
+  return {
+    name: container.Names?.[0]?.replace(/^\//, '') || 'unknown',
+    image: container.Image,
+    project: container.Labels?.[COMPOSE_PROJECT_LABEL],
+  };
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect, vi } from 'vitest';
+import { matchesContainerPattern, getContainerSubject } from './container-patterns.js';
+
+const web = { name: 'myproj-web-1', image: 'registry.example.com:5000/team/web:1.4', project: 'myproj' };
+
+describe('Container patterns', () => {
+  describe('matchesContainerPattern', () => {
+    it('should match names exactly, by glob or by regular expression', () => {
+      expect(matchesContainerPattern('myproj-web-1', web)).toBe(true);
+      expect(matchesContainerPattern('myproj-web', web)).toBe(false);
+      expect(matchesContainerPattern('myproj-*', web)).toBe(true);
+      expect(matchesContainerPattern('myproj-web-?', web)).toBe(true);
+      expect(matchesContainerPattern('*.web', web)).toBe(false);
+      expect(matchesContainerPattern('/^MYPROJ-\\w+-\\d+$/i', web)).toBe(true);
+      expect(matchesContainerPattern('/^web/', web)).toBe(false);
+    });
+
+    it('should match images with or without their tag', () => {
+      expect(matchesContainerPattern('image:registry.example.com:5000/team/web', web)).toBe(true);
+      expect(matchesContainerPattern('image:*/team/web:1.*', web)).toBe(true);
+      expect(matchesContainerPattern('image:/team\\/web$/', web)).toBe(true);
+      expect(matchesContainerPattern('image:nginx*', web)).toBe(false);
+      expect(matchesContainerPattern('image:*', { name: 'no-image' })).toBe(false);
+    });
+
+    it('should match compose projects', () => {
+      expect(matchesContainerPattern('project:myproj', web)).toBe(true);
+      expect(matchesContainerPattern('project:other-*', web)).toBe(false);
+      expect(matchesContainerPattern('project:*', { name: 'standalone' })).toBe(false);
+    });
+
+    it('should report invalid regular expressions once and never match them', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(matchesContainerPattern('/([/', web)).toBe(false);
+      expect(matchesContainerPattern('/([/', web)).toBe(false);
+      expect(warn).toHaveBeenCalledTimes(1);
+
+      warn.mockRestore();
+    });
+  });
+
+  describe('getContainerSubject', () => {
+    it('should read the name, image and compose project', () => {
+      expect(getContainerSubject({
+        Names: ['/myproj-web-1'],
+        Image: 'nginx:latest',
+        Labels: { 'com.docker.compose.project': 'myproj' },
+      })).toEqual({ name: 'myproj-web-1', image: 'nginx:latest', project: 'myproj' });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Registry credentials from a Docker CLI config file (~/.docker/config.json)
+ * Supports `auths` entries (base64 `auth`, username/password or identity tokens),
+ * per-registry `credHelpers` and the default `credsStore`.
+ */
+
+import { spawn } from 'child_process';
+import { readJsonFile } from '../../lib/json-file.js';
+
+// Timeout for a docker-credential-* helper to answer
+const HELPER_TIMEOUT_MS = 10000;
+
+// Docker Hub is stored under its legacy index URL
+const DOCKER_HUB_KEY = 'https://index.docker.io/v1/';
+const DOCKER_HUB_HOSTS = ['registry-1.docker.io', 'index.docker.io', 'docker.io'];
+
+// Helpers report identity tokens with this username
+const IDENTITY_TOKEN_USERNAME = '<token>';
+
+/**
+ * @typedef {Object} RegistryCredentials
+ * @property {string} [username] - Username for Basic auth
+ * @property {string} [password] - Password or access token for Basic auth
+ * @property {string} [identityToken] - OAuth2 refresh token exchanged at the registry's token realm
+ */
+
+/**
+ * Reduce an `auths` key such as "https://registry.example.com/v2/" to its host
+ * @param {string} key - Key from config.json
+ * @returns {string} Host (with port)
+ */
+export function normalizeRegistryKey(key) {
+  return key.replace(/^[a-z]+:\/\//i, '').split('/')[0].toLowerCase();
+}
+
+function isDockerHub(host) {
+  return DOCKER_HUB_HOSTS.includes(host);
+}
+
+/**
+ * Run `docker-credential-<helper> get` for a registry
+ * @param {string} helper - Helper suffix (e.g. "ecr-login")
+ * @param {string} serverUrl - Registry the credentials are for
+ * @returns {Promise<{Username: string, Secret: string}|null>} Null when the helper has no credentials
+ */
+export function runCredentialHelper(helper, serverUrl) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(`docker-credential-${helper}`, ['get'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    const timeoutId = setTimeout(() => {
+      child.kill();
+      reject(new Error(`docker-credential-${helper} timed out`));
+    }, HELPER_TIMEOUT_MS);
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.on('error', error => {
+      clearTimeout(timeoutId);
+      reject(new Error(`docker-credential-${helper} could not be run: ${error.message}`));
+    });
+    child.on('close', code => {
+      clearTimeout(timeoutId);
+      if (code !== 0) {
+        // Helpers exit non-zero with "credentials not found" on stdout for unknown registries
+        if (/not found/i.test(stdout)) {
+          resolve(null);
+        } else {
+          reject(new Error(`docker-credential-${helper} failed: ${stdout.trim() || `exit code ${code}`}`));
+        }
+        return;
+      }
+      try {
+        resolve(JSON.parse(stdout));
+      } catch {
+        reject(new Error(`docker-credential-${helper} returned invalid JSON`));
+      }
+    });
+
+    child.stdin.end(serverUrl);
+  });
+}
+
+function fromAuthEntry(entry) {
+  if (entry.identitytoken) {
+    return { identityToken: entry.identitytoken };
+  }
+  if (entry.auth) {
+    const decoded = Buffer.from(entry.auth, 'base64').toString('utf-8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+    return { username: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+  }
+  if (entry.username && entry.password) {
+    return { username: entry.username, password: entry.password };
+  }
+  return null;
+}
+
+function fromHelperOutput(output) {
+  if (!output?.Secret) {
+    return null;
+  }
+  if (output.Username === IDENTITY_TOKEN_USERNAME) {
+    return { identityToken: output.Secret };
+  }
+  return { username: output.Username, password: output.Secret };
+}
+
+/**
+ * Create a credential store backed by a Docker config file
+ * The file is re-read on every lookup so credentials can be rotated without a restart.
+ * @param {Object} options
+ * @param {string} options.configPath - Path to config.json
+ * @param {Function} [options.runHelper] - Runs a credential helper (for tests)
+ * @returns {Object} Credential store
+ */
+export function createDockerCredentialStore({ configPath, runHelper = runCredentialHelper }) {
+  return {
+    /**
+     * Find credentials for a registry
+     * @param {string} registry - Registry host from the image reference
+     * @returns {Promise<RegistryCredentials|null>}
+     */
+    async getCredentials(registry) {
+      let dockerConfig;
+      try {
+        dockerConfig = await readJsonFile(configPath, null);
+      } catch (error) {
+        console.warn(`Could not read Docker config ${configPath}: ${error.message}`);
+        return null;
+      }
+      if (!dockerConfig) {
+        return null;
+      }
+
+      const host = normalizeRegistryKey(registry);
+      const matches = key => {
+        const keyHost = normalizeRegistryKey(key);
+        return keyHost === host || (isDockerHub(host) && isDockerHub(keyHost));
+      };
+
+      // Helpers take precedence over auths, as with the Docker CLI
+      const helperKey = Object.keys(dockerConfig.credHelpers || {}).find(matches);
+      const helper = helperKey ? dockerConfig.credHelpers[helperKey] : dockerConfig.credsStore;
+      if (helper) {
+        try {
+          const credentials = fromHelperOutput(await runHelper(helper, isDockerHub(host) ? DOCKER_HUB_KEY : host));
+          if (credentials) {
+            return credentials;
+          }
+        } catch (error) {
+          console.warn(`Credential helper for ${host} failed: ${error.message}`);
+        }
+      }
+
+      const authKey = Object.keys(dockerConfig.auths || {}).find(matches);
+      return authKey ? fromAuthEntry(dockerConfig.auths[authKey]) : null;
+    },
+  };
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createDockerCredentialStore, normalizeRegistryKey, runCredentialHelper } from './docker-credentials.js';
+
+const base64 = value => Buffer.from(value).toString('base64');
+
+describe('Docker credential store', () => {
+  let tmpDir;
+  let configPath;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'docker-config-'));
+    configPath = path.join(tmpDir, 'config.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  async function writeConfig(value) {
+    await fs.writeFile(configPath, JSON.stringify(value));
+  }
+
+  it('should normalize auths keys to hosts', () => {
+    expect(normalizeRegistryKey('https://index.docker.io/v1/')).toBe('index.docker.io');
+    expect(normalizeRegistryKey('Registry.Example.com:5000')).toBe('registry.example.com:5000');
+    expect(normalizeRegistryKey('http://localhost:5000/v2/')).toBe('localhost:5000');
+  });
+
+  it('should decode base64 auth entries', async () => {
+    await writeConfig({
+      auths: {
+        'registry.example.com': { auth: base64('robot:pa:ss') },
+        'https://quay.io': { username: 'quay-user', password: 'quay-pass' },
+      },
+    });
+    const store = createDockerCredentialStore({ configPath });
+
+    expect(await store.getCredentials('registry.example.com')).toEqual({ username: 'robot', password: 'pa:ss' });
+    expect(await store.getCredentials('quay.io')).toEqual({ username: 'quay-user', password: 'quay-pass' });
+    expect(await store.getCredentials('other.example.com')).toBeNull();
+  });
+
+  it('should match Docker Hub under its legacy index URL', async () => {
+    await writeConfig({ auths: { 'https://index.docker.io/v1/': { auth: base64('hubuser:hubtoken') } } });
+    const store = createDockerCredentialStore({ configPath });
+
+    expect(await store.getCredentials('registry-1.docker.io')).toEqual({ username: 'hubuser', password: 'hubtoken' });
+  });
+
+  it('should return identity tokens', async () => {
+    await writeConfig({ auths: { 'registry.example.com': { auth: '', identitytoken: 'refresh-token' } } });
+    const store = createDockerCredentialStore({ configPath });
+
+    expect(await store.getCredentials('registry.example.com')).toEqual({ identityToken: 'refresh-token' });
+  });
+
+  it('should ask per-registry credential helpers before auths', async () => {
+    await writeConfig({
+      auths: { '123.dkr.ecr.eu-west-1.amazonaws.com': { auth: base64('stale:stale') } },
+      credHelpers: { '123.dkr.ecr.eu-west-1.amazonaws.com': 'ecr-login' },
+    });
+    const runHelper = vi.fn().mockResolvedValue({ Username: 'AWS', Secret: 'ecr-token' });
+    const store = createDockerCredentialStore({ configPath, runHelper });
+
+    expect(await store.getCredentials('123.dkr.ecr.eu-west-1.amazonaws.com')).toEqual({
+      username: 'AWS',
+      password: 'ecr-token',
+    });
+    expect(runHelper).toHaveBeenCalledWith('ecr-login', '123.dkr.ecr.eu-west-1.amazonaws.com');
+  });
+
+  it('should use credsStore for Docker Hub and map <token> to an identity token', async () => {
+    await writeConfig({ credsStore: 'pass' });
+    const runHelper = vi.fn().mockResolvedValue({ Username: '<token>', Secret: 'refresh-token' });
+    const store = createDockerCredentialStore({ configPath, runHelper });
+
+    expect(await store.getCredentials('registry-1.docker.io')).toEqual({ identityToken: 'refresh-token' });
+    expect(runHelper).toHaveBeenCalledWith('pass', 'https://index.docker.io/v1/');
+  });
+
+  it('should fall back to auths when a helper fails', async () => {
+    await writeConfig({
+      auths: { 'registry.example.com': { auth: base64('robot:secret') } },
+      credsStore: 'desktop',
+    });
+    const runHelper = vi.fn().mockRejectedValue(new Error('docker-credential-desktop could not be run: ENOENT'));
+    const store = createDockerCredentialStore({ configPath, runHelper });
+
+    expect(await store.getCredentials('registry.example.com')).toEqual({ username: 'robot', password: 'secret' });
+  });
+
+  it('should return null without a config file', async () => {
+    const store = createDockerCredentialStore({ configPath });
+
+    expect(await store.getCredentials('registry.example.com')).toBeNull();
+  });
+
+  it('should pick up changes to the config file', async () => {
+    const store = createDockerCredentialStore({ configPath });
+    await writeConfig({ auths: { 'registry.example.com': { auth: base64('old:old') } } });
+    expect(await store.getCredentials('registry.example.com')).toEqual({ username: 'old', password: 'old' });
+
+    await writeConfig({ auths: { 'registry.example.com': { auth: base64('new:new') } } });
+    expect(await store.getCredentials('registry.example.com')).toEqual({ username: 'new', password: 'new' });
+  });
+
+  it('should report helpers that are not installed', async () => {
+    await expect(runCredentialHelper('definitely-missing', 'registry.example.com'))
+      .rejects.toThrow('docker-credential-definitely-missing could not be run');
+  });
+});
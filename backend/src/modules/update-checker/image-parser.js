@@ -13,6 +13,9 @@
 const DEFAULT_REGISTRY = 'registry-1.docker.io';
 const DEFAULT_TAG = 'latest';
 
+// Registries served over plain HTTP
+const LOCAL_REGISTRY_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
 /**
  * Parse a Docker image reference into its components
  * @param {string} imageRef - Docker image reference
@@ -95,7 +98,12 @@ export function parseImageReference(imageRef) {
       if (registry === DEFAULT_REGISTRY) {
         return 'https://registry-1.docker.io';
       }
-      // Registry names in image references don't include schemes, assume HTTPS
+      // Registry names in image references don't include schemes; like Docker, assume HTTPS
+      // except for registries on the local machine
+      const host = registry.replace(/:\d+$/, '');
+      if (LOCAL_REGISTRY_HOSTS.includes(host)) {
+        return `http://${registry}`;
+      }
       return `https://${registry}`;
     },
     // Check if this is a Docker Hub image
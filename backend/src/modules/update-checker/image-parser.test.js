@@ -86,6 +86,10 @@ describe('Image Parser', () => {
 
       const custom = parseImageReference('my-registry.com/image');
       expect(custom.getRegistryUrl()).toBe('https://my-registry.com');
+
+      const local = parseImageReference('localhost:5000/image');
+      expect(local.getRegistryUrl()).toBe('http://localhost:5000');
+      expect(parseImageReference('127.0.0.1:5000/image').getRegistryUrl()).toBe('http://127.0.0.1:5000');
     });
 
     it('should convert back to string', () => {
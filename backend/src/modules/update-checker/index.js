@@ -3,24 +3,47 @@
  * Detects when container images have updates available
  */
 
+import path from 'path';
 import { createUpdateChecker } from './update-checker.js';
+import { createDockerCredentialStore } from './docker-credentials.js';
+import { validateTagPolicies } from './version-tags.js';
 
 let updateChecker = null;
 
 export default {
   name: 'update-checker',
 
-  init(context) {
-    if (!context.config.updateChecker.enabled) {
+  async init(context) {
+    const { config, docker, getModule } = context;
+
+    if (!config.updateChecker.enabled) {
       console.log('Update checker is disabled');
       updateChecker = null;
       return;
     }
 
-    updateChecker = createUpdateChecker(context.docker, context.config);
+    validateTagPolicies(config.updateChecker);
+
+    updateChecker = createUpdateChecker(docker, config, {
+      stateFile: path.join(config.dataDir, 'update-checker-state.json'),
+      credentialStore: createDockerCredentialStore({ configPath: config.registryAuth.dockerConfigPath }),
+      // Notifications initialize after this module, so look the providers up at check time
+      getProviderNames: () => getModule('notifications')?.getNotificationManager?.()?.getProviderNames(),
+    });
+    try {
+      await updateChecker.load();
+    } catch (error) {
+      console.error('Failed to load update checker state:', error);
+    }
     console.log('Update checker initialized');
   },
 
+  async shutdown() {
+    if (updateChecker) {
+      await updateChecker.flush();
+    }
+  },
+
   getChecker() {
     return updateChecker;
   },
@@ -30,3 +53,4 @@ export default {
 export { createUpdateChecker } from './update-checker.js';
 export { parseImageReference, getLocalDigest } from './image-parser.js';
 export { createRegistryClient } from './registry-client.js';
+export { createDockerCredentialStore } from './docker-credentials.js';
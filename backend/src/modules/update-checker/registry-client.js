@@ -1,11 +1,26 @@
 /**
  * Docker Registry v2 API client
  * Supports Docker Hub, GHCR, and generic v2 registries
+ * (using the WWW-Authenticate Bearer token or Basic auth challenge)
  */
 
 // Default timeout for registry requests (30 seconds)
 const FETCH_TIMEOUT_MS = 30000;
 
+// Request manifest list or OCI index to get the correct digest
+const MANIFEST_ACCEPT = [
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.v2+json',
+  'application/vnd.oci.image.manifest.v1+json',
+].join(', ');
+
+// Upper bound on tags/list pages followed
+const MAX_TAG_PAGES = 50;
+
+// auth-param in a WWW-Authenticate header: key="quoted value" or key=token
+const AUTH_PARAM_PATTERN = /([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+
 /**
  * Fetch with timeout support
  * @param {string} url - URL to fetch
@@ -27,33 +42,151 @@ async function fetchWithTimeout(url, options = {}) {
   }
 }
 
+/**
+ * Parse a WWW-Authenticate challenge
+ * e.g. Bearer realm="https://auth.example.com/token",service="registry.example.com",scope="repository:app:pull"
+ * @param {string|null} header - WWW-Authenticate header value
+ * @returns {{scheme: string, params: Object<string, string>}|null} Scheme is lower-cased
+ */
+export function parseAuthChallenge(header) {
+  const match = header?.match(/^\s*([\w-]+)\s*(.*)$/);
+  if (!match) {
+    return null;
+  }
+  const params = {};
+  for (const [, key, quoted, token] of match[2].matchAll(AUTH_PARAM_PATTERN)) {
+    params[key.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token;
+  }
+  return { scheme: match[1].toLowerCase(), params };
+}
+
+function basicAuthorization({ username, password }) {
+  return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+}
+
+/**
+ * Get the next page from a Link header (<url>; rel="next")
+ * @returns {string|null} Path and query of the next page
+ */
+function getNextPagePath(link, registryUrl) {
+  const match = link?.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+  if (!match) {
+    return null;
+  }
+  const url = new URL(match[1], registryUrl);
+  return `${url.pathname}${url.search}`;
+}
+
 /**
  * Create a registry client for the given parsed image reference
  * @param {Object} imageRef - Parsed image reference from image-parser
  * @param {Object} options - Options including auth tokens
+ * @param {string} [options.ghcrToken] - Token for ghcr.io
+ * @param {import('./docker-credentials.js').RegistryCredentials} [options.credentials] - Credentials for the
+ *   image's registry, used for Basic auth and when requesting Bearer tokens
  * @returns {Object} Registry client
  */
 export function createRegistryClient(imageRef, options = {}) {
-  const { ghcrToken } = options;
+  const { ghcrToken, credentials } = options;
+  const { registry, repository, tag } = imageRef;
+  const registryUrl = imageRef.getRegistryUrl();
+  // GHCR with GHCR_TOKEN and Docker Hub have fixed token flows; everything else answers auth challenges
+  const usesChallenge = !imageRef.isDockerHub() && !(imageRef.isGHCR() && (ghcrToken || !credentials));
+  // Authorization header value, reused for later requests once obtained
+  let authorization = null;
+
+  /**
+   * GET a registry API path, authenticating as the registry requires
+   * Registries that need auth answer 401 with a WWW-Authenticate challenge, which is answered and retried once.
+   * @param {string} path - Path starting with /v2/
+   * @param {string} accept - Accept header
+   * @returns {Promise<Response>}
+   */
+  async function request(path, accept) {
+    if (!authorization && imageRef.isDockerHub()) {
+      authorization = `Bearer ${await getDockerHubToken(repository, credentials)}`;
+    } else if (!authorization && imageRef.isGHCR() && ghcrToken) {
+      // GHCR requires authentication even for public images in some cases
+      authorization = `Bearer ${ghcrToken}`;
+    }
+
+    const send = () => fetchWithTimeout(`${registryUrl}${path}`, {
+      headers: authorization ? { 'Accept': accept, 'Authorization': authorization } : { 'Accept': accept },
+    });
+
+    let response = await send();
+    if (response.status !== 401) {
+      return response;
+    }
+    if (!usesChallenge) {
+      if (imageRef.isGHCR() && !ghcrToken) {
+        throw new Error(`GHCR requires authentication for ${repository}:${tag}. Set GHCR_TOKEN environment variable.`);
+      }
+      return response;
+    }
+
+    const challenge = parseAuthChallenge(response.headers.get('www-authenticate'));
+    authorization = await authorize(challenge, imageRef, credentials);
+    response = await send();
+    if ((response.status === 401 || response.status === 403) && !credentials) {
+      throw new Error(`${registry} requires authentication for ${repository}:${tag}. Add credentials to REGISTRY_AUTH or the Docker config.`);
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`${registry} rejected the credentials for ${repository}:${tag}: ${response.status}`);
+    }
+    return response;
+  }
 
   return {
     /**
      * Get the manifest digest for the image tag
+     * @param {string} [otherTag] - Another tag of the same repository
      * @returns {Promise<string>} Digest string (sha256:...)
      */
-    async getRemoteDigest() {
+    async getRemoteDigest(otherTag) {
       // If image is pinned by digest, return it directly
-      if (imageRef.digest) {
+      if (imageRef.digest && !otherTag) {
         return imageRef.digest;
       }
 
-      if (imageRef.isDockerHub()) {
-        return await getDockerHubDigest(imageRef);
-      } else if (imageRef.isGHCR()) {
-        return await getGHCRDigest(imageRef, ghcrToken);
-      } else {
-        return await getGenericRegistryDigest(imageRef);
+      const reference = otherTag || tag;
+      const displayName = imageRef.isDockerHub()
+        ? `${repository}:${reference}`
+        : `${registry}/${repository}:${reference}`;
+      const response = await request(`/v2/${repository}/manifests/${reference}`, MANIFEST_ACCEPT);
+      if (!response.ok) {
+        throw new Error(`Failed to get manifest for ${displayName}: ${response.status}`);
+      }
+
+      // The digest is returned in the Docker-Content-Digest header
+      const digest = response.headers.get('docker-content-digest');
+      if (!digest) {
+        throw new Error(`No digest returned for ${displayName}`);
       }
+      return digest;
+    },
+
+    /**
+     * List the repository's tags, following pagination
+     * @returns {Promise<string[]>}
+     */
+    async listTags() {
+      const tags = [];
+      let path = `/v2/${repository}/tags/list`;
+      for (let page = 0; path && page < MAX_TAG_PAGES; page++) {
+        const response = await request(path, 'application/json');
+        if (!response.ok) {
+          throw new Error(`Failed to list tags for ${registry}/${repository}: ${response.status}`);
+        }
+        const data = await response.json();
+        tags.push(...(data.tags || []));
+        path = getNextPagePath(response.headers.get('link'), registryUrl);
+      }
+      if (path) {
+        // Tags come in lexical order, so the newest versions may be among those not listed
+        console.warn(`Stopped listing tags for ${registry}/${repository} after ${MAX_TAG_PAGES} pages (${tags.length} tags); newer versions may be missed`);
+      }
+      return tags;
     },
   };
 }
@@ -61,9 +194,11 @@ export function createRegistryClient(imageRef, options = {}) {
 /**
  * Get Docker Hub auth token for pulling manifests
  */
-async function getDockerHubToken(repository) {
+async function getDockerHubToken(repository, credentials) {
   const tokenUrl = `https://auth.docker.io/token?service=registry.docker.io&scope=repository:${repository}:pull`;
-  const response = await fetchWithTimeout(tokenUrl);
+  const response = credentials?.password
+    ? await fetchWithTimeout(tokenUrl, { headers: { 'Authorization': basicAuthorization(credentials) } })
+    : await fetchWithTimeout(tokenUrl);
 
   if (!response.ok) {
     throw new Error(`Failed to get Docker Hub token for ${repository}: ${response.status}`);
@@ -74,102 +209,67 @@ async function getDockerHubToken(repository) {
 }
 
 /**
- * Get manifest digest from Docker Hub
+ * Get a Bearer token from the realm named in a registry's auth challenge
  */
-async function getDockerHubDigest(imageRef) {
-  const token = await getDockerHubToken(imageRef.repository);
-  const manifestUrl = `https://registry-1.docker.io/v2/${imageRef.repository}/manifests/${imageRef.tag}`;
-
-  const response = await fetchWithTimeout(manifestUrl, {
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      // Request manifest list or OCI index to get the correct digest
-      'Accept': [
-        'application/vnd.docker.distribution.manifest.list.v2+json',
-        'application/vnd.oci.image.index.v1+json',
-        'application/vnd.docker.distribution.manifest.v2+json',
-        'application/vnd.oci.image.manifest.v1+json',
-      ].join(', '),
-    },
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to get manifest for ${imageRef.repository}:${imageRef.tag}: ${response.status}`);
+async function getChallengeToken(params, imageRef, credentials) {
+  if (!params.realm) {
+    throw new Error(`${imageRef.registry} sent a Bearer challenge without a realm`);
   }
 
-  // The digest is returned in the Docker-Content-Digest header
-  const digest = response.headers.get('docker-content-digest');
-  if (!digest) {
-    throw new Error(`No digest returned for ${imageRef.repository}:${imageRef.tag}`);
-  }
+  const tokenUrl = new URL(params.realm);
+  const scope = params.scope || `repository:${imageRef.repository}:pull`;
 
-  return digest;
-}
-
-/**
- * Get manifest digest from GitHub Container Registry
- */
-async function getGHCRDigest(imageRef, token) {
-  const manifestUrl = `https://ghcr.io/v2/${imageRef.repository}/manifests/${imageRef.tag}`;
-
-  const headers = {
-    'Accept': [
-      'application/vnd.docker.distribution.manifest.list.v2+json',
-      'application/vnd.oci.image.index.v1+json',
-      'application/vnd.docker.distribution.manifest.v2+json',
-      'application/vnd.oci.image.manifest.v1+json',
-    ].join(', '),
-  };
-
-  // GHCR requires authentication even for public images in some cases
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
-
-  const response = await fetchWithTimeout(manifestUrl, { headers });
-
-  if (response.status === 401 && !token) {
-    throw new Error(`GHCR requires authentication for ${imageRef.repository}:${imageRef.tag}. Set GHCR_TOKEN environment variable.`);
+  let response;
+  if (credentials?.identityToken) {
+    // Identity tokens are OAuth2 refresh tokens, exchanged with a POST
+    response = await fetchWithTimeout(tokenUrl.toString(), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: credentials.identityToken,
+        service: params.service || '',
+        scope,
+        client_id: 'docker-monitor',
+      }).toString(),
+    });
+  } else {
+    if (params.service) {
+      tokenUrl.searchParams.set('service', params.service);
+    }
+    tokenUrl.searchParams.set('scope', scope);
+    const headers = credentials?.password ? { 'Authorization': basicAuthorization(credentials) } : {};
+    response = await fetchWithTimeout(tokenUrl.toString(), { headers });
   }
 
   if (!response.ok) {
-    throw new Error(`Failed to get manifest for ghcr.io/${imageRef.repository}:${imageRef.tag}: ${response.status}`);
+    throw new Error(`Failed to get ${imageRef.registry} token for ${imageRef.repository}: ${response.status}`);
   }
 
-  const digest = response.headers.get('docker-content-digest');
-  if (!digest) {
-    throw new Error(`No digest returned for ghcr.io/${imageRef.repository}:${imageRef.tag}`);
+  // Token servers return `token`, OAuth2-style ones `access_token`
+  const data = await response.json();
+  const token = data.token || data.access_token;
+  if (!token) {
+    throw new Error(`No token returned by ${tokenUrl.origin} for ${imageRef.repository}`);
   }
-
-  return digest;
+  return token;
 }
 
 /**
- * Get manifest digest from a generic v2 registry
+ * Answer a registry's WWW-Authenticate challenge
+ * @returns {Promise<string>} Authorization header value
  */
-async function getGenericRegistryDigest(imageRef) {
-  const registryUrl = imageRef.getRegistryUrl();
-  const manifestUrl = `${registryUrl}/v2/${imageRef.repository}/manifests/${imageRef.tag}`;
-
-  const response = await fetchWithTimeout(manifestUrl, {
-    headers: {
-      'Accept': [
-        'application/vnd.docker.distribution.manifest.list.v2+json',
-        'application/vnd.oci.image.index.v1+json',
-        'application/vnd.docker.distribution.manifest.v2+json',
-        'application/vnd.oci.image.manifest.v1+json',
-      ].join(', '),
-    },
-  });
+async function authorize(challenge, imageRef, credentials) {
+  const { registry, repository, tag } = imageRef;
 
-  if (!response.ok) {
-    throw new Error(`Failed to get manifest for ${imageRef.registry}/${imageRef.repository}:${imageRef.tag}: ${response.status}`);
+  if (challenge?.scheme === 'bearer') {
+    return `Bearer ${await getChallengeToken(challenge.params, imageRef, credentials)}`;
   }
-
-  const digest = response.headers.get('docker-content-digest');
-  if (!digest) {
-    throw new Error(`No digest returned for ${imageRef.registry}/${imageRef.repository}:${imageRef.tag}`);
+  if (challenge?.scheme === 'basic') {
+    if (!credentials?.password) {
+      throw new Error(`${registry} requires authentication for ${repository}:${tag}. Add credentials to REGISTRY_AUTH or the Docker config.`);
+    }
+    return basicAuthorization(credentials);
   }
-
-  return digest;
+  throw new Error(`${registry} requires authentication for ${repository}:${tag} but sent no supported challenge`);
 }
@@ -5,18 +5,72 @@
 
 import { parseImageReference, getImageRefFromContainer, getLocalDigest } from './image-parser.js';
 import { createRegistryClient } from './registry-client.js';
+import { findNewerTag } from './version-tags.js';
+import { getUpdateLabelSettings } from './update-labels.js';
+import { getContainerSubject, matchesContainerPattern } from './container-patterns.js';
+import { readJsonFile, createJsonFileWriter } from '../../lib/json-file.js';
+
+/**
+ * @typedef {Object} NotificationRecord
+ * @property {string} digest - Remote digest that was notified
+ * @property {string} containerName - Container name at the time
+ * @property {string} image - Image reference
+ * @property {string} notifiedAt - When the first provider confirmed delivery (ISO 8601)
+ * @property {string[]} providers - Providers that confirmed delivery of this digest
+ */
 
 /**
  * Create an update checker instance
  * @param {Object} docker - Dockerode instance
  * @param {Object} config - Configuration
+ * @param {Object} [options]
+ * @param {string} [options.stateFile] - JSON file that keeps notification history across restarts
+ * @param {Object} [options.credentialStore] - Registry credentials from the Docker config (see docker-credentials.js)
+ * @param {Function} [options.getProviderNames] - Returns the registered notification providers, used to check
+ *   docker-monitor.update.notify labels
  * @returns {Object} Update checker
  */
-export function createUpdateChecker(docker, config) {
-  // Track last notified digest per container to avoid duplicate notifications
+export function createUpdateChecker(docker, config, { stateFile, credentialStore, getProviderNames } = {}) {
+  // Track last notified digest per container to avoid duplicate notifications (containerId -> NotificationRecord)
   const lastNotifiedDigests = new Map();
+  // Remote digests the user chose to skip (containerId -> digest)
+  const ignoredDigests = new Map();
+  // Outcome of the most recent check per container (containerId -> update info)
+  let lastCheckResults = new Map();
+  const writer = stateFile ? createJsonFileWriter(stateFile) : null;
+
+  function persist() {
+    if (!writer) {
+      return Promise.resolve();
+    }
+    return writer.save({
+      notified: Object.fromEntries(lastNotifiedDigests),
+      ignored: Object.fromEntries(ignoredDigests),
+    }).catch(error => {
+      console.error('Failed to save update checker state:', error);
+    });
+  }
 
   return {
+    /**
+     * Load notification history and ignored digests from the state file
+     */
+    async load() {
+      if (!stateFile) {
+        return;
+      }
+      const state = await readJsonFile(stateFile, null);
+      for (const [containerId, record] of Object.entries(state?.notified || {})) {
+        lastNotifiedDigests.set(containerId, record);
+      }
+      for (const [containerId, digest] of Object.entries(state?.ignored || {})) {
+        ignoredDigests.set(containerId, digest);
+      }
+      if (lastNotifiedDigests.size > 0) {
+        console.log(`Loaded notification history for ${lastNotifiedDigests.size} container(s)`);
+      }
+    },
+
     /**
      * Check all containers for updates
      * @returns {Promise<Array>} List of containers with available updates
@@ -24,18 +78,29 @@ export function createUpdateChecker(docker, config) {
     async checkForUpdates() {
       const containers = await docker.listContainers({ all: true });
       const updates = [];
+      const results = new Map();
+      // Tag lists by repository, shared by containers of the same image during this check
+      const tagLists = new Map();
 
       for (const container of containers) {
-        const containerName = container.Names[0]?.replace(/^\//, '') || 'unknown';
+        const subject = getContainerSubject(container);
+        const containerName = subject.name;
 
         // Check if container is included/excluded
-        if (!shouldCheckContainer(containerName, config)) {
+        const labelSettings = getUpdateLabelSettings(container.Labels, containerName, getProviderNames?.());
+        if (!shouldCheckContainer(subject, config, labelSettings)) {
           continue;
         }
 
         try {
-          const updateInfo = await this.checkContainerForUpdate(container);
-          if (updateInfo && updateInfo.hasUpdate) {
+          const updateInfo = await this.checkContainerForUpdate(container, labelSettings, tagLists);
+          if (updateInfo?.hasUpdate && ignoredDigests.get(updateInfo.containerId) === updateInfo.remoteDigest) {
+            updateInfo.ignored = true;
+          }
+          if (updateInfo) {
+            results.set(updateInfo.containerId, updateInfo);
+          }
+          if (updateInfo && updateInfo.hasUpdate && !updateInfo.ignored) {
             updates.push(updateInfo);
           }
         } catch (error) {
@@ -43,18 +108,23 @@ export function createUpdateChecker(docker, config) {
         }
       }
 
+      lastCheckResults = results;
       return updates;
     },
 
     /**
      * Check a single container for updates
      * @param {Object} container - Container from listContainers
+     * @param {import('./update-labels.js').UpdateLabelSettings} [labelSettings] - Settings from the container's
+     *   labels, read from them when omitted
+     * @param {Map<string, Promise<string[]>>} [tagLists] - Tag lists by repository to reuse within one check
      * @returns {Promise<Object|null>} Update info or null
      */
-    async checkContainerForUpdate(container) {
+    async checkContainerForUpdate(container, labelSettings, tagLists = new Map()) {
       const containerId = container.Id;
       const containerName = container.Names[0]?.replace(/^\//, '') || 'unknown';
       const imageRef = container.Image;
+      const settings = labelSettings || getUpdateLabelSettings(container.Labels, containerName, getProviderNames?.());
 
       // Skip images that are digests (no tag to check)
       if (imageRef.startsWith('sha256:')) {
@@ -74,23 +144,52 @@ export function createUpdateChecker(docker, config) {
         const imageInspect = await docker.getImage(container.ImageID).inspect();
         const localDigest = getLocalDigest(imageInspect);
 
-        // Get remote digest
+        // Get remote digest; REGISTRY_AUTH entries win over the Docker config
+        const credentials = config.registryAuth?.registries?.[parsed.registry]
+          || await credentialStore?.getCredentials(parsed.registry)
+          || undefined;
         const registryClient = createRegistryClient(parsed, {
           ghcrToken: config.registryAuth?.ghcrToken,
+          credentials,
         });
         const remoteDigest = await registryClient.getRemoteDigest();
 
         // Compare digests
-        const hasUpdate = localDigest !== remoteDigest;
-
-        return {
+        const result = {
           containerId,
           containerName,
           image: imageRef,
+          labels: container.Labels || {},
           localDigest,
           remoteDigest,
-          hasUpdate,
+          hasUpdate: localDigest !== remoteDigest,
         };
+        if (settings.notify) {
+          result.notify = settings.notify;
+        }
+
+        // Look for newer version tags the container's policy allows
+        const tagPolicy = getTagPolicy(containerName, config, settings);
+        if (tagPolicy !== 'digest') {
+          let newer = null;
+          try {
+            const repositoryKey = `${parsed.registry}/${parsed.repository}`;
+            if (!tagLists.has(repositoryKey)) {
+              tagLists.set(repositoryKey, registryClient.listTags());
+            }
+            newer = findNewerTag(parsed.tag, await tagLists.get(repositoryKey), tagPolicy);
+          } catch (error) {
+            console.warn(`Could not list tags for ${containerName} (${imageRef}): ${error.message}`);
+          }
+          if (newer) {
+            result.remoteDigest = await registryClient.getRemoteDigest(newer.tag);
+            result.newTag = newer.tag;
+            result.updateType = newer.updateType;
+            result.hasUpdate = true;
+          }
+        }
+
+        return result;
       } catch (error) {
         // Re-throw with more context
         throw new Error(`Failed to check ${containerName} (${imageRef}): ${error.message}`);
@@ -99,52 +198,137 @@ export function createUpdateChecker(docker, config) {
 
     /**
      * Check for updates and return only new updates (not previously notified)
+     * @param {Object} [options]
+     * @param {boolean} [options.markNotified=true] - Record the returned updates as notified right away;
+     *   pass false and call markNotified() once delivery is confirmed
      * @returns {Promise<Array>} List of new updates to notify about
      */
-    async checkForNewUpdates() {
+    async checkForNewUpdates({ markNotified = true } = {}) {
       const allUpdates = await this.checkForUpdates();
       const newUpdates = [];
 
       for (const update of allUpdates) {
-        const lastDigest = lastNotifiedDigests.get(update.containerId);
+        const lastDigest = lastNotifiedDigests.get(update.containerId)?.digest;
 
         // Only notify if this is a new update
         if (lastDigest !== update.remoteDigest) {
           newUpdates.push(update);
-          lastNotifiedDigests.set(update.containerId, update.remoteDigest);
         }
       }
 
+      if (markNotified) {
+        await this.markNotified(newUpdates);
+      }
       return newUpdates;
     },
 
+    /**
+     * Record updates as notified so later checks skip them
+     * @param {Array} updates - Updates that were delivered
+     * @param {Object} [options]
+     * @param {string} [options.provider] - Provider that confirmed delivery
+     * @returns {Promise<void>} Resolves once the state file is written
+     */
+    markNotified(updates, { provider } = {}) {
+      const now = new Date().toISOString();
+      for (const update of updates) {
+        const record = lastNotifiedDigests.get(update.containerId);
+        if (record?.digest === update.remoteDigest) {
+          if (provider && !record.providers.includes(provider)) {
+            record.providers.push(provider);
+          }
+          continue;
+        }
+        lastNotifiedDigests.set(update.containerId, {
+          digest: update.remoteDigest,
+          containerName: update.containerName,
+          image: update.image,
+          notifiedAt: now,
+          providers: provider ? [provider] : [],
+        });
+      }
+      return persist();
+    },
+
+    /**
+     * Get the result of the most recent check for every checked container
+     * @returns {Array} Update info, including containers without updates
+     */
+    getLastCheckResults() {
+      return Array.from(lastCheckResults.values());
+    },
+
+    /**
+     * Stop reporting a specific remote digest as an update for a container
+     * A newer digest is reported again as usual.
+     * @param {string} containerId - Container ID
+     * @param {string} remoteDigest - Digest to ignore
+     * @returns {Promise<void>} Resolves once the state file is written
+     */
+    ignoreDigest(containerId, remoteDigest) {
+      ignoredDigests.set(containerId, remoteDigest);
+      return persist();
+    },
+
     /**
      * Clear notification history (for testing)
      */
     clearNotificationHistory() {
       lastNotifiedDigests.clear();
+      return persist();
     },
 
     /**
-     * Get notification history (for testing)
+     * Get notification history
+     * @returns {Map<string, NotificationRecord>} containerId -> last notified digest
      */
     getNotificationHistory() {
       return new Map(lastNotifiedDigests);
     },
+
+    /**
+     * Wait for pending state file writes
+     */
+    async flush() {
+      await writer?.flush();
+    },
   };
 }
 
 /**
- * Check if a container should be checked based on config
+ * Get the tag policy for a container (see version-tags.js TAG_POLICIES)
+ * The docker-monitor.update.policy label wins over the configured policies.
  * @param {string} containerName - Container name
  * @param {Object} config - Configuration
+ * @param {import('./update-labels.js').UpdateLabelSettings} [labelSettings] - Settings from the container's labels
+ * @returns {string}
+ */
+function getTagPolicy(containerName, config, labelSettings = {}) {
+  return labelSettings.policy
+    || config.updateChecker.tagPolicies?.[containerName]
+    || config.updateChecker.tagPolicy
+    || 'digest';
+}
+
+/**
+ * Check if a container should be checked based on config
+ * List entries are patterns (see container-patterns.js) on the name, image or compose project.
+ * A docker-monitor.update.enable label overrides the include and exclude lists.
+ * @param {import('./container-patterns.js').ContainerSubject} subject - Container
+ * @param {Object} config - Configuration
+ * @param {import('./update-labels.js').UpdateLabelSettings} [labelSettings] - Settings from the container's labels
  * @returns {boolean}
  */
-function shouldCheckContainer(containerName, config) {
+function shouldCheckContainer(subject, config, labelSettings = {}) {
+  if (labelSettings.enable !== undefined) {
+    return labelSettings.enable;
+  }
+
   const { containers, excludeContainers } = config.updateChecker || {};
+  const matchesAny = patterns => patterns.some(pattern => matchesContainerPattern(pattern, subject));
 
   // Check exclusion list first
-  if (Array.isArray(excludeContainers) && excludeContainers.includes(containerName)) {
+  if (Array.isArray(excludeContainers) && matchesAny(excludeContainers)) {
     return false;
   }
 
@@ -153,9 +337,9 @@ function shouldCheckContainer(containerName, config) {
     return true;
   }
 
-  // Otherwise, check if container is in the list
+  // Otherwise, check if container matches the list
   if (Array.isArray(containers)) {
-    return containers.includes(containerName);
+    return matchesAny(containers);
   }
 
   return true;
@@ -1,4 +1,7 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import { createUpdateChecker } from './update-checker.js';
 
 // Mock the registry client module
@@ -99,6 +102,266 @@ describe('Update Checker', () => {
       expect(updates).toHaveLength(0);
     });
 
+    it('should pass configured credentials for the image registry', async () => {
+      config.registryAuth.registries = { 'registry.example.com': { username: 'robot', password: 's3cret' } };
+      const checker = createUpdateChecker(mockDocker, config);
+
+      mockDocker.listContainers.mockResolvedValue([
+        { Id: 'container1', Names: ['/private'], Image: 'registry.example.com/team/app:1.0', ImageID: 'sha256:a' },
+        { Id: 'container2', Names: ['/public'], Image: 'nginx:latest', ImageID: 'sha256:b' },
+      ]);
+      mockDocker.getImage.mockReturnValue({
+        inspect: vi.fn().mockResolvedValue({ RepoDigests: ['app@sha256:same'] }),
+      });
+      createRegistryClient.mockReturnValue({ getRemoteDigest: vi.fn().mockResolvedValue('sha256:same') });
+
+      await checker.checkForUpdates();
+
+      expect(createRegistryClient).toHaveBeenCalledWith(
+        expect.objectContaining({ registry: 'registry.example.com' }),
+        expect.objectContaining({ credentials: { username: 'robot', password: 's3cret' } }),
+      );
+      expect(createRegistryClient).toHaveBeenCalledWith(
+        expect.objectContaining({ registry: 'registry-1.docker.io' }),
+        expect.objectContaining({ credentials: undefined }),
+      );
+    });
+
+    it('should fall back to the Docker config credential store', async () => {
+      config.registryAuth.registries = { 'registry.example.com': { username: 'env', password: 'env' } };
+      const credentialStore = { getCredentials: vi.fn().mockResolvedValue({ username: 'robot', password: 'docker' }) };
+      const checker = createUpdateChecker(mockDocker, config, { credentialStore });
+
+      mockDocker.listContainers.mockResolvedValue([
+        { Id: 'container1', Names: ['/env'], Image: 'registry.example.com/team/app:1.0', ImageID: 'sha256:a' },
+        { Id: 'container2', Names: ['/quay'], Image: 'quay.io/team/app:1.0', ImageID: 'sha256:b' },
+      ]);
+      mockDocker.getImage.mockReturnValue({
+        inspect: vi.fn().mockResolvedValue({ RepoDigests: ['app@sha256:same'] }),
+      });
+      createRegistryClient.mockReturnValue({ getRemoteDigest: vi.fn().mockResolvedValue('sha256:same') });
+
+      await checker.checkForUpdates();
+
+      expect(credentialStore.getCredentials).toHaveBeenCalledTimes(1);
+      expect(credentialStore.getCredentials).toHaveBeenCalledWith('quay.io');
+      expect(createRegistryClient).toHaveBeenCalledWith(
+        expect.objectContaining({ registry: 'quay.io' }),
+        expect.objectContaining({ credentials: { username: 'robot', password: 'docker' } }),
+      );
+    });
+
+    describe('version tags', () => {
+      beforeEach(() => {
+        mockDocker.listContainers.mockResolvedValue([
+          { Id: 'container1', Names: ['/db'], Image: 'postgres:15.3', ImageID: 'sha256:a' },
+        ]);
+        mockDocker.getImage.mockReturnValue({
+          inspect: vi.fn().mockResolvedValue({ RepoDigests: ['postgres@sha256:current'] }),
+        });
+      });
+
+      function mockRegistry(listTags) {
+        const client = {
+          getRemoteDigest: vi.fn(async tag => (tag ? `sha256:${tag}` : 'sha256:current')),
+          listTags,
+        };
+        createRegistryClient.mockReturnValue(client);
+        return client;
+      }
+
+      it('should report the newest tag the policy allows', async () => {
+        config.updateChecker.tagPolicy = 'minor';
+        mockRegistry(vi.fn().mockResolvedValue(['15.3', '15.4', '15.5', '16.1', 'latest']));
+        const checker = createUpdateChecker(mockDocker, config);
+
+        const updates = await checker.checkForUpdates();
+
+        expect(updates).toEqual([expect.objectContaining({
+          containerName: 'db',
+          localDigest: 'sha256:current',
+          remoteDigest: 'sha256:15.5',
+          newTag: '15.5',
+          updateType: 'minor',
+          hasUpdate: true,
+        })]);
+      });
+
+      it('should apply per-container policies over the default', async () => {
+        config.updateChecker.tagPolicy = 'minor';
+        config.updateChecker.tagPolicies = { db: 'major' };
+        mockRegistry(vi.fn().mockResolvedValue(['15.3', '15.5', '16.1']));
+        const checker = createUpdateChecker(mockDocker, config);
+
+        const [update] = await checker.checkForUpdates();
+
+        expect(update).toMatchObject({ newTag: '16.1', updateType: 'major' });
+      });
+
+      it('should list the tags of a repository once per check', async () => {
+        config.updateChecker.tagPolicy = 'minor';
+        mockDocker.listContainers.mockResolvedValue([
+          { Id: 'container1', Names: ['/db'], Image: 'postgres:15.3', ImageID: 'sha256:a' },
+          { Id: 'container2', Names: ['/db-replica'], Image: 'postgres:15.4', ImageID: 'sha256:b' },
+        ]);
+        const listTags = vi.fn().mockResolvedValue(['15.3', '15.4', '15.5']);
+        mockRegistry(listTags);
+        const checker = createUpdateChecker(mockDocker, config);
+
+        const updates = await checker.checkForUpdates();
+        expect(updates.map(u => u.newTag)).toEqual(['15.5', '15.5']);
+        expect(listTags).toHaveBeenCalledTimes(1);
+
+        await checker.checkForUpdates();
+        expect(listTags).toHaveBeenCalledTimes(2);
+      });
+
+      it('should not list tags with the digest policy', async () => {
+        const client = mockRegistry(vi.fn());
+        const checker = createUpdateChecker(mockDocker, config);
+
+        expect(await checker.checkForUpdates()).toEqual([]);
+        expect(client.listTags).not.toHaveBeenCalled();
+      });
+
+      it('should fall back to the digest check when tags cannot be listed', async () => {
+        config.updateChecker.tagPolicy = 'patch';
+        mockRegistry(vi.fn().mockRejectedValue(new Error('Failed to list tags for registry-1.docker.io/library/postgres: 404')));
+        const checker = createUpdateChecker(mockDocker, config);
+
+        expect(await checker.checkForUpdates()).toEqual([]);
+        expect(checker.getLastCheckResults()).toEqual([
+          expect.objectContaining({ containerName: 'db', hasUpdate: false }),
+        ]);
+      });
+    });
+
+    it('should remember results of the last check including up-to-date containers', async () => {
+      const checker = createUpdateChecker(mockDocker, config);
+      expect(checker.getLastCheckResults()).toEqual([]);
+
+      mockDocker.listContainers.mockResolvedValue([
+        { Id: 'container1', Names: ['/outdated'], Image: 'nginx:latest', ImageID: 'sha256:a' },
+        { Id: 'container2', Names: ['/current'], Image: 'redis:latest', ImageID: 'sha256:b' },
+      ]);
+      mockDocker.getImage.mockImplementation(id => ({
+        inspect: vi.fn().mockResolvedValue({
+          RepoDigests: [id === 'sha256:a' ? 'nginx@sha256:old' : 'redis@sha256:same'],
+        }),
+      }));
+      createRegistryClient.mockImplementation(parsed => ({
+        getRemoteDigest: vi.fn().mockResolvedValue(parsed.repository.includes('nginx') ? 'sha256:new' : 'sha256:same'),
+      }));
+
+      await checker.checkForUpdates();
+
+      expect(checker.getLastCheckResults()).toEqual([
+        expect.objectContaining({ containerId: 'container1', hasUpdate: true }),
+        expect.objectContaining({ containerId: 'container2', hasUpdate: false }),
+      ]);
+    });
+
+    it('should not report an ignored digest until a newer one is published', async () => {
+      const checker = createUpdateChecker(mockDocker, config);
+      const remoteDigest = vi.fn().mockResolvedValue('sha256:remotedigest456');
+
+      mockDocker.listContainers.mockResolvedValue([
+        { Id: 'container123', Names: ['/my-app'], Image: 'nginx:latest', ImageID: 'sha256:localimage' },
+      ]);
+      mockDocker.getImage.mockReturnValue({
+        inspect: vi.fn().mockResolvedValue({ RepoDigests: ['nginx@sha256:localdigest123'] }),
+      });
+      createRegistryClient.mockReturnValue({ getRemoteDigest: remoteDigest });
+
+      checker.ignoreDigest('container123', 'sha256:remotedigest456');
+
+      expect(await checker.checkForUpdates()).toHaveLength(0);
+      expect(checker.getLastCheckResults()).toEqual([
+        expect.objectContaining({ containerId: 'container123', hasUpdate: true, ignored: true }),
+      ]);
+
+      remoteDigest.mockResolvedValue('sha256:newerdigest789');
+      expect(await checker.checkForUpdates()).toHaveLength(1);
+    });
+
+    describe('labels', () => {
+      beforeEach(() => {
+        mockDocker.getImage.mockReturnValue({
+          inspect: vi.fn().mockResolvedValue({ RepoDigests: ['nginx@sha256:local'] }),
+        });
+      });
+
+      it('should let the enable label override the container lists', async () => {
+        config.updateChecker.containers = ['listed'];
+        mockDocker.listContainers.mockResolvedValue([
+          { Id: 'c1', Names: ['/listed'], Image: 'nginx:latest', ImageID: 'sha256:a', Labels: { 'docker-monitor.update.enable': 'false' } },
+          { Id: 'c2', Names: ['/unlisted'], Image: 'nginx:latest', ImageID: 'sha256:b', Labels: { 'docker-monitor.update.enable': 'true' } },
+          { Id: 'c3', Names: ['/other'], Image: 'nginx:latest', ImageID: 'sha256:c' },
+        ]);
+        createRegistryClient.mockReturnValue({ getRemoteDigest: vi.fn().mockResolvedValue('sha256:remote') });
+        const checker = createUpdateChecker(mockDocker, config);
+
+        const updates = await checker.checkForUpdates();
+
+        expect(updates.map(u => u.containerName)).toEqual(['unlisted']);
+      });
+
+      it('should apply the policy label over configured policies', async () => {
+        config.updateChecker.tagPolicy = 'patch';
+        config.updateChecker.tagPolicies = { db: 'patch' };
+        mockDocker.listContainers.mockResolvedValue([
+          { Id: 'c1', Names: ['/db'], Image: 'postgres:15.3', ImageID: 'sha256:a', Labels: { 'docker-monitor.update.policy': 'major' } },
+        ]);
+        createRegistryClient.mockReturnValue({
+          getRemoteDigest: vi.fn(async tag => (tag ? `sha256:${tag}` : 'sha256:local')),
+          listTags: vi.fn().mockResolvedValue(['15.3', '15.4', '16.1']),
+        });
+        const checker = createUpdateChecker(mockDocker, config);
+
+        const [update] = await checker.checkForUpdates();
+
+        expect(update).toMatchObject({ newTag: '16.1', updateType: 'major' });
+      });
+
+      it('should attach the providers named by the notify label', async () => {
+        mockDocker.listContainers.mockResolvedValue([
+          { Id: 'c1', Names: ['/app'], Image: 'nginx:latest', ImageID: 'sha256:a', Labels: { 'docker-monitor.update.notify': 'Slack, email' } },
+          { Id: 'c2', Names: ['/quiet'], Image: 'nginx:latest', ImageID: 'sha256:b', Labels: { 'docker-monitor.update.notify': 'none' } },
+          { Id: 'c3', Names: ['/plain'], Image: 'nginx:latest', ImageID: 'sha256:c' },
+        ]);
+        createRegistryClient.mockReturnValue({ getRemoteDigest: vi.fn().mockResolvedValue('sha256:remote') });
+        const checker = createUpdateChecker(mockDocker, config);
+
+        const updates = await checker.checkForUpdates();
+
+        expect(updates.map(u => u.notify)).toEqual([['slack', 'email'], [], undefined]);
+      });
+
+      it('should resolve notify names to registered providers and warn about unknown ones', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        mockDocker.listContainers.mockResolvedValue([
+          { Id: 'c1', Names: ['/app'], Image: 'nginx:latest', ImageID: 'sha256:a', Labels: { 'docker-monitor.update.notify': 'slack,emial' } },
+          { Id: 'c2', Names: ['/typo'], Image: 'nginx:latest', ImageID: 'sha256:b', Labels: { 'docker-monitor.update.notify': 'slak' } },
+        ]);
+        createRegistryClient.mockReturnValue({ getRemoteDigest: vi.fn().mockResolvedValue('sha256:remote') });
+        const checker = createUpdateChecker(mockDocker, config, {
+          getProviderNames: () => ['slack-webhook', 'email', 'ntfy'],
+        });
+
+        const updates = await checker.checkForUpdates();
+
+        // An update whose only name is unknown still goes to every provider
+        expect(updates.map(u => u.notify)).toEqual([['slack-webhook'], undefined]);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Unknown provider "emial"'));
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Unknown provider "slak"'));
+
+        // Later checks don't repeat the warnings
+        await checker.checkForUpdates();
+        expect(warn).toHaveBeenCalledTimes(2);
+        warn.mockRestore();
+      });
+    });
+
     it('should skip containers based on exclusion list', async () => {
       config.updateChecker.excludeContainers = ['excluded-app'];
       const checker = createUpdateChecker(mockDocker, config);
@@ -136,6 +399,34 @@ describe('Update Checker', () => {
       expect(updates[0].containerName).toBe('included-app');
     });
 
+    it('should match include and exclude patterns on names, images and compose projects', async () => {
+      config.updateChecker.containers = ['myproj-*', 'image:redis*'];
+      config.updateChecker.excludeContainers = ['/-worker-\\d+$/', 'project:scratch'];
+      const checker = createUpdateChecker(mockDocker, config);
+
+      mockDocker.listContainers.mockResolvedValue([
+        { Id: 'c1', Names: ['/myproj-web-1'], Image: 'nginx:latest', ImageID: 'sha256:a' },
+        { Id: 'c2', Names: ['/myproj-worker-2'], Image: 'nginx:latest', ImageID: 'sha256:b' },
+        { Id: 'c3', Names: ['/cache'], Image: 'redis:7', ImageID: 'sha256:c' },
+        {
+          Id: 'c4',
+          Names: ['/myproj-test-1'],
+          Image: 'nginx:latest',
+          ImageID: 'sha256:d',
+          Labels: { 'com.docker.compose.project': 'scratch' },
+        },
+        { Id: 'c5', Names: ['/other'], Image: 'nginx:latest', ImageID: 'sha256:e' },
+      ]);
+      mockDocker.getImage.mockReturnValue({
+        inspect: vi.fn().mockResolvedValue({ RepoDigests: ['nginx@sha256:local'] }),
+      });
+      createRegistryClient.mockReturnValue({ getRemoteDigest: vi.fn().mockResolvedValue('sha256:remote') });
+
+      const updates = await checker.checkForUpdates();
+
+      expect(updates.map(u => u.containerName)).toEqual(['myproj-web-1', 'cache']);
+    });
+
     it('should only check specified containers', async () => {
       config.updateChecker.containers = ['specific-app'];
       const checker = createUpdateChecker(mockDocker, config);
@@ -265,6 +556,27 @@ describe('Update Checker', () => {
       expect(secondCheck).toHaveLength(0);
     });
 
+    it('should keep reporting updates until they are marked notified', async () => {
+      const checker = createUpdateChecker(mockDocker, config);
+
+      mockDocker.listContainers.mockResolvedValue([
+        { Id: 'container123', Names: ['/my-app'], Image: 'nginx:latest', ImageID: 'sha256:localimage' },
+      ]);
+      mockDocker.getImage.mockReturnValue({
+        inspect: vi.fn().mockResolvedValue({ RepoDigests: ['nginx@sha256:local'] }),
+      });
+      createRegistryClient.mockReturnValue({
+        getRemoteDigest: vi.fn().mockResolvedValue('sha256:remote'),
+      });
+
+      const firstCheck = await checker.checkForNewUpdates({ markNotified: false });
+      expect(firstCheck).toHaveLength(1);
+      expect(await checker.checkForNewUpdates({ markNotified: false })).toHaveLength(1);
+
+      checker.markNotified(firstCheck);
+      expect(await checker.checkForNewUpdates({ markNotified: false })).toHaveLength(0);
+    });
+
     it('should notify again when new update is available', async () => {
       const checker = createUpdateChecker(mockDocker, config);
 
@@ -336,4 +648,67 @@ describe('Update Checker', () => {
       expect(afterClear).toHaveLength(1);
     });
   });
+
+  describe('persistence', () => {
+    let tmpDir;
+    let stateFile;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'update-checker-'));
+      stateFile = path.join(tmpDir, 'state.json');
+
+      mockDocker.listContainers.mockResolvedValue([
+        { Id: 'container123', Names: ['/my-app'], Image: 'nginx:latest', ImageID: 'sha256:localimage' },
+      ]);
+      mockDocker.getImage.mockReturnValue({
+        inspect: vi.fn().mockResolvedValue({ RepoDigests: ['nginx@sha256:local'] }),
+      });
+      createRegistryClient.mockReturnValue({
+        getRemoteDigest: vi.fn().mockResolvedValue('sha256:remote'),
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should not re-notify after a restart', async () => {
+      const checker = createUpdateChecker(mockDocker, config, { stateFile });
+      await checker.load();
+      const updates = await checker.checkForNewUpdates({ markNotified: false });
+      await checker.markNotified(updates, { provider: 'discord-webhook' });
+      await checker.markNotified(updates, { provider: 'email' });
+      await checker.markNotified(updates, { provider: 'email' });
+
+      const restarted = createUpdateChecker(mockDocker, config, { stateFile });
+      await restarted.load();
+
+      expect(await restarted.checkForNewUpdates()).toHaveLength(0);
+      expect(restarted.getNotificationHistory().get('container123')).toEqual({
+        digest: 'sha256:remote',
+        containerName: 'my-app',
+        image: 'nginx:latest',
+        notifiedAt: expect.any(String),
+        providers: ['discord-webhook', 'email'],
+      });
+    });
+
+    it('should keep ignored digests across restarts', async () => {
+      const checker = createUpdateChecker(mockDocker, config, { stateFile });
+      await checker.ignoreDigest('container123', 'sha256:remote');
+
+      const restarted = createUpdateChecker(mockDocker, config, { stateFile });
+      await restarted.load();
+
+      expect(await restarted.checkForUpdates()).toHaveLength(0);
+    });
+
+    it('should start empty without a state file', async () => {
+      const checker = createUpdateChecker(mockDocker, config, { stateFile });
+      await checker.load();
+
+      expect(checker.getNotificationHistory().size).toBe(0);
+      expect(await checker.checkForNewUpdates()).toHaveLength(1);
+    });
+  });
 });
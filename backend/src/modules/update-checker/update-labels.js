@@ -0,0 +1,99 @@
+/**
+ * Per-container update settings from Docker labels
+ *
+ *   docker-monitor.update.enable=false   skip (or, with true, always check) the container
+ *   docker-monitor.update.policy=minor   version tag policy (see version-tags.js TAG_POLICIES)
+ *   docker-monitor.update.notify=slack   providers to notify, comma-separated, or "none"
+ *
+ * Labels take precedence over the UPDATE_CHECKER_* environment settings.
+ */
+
+import { TAG_POLICIES } from './version-tags.js';
+import { namesProvider } from '../notifications/notification-routing.js';
+
+export const UPDATE_LABELS = {
+  ENABLE: 'docker-monitor.update.enable',
+  POLICY: 'docker-monitor.update.policy',
+  NOTIFY: 'docker-monitor.update.notify',
+};
+
+/**
+ * @typedef {Object} UpdateLabelSettings
+ * @property {boolean} [enable] - Explicit opt in/out
+ * @property {string} [policy] - Tag policy
+ * @property {string[]} [notify] - Provider names (short names such as "slack" when the providers are unknown);
+ *   empty for none
+ */
+
+// Label problems already reported, so scheduled checks don't repeat them on every run
+const reported = new Set();
+
+function warnOnce(message) {
+  if (!reported.has(message)) {
+    reported.add(message);
+    console.warn(message);
+  }
+}
+
+/**
+ * Resolve notify label values to registered provider names
+ * Unknown names are reported (once per container and name) and dropped; if none is known the label is ignored.
+ * @returns {string[]|undefined}
+ */
+function resolveNotify(names, providerNames, containerName) {
+  const resolved = new Set();
+  for (const name of names) {
+    const matches = providerNames.filter(providerName => namesProvider(name, providerName));
+    if (matches.length === 0) {
+      warnOnce(`Unknown provider "${name}" in ${UPDATE_LABELS.NOTIFY} on ${containerName}`
+        + ` (known: ${providerNames.join(', ') || 'none'})`);
+    }
+    matches.forEach(match => resolved.add(match));
+  }
+  return resolved.size > 0 ? [...resolved] : undefined;
+}
+
+/**
+ * Read update settings from container labels
+ * Invalid values are reported (once each) and ignored.
+ * @param {Object<string, string>} [labels] - Container labels
+ * @param {string} [containerName] - For warnings
+ * @param {string[]} [providerNames] - Registered notification providers; notify names are checked against them when given
+ * @returns {UpdateLabelSettings}
+ */
+export function getUpdateLabelSettings(labels = {}, containerName = 'container', providerNames) {
+  const settings = {};
+
+  const enable = labels[UPDATE_LABELS.ENABLE]?.trim().toLowerCase();
+  if (enable === 'true' || enable === '1') {
+    settings.enable = true;
+  } else if (enable === 'false' || enable === '0') {
+    settings.enable = false;
+  } else if (enable !== undefined) {
+    warnOnce(`Ignoring ${UPDATE_LABELS.ENABLE}="${labels[UPDATE_LABELS.ENABLE]}" on ${containerName}`);
+  }
+
+  const policy = labels[UPDATE_LABELS.POLICY]?.trim().toLowerCase();
+  if (TAG_POLICIES.includes(policy)) {
+    settings.policy = policy;
+  } else if (policy !== undefined) {
+    warnOnce(`Ignoring ${UPDATE_LABELS.POLICY}="${labels[UPDATE_LABELS.POLICY]}" on ${containerName}`);
+  }
+
+  const notify = labels[UPDATE_LABELS.NOTIFY];
+  if (notify !== undefined) {
+    const names = notify.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    if (names.includes('none')) {
+      settings.notify = [];
+    } else if (providerNames) {
+      const resolved = resolveNotify(names, providerNames, containerName);
+      if (resolved) {
+        settings.notify = resolved;
+      }
+    } else {
+      settings.notify = names;
+    }
+  }
+
+  return settings;
+}
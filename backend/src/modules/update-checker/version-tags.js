@@ -0,0 +1,109 @@
+/**
+ * Semantic-version image tags
+ * Finds newer tags of the same shape (prefix, precision and suffix), e.g.
+ * 15.3 -> 15.4, v1.2.3 -> v1.3.0, 1.25-alpine -> 1.26-alpine
+ */
+
+// How far a container may move from its current tag
+export const TAG_POLICIES = ['digest', 'patch', 'minor', 'major'];
+
+// <prefix><major>[.<minor>[.<patch>]][<suffix>], suffix starting with - or +
+const VERSION_TAG_PATTERN = /^([a-zA-Z]*)(\d+(?:\.\d+){0,2})([-+][\w.+-]*)?$/;
+
+const UPDATE_TYPES = ['major', 'minor', 'patch'];
+
+// Leading components that must stay the same under each policy
+const FIXED_PARTS = { patch: 2, minor: 1, major: 0 };
+
+/**
+ * @typedef {Object} VersionTag
+ * @property {string} tag - Original tag
+ * @property {string} prefix - Text before the version (e.g. "v")
+ * @property {number[]} parts - 1-3 numeric components
+ * @property {string} suffix - Text after the version (e.g. "-alpine")
+ */
+
+/**
+ * Check the configured tag policies, replacing an invalid default with digest and dropping invalid per-container ones
+ * @param {Object} settings - config.updateChecker (tagPolicy, tagPolicies)
+ */
+export function validateTagPolicies(settings) {
+  if (!TAG_POLICIES.includes(settings.tagPolicy)) {
+    console.warn(`UPDATE_CHECKER_TAG_POLICY must be one of ${TAG_POLICIES.join(', ')}, setting to digest`);
+    settings.tagPolicy = 'digest';
+  }
+  for (const [containerName, policy] of Object.entries(settings.tagPolicies || {})) {
+    if (!TAG_POLICIES.includes(policy)) {
+      console.warn(`UPDATE_CHECKER_TAG_POLICIES has an invalid policy for ${containerName}, ignoring it`);
+      delete settings.tagPolicies[containerName];
+    }
+  }
+}
+
+/**
+ * Parse a tag as a version
+ * @param {string} tag - Image tag
+ * @returns {VersionTag|null} Null for tags like "latest"
+ */
+export function parseVersionTag(tag) {
+  const match = VERSION_TAG_PATTERN.exec(tag || '');
+  if (!match) {
+    return null;
+  }
+  return {
+    tag,
+    prefix: match[1],
+    parts: match[2].split('.').map(Number),
+    suffix: match[3] || '',
+  };
+}
+
+function compareParts(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+/**
+ * Find the newest tag the policy allows moving to
+ * Only tags with the same prefix, suffix and number of components count as versions of the current tag.
+ * @param {string} currentTag - Tag the container runs
+ * @param {string[]} tags - Tags in the repository
+ * @param {string} policy - 'patch', 'minor' or 'major' (see TAG_POLICIES)
+ * @returns {{tag: string, updateType: 'major'|'minor'|'patch'}|null}
+ */
+export function findNewerTag(currentTag, tags, policy) {
+  const current = parseVersionTag(currentTag);
+  const fixed = FIXED_PARTS[policy];
+  if (!current || fixed === undefined) {
+    return null;
+  }
+
+  let best = null;
+  for (const tag of tags) {
+    const candidate = parseVersionTag(tag);
+    if (!candidate
+      || candidate.prefix !== current.prefix
+      || candidate.suffix !== current.suffix
+      || candidate.parts.length !== current.parts.length
+      || compareParts(candidate.parts, current.parts) <= 0) {
+      continue;
+    }
+    const changed = candidate.parts.findIndex((part, i) => part !== current.parts[i]);
+    if (changed < fixed) {
+      continue;
+    }
+    if (!best || compareParts(candidate.parts, best.parts) > 0) {
+      best = candidate;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+  const changed = best.parts.findIndex((part, i) => part !== current.parts[i]);
+  return { tag: best.tag, updateType: UPDATE_TYPES[changed] };
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi } from 'vitest';
+import { parseVersionTag, findNewerTag, validateTagPolicies } from './version-tags.js';
+
+describe('Version tags', () => {
+  describe('parseVersionTag', () => {
+    it('should parse versions with prefixes and suffixes', () => {
+      expect(parseVersionTag('15.3')).toEqual({ tag: '15.3', prefix: '', parts: [15, 3], suffix: '' });
+      expect(parseVersionTag('v1.2.3')).toEqual({ tag: 'v1.2.3', prefix: 'v', parts: [1, 2, 3], suffix: '' });
+      expect(parseVersionTag('1.25.3-alpine')).toEqual({
+        tag: '1.25.3-alpine',
+        prefix: '',
+        parts: [1, 25, 3],
+        suffix: '-alpine',
+      });
+    });
+
+    it('should reject tags that are not versions', () => {
+      expect(parseVersionTag('latest')).toBeNull();
+      expect(parseVersionTag('alpine')).toBeNull();
+      expect(parseVersionTag('1.2.3.4')).toBeNull();
+      expect(parseVersionTag('sha-abc123')).toBeNull();
+    });
+  });
+
+  describe('findNewerTag', () => {
+    const tags = ['15', '15.3', '15.4', '15.5', '16.0', '16.1', '16.1-alpine', '17beta1', 'latest'];
+
+    it('should apply the policy', () => {
+      expect(findNewerTag('15.3', tags, 'minor')).toEqual({ tag: '15.5', updateType: 'minor' });
+      expect(findNewerTag('15.3', tags, 'major')).toEqual({ tag: '16.1', updateType: 'major' });
+      expect(findNewerTag('15.3', tags, 'patch')).toBeNull();
+      expect(findNewerTag('15.3', tags, 'digest')).toBeNull();
+    });
+
+    it('should report patch updates', () => {
+      const versions = ['v1.2.3', 'v1.2.10', 'v1.3.0', '1.2.11'];
+
+      expect(findNewerTag('v1.2.3', versions, 'patch')).toEqual({ tag: 'v1.2.10', updateType: 'patch' });
+      expect(findNewerTag('v1.2.3', versions, 'minor')).toEqual({ tag: 'v1.3.0', updateType: 'minor' });
+    });
+
+    it('should keep the suffix variant', () => {
+      const versions = ['1.25-alpine', '1.26', '1.26-alpine', '1.27-alpine-slim'];
+
+      expect(findNewerTag('1.25-alpine', versions, 'minor')).toEqual({ tag: '1.26-alpine', updateType: 'minor' });
+    });
+
+    it('should return null for the newest version and non-version tags', () => {
+      expect(findNewerTag('16.1', tags, 'major')).toBeNull();
+      expect(findNewerTag('latest', tags, 'major')).toBeNull();
+    });
+  });
+
+  describe('validateTagPolicies', () => {
+    it('should fall back to digest and drop invalid per-container policies', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const settings = { tagPolicy: 'newest', tagPolicies: { web: 'minor', db: 'latest' } };
+
+      validateTagPolicies(settings);
+
+      expect(settings).toEqual({ tagPolicy: 'digest', tagPolicies: { web: 'minor' } });
+      expect(warn).toHaveBeenCalledTimes(2);
+      warn.mockRestore();
+    });
+  });
+});
@@ -1,8 +1,23 @@
 import { useState, useEffect, useCallback } from 'react';
 import ContainerCard from './components/ContainerCard';
 import LogsModal from './components/LogsModal';
+import NotificationHistory from './components/NotificationHistory';
 import Toast from './components/Toast';
 
+// Polling only runs while the live event socket or the backend's Docker event subscription is down
+const POLL_INTERVAL_MS = 10000;
+const RECONNECT_DELAY_MS = 5000;
+// Coalesce bursts of events (e.g. stop + die + start on restart) into one refresh
+const EVENT_REFRESH_DELAY_MS = 250;
+// Resource usage: Docker streams a sample per second; keep one every 5 seconds, 30 per container
+const STATS_SAMPLE_INTERVAL_MS = 5000;
+const STATS_HISTORY_SIZE = 30;
+
+const getEventsUrl = () => {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}/api/events`;
+};
+
 function App() {
   const [containers, setContainers] = useState([]);
   const [systemInfo, setSystemInfo] = useState(null);
@@ -10,8 +25,11 @@ function App() {
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all');
   const [logsModal, setLogsModal] = useState({ open: false, container: null });
+  const [historyOpen, setHistoryOpen] = useState(false);
   const [toasts, setToasts] = useState([]);
   const [actionLoading, setActionLoading] = useState({});
+  const [live, setLive] = useState(false);
+  const [stats, setStats] = useState({});
 
   const addToast = useCallback((message, type = 'info') => {
     const id = Date.now();
@@ -49,13 +67,106 @@ function App() {
   useEffect(() => {
     fetchContainers();
     fetchSystemInfo();
+  }, [fetchContainers, fetchSystemInfo]);
+
+  useEffect(() => {
+    if (live) return;
     const interval = setInterval(() => {
       fetchContainers();
       fetchSystemInfo();
-    }, 10000);
+    }, POLL_INTERVAL_MS);
     return () => clearInterval(interval);
+  }, [live, fetchContainers, fetchSystemInfo]);
+
+  useEffect(() => {
+    if (typeof WebSocket === 'undefined') return;
+
+    let socket = null;
+    let reconnectTimer = null;
+    let refreshTimer = null;
+    let closed = false;
+    let missedEvents = false;
+
+    // The server reports whether it is receiving Docker events in "hello" and "status" messages
+    const setEventsConnected = (connected) => {
+      setLive(connected);
+      if (!connected) {
+        missedEvents = true;
+      } else if (missedEvents) {
+        // Catch up on anything missed while disconnected
+        missedEvents = false;
+        fetchContainers();
+        fetchSystemInfo();
+      }
+    };
+
+    const connect = () => {
+      socket = new WebSocket(getEventsUrl());
+
+      socket.onmessage = (e) => {
+        const message = JSON.parse(e.data);
+        if (message.type === 'hello' || message.type === 'status') {
+          setEventsConnected(Boolean(message.connected));
+          return;
+        }
+        if (message.type !== 'container') return;
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+          fetchContainers();
+          fetchSystemInfo();
+        }, EVENT_REFRESH_DELAY_MS);
+      };
+
+      socket.onclose = () => {
+        setEventsConnected(false);
+        if (!closed) {
+          reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      clearTimeout(refreshTimer);
+      socket.close();
+    };
   }, [fetchContainers, fetchSystemInfo]);
 
+  const runningIds = containers
+    .filter(container => container.state === 'running')
+    .map(container => container.id)
+    .join(',');
+
+  // One stats stream for all running containers instead of a request per card
+  useEffect(() => {
+    setStats(prev => Object.fromEntries(
+      Object.entries(prev).filter(([id]) => runningIds.split(',').includes(id))
+    ));
+    if (!runningIds || typeof EventSource === 'undefined') return;
+
+    const lastSampleAt = {};
+    const source = new EventSource(`/api/containers/stats/stream?ids=${encodeURIComponent(runningIds)}`);
+
+    source.addEventListener('stats', (e) => {
+      const { containerId, ...sample } = JSON.parse(e.data);
+      const now = Date.now();
+      if (now - (lastSampleAt[containerId] || 0) < STATS_SAMPLE_INTERVAL_MS) return;
+      lastSampleAt[containerId] = now;
+      setStats(prev => ({
+        ...prev,
+        [containerId]: [...(prev[containerId] || []), sample].slice(-STATS_HISTORY_SIZE),
+      }));
+    });
+
+    // Every followed container stopped; the next container refresh opens a new stream
+    source.addEventListener('end', () => source.close());
+
+    return () => source.close();
+  }, [runningIds]);
+
   const handleAction = async (containerId, action, containerName) => {
     setActionLoading(prev => ({ ...prev, [`${containerId}-${action}`]: true }));
     try {
@@ -112,6 +223,12 @@ function App() {
             <span>
               Memory: <span className="value">{formatBytes(systemInfo.memory)}</span>
             </span>
+            <span
+              className={`live-indicator ${live ? 'connected' : ''}`}
+              title={live ? 'Receiving live Docker events' : 'Polling every 10 seconds'}
+            >
+              {live ? 'Live' : 'Polling'}
+            </span>
           </div>
         )}
       </header>
@@ -139,17 +256,22 @@ function App() {
             Stopped ({containers.filter(c => c.state === 'exited').length})
           </button>
         </div>
-        <button
-          className={`refresh-btn ${loading ? 'loading' : ''}`}
-          onClick={() => { setLoading(true); fetchContainers(); fetchSystemInfo(); }}
-          disabled={loading}
-        >
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <path d="M23 4v6h-6M1 20v-6h6"/>
-            <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
-          </svg>
-          {loading ? 'Refreshing...' : 'Refresh'}
-        </button>
+        <div className="controls-actions">
+          <button className="filter-btn" onClick={() => setHistoryOpen(true)}>
+            Notifications
+          </button>
+          <button
+            className={`refresh-btn ${loading ? 'loading' : ''}`}
+            onClick={() => { setLoading(true); fetchContainers(); fetchSystemInfo(); }}
+            disabled={loading}
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M23 4v6h-6M1 20v-6h6"/>
+              <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
+            </svg>
+            {loading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
       </div>
 
       {loading && containers.length === 0 ? (
@@ -165,6 +287,7 @@ function App() {
             <ContainerCard
               key={container.id}
               container={container}
+              stats={stats[container.id]}
               onAction={handleAction}
               onShowLogs={handleShowLogs}
               actionLoading={actionLoading}
@@ -180,6 +303,10 @@ function App() {
         />
       )}
 
+      {historyOpen && (
+        <NotificationHistory onClose={() => setHistoryOpen(false)} />
+      )}
+
       <div className="toast-container">
         {toasts.map(toast => (
           <Toast key={toast.id} message={toast.message} type={toast.type} />
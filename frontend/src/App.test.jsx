@@ -1,7 +1,50 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import App from './App';
 
+class MockWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.close = vi.fn();
+    MockWebSocket.instances.push(this);
+  }
+
+  // Opens the socket and greets like the server, reporting whether Docker events are flowing
+  open(connected = true) {
+    this.onopen?.();
+    this.message({ type: 'hello', connected });
+  }
+
+  message(data) {
+    this.onmessage?.({ data: JSON.stringify(data) });
+  }
+
+  disconnect() {
+    this.onclose?.();
+  }
+}
+
+class MockEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.close = vi.fn();
+    MockEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]?.({ data: JSON.stringify(data) });
+  }
+}
+
 describe('App', () => {
   const mockContainers = [
     {
@@ -36,6 +79,10 @@ describe('App', () => {
   beforeEach(() => {
     vi.useFakeTimers({ shouldAdvanceTime: true });
     global.fetch = vi.fn();
+    MockWebSocket.instances = [];
+    global.WebSocket = MockWebSocket;
+    MockEventSource.instances = [];
+    global.EventSource = MockEventSource;
   });
 
   afterEach(() => {
@@ -310,7 +357,7 @@ describe('App', () => {
       if (url.includes('/logs')) {
         return Promise.resolve({
           ok: true,
-          json: () => Promise.resolve({ logs: 'container logs here' }),
+          json: () => Promise.resolve({ logs: [{ stream: 'stdout', timestamp: null, message: 'container logs here' }] }),
         });
       }
     });
@@ -329,6 +376,48 @@ describe('App', () => {
     });
   });
 
+  it('opens the notification history panel', async () => {
+    global.fetch.mockImplementation((url) => {
+      if (url === '/api/containers') {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(mockContainers),
+        });
+      }
+      if (url === '/api/system/info') {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve(mockSystemInfo),
+        });
+      }
+      if (url === '/api/notifications/providers') {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve([]),
+        });
+      }
+      if (url.startsWith('/api/notifications/history')) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ total: 0, limit: 20, offset: 0, items: [] }),
+        });
+      }
+    });
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByText('nginx-container')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByText('Notifications'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Notification History')).toBeInTheDocument();
+    });
+    expect(screen.getByText('No notifications sent yet')).toBeInTheDocument();
+  });
+
   it('performs container action and shows toast', async () => {
     global.fetch.mockImplementation((url, options) => {
       if (url === '/api/containers') {
@@ -363,4 +452,158 @@ describe('App', () => {
       expect(screen.getByText('nginx-container: Container stopped')).toBeInTheDocument();
     });
   });
+
+  describe('live events', () => {
+    const mockSuccessfulFetch = () => {
+      global.fetch.mockImplementation((url) => {
+        if (url === '/api/containers') {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve(mockContainers),
+          });
+        }
+        if (url === '/api/system/info') {
+          return Promise.resolve({
+            ok: true,
+            json: () => Promise.resolve(mockSystemInfo),
+          });
+        }
+      });
+    };
+
+    const countCalls = (url) => global.fetch.mock.calls.filter(([u]) => u === url).length;
+
+    it('connects to the events socket and shows live status', async () => {
+      mockSuccessfulFetch();
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Polling')).toBeInTheDocument();
+      });
+      expect(MockWebSocket.instances[0].url).toBe(`ws://${window.location.host}/api/events`);
+
+      act(() => MockWebSocket.instances[0].open());
+
+      expect(screen.getByText('Live')).toBeInTheDocument();
+    });
+
+    it('refreshes containers on container events', async () => {
+      mockSuccessfulFetch();
+      render(<App />);
+      await waitFor(() => {
+        expect(screen.getByText('nginx-container')).toBeInTheDocument();
+      });
+      const socket = MockWebSocket.instances[0];
+      act(() => socket.open());
+      const initialCalls = countCalls('/api/containers');
+
+      act(() => {
+        socket.message({ type: 'container', event: { action: 'die', containerId: 'abc123' } });
+        socket.message({ type: 'container', event: { action: 'start', containerId: 'abc123' } });
+      });
+      await act(() => vi.advanceTimersByTimeAsync(300));
+
+      expect(countCalls('/api/containers')).toBe(initialCalls + 1);
+    });
+
+    it('polls only while the socket is disconnected', async () => {
+      mockSuccessfulFetch();
+      render(<App />);
+      await waitFor(() => {
+        expect(screen.getByText('nginx-container')).toBeInTheDocument();
+      });
+      const socket = MockWebSocket.instances[0];
+      act(() => socket.open());
+      const liveCalls = countCalls('/api/containers');
+
+      await act(() => vi.advanceTimersByTimeAsync(10000));
+      expect(countCalls('/api/containers')).toBe(liveCalls);
+
+      act(() => socket.disconnect());
+      await act(() => vi.advanceTimersByTimeAsync(10000));
+      expect(countCalls('/api/containers')).toBeGreaterThan(liveCalls);
+      expect(MockWebSocket.instances.length).toBeGreaterThan(1);
+    });
+
+    it('keeps polling while the backend is not receiving Docker events', async () => {
+      mockSuccessfulFetch();
+      render(<App />);
+      await waitFor(() => {
+        expect(screen.getByText('nginx-container')).toBeInTheDocument();
+      });
+      const socket = MockWebSocket.instances[0];
+      act(() => socket.open(false));
+      const openCalls = countCalls('/api/containers');
+
+      expect(screen.getByText('Polling')).toBeInTheDocument();
+      await act(() => vi.advanceTimersByTimeAsync(10000));
+      expect(countCalls('/api/containers')).toBeGreaterThan(openCalls);
+
+      act(() => socket.message({ type: 'status', connected: true }));
+      expect(screen.getByText('Live')).toBeInTheDocument();
+      const liveCalls = countCalls('/api/containers');
+      await act(() => vi.advanceTimersByTimeAsync(10000));
+      expect(countCalls('/api/containers')).toBe(liveCalls);
+    });
+  });
+
+  describe('resource stats', () => {
+    const stats = {
+      cpuPercent: 12.345,
+      memoryUsage: 0,
+      memoryLimit: 0,
+      memoryPercent: 0,
+      networkRx: 0,
+      networkTx: 0,
+      blockRead: 0,
+      blockWrite: 0,
+    };
+
+    const renderWithContainers = async () => {
+      global.fetch.mockImplementation((url) => {
+        if (url === '/api/containers') {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve(mockContainers) });
+        }
+        if (url === '/api/system/info') {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve(mockSystemInfo) });
+        }
+      });
+      render(<App />);
+      await waitFor(() => {
+        expect(screen.getByText('nginx-container')).toBeInTheDocument();
+      });
+    };
+
+    it('opens one stats stream for all running containers', async () => {
+      await renderWithContainers();
+
+      expect(MockEventSource.instances).toHaveLength(1);
+      expect(MockEventSource.instances[0].url).toBe('/api/containers/stats/stream?ids=abc123');
+      expect(global.fetch).not.toHaveBeenCalledWith('/api/containers/abc123/stats');
+    });
+
+    it('keeps one sample per container every five seconds', async () => {
+      await renderWithContainers();
+      const source = MockEventSource.instances[0];
+
+      act(() => source.emit('stats', { containerId: 'abc123', ...stats }));
+      expect(screen.getByText('12.3%')).toBeInTheDocument();
+
+      act(() => source.emit('stats', { containerId: 'abc123', ...stats, cpuPercent: 50 }));
+      expect(screen.queryByText('50.0%')).not.toBeInTheDocument();
+
+      await act(() => vi.advanceTimersByTimeAsync(5000));
+      act(() => source.emit('stats', { containerId: 'abc123', ...stats, cpuPercent: 50 }));
+      expect(screen.getByText('50.0%')).toBeInTheDocument();
+    });
+
+    it('closes the stats stream when it ends', async () => {
+      await renderWithContainers();
+      const source = MockEventSource.instances[0];
+
+      act(() => source.emit('end', {}));
+
+      expect(source.close).toHaveBeenCalled();
+    });
+  });
 });
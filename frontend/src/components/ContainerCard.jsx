@@ -1,4 +1,6 @@
-function ContainerCard({ container, onAction, onShowLogs, actionLoading }) {
+import ContainerStats from './ContainerStats';
+
+function ContainerCard({ container, stats, onAction, onShowLogs, actionLoading }) {
   const formatDate = (timestamp) => {
     return new Date(timestamp * 1000).toLocaleString();
   };
@@ -46,6 +48,8 @@ function ContainerCard({ container, onAction, onShowLogs, actionLoading }) {
         </div>
       </div>
 
+      {isRunning && <ContainerStats history={stats} />}
+
       <div className="container-actions">
         {!isRunning ? (
           <button
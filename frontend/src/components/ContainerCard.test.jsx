@@ -1,4 +1,4 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import { render, screen, fireEvent } from '@testing-library/react';
 import ContainerCard from './ContainerCard';
 
@@ -20,6 +20,17 @@ describe('ContainerCard', () => {
     status: 'Exited (0) 1 hour ago',
   };
 
+  const stats = {
+    cpuPercent: 12.345,
+    memoryUsage: 256 * 1024 * 1024,
+    memoryLimit: 1024 * 1024 * 1024,
+    memoryPercent: 25,
+    networkRx: 0,
+    networkTx: 0,
+    blockRead: 0,
+    blockWrite: 0,
+  };
+
   const defaultProps = {
     container: runningContainer,
     onAction: vi.fn(),
@@ -27,6 +38,10 @@ describe('ContainerCard', () => {
     actionLoading: {},
   };
 
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
   it('renders container name', () => {
     render(<ContainerCard {...defaultProps} />);
     expect(screen.getByText('test-container')).toBeInTheDocument();
@@ -156,4 +171,14 @@ describe('ContainerCard', () => {
     render(<ContainerCard {...defaultProps} container={containerWithoutPorts} />);
     expect(screen.getByText(/None/)).toBeInTheDocument();
   });
+
+  it('shows resource stats for running containers', () => {
+    render(<ContainerCard {...defaultProps} stats={[stats]} />);
+    expect(screen.getByText('12.3%')).toBeInTheDocument();
+  });
+
+  it('does not show resource stats for stopped containers', () => {
+    render(<ContainerCard {...defaultProps} container={stoppedContainer} stats={[stats]} />);
+    expect(screen.queryByText('12.3%')).not.toBeInTheDocument();
+  });
 });
@@ -0,0 +1,52 @@
+import Sparkline from './Sparkline';
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+// Samples come from the dashboard's shared stats stream (see App)
+function ContainerStats({ history = [] }) {
+  if (history.length === 0) {
+    return null;
+  }
+
+  const latest = history[history.length - 1];
+
+  return (
+    <div className="container-stats">
+      <div className="stat">
+        <span className="label">CPU</span>
+        <Sparkline values={history.map(s => s.cpuPercent)} max={100} />
+        <span className="value">{latest.cpuPercent.toFixed(1)}%</span>
+      </div>
+      <div className="stat">
+        <span className="label">Memory</span>
+        <Sparkline values={history.map(s => s.memoryUsage)} max={latest.memoryLimit} />
+        <span className="value">
+          {formatBytes(latest.memoryUsage)} / {formatBytes(latest.memoryLimit)}
+        </span>
+      </div>
+      <div className="stat">
+        <span className="label">Network</span>
+        <span className="value">
+          ↓ {formatBytes(latest.networkRx)} ↑ {formatBytes(latest.networkTx)}
+        </span>
+      </div>
+      <div className="stat">
+        <span className="label">Block I/O</span>
+        <span className="value">
+          R {formatBytes(latest.blockRead)} W {formatBytes(latest.blockWrite)}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default ContainerStats;
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import ContainerStats from './ContainerStats';
+
+describe('ContainerStats', () => {
+  const sample = {
+    timestamp: '2024-01-01T10:00:00Z',
+    cpuPercent: 12.345,
+    memoryUsage: 256 * 1024 * 1024,
+    memoryLimit: 1024 * 1024 * 1024,
+    memoryPercent: 25,
+    networkRx: 2048,
+    networkTx: 512,
+    blockRead: 1024 * 1024,
+    blockWrite: 0,
+  };
+
+  it('renders nothing until the first sample arrives', () => {
+    const { container } = render(<ContainerStats />);
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('displays latest CPU, memory, network and block I/O figures', () => {
+    render(<ContainerStats history={[sample]} />);
+
+    expect(screen.getByText('12.3%')).toBeInTheDocument();
+    expect(screen.getByText('256.0 MB / 1.0 GB')).toBeInTheDocument();
+    expect(screen.getByText('↓ 2.0 KB ↑ 512 B')).toBeInTheDocument();
+    expect(screen.getByText('R 1.0 MB W 0 B')).toBeInTheDocument();
+  });
+
+  it('draws sparklines from the sample history', () => {
+    const { container, rerender } = render(<ContainerStats history={[sample]} />);
+    expect(container.querySelector('polyline')).not.toBeInTheDocument();
+
+    rerender(<ContainerStats history={[sample, { ...sample, cpuPercent: 50 }]} />);
+
+    expect(screen.getByText('50.0%')).toBeInTheDocument();
+    expect(container.querySelectorAll('polyline')).toHaveLength(2);
+  });
+});
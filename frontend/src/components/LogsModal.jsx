@@ -1,26 +1,132 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+
+const STREAM_FILTERS = ['all', 'stdout', 'stderr'];
+const TAIL_OPTIONS = ['100', '500', '1000', 'all'];
+const DEFAULT_QUERY = { tail: '100', since: '', until: '', grep: '', regex: false, timestamps: true };
+// Lines kept while following; older ones are dropped
+const MAX_FOLLOW_LINES = 2000;
+
+const buildQueryString = (query, extra = {}) => {
+  const params = new URLSearchParams();
+  if (query.tail !== DEFAULT_QUERY.tail) params.set('tail', query.tail);
+  if (query.since) params.set('since', new Date(query.since).toISOString());
+  if (query.until) params.set('until', new Date(query.until).toISOString());
+  if (query.grep) params.set('grep', query.grep);
+  if (query.grep && query.regex) params.set('regex', 'true');
+  if (!query.timestamps) params.set('timestamps', 'false');
+  Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+  const queryString = params.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
+const formatEntry = (entry) => {
+  return entry.timestamp ? `${entry.timestamp} ${entry.message}` : entry.message;
+};
 
 function LogsModal({ container, onClose }) {
-  const [logs, setLogs] = useState('');
+  const [logs, setLogs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [following, setFollowing] = useState(false);
+  const [streamFilter, setStreamFilter] = useState('all');
+  const [draftQuery, setDraftQuery] = useState(DEFAULT_QUERY);
+  const [query, setQuery] = useState(DEFAULT_QUERY);
+  const logsRef = useRef(null);
+  // While following, the stream replays the tail itself, so snapshots must not add the same lines again
+  const followingRef = useRef(following);
+  followingRef.current = following;
 
   useEffect(() => {
+    if (followingRef.current) return;
+    let cancelled = false;
+
     const fetchLogs = async () => {
+      setLoading(true);
+      setError(null);
       try {
-        const response = await fetch(`/api/containers/${container.id}/logs`);
-        if (!response.ok) throw new Error('Failed to fetch logs');
+        const response = await fetch(`/api/containers/${container.id}/logs${buildQueryString(query)}`);
+        if (!response.ok) {
+          // The server explains rejected queries (e.g. "Invalid grep pattern") in the body
+          const body = await response.json().catch(() => ({}));
+          throw new Error(body.details ? `${body.error}: ${body.details}` : body.error || 'Failed to fetch logs');
+        }
         const data = await response.json();
-        setLogs(data.logs || 'No logs available');
+        if (!cancelled && !followingRef.current) {
+          setLogs(data.logs || []);
+        }
       } catch (err) {
-        setError(err.message);
+        if (!cancelled) setError(err.message);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
     fetchLogs();
-  }, [container.id]);
+    return () => {
+      cancelled = true;
+    };
+  }, [container.id, query]);
+
+  useEffect(() => {
+    if (!following) return;
+
+    setLogs([]);
+    setError(null);
+    const source = new EventSource(`/api/containers/${container.id}/logs/stream${buildQueryString(query)}`);
+
+    source.addEventListener('log', (e) => {
+      const entry = JSON.parse(e.data);
+      setLogs(prev => {
+        const next = [...prev, entry];
+        return next.length > MAX_FOLLOW_LINES ? next.slice(-MAX_FOLLOW_LINES) : next;
+      });
+    });
+
+    // EventSource reconnects by itself and the server would replay the tail, duplicating lines
+    source.addEventListener('error', () => {
+      source.close();
+      setFollowing(false);
+    });
+
+    source.addEventListener('end', () => {
+      source.close();
+      setFollowing(false);
+    });
+
+    source.addEventListener('stream-error', (e) => {
+      const data = JSON.parse(e.data);
+      source.close();
+      setError(data.details || data.error);
+      setFollowing(false);
+    });
+
+    return () => source.close();
+  }, [following, container.id, query]);
+
+  useEffect(() => {
+    if (following && logsRef.current) {
+      logsRef.current.scrollTop = logsRef.current.scrollHeight;
+    }
+  }, [logs, following]);
+
+  const visibleLogs = logs.filter(entry => streamFilter === 'all' || entry.stream === streamFilter);
+
+  const updateDraft = (field, value) => {
+    setDraftQuery(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    if (draftQuery.regex) {
+      try {
+        new RegExp(draftQuery.grep);
+      } catch {
+        setError('Invalid grep pattern');
+        return;
+      }
+    }
+    setQuery(draftQuery);
+  };
 
   const handleOverlayClick = (e) => {
     if (e.target === e.currentTarget) {
@@ -36,12 +142,101 @@ function LogsModal({ container, onClose }) {
           <button className="modal-close" onClick={onClose}>&times;</button>
         </div>
         <div className="modal-body">
+          <form className="logs-query" onSubmit={handleApply}>
+            <label>
+              Tail
+              <select value={draftQuery.tail} onChange={(e) => updateDraft('tail', e.target.value)}>
+                {TAIL_OPTIONS.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Since
+              <input
+                type="datetime-local"
+                value={draftQuery.since}
+                onChange={(e) => updateDraft('since', e.target.value)}
+              />
+            </label>
+            <label>
+              Until
+              <input
+                type="datetime-local"
+                value={draftQuery.until}
+                onChange={(e) => updateDraft('until', e.target.value)}
+              />
+            </label>
+            <label>
+              Grep
+              <input
+                type="text"
+                placeholder={draftQuery.regex ? 'regex' : 'text'}
+                value={draftQuery.grep}
+                onChange={(e) => updateDraft('grep', e.target.value)}
+              />
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={draftQuery.regex}
+                onChange={(e) => updateDraft('regex', e.target.checked)}
+              />
+              Regex
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={draftQuery.timestamps}
+                onChange={(e) => updateDraft('timestamps', e.target.checked)}
+              />
+              Timestamps
+            </label>
+            <button type="submit" className="filter-btn">Apply</button>
+            <a
+              className="filter-btn"
+              href={`/api/containers/${container.id}/logs${buildQueryString(query, { format: 'text' })}`}
+              download
+            >
+              Download
+            </a>
+          </form>
+          <div className="logs-toolbar">
+            <button
+              className={`filter-btn ${following ? 'active' : ''}`}
+              onClick={() => setFollowing(prev => !prev)}
+              disabled={loading}
+            >
+              {following ? 'Pause' : 'Follow'}
+            </button>
+            <div className="filter-buttons">
+              {STREAM_FILTERS.map(stream => (
+                <button
+                  key={stream}
+                  className={`filter-btn ${streamFilter === stream ? 'active' : ''}`}
+                  onClick={() => setStreamFilter(stream)}
+                >
+                  {stream}
+                </button>
+              ))}
+            </div>
+          </div>
           {loading ? (
             <div>Loading logs...</div>
           ) : error ? (
             <div className="error-message">{error}</div>
           ) : (
-            <div className="logs-container">{logs}</div>
+            <div className="logs-container" ref={logsRef}>
+              {visibleLogs.length === 0 ? (
+                'No logs available'
+              ) : (
+                visibleLogs.map((entry, index) => (
+                  <div key={index} className={`log-line ${entry.stream}`}>
+                    {formatEntry(entry)}
+                  </div>
+                ))
+              )}
+            </div>
           )}
         </div>
       </div>
@@ -1,7 +1,26 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import LogsModal from './LogsModal';
 
+class MockEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.close = vi.fn();
+    MockEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  emit(type, data) {
+    this.listeners[type]?.({ data: JSON.stringify(data) });
+  }
+}
+
 describe('LogsModal', () => {
   const mockContainer = {
     id: 'abc123def456',
@@ -15,6 +34,8 @@ describe('LogsModal', () => {
 
   beforeEach(() => {
     global.fetch = vi.fn();
+    MockEventSource.instances = [];
+    global.EventSource = MockEventSource;
   });
 
   afterEach(() => {
@@ -24,7 +45,7 @@ describe('LogsModal', () => {
   it('renders modal with container name', () => {
     global.fetch.mockResolvedValueOnce({
       ok: true,
-      json: () => Promise.resolve({ logs: 'test logs' }),
+      json: () => Promise.resolve({ logs: [{ stream: 'stdout', timestamp: null, message: 'test logs' }] }),
     });
 
     render(<LogsModal {...defaultProps} />);
@@ -41,7 +62,7 @@ describe('LogsModal', () => {
   it('displays logs after fetching', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: true,
-      json: () => Promise.resolve({ logs: 'container log output here' }),
+      json: () => Promise.resolve({ logs: [{ stream: 'stdout', timestamp: null, message: 'container log output here' }] }),
     });
 
     render(<LogsModal {...defaultProps} />);
@@ -54,7 +75,7 @@ describe('LogsModal', () => {
   it('displays "No logs available" when logs are empty', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: true,
-      json: () => Promise.resolve({ logs: '' }),
+      json: () => Promise.resolve({ logs: [] }),
     });
 
     render(<LogsModal {...defaultProps} />);
@@ -67,6 +88,7 @@ describe('LogsModal', () => {
   it('displays error message on fetch failure', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: false,
+      json: () => Promise.reject(new SyntaxError('Unexpected end of JSON input')),
     });
 
     render(<LogsModal {...defaultProps} />);
@@ -79,7 +101,7 @@ describe('LogsModal', () => {
   it('calls onClose when close button is clicked', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: true,
-      json: () => Promise.resolve({ logs: 'test logs' }),
+      json: () => Promise.resolve({ logs: [{ stream: 'stdout', timestamp: null, message: 'test logs' }] }),
     });
 
     const onClose = vi.fn();
@@ -92,7 +114,7 @@ describe('LogsModal', () => {
   it('calls onClose when overlay is clicked', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: true,
-      json: () => Promise.resolve({ logs: 'test logs' }),
+      json: () => Promise.resolve({ logs: [{ stream: 'stdout', timestamp: null, message: 'test logs' }] }),
     });
 
     const onClose = vi.fn();
@@ -106,7 +128,7 @@ describe('LogsModal', () => {
   it('does not call onClose when modal content is clicked', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: true,
-      json: () => Promise.resolve({ logs: 'test logs' }),
+      json: () => Promise.resolve({ logs: [{ stream: 'stdout', timestamp: null, message: 'test logs' }] }),
     });
 
     const onClose = vi.fn();
@@ -120,7 +142,7 @@ describe('LogsModal', () => {
   it('fetches logs with correct container ID', async () => {
     global.fetch.mockResolvedValueOnce({
       ok: true,
-      json: () => Promise.resolve({ logs: 'test logs' }),
+      json: () => Promise.resolve({ logs: [{ stream: 'stdout', timestamp: null, message: 'test logs' }] }),
     });
 
     render(<LogsModal {...defaultProps} />);
@@ -129,4 +151,261 @@ describe('LogsModal', () => {
       expect(global.fetch).toHaveBeenCalledWith('/api/containers/abc123def456/logs');
     });
   });
+
+  describe('follow mode', () => {
+    beforeEach(() => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ logs: [{ stream: 'stdout', timestamp: null, message: 'snapshot logs' }] }),
+      });
+    });
+
+    it('opens a log stream when Follow is clicked', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('snapshot logs')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Follow'));
+
+      expect(MockEventSource.instances).toHaveLength(1);
+      expect(MockEventSource.instances[0].url).toBe('/api/containers/abc123def456/logs/stream');
+      expect(screen.getByText('Pause')).toBeInTheDocument();
+    });
+
+    it('appends streamed log lines', async () => {
+      const { container } = render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('snapshot logs')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Follow'));
+      const source = MockEventSource.instances[0];
+
+      act(() => {
+        source.emit('log', { stream: 'stdout', timestamp: '2024-01-01T10:00:00Z', message: 'first' });
+        source.emit('log', { stream: 'stderr', timestamp: null, message: 'second' });
+      });
+
+      const lines = container.querySelectorAll('.log-line');
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toHaveTextContent('2024-01-01T10:00:00Z first');
+      expect(lines[1]).toHaveTextContent('second');
+      expect(lines[1]).toHaveClass('stderr');
+    });
+
+    it('closes the stream when paused', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('snapshot logs')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Follow'));
+      const source = MockEventSource.instances[0];
+      fireEvent.click(screen.getByText('Pause'));
+
+      expect(source.close).toHaveBeenCalled();
+      expect(screen.getByText('Follow')).toBeInTheDocument();
+    });
+
+    it('only streams when the query changes while following', async () => {
+      const { container } = render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('snapshot logs')).toBeInTheDocument());
+      fireEvent.click(screen.getByText('Follow'));
+
+      fireEvent.change(screen.getByLabelText('Grep'), { target: { value: 'error' } });
+      fireEvent.click(screen.getByText('Apply'));
+      const source = MockEventSource.instances[1];
+      act(() => {
+        source.emit('log', { stream: 'stdout', timestamp: null, message: 'an error' });
+      });
+
+      expect(source.url).toBe('/api/containers/abc123def456/logs/stream?grep=error');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      await waitFor(() => expect(container.querySelectorAll('.log-line')).toHaveLength(1));
+    });
+
+    it('stops following when the stream ends', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('snapshot logs')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Follow'));
+      act(() => {
+        MockEventSource.instances[0].emit('end', {});
+      });
+
+      expect(screen.getByText('Follow')).toBeInTheDocument();
+    });
+
+    it('stops following without reconnecting when the connection drops', async () => {
+      const { container } = render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('snapshot logs')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Follow'));
+      const source = MockEventSource.instances[0];
+      act(() => {
+        source.emit('log', { stream: 'stdout', timestamp: null, message: 'before drop' });
+        source.listeners.error({});
+      });
+
+      expect(source.close).toHaveBeenCalled();
+      expect(screen.getByText('Follow')).toBeInTheDocument();
+      expect(container.querySelectorAll('.log-line')).toHaveLength(1);
+    });
+
+    it('keeps only the latest lines while following', async () => {
+      const { container } = render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('snapshot logs')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Follow'));
+      const source = MockEventSource.instances[0];
+      act(() => {
+        for (let i = 0; i <= 2000; i++) {
+          source.emit('log', { stream: 'stdout', timestamp: null, message: `line ${i}` });
+        }
+      });
+
+      const lines = container.querySelectorAll('.log-line');
+      expect(lines).toHaveLength(2000);
+      expect(lines[0]).toHaveTextContent('line 1');
+    });
+
+    it('shows stream errors', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('snapshot logs')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Follow'));
+      act(() => {
+        MockEventSource.instances[0].emit('stream-error', { error: 'Log stream failed', details: 'boom' });
+      });
+
+      expect(screen.getByText('boom')).toBeInTheDocument();
+    });
+  });
+
+  describe('stream filter', () => {
+    const mixedLogs = [
+      { stream: 'stdout', timestamp: '2024-01-01T10:00:00Z', message: 'out line' },
+      { stream: 'stderr', timestamp: '2024-01-01T10:00:01Z', message: 'err line' },
+    ];
+
+    beforeEach(() => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ logs: mixedLogs }),
+      });
+    });
+
+    it('marks stderr lines with a distinct class', async () => {
+      render(<LogsModal {...defaultProps} />);
+
+      await waitFor(() => {
+        expect(screen.getByText('2024-01-01T10:00:01Z err line')).toHaveClass('log-line', 'stderr');
+      });
+      expect(screen.getByText('2024-01-01T10:00:00Z out line')).toHaveClass('log-line', 'stdout');
+    });
+
+    it('filters lines by stream', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('2024-01-01T10:00:00Z out line')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByRole('button', { name: 'stderr' }));
+
+      expect(screen.queryByText('2024-01-01T10:00:00Z out line')).not.toBeInTheDocument();
+      expect(screen.getByText('2024-01-01T10:00:01Z err line')).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'all' }));
+      expect(screen.getByText('2024-01-01T10:00:00Z out line')).toBeInTheDocument();
+    });
+  });
+
+  describe('query controls', () => {
+    beforeEach(() => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ logs: [] }),
+      });
+    });
+
+    it('refetches logs with applied query parameters', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('No logs available')).toBeInTheDocument());
+
+      fireEvent.change(screen.getByLabelText('Tail'), { target: { value: '500' } });
+      fireEvent.change(screen.getByLabelText('Grep'), { target: { value: 'error' } });
+      fireEvent.click(screen.getByLabelText('Timestamps'));
+      fireEvent.click(screen.getByText('Apply'));
+
+      await waitFor(() => {
+        expect(global.fetch).toHaveBeenLastCalledWith(
+          '/api/containers/abc123def456/logs?tail=500&grep=error&timestamps=false'
+        );
+      });
+    });
+
+    it('sends grep as a regex when Regex is checked', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('No logs available')).toBeInTheDocument());
+
+      fireEvent.change(screen.getByLabelText('Grep'), { target: { value: '5\\d\\d$' } });
+      fireEvent.click(screen.getByLabelText('Regex'));
+      fireEvent.click(screen.getByText('Apply'));
+
+      await waitFor(() => {
+        expect(global.fetch).toHaveBeenLastCalledWith(
+          `/api/containers/abc123def456/logs?grep=${encodeURIComponent('5\\d\\d$')}&regex=true`
+        );
+      });
+    });
+
+    it('does not refetch until Apply is clicked', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+
+      fireEvent.change(screen.getByLabelText('Grep'), { target: { value: 'error' } });
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects invalid grep patterns', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('No logs available')).toBeInTheDocument());
+
+      fireEvent.change(screen.getByLabelText('Grep'), { target: { value: '(unclosed' } });
+      fireEvent.click(screen.getByLabelText('Regex'));
+      fireEvent.click(screen.getByText('Apply'));
+
+      expect(screen.getByText('Invalid grep pattern')).toBeInTheDocument();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('shows why the server rejected a query', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('No logs available')).toBeInTheDocument());
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ error: 'Invalid grep pattern' }),
+      });
+
+      fireEvent.change(screen.getByLabelText('Grep'), { target: { value: '(a|aa)+$' } });
+      fireEvent.click(screen.getByLabelText('Regex'));
+      fireEvent.click(screen.getByText('Apply'));
+
+      await waitFor(() => expect(screen.getByText('Invalid grep pattern')).toBeInTheDocument());
+    });
+
+    it('offers a download link for the current query', async () => {
+      render(<LogsModal {...defaultProps} />);
+      await waitFor(() => expect(screen.getByText('No logs available')).toBeInTheDocument());
+
+      expect(screen.getByText('Download')).toHaveAttribute(
+        'href',
+        '/api/containers/abc123def456/logs?format=text'
+      );
+
+      fireEvent.change(screen.getByLabelText('Tail'), { target: { value: 'all' } });
+      fireEvent.click(screen.getByText('Apply'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Download')).toHaveAttribute(
+          'href',
+          '/api/containers/abc123def456/logs?tail=all&format=text'
+        );
+      });
+    });
+  });
 });
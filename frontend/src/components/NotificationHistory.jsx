@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react';
+
+const PAGE_SIZE = 20;
+const STATUS_FILTERS = ['', 'delivered', 'partial', 'failed'];
+const DEFAULT_FILTERS = { status: '', provider: '', container: '' };
+
+const buildQueryString = (filters, offset) => {
+  const params = new URLSearchParams();
+  if (filters.status) params.set('status', filters.status);
+  if (filters.provider) params.set('provider', filters.provider);
+  if (filters.container) params.set('container', filters.container);
+  params.set('limit', String(PAGE_SIZE));
+  if (offset > 0) params.set('offset', String(offset));
+  return `?${params.toString()}`;
+};
+
+const formatResult = (result) => {
+  if (result.success) return result.provider;
+  return `${result.provider}: ${result.queued ? 'retrying' : 'failed'}`;
+};
+
+const formatTestResult = (result) => {
+  return result.success ? `${result.provider}: sent` : `${result.provider}: ${result.error}`;
+};
+
+function NotificationHistory({ onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [providers, setProviders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draftFilters, setDraftFilters] = useState(DEFAULT_FILTERS);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [testProvider, setTestProvider] = useState('');
+  const [testing, setTesting] = useState(false);
+  const [testResults, setTestResults] = useState(null);
+
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const response = await fetch('/api/notifications/providers');
+        if (!response.ok) throw new Error('Failed to fetch providers');
+        setProviders(await response.json());
+      } catch (err) {
+        console.error('Failed to fetch notification providers:', err);
+      }
+    };
+
+    fetchProviders();
+  }, []);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await fetch(`/api/notifications/history${buildQueryString(filters, offset)}`);
+        if (!response.ok) throw new Error('Failed to fetch notification history');
+        const data = await response.json();
+        setEntries(data.items);
+        setTotal(data.total);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [filters, offset, refreshKey]);
+
+  const updateDraft = (field, value) => {
+    setDraftFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setFilters(draftFilters);
+  };
+
+  const handleSendTest = async () => {
+    setTesting(true);
+    setTestResults(null);
+    try {
+      const query = testProvider ? `?provider=${encodeURIComponent(testProvider)}` : '';
+      const response = await fetch(`/api/notifications/test${query}`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details ? `${data.error}: ${data.details}` : data.error);
+      setTestResults(data);
+      setRefreshKey(prev => prev + 1);
+    } catch (err) {
+      setTestResults([{ provider: testProvider || 'test', success: false, error: err.message }]);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      onClose();
+    }
+  };
+
+  const page = Math.floor(offset / PAGE_SIZE) + 1;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="modal-overlay" onClick={handleOverlayClick}>
+      <div className="modal">
+        <div className="modal-header">
+          <h2>Notification History</h2>
+          <button className="modal-close" onClick={onClose}>&times;</button>
+        </div>
+        <div className="modal-body">
+          <form className="logs-query" onSubmit={handleApply}>
+            <label>
+              Status
+              <select value={draftFilters.status} onChange={(e) => updateDraft('status', e.target.value)}>
+                {STATUS_FILTERS.map(status => (
+                  <option key={status} value={status}>{status || 'any'}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Provider
+              <select value={draftFilters.provider} onChange={(e) => updateDraft('provider', e.target.value)}>
+                <option value="">any</option>
+                {providers.map(provider => (
+                  <option key={provider.name} value={provider.name}>{provider.name}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Container
+              <input
+                type="text"
+                placeholder="name"
+                value={draftFilters.container}
+                onChange={(e) => updateDraft('container', e.target.value)}
+              />
+            </label>
+            <button type="submit" className="filter-btn">Apply</button>
+          </form>
+          <div className="logs-query">
+            <label>
+              Test
+              <select value={testProvider} onChange={(e) => setTestProvider(e.target.value)}>
+                <option value="">all enabled</option>
+                {providers.filter(provider => provider.enabled).map(provider => (
+                  <option key={provider.name} value={provider.name}>{provider.name}</option>
+                ))}
+              </select>
+            </label>
+            <button className="filter-btn" onClick={handleSendTest} disabled={testing}>
+              {testing ? 'Sending...' : 'Send test'}
+            </button>
+            {testResults && (
+              <div className="notification-results">
+                {testResults.map(result => (
+                  <span
+                    key={result.provider}
+                    className={`delivery-badge ${result.success ? 'delivered' : 'failed'}`}
+                  >
+                    {formatTestResult(result)}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+          {loading ? (
+            <div>Loading notifications...</div>
+          ) : error ? (
+            <div className="error-message">{error}</div>
+          ) : entries.length === 0 ? (
+            <div className="empty-state">No notifications sent yet</div>
+          ) : (
+            <ul className="notification-list">
+              {entries.map(entry => (
+                <li key={entry.id} className={`notification-entry ${entry.severity}`}>
+                  <div className="notification-summary">
+                    <span className="notification-title">{entry.title}</span>
+                    <time dateTime={entry.timestamp}>{new Date(entry.timestamp).toLocaleString()}</time>
+                  </div>
+                  {entry.containers.length > 0 && (
+                    <div className="notification-containers">{entry.containers.join(', ')}</div>
+                  )}
+                  <div className="notification-results">
+                    {entry.results.map(result => (
+                      <span
+                        key={result.provider}
+                        className={`delivery-badge ${result.success ? 'delivered' : 'failed'}`}
+                        title={result.error}
+                      >
+                        {formatResult(result)}
+                      </span>
+                    ))}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="pagination">
+            <button
+              className="filter-btn"
+              onClick={() => setOffset(prev => prev - PAGE_SIZE)}
+              disabled={loading || offset === 0}
+            >
+              Previous
+            </button>
+            <span>Page {page} of {pageCount}</span>
+            <button
+              className="filter-btn"
+              onClick={() => setOffset(prev => prev + PAGE_SIZE)}
+              disabled={loading || offset + PAGE_SIZE >= total}
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationHistory;
@@ -0,0 +1,186 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import NotificationHistory from './NotificationHistory';
+
+const mockProviders = [
+  { name: 'discord-webhook', enabled: true },
+  { name: 'ntfy', enabled: true },
+  { name: 'email', enabled: false },
+];
+
+const mockEntries = [
+  {
+    id: 'evt-2',
+    type: 'container.died',
+    severity: 'critical',
+    title: 'Container Crashed',
+    message: 'web exited unexpectedly with code 1',
+    timestamp: '2024-01-01T10:00:00Z',
+    containers: ['web'],
+    status: 'partial',
+    results: [
+      { provider: 'discord-webhook', success: true },
+      { provider: 'ntfy', success: false, error: 'ntfy publish failed: 500', queued: true },
+    ],
+  },
+  {
+    id: 'evt-1',
+    type: 'update.available',
+    severity: 'info',
+    title: 'Docker Image Updates Available',
+    message: '1 container has updates available',
+    timestamp: '2024-01-01T09:00:00Z',
+    containers: ['db'],
+    status: 'delivered',
+    results: [{ provider: 'discord-webhook', success: true }],
+  },
+];
+
+const mockFetch = (history, testResponse) => {
+  global.fetch.mockImplementation((url) => {
+    if (url === '/api/notifications/providers') {
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(mockProviders) });
+    }
+    if (url.startsWith('/api/notifications/test')) {
+      return Promise.resolve(testResponse);
+    }
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(history) });
+  });
+};
+
+describe('NotificationHistory', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('lists past notifications with per-provider results', async () => {
+    mockFetch({ total: 2, limit: 20, offset: 0, items: mockEntries });
+
+    render(<NotificationHistory onClose={vi.fn()} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Container Crashed')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Docker Image Updates Available')).toBeInTheDocument();
+    expect(screen.getByText('web')).toBeInTheDocument();
+    expect(screen.getByText('ntfy: retrying')).toHaveClass('delivery-badge', 'failed');
+    expect(screen.getByText('ntfy: retrying')).toHaveAttribute('title', 'ntfy publish failed: 500');
+    expect(global.fetch).toHaveBeenCalledWith('/api/notifications/history?limit=20');
+  });
+
+  it('shows an empty state', async () => {
+    mockFetch({ total: 0, limit: 20, offset: 0, items: [] });
+
+    render(<NotificationHistory onClose={vi.fn()} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('No notifications sent yet')).toBeInTheDocument();
+    });
+  });
+
+  it('displays an error when the history cannot be fetched', async () => {
+    global.fetch.mockResolvedValue({ ok: false });
+
+    render(<NotificationHistory onClose={vi.fn()} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to fetch notification history')).toBeInTheDocument();
+    });
+  });
+
+  it('refetches with the applied filters', async () => {
+    mockFetch({ total: 0, limit: 20, offset: 0, items: [] });
+
+    render(<NotificationHistory onClose={vi.fn()} />);
+    await waitFor(() => expect(screen.getAllByRole('option', { name: 'ntfy' })).toHaveLength(2));
+
+    fireEvent.change(screen.getByLabelText('Status'), { target: { value: 'failed' } });
+    fireEvent.change(screen.getByLabelText('Provider'), { target: { value: 'ntfy' } });
+    fireEvent.change(screen.getByLabelText('Container'), { target: { value: 'web' } });
+    fireEvent.click(screen.getByText('Apply'));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        '/api/notifications/history?status=failed&provider=ntfy&container=web&limit=20'
+      );
+    });
+  });
+
+  it('pages through results', async () => {
+    mockFetch({ total: 45, limit: 20, offset: 0, items: mockEntries });
+
+    render(<NotificationHistory onClose={vi.fn()} />);
+    await waitFor(() => expect(screen.getByText('Page 1 of 3')).toBeInTheDocument());
+    expect(screen.getByText('Previous')).toBeDisabled();
+
+    fireEvent.click(screen.getByText('Next'));
+
+    await waitFor(() => {
+      expect(global.fetch).toHaveBeenLastCalledWith('/api/notifications/history?limit=20&offset=20');
+    });
+    await waitFor(() => expect(screen.getByText('Page 2 of 3')).toBeInTheDocument());
+  });
+
+  it('calls onClose when the close button is clicked', async () => {
+    mockFetch({ total: 0, limit: 20, offset: 0, items: [] });
+    const onClose = vi.fn();
+
+    render(<NotificationHistory onClose={onClose} />);
+    await waitFor(() => expect(screen.getByText('No notifications sent yet')).toBeInTheDocument());
+    fireEvent.click(screen.getByText('×'));
+
+    expect(onClose).toHaveBeenCalled();
+  });
+
+  describe('send test', () => {
+    it('sends a test through the selected provider and shows the result', async () => {
+      mockFetch({ total: 0, limit: 20, offset: 0, items: [] }, {
+        ok: true,
+        json: () => Promise.resolve([{ provider: 'ntfy', success: false, error: 'ntfy publish failed: 403' }]),
+      });
+
+      render(<NotificationHistory onClose={vi.fn()} />);
+      await waitFor(() => expect(screen.getAllByRole('option', { name: 'ntfy' })).toHaveLength(2));
+      const historyCalls = () => global.fetch.mock.calls.filter(([url]) => url.startsWith('/api/notifications/history'));
+      expect(historyCalls()).toHaveLength(1);
+
+      fireEvent.change(screen.getByLabelText('Test'), { target: { value: 'ntfy' } });
+      fireEvent.click(screen.getByText('Send test'));
+
+      await waitFor(() => {
+        expect(screen.getByText('ntfy: ntfy publish failed: 403')).toHaveClass('delivery-badge', 'failed');
+      });
+      expect(global.fetch).toHaveBeenCalledWith('/api/notifications/test?provider=ntfy', { method: 'POST' });
+      await waitFor(() => expect(historyCalls()).toHaveLength(2));
+    });
+
+    it('only offers enabled providers', async () => {
+      mockFetch({ total: 0, limit: 20, offset: 0, items: [] });
+
+      render(<NotificationHistory onClose={vi.fn()} />);
+      await waitFor(() => expect(screen.getAllByRole('option', { name: 'email' })).toHaveLength(1));
+
+      expect(screen.getByLabelText('Test')).not.toHaveTextContent('email');
+    });
+
+    it('shows API errors', async () => {
+      mockFetch({ total: 0, limit: 20, offset: 0, items: [] }, {
+        ok: false,
+        json: () => Promise.resolve({ error: 'No notification providers are enabled' }),
+      });
+
+      render(<NotificationHistory onClose={vi.fn()} />);
+      await waitFor(() => expect(screen.getByText('No notifications sent yet')).toBeInTheDocument());
+
+      fireEvent.click(screen.getByText('Send test'));
+
+      await waitFor(() => {
+        expect(screen.getByText('test: No notification providers are enabled')).toBeInTheDocument();
+      });
+    });
+  });
+});
@@ -0,0 +1,25 @@
+function Sparkline({ values, min = 0, max, width = 100, height = 24 }) {
+  if (!values || values.length < 2) {
+    return <svg className="sparkline" width={width} height={height} />;
+  }
+
+  const top = Math.max(max ?? 0, ...values);
+  const range = top - min || 1;
+  const step = width / (values.length - 1);
+
+  const points = values
+    .map((value, index) => {
+      const x = index * step;
+      const y = height - ((value - min) / range) * height;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+export default Sparkline;
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import Sparkline from './Sparkline';
+
+describe('Sparkline', () => {
+  it('renders an empty chart with fewer than two values', () => {
+    const { container } = render(<Sparkline values={[5]} />);
+    expect(container.querySelector('svg.sparkline')).toBeInTheDocument();
+    expect(container.querySelector('polyline')).not.toBeInTheDocument();
+  });
+
+  it('plots values across the full width', () => {
+    const { container } = render(<Sparkline values={[0, 50, 100]} width={100} height={20} />);
+    expect(container.querySelector('polyline')).toHaveAttribute('points', '0.0,20.0 50.0,10.0 100.0,0.0');
+  });
+
+  it('scales against the given max', () => {
+    const { container } = render(<Sparkline values={[0, 50]} max={100} width={10} height={10} />);
+    expect(container.querySelector('polyline')).toHaveAttribute('points', '0.0,10.0 10.0,5.0');
+  });
+
+  it('grows the scale when values exceed max', () => {
+    const { container } = render(<Sparkline values={[0, 200]} max={100} width={10} height={10} />);
+    expect(container.querySelector('polyline')).toHaveAttribute('points', '0.0,10.0 10.0,0.0');
+  });
+});